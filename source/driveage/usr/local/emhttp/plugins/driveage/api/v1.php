@@ -0,0 +1,99 @@
+<?php
+/**
+ * DriveAge Plugin - REST API v1
+ *
+ * GET ?resource=drives      List drives (filters: type, physical_type, risk, has_warnings; fields, group)
+ * GET ?resource=drive       One drive by serial, including raw SMART attributes
+ * GET ?resource=summary     Fleet summary (risk counts, worst temperature, next replacement)
+ * GET ?resource=thresholds  Effective risk thresholds
+ *
+ * Errors are returned as {"success": false, "code": ..., "error": ..., "message": ...}.
+ */
+
+// Set JSON content type
+header('Content-Type: application/json');
+
+// Include required files
+require_once '/usr/local/emhttp/plugins/driveage/include/config.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/smartdata.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/security.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/history.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/api.php';
+
+try {
+    // Load configuration
+    $config = loadConfig();
+
+    // Dashboard request (webGUI token) or external API access (API key)
+    authorizeRequest($config);
+
+    // Clean up old rate limit files (1% chance)
+    if (rand(1, 100) === 1) {
+        cleanupRateLimitFiles();
+    }
+
+    if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+        sendApiError(405, 'method_not_allowed', 'Method not allowed', 'Only GET requests are supported.');
+    }
+
+    $resource = $_GET['resource'] ?? 'drives';
+    $resources = ['drives', 'drive', 'summary', 'thresholds'];
+
+    if (!in_array($resource, $resources, true)) {
+        logSecurityEvent('invalid_parameter', ['endpoint' => 'api/v1.php', 'parameter' => 'resource']);
+        sendApiError(404, 'unknown_resource', 'Unknown resource', 'Supported resources: ' . implode(', ', $resources) . '.', [
+            'allowed' => $resources
+        ]);
+    }
+
+    logSecurityEvent('api_access', ['endpoint' => 'api/v1.php', 'resource' => $resource]);
+
+    switch ($resource) {
+        case 'drives':
+            $data = getApiDrivesResource(getAllDrives($config), $_GET);
+            break;
+
+        case 'drive':
+            $serial = $_GET['serial'] ?? '';
+
+            if (!isValidSerial($serial)) {
+                logSecurityEvent('invalid_parameter', ['endpoint' => 'api/v1.php', 'parameter' => 'serial']);
+                sendApiError(400, 'invalid_parameter', 'Invalid parameter', "'serial' must be a drive serial number.", [
+                    'parameter' => 'serial'
+                ]);
+            }
+
+            $data = getApiDriveResource(getAllDrives($config), $serial);
+
+            if ($data === null) {
+                sendApiError(404, 'drive_not_found', 'Drive not found', 'No drive with this serial number is installed.', [
+                    'serial' => $serial
+                ]);
+            }
+            break;
+
+        case 'summary':
+            $data = getApiSummaryResource(getAllDrives($config));
+            break;
+
+        case 'thresholds':
+            $data = getApiThresholdsResource($config);
+            break;
+    }
+
+    sendApiResponse($resource, $data);
+
+} catch (Exception $e) {
+    // Log full error for debugging
+    error_log('DriveAge API Error: ' . $e->getMessage() . "\n" . $e->getTraceAsString());
+
+    logSecurityEvent('api_error', [
+        'error' => $e->getMessage(),
+        'file' => basename($e->getFile()),
+        'line' => $e->getLine()
+    ]);
+
+    // Generic error response (don't expose internal details)
+    sendApiError(500, 'internal_error', 'Failed to retrieve drive data',
+        'An internal error occurred. Please check system logs or contact support.');
+}
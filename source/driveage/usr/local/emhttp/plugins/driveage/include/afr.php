@@ -0,0 +1,330 @@
+<?php
+/**
+ * DriveAge Plugin - Per-Model Failure Rates
+ *
+ * Imports Backblaze Drive Stats data (raw daily/quarterly drive CSVs or a
+ * pre-aggregated model table) into a local model => AFR dataset. HDDs whose
+ * model has enough drive-days in the dataset age faster or slower than the
+ * generic curve in proportion to their AFR relative to the dataset average.
+ */
+
+require_once 'config.php';
+require_once 'helpers.php';
+
+// Imported dataset (persistent, on flash)
+define('DRIVEAGE_AFR_FILE', DRIVEAGE_CONFIG_DIR . '/afr_models.json');
+
+// Minimum drive-days before a model's AFR is used (Backblaze's own cut-off for its quarterly tables)
+define('DRIVEAGE_AFR_MIN_DRIVE_DAYS', 10000);
+
+// Bounds for the age scaling factor (model AFR / dataset average AFR)
+define('DRIVEAGE_AFR_FACTOR_MIN', 0.25);
+define('DRIVEAGE_AFR_FACTOR_MAX', 4.0);
+
+// Vendor prefixes smartctl and Backblaze may or may not include (longest first)
+define('DRIVEAGE_AFR_VENDOR_PREFIXES', ['WESTERN DIGITAL', 'SEAGATE', 'TOSHIBA', 'HITACHI', 'HGST', 'WDC', 'WD']);
+
+/**
+ * Normalize a model name for matching
+ *
+ * Strips a leading vendor name and everything but letters and digits,
+ * so "WDC WUH721414ALE6L4" and "WUH721414ALE6L4" match.
+ *
+ * @param string $model Model name
+ * @return string Normalized model key (may be empty)
+ */
+function normalizeAfrModel($model) {
+    $model = strtoupper(trim((string)$model));
+
+    foreach (DRIVEAGE_AFR_VENDOR_PREFIXES as $prefix) {
+        if (strpos($model, $prefix . ' ') === 0 || strpos($model, $prefix . '_') === 0) {
+            $model = substr($model, strlen($prefix) + 1);
+            break;
+        }
+    }
+
+    return preg_replace('/[^A-Z0-9]/', '', $model);
+}
+
+/**
+ * Load the imported AFR dataset from flash
+ *
+ * @return array|null ['imported_at' => int, 'imports' => int, 'models' => [key => ['model', 'drives', 'drive_days', 'failures']]] or null if none
+ */
+function loadAfrDataset() {
+    $dataset = loadJsonFile(DRIVEAGE_AFR_FILE);
+
+    return (!empty($dataset['models']) && is_array($dataset['models'])) ? $dataset : null;
+}
+
+/**
+ * Get the imported AFR dataset (loaded once per request)
+ *
+ * @return array|null Dataset (see loadAfrDataset()) or null if none
+ */
+function getAfrDataset() {
+    static $dataset = false;
+
+    if ($dataset === false) {
+        $dataset = loadAfrDataset();
+    }
+
+    return $dataset;
+}
+
+/**
+ * Save the AFR dataset (atomic write)
+ *
+ * @param array $dataset Dataset
+ * @return bool True on success
+ */
+function saveAfrDataset($dataset) {
+    return saveJsonFile(DRIVEAGE_AFR_FILE, $dataset, false);
+}
+
+/**
+ * Delete the AFR dataset (all drives fall back to the generic curve)
+ *
+ * @return bool True on success
+ */
+function clearAfrDataset() {
+    return !file_exists(DRIVEAGE_AFR_FILE) || @unlink(DRIVEAGE_AFR_FILE);
+}
+
+/**
+ * Calculate annualized failure rate
+ *
+ * @param float $failures Failure count
+ * @param float $driveDays Drive-days observed
+ * @return float|null AFR in percent, or null without drive-days
+ */
+function calculateAfr($failures, $driveDays) {
+    return $driveDays > 0 ? round($failures / ($driveDays / 365) * 100, 2) : null;
+}
+
+/**
+ * Parse a number from a CSV cell ("1,234", "1.23%")
+ *
+ * @param mixed $value Cell value
+ * @return float|null Number or null if empty/invalid
+ */
+function parseAfrNumber($value) {
+    $value = str_replace([',', '%', ' '], '', (string)$value);
+    return is_numeric($value) ? (float)$value : null;
+}
+
+/**
+ * Import a Backblaze Drive Stats CSV
+ *
+ * Two formats are detected from the header row:
+ * - Raw drive data (one row per drive per day): date, serial_number, model, failure, ...
+ * - Model table: model plus drive_days (or drive_count), with failures and/or afr
+ *
+ * @param string $path Path to the CSV file
+ * @param bool $merge Add to the existing dataset instead of replacing it
+ * @return array ['success' => bool, 'error' => string, 'format' => string, 'models' => int, 'rows' => int]
+ */
+function importAfrCsv($path, $merge = false) {
+    $handle = @fopen($path, 'r');
+    if ($handle === false) {
+        return ['success' => false, 'error' => 'Could not read the uploaded file'];
+    }
+
+    $header = fgetcsv($handle);
+    $columns = [];
+    foreach ($header ?: [] as $index => $name) {
+        $columns[trim(preg_replace('/[^a-z0-9]+/', '_', strtolower($name)), '_')] = $index;
+    }
+
+    if (isset($columns['serial_number'], $columns['model'], $columns['failure'])) {
+        $format = 'raw';
+    } elseif (isset($columns['model']) && (isset($columns['drive_days']) || isset($columns['drive_count']))) {
+        $format = 'table';
+    } else {
+        fclose($handle);
+        return ['success' => false, 'error' => 'Unrecognized CSV: expected Backblaze drive data (serial_number, model, failure) or a model table (model, drive_days, failures/afr)'];
+    }
+
+    $models = [];
+    $serials = [];
+    $rows = 0;
+
+    while (($row = fgetcsv($handle)) !== false) {
+        // Published tables end with a totals row, which would count every drive twice
+        $key = normalizeAfrModel($row[$columns['model']] ?? '');
+        if ($key === '' || $key === 'TOTAL' || $key === 'TOTALS') {
+            continue;
+        }
+
+        if ($format === 'raw') {
+            $driveCount = null;
+            $driveDays = 1;
+            $failures = intval($row[$columns['failure']] ?? 0);
+            $serials[$key][$row[$columns['serial_number']] ?? ''] = true;
+        } else {
+            $driveCount = isset($columns['drive_count']) ? parseAfrNumber($row[$columns['drive_count']] ?? '') : null;
+            $driveDays = isset($columns['drive_days']) ? parseAfrNumber($row[$columns['drive_days']] ?? '') : null;
+            $failures = parseAfrNumber($row[$columns['drive_failures'] ?? $columns['failures'] ?? -1] ?? '');
+            $afr = isset($columns['afr']) ? parseAfrNumber($row[$columns['afr']] ?? '') : null;
+
+            // Without drive-days, assume each drive was observed for a year
+            $driveDays = $driveDays ?? ($driveCount !== null ? $driveCount * 365 : null);
+
+            if ($driveDays === null || $driveDays <= 0 || ($failures === null && $afr === null)) {
+                continue;
+            }
+
+            $failures = $failures ?? round($afr / 100 * $driveDays / 365, 2);
+        }
+
+        if (!isset($models[$key])) {
+            $models[$key] = ['model' => trim($row[$columns['model']]), 'drives' => 0, 'drive_days' => 0, 'failures' => 0];
+        }
+
+        $models[$key]['drives'] += intval($driveCount ?? 0);
+        $models[$key]['drive_days'] += $driveDays;
+        $models[$key]['failures'] += $failures;
+
+        $rows++;
+    }
+
+    fclose($handle);
+
+    foreach ($serials as $key => $modelSerials) {
+        $models[$key]['drives'] = count($modelSerials);
+    }
+
+    if (empty($models)) {
+        return ['success' => false, 'error' => 'No usable rows found in the CSV'];
+    }
+
+    $existing = $merge ? loadAfrDataset() : null;
+    $dataset = [
+        'imported_at' => time(),
+        'imports' => ($existing['imports'] ?? 0) + 1,
+        'models' => $existing['models'] ?? []
+    ];
+
+    foreach ($models as $key => $model) {
+        if (isset($dataset['models'][$key])) {
+            // Separate imports may cover the same drives, so keep the larger drive count
+            $dataset['models'][$key]['drives'] = max($dataset['models'][$key]['drives'], $model['drives']);
+            $dataset['models'][$key]['drive_days'] += $model['drive_days'];
+            $dataset['models'][$key]['failures'] += $model['failures'];
+        } else {
+            $dataset['models'][$key] = $model;
+        }
+    }
+
+    if (!saveAfrDataset($dataset)) {
+        return ['success' => false, 'error' => 'Failed to save the AFR dataset'];
+    }
+
+    return ['success' => true, 'format' => $format, 'models' => count($models), 'rows' => $rows];
+}
+
+/**
+ * Get a summary of an AFR dataset for the settings page
+ *
+ * @param array|null $dataset Dataset from loadAfrDataset()
+ * @return array|null ['imported_at', 'imports', 'models', 'usable_models', 'drive_days', 'average_afr'] or null if none
+ */
+function getAfrDatasetSummary($dataset) {
+    if ($dataset === null) {
+        return null;
+    }
+
+    $usable = array_filter($dataset['models'], function($model) {
+        return $model['drive_days'] >= DRIVEAGE_AFR_MIN_DRIVE_DAYS;
+    });
+
+    return [
+        'imported_at' => $dataset['imported_at'] ?? null,
+        'imports' => $dataset['imports'] ?? 1,
+        'models' => count($dataset['models']),
+        'usable_models' => count($usable),
+        'drive_days' => array_sum(array_column($dataset['models'], 'drive_days')),
+        'average_afr' => getAfrDatasetAverage($dataset)
+    ];
+}
+
+/**
+ * Get the dataset-wide AFR (drive-day weighted over all models)
+ *
+ * @param array $dataset Dataset
+ * @return float|null AFR in percent
+ */
+function getAfrDatasetAverage($dataset) {
+    return calculateAfr(
+        array_sum(array_column($dataset['models'], 'failures')),
+        array_sum(array_column($dataset['models'], 'drive_days'))
+    );
+}
+
+/**
+ * Find a drive model in the dataset
+ *
+ * Exact match on the normalized name first, then the longest dataset model
+ * that prefixes the drive's model (smartctl often appends a firmware/build
+ * suffix, e.g. "ST4000DM000-1F2168").
+ *
+ * @param string $model Drive model
+ * @return array|null Dataset entry or null if not found
+ */
+function findAfrModel($model) {
+    $dataset = getAfrDataset();
+    $key = normalizeAfrModel($model);
+
+    if ($dataset === null || $key === '') {
+        return null;
+    }
+
+    if (isset($dataset['models'][$key])) {
+        return $dataset['models'][$key];
+    }
+
+    $best = null;
+    foreach ($dataset['models'] as $candidate => $entry) {
+        if (strlen($candidate) >= 6 && strpos($key, (string)$candidate) === 0 &&
+            ($best === null || strlen($candidate) > strlen($best))) {
+            $best = (string)$candidate;
+        }
+    }
+
+    return $best !== null ? $dataset['models'][$best] : null;
+}
+
+/**
+ * Get the failure rate profile for an HDD model
+ *
+ * @param string $model Drive model
+ * @return array|null ['source' => 'model'|'generic', 'matched_model' => string|null, 'model_afr' => float|null,
+ *                     'average_afr' => float|null, 'drives' => int, 'drive_days' => int, 'factor' => float]
+ *                     or null if no dataset has been imported
+ */
+function getModelAfr($model) {
+    $dataset = getAfrDataset();
+    if ($dataset === null) {
+        return null;
+    }
+
+    $average = getAfrDatasetAverage($dataset);
+
+    $entry = findAfrModel($model);
+    $profile = [
+        'source' => 'generic',
+        'matched_model' => $entry['model'] ?? null,
+        'model_afr' => $entry !== null ? calculateAfr($entry['failures'], $entry['drive_days']) : null,
+        'average_afr' => $average,
+        'drives' => intval($entry['drives'] ?? 0),
+        'drive_days' => intval($entry['drive_days'] ?? 0),
+        'factor' => 1.0
+    ];
+
+    if ($entry !== null && $profile['drive_days'] >= DRIVEAGE_AFR_MIN_DRIVE_DAYS && $average > 0) {
+        $profile['source'] = 'model';
+        $profile['factor'] = round(max(DRIVEAGE_AFR_FACTOR_MIN, min(DRIVEAGE_AFR_FACTOR_MAX, $profile['model_afr'] / $average)), 2);
+    }
+
+    return $profile;
+}
@@ -0,0 +1,297 @@
+<?php
+/**
+ * DriveAge Plugin - REST API Resources
+ *
+ * Builds the resources served by the versioned API (api/v1.php) from
+ * getAllDrives()/groupDrives(), without the dashboard's display fields.
+ */
+
+require_once 'config.php';
+require_once 'smartdata.php';
+require_once 'security.php';
+
+define('DRIVEAGE_API_VERSION', 1);
+
+// Drive fields only used for dashboard rendering (HTML/CSS classes)
+define('DRIVEAGE_API_UI_FIELDS', ['color_class', 'temperature_class', 'is_oldest']);
+
+/**
+ * Send a successful API response
+ *
+ * @param string $resource Resource name
+ * @param array $data Resource data
+ * @return void
+ */
+function sendApiResponse($resource, $data) {
+    echo json_encode([
+        'success' => true,
+        'api_version' => DRIVEAGE_API_VERSION,
+        'resource' => $resource,
+        'timestamp' => time(),
+        'data' => $data
+    ], JSON_PRETTY_PRINT);
+}
+
+/**
+ * Send a structured API error and exit
+ *
+ * @param int $status HTTP status code
+ * @param string $code Machine-readable error code (e.g., 'invalid_parameter')
+ * @param string $error Short error title
+ * @param string $message Human-readable explanation
+ * @param array $details Additional fields (e.g., ['parameter' => 'risk'])
+ * @return void
+ */
+function sendApiError($status, $code, $error, $message, $details = []) {
+    http_response_code($status);
+    echo json_encode(array_merge([
+        'success' => false,
+        'api_version' => DRIVEAGE_API_VERSION,
+        'code' => $code,
+        'error' => $error,
+        'message' => $message
+    ], $details), JSON_PRETTY_PRINT);
+    exit;
+}
+
+/**
+ * Parse a comma-separated list parameter against allowed values
+ *
+ * @param array $query Query parameters
+ * @param string $name Parameter name
+ * @param array $allowed Allowed values
+ * @return array|null Selected values, or null if the parameter is absent (exits if invalid)
+ */
+function parseApiListParameter($query, $name, $allowed) {
+    if (!isset($query[$name]) || $query[$name] === '') {
+        return null;
+    }
+
+    $values = is_string($query[$name]) ? array_map('trim', explode(',', $query[$name])) : [];
+    $invalid = array_values(array_diff($values, $allowed));
+
+    if (empty($values) || !empty($invalid)) {
+        logSecurityEvent('invalid_parameter', ['endpoint' => 'api/v1.php', 'parameter' => $name]);
+        sendApiError(400, 'invalid_parameter', 'Invalid parameter', "Unsupported value for '$name'.", [
+            'parameter' => $name,
+            'invalid' => $invalid,
+            'allowed' => $allowed
+        ]);
+    }
+
+    return array_values(array_unique($values));
+}
+
+/**
+ * Parse a boolean query parameter
+ *
+ * @param array $query Query parameters
+ * @param string $name Parameter name
+ * @return bool|null Value, or null if the parameter is absent (exits if invalid)
+ */
+function parseApiBoolParameter($query, $name) {
+    if (!isset($query[$name]) || $query[$name] === '') {
+        return null;
+    }
+
+    $value = is_string($query[$name]) ? strtolower($query[$name]) : '';
+
+    if (in_array($value, ['true', '1'], true)) {
+        return true;
+    } elseif (in_array($value, ['false', '0'], true)) {
+        return false;
+    }
+
+    logSecurityEvent('invalid_parameter', ['endpoint' => 'api/v1.php', 'parameter' => $name]);
+    sendApiError(400, 'invalid_parameter', 'Invalid parameter', "'$name' must be true or false.", [
+        'parameter' => $name,
+        'allowed' => ['true', 'false']
+    ]);
+}
+
+/**
+ * Strip dashboard display fields from a drive
+ *
+ * @param array $drive Drive information from getDriveInfo()
+ * @return array Drive without *_formatted fields and CSS classes
+ */
+function getApiDrive($drive) {
+    foreach (array_keys($drive) as $key) {
+        if (substr($key, -10) === '_formatted' || in_array($key, DRIVEAGE_API_UI_FIELDS, true)) {
+            unset($drive[$key]);
+        }
+    }
+
+    return $drive;
+}
+
+/**
+ * Get the drives list resource
+ *
+ * Query parameters: type, physical_type, risk (comma-separated),
+ * has_warnings (true/false), fields (comma-separated, serial is always
+ * included) and group (true to group by array and drive type).
+ *
+ * @param array $drives Drives from getAllDrives()
+ * @param array $query Query parameters
+ * @return array ['count' => int, 'drives' => array] or ['count' => int, 'groups' => array]
+ */
+function getApiDrivesResource($drives, $query) {
+    $types = parseApiListParameter($query, 'type', ['parity', 'array', 'cache', 'pool', 'unassigned', 'flash']);
+    $physicalTypes = parseApiListParameter($query, 'physical_type', ['hdd', 'sas', 'nvme', 'usb']);
+    $risks = parseApiListParameter($query, 'risk', DRIVEAGE_RISK_ORDER);
+    $hasWarnings = parseApiBoolParameter($query, 'has_warnings');
+    $group = parseApiBoolParameter($query, 'group') === true;
+
+    $drives = array_map('getApiDrive', $drives);
+    $allFields = !empty($drives) ? array_keys($drives[0]) : [];
+
+    $drives = array_values(array_filter($drives, function($drive) use ($types, $physicalTypes, $risks, $hasWarnings) {
+        return ($types === null || in_array($drive['drive_type'], $types, true))
+            && ($physicalTypes === null || in_array($drive['physical_type'], $physicalTypes, true))
+            && ($risks === null || in_array($drive['age_category'], $risks, true))
+            && ($hasWarnings === null || $drive['has_warnings'] === $hasWarnings);
+    }));
+
+    $fields = !empty($allFields) ? parseApiListParameter($query, 'fields', $allFields) : null;
+
+    if ($fields !== null) {
+        if (!in_array('serial', $fields, true)) {
+            array_unshift($fields, 'serial');
+        }
+
+        // Grouping needs array_name/drive_type; they're removed again afterwards
+        $keep = $group ? array_unique(array_merge($fields, ['array_name', 'drive_type'])) : $fields;
+
+        $drives = array_map(function($drive) use ($keep) {
+            return array_intersect_key($drive, array_flip($keep));
+        }, $drives);
+    }
+
+    if (!$group) {
+        return ['count' => count($drives), 'drives' => $drives];
+    }
+
+    $groups = groupDrives($drives);
+
+    if ($fields !== null) {
+        foreach ($groups as &$groupTypes) {
+            foreach ($groupTypes as &$members) {
+                $members = array_map(function($drive) use ($fields) {
+                    return array_intersect_key($drive, array_flip($fields));
+                }, $members);
+            }
+            unset($members);
+        }
+        unset($groupTypes);
+    }
+
+    return ['count' => count($drives), 'groups' => $groups];
+}
+
+/**
+ * Get the single drive resource, including raw SMART attributes
+ *
+ * @param array $drives Drives from getAllDrives()
+ * @param string $serial Drive serial number
+ * @return array|null Drive, or null if no drive has this serial
+ */
+function getApiDriveResource($drives, $serial) {
+    foreach ($drives as $drive) {
+        if ($drive['serial'] === $serial) {
+            $drive = getApiDrive($drive);
+
+            // Null while the drive is in standby or before emhttpd has cached it
+            $drive['smart_attributes'] = getRawSmartAttributes($drive['device_id']);
+
+            return $drive;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get the fleet summary resource
+ *
+ * @param array $drives Drives from getAllDrives()
+ * @return array Summary (temperatures in Celsius)
+ */
+function getApiSummaryResource($drives) {
+    $riskCounts = array_fill_keys(DRIVEAGE_RISK_ORDER, 0);
+    $typeCounts = [];
+    $withWarnings = 0;
+    $smartFailed = 0;
+    $standby = 0;
+    $worstTemperature = null;
+    $nextReplacement = null;
+
+    foreach ($drives as $drive) {
+        $riskCounts[$drive['age_category']] = ($riskCounts[$drive['age_category']] ?? 0) + 1;
+        $typeCounts[$drive['drive_type']] = ($typeCounts[$drive['drive_type']] ?? 0) + 1;
+
+        if ($drive['has_warnings']) {
+            $withWarnings++;
+        }
+        if ($drive['smart_status'] === 'FAILED') {
+            $smartFailed++;
+        }
+        if ($drive['is_standby']) {
+            $standby++;
+        }
+
+        if ($drive['temperature'] !== null
+            && ($worstTemperature === null || $drive['temperature'] > $worstTemperature['temperature'])) {
+            $worstTemperature = [
+                'serial' => $drive['serial'],
+                'device_name' => $drive['device_name'],
+                'temperature' => intval($drive['temperature'])
+            ];
+        }
+
+        $months = $drive['replacement_prediction']['months_remaining'] ?? null;
+        if ($months !== null && ($nextReplacement === null || $months < $nextReplacement['months_remaining'])) {
+            $nextReplacement = [
+                'serial' => $drive['serial'],
+                'device_name' => $drive['device_name'],
+                'months_remaining' => $months,
+                'confidence' => $drive['replacement_prediction']['confidence'] ?? null
+            ];
+        }
+    }
+
+    return [
+        'drive_count' => count($drives),
+        'risk_counts' => $riskCounts,
+        'drive_type_counts' => $typeCounts,
+        'drives_with_warnings' => $withWarnings,
+        'smart_failed' => $smartFailed,
+        'standby' => $standby,
+        'worst_temperature' => $worstTemperature,
+        'next_replacement' => $nextReplacement
+    ];
+}
+
+/**
+ * Get the effective thresholds resource
+ *
+ * @param array $config Plugin configuration
+ * @return array HDD age thresholds (power-on hours) and prediction settings
+ */
+function getApiThresholdsResource($config) {
+    return [
+        'hdd_power_on_hours' => [
+            'minimal_risk' => intval($config['THRESHOLD_MINIMAL_RISK']),
+            'low_risk' => intval($config['THRESHOLD_LOW_RISK']),
+            'moderate_risk' => intval($config['THRESHOLD_MODERATE_RISK']),
+            'elevated_risk' => intval($config['THRESHOLD_ELEVATED_RISK'])
+        ],
+        'labels' => array_combine(DRIVEAGE_RISK_ORDER, array_map(function($category) use ($config) {
+            return getAgeLabel($category, $config);
+        }, DRIVEAGE_RISK_ORDER)),
+        'prediction_mode' => $config['PREDICTION_MODE'],
+        'prediction_risk_percent' => intval($config['PREDICTION_RISK_PERCENT']),
+        // getDriveInfo() raises drives below this to high_risk
+        'high_risk_replacement_months' => 6
+    ];
+}
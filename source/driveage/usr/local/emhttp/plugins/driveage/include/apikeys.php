@@ -0,0 +1,166 @@
+<?php
+/**
+ * DriveAge Plugin - API Key Management
+ *
+ * Named API keys for external access. Only a SHA-256 hash of each key is
+ * stored; the plaintext key is shown once when it is created.
+ */
+
+require_once 'config.php';
+require_once 'helpers.php';
+
+// API key store (persistent, on flash)
+define('DRIVEAGE_API_KEYS_FILE', DRIVEAGE_CONFIG_DIR . '/apikeys.json');
+
+// Key format: prefix + 40 hex characters
+define('DRIVEAGE_API_KEY_PREFIX', 'da_');
+
+// Minimum seconds between last-used updates (limits flash writes)
+define('DRIVEAGE_API_KEY_TOUCH_INTERVAL', 300);
+
+/**
+ * Load all API key records
+ *
+ * @return array Key records [['id', 'name', 'hash', 'display', 'rate_limit', 'created', 'last_used', 'last_used_ip']]
+ */
+function loadApiKeys() {
+    return loadJsonFile(DRIVEAGE_API_KEYS_FILE) ?? [];
+}
+
+/**
+ * Save API key records (atomic write, owner-only permissions)
+ *
+ * @param array $keys Key records
+ * @return bool True on success
+ */
+function saveApiKeys($keys) {
+    return saveJsonFile(DRIVEAGE_API_KEYS_FILE, array_values($keys), true, 0600);
+}
+
+/**
+ * Validate an API key name
+ *
+ * @param mixed $name Key name
+ * @return bool True if valid
+ */
+function isValidApiKeyName($name) {
+    return is_string($name) && preg_match('/^[A-Za-z0-9 _.\-]{1,64}$/', $name) === 1;
+}
+
+/**
+ * Create a new API key
+ *
+ * @param string $name Key name (e.g., "Home Assistant")
+ * @param int $rateLimit Requests per minute for this key (0 = use API_RATE_LIMIT)
+ * @return array|null ['key' => plaintext key, 'record' => public record] or null on failure
+ */
+function createApiKey($name, $rateLimit = 0) {
+    $key = DRIVEAGE_API_KEY_PREFIX . bin2hex(random_bytes(20));
+    $record = [
+        'id' => bin2hex(random_bytes(8)),
+        'name' => $name,
+        'hash' => hash('sha256', $key),
+        'display' => substr($key, 0, 7) . '…' . substr($key, -4),
+        'rate_limit' => $rateLimit > 0 ? max(10, min(1000, intval($rateLimit))) : 0,
+        'created' => time(),
+        'last_used' => null,
+        'last_used_ip' => null
+    ];
+
+    $keys = loadApiKeys();
+    $keys[] = $record;
+
+    if (!saveApiKeys($keys)) {
+        return null;
+    }
+
+    return ['key' => $key, 'record' => getPublicApiKey($record)];
+}
+
+/**
+ * Revoke (delete) an API key
+ *
+ * @param string $id Key ID
+ * @return bool True if a key was revoked
+ */
+function revokeApiKey($id) {
+    $keys = loadApiKeys();
+    $remaining = array_filter($keys, function($record) use ($id) {
+        return $record['id'] !== $id;
+    });
+
+    if (count($remaining) === count($keys)) {
+        return false;
+    }
+
+    return saveApiKeys($remaining);
+}
+
+/**
+ * Find the API key record matching a plaintext key
+ *
+ * @param string $key Plaintext key
+ * @return array|null Key record or null if not found
+ */
+function findApiKey($key) {
+    if (!is_string($key) || strpos($key, DRIVEAGE_API_KEY_PREFIX) !== 0) {
+        return null;
+    }
+
+    $hash = hash('sha256', $key);
+
+    foreach (loadApiKeys() as $record) {
+        if (hash_equals($record['hash'], $hash)) {
+            return $record;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Record that an API key was used
+ *
+ * Only written when the previous timestamp is older than
+ * DRIVEAGE_API_KEY_TOUCH_INTERVAL so frequent polling doesn't wear the flash.
+ *
+ * @param array $record Key record
+ * @param string $ip Client IP address
+ * @return void
+ */
+function touchApiKey($record, $ip) {
+    if ($record['last_used'] !== null && (time() - $record['last_used']) < DRIVEAGE_API_KEY_TOUCH_INTERVAL) {
+        return;
+    }
+
+    $keys = loadApiKeys();
+    foreach ($keys as &$key) {
+        if ($key['id'] === $record['id']) {
+            $key['last_used'] = time();
+            $key['last_used_ip'] = $ip;
+        }
+    }
+    unset($key);
+
+    saveApiKeys($keys);
+}
+
+/**
+ * Get a key record without its hash (safe to send to the browser)
+ *
+ * @param array $record Key record
+ * @return array Public key record
+ */
+function getPublicApiKey($record) {
+    unset($record['hash']);
+    return $record;
+}
+
+/**
+ * Get all key records without hashes
+ *
+ * @return array Public key records
+ */
+function getPublicApiKeys() {
+    return array_map('getPublicApiKey', loadApiKeys());
+}
@@ -0,0 +1,340 @@
+<?php
+/**
+ * DriveAge Plugin - Retired Drives Archive
+ *
+ * Keeps a registry of every drive seen (by serial) so drives that disappear
+ * from the server can be detected, and an archive of drives marked as
+ * retired, failed, RMA'd or sold with their final SMART snapshot, age at
+ * removal and warnings. Both live on the flash drive so they survive reboots.
+ */
+
+require_once 'config.php';
+require_once 'helpers.php';
+require_once 'history.php';
+require_once 'assets.php';
+
+// Last known state of every drive seen, keyed by serial
+define('DRIVEAGE_KNOWN_DRIVES_FILE', DRIVEAGE_CONFIG_DIR . '/known_drives.json');
+
+// Archived drives, keyed by serial
+define('DRIVEAGE_ARCHIVE_FILE', DRIVEAGE_CONFIG_DIR . '/archive.json');
+
+// Reasons a drive can leave the server
+define('DRIVEAGE_ARCHIVE_STATUSES', ['retired', 'failed', 'rma', 'sold']);
+
+/**
+ * Load the known drives registry
+ *
+ * Before the cron job has written the registry, it is seeded from recorded
+ * history so drives removed since history was enabled are still detected.
+ *
+ * @return array Serial => known drive record
+ */
+function loadKnownDrives() {
+    $known = loadJsonFile(DRIVEAGE_KNOWN_DRIVES_FILE);
+
+    return $known ?? getKnownDrivesFromHistory();
+}
+
+/**
+ * Save the known drives registry
+ *
+ * @param array $known Serial => known drive record
+ * @return bool True on success
+ */
+function saveKnownDrives($known) {
+    return saveJsonFile(DRIVEAGE_KNOWN_DRIVES_FILE, (object)$known);
+}
+
+/**
+ * Build known drive records from recorded history files
+ *
+ * @return array Serial => known drive record
+ */
+function getKnownDrivesFromHistory() {
+    $known = [];
+
+    foreach (getHistorySerials() as $serial) {
+        $history = loadDriveHistory($serial);
+
+        if ($history === null || empty($history['samples'])) {
+            continue;
+        }
+
+        $first = reset($history['samples']);
+        $last = end($history['samples']);
+
+        $known[$history['serial']] = [
+            'serial' => $history['serial'],
+            'model' => $history['model'] ?? 'Unknown',
+            'identification' => $history['model'] ?? 'Unknown',
+            'size_bytes' => null,
+            'size_human' => null,
+            'physical_type' => $history['physical_type'] ?? 'hdd',
+            'drive_type' => 'unassigned',
+            'device_name' => '',
+            'power_on_hours' => $last['power_on_hours'] ?? null,
+            'age_category' => null,
+            'smart_status' => 'UNKNOWN',
+            'health_warnings' => [],
+            'snapshot' => $last,
+            'first_seen' => date('Y-m-d', intval($first['timestamp'])),
+            'last_seen' => date('Y-m-d', intval($last['timestamp']))
+        ];
+    }
+
+    return $known;
+}
+
+/**
+ * Build a known drive record from current drive information
+ *
+ * @param array $drive Drive information from getDriveInfo()
+ * @param array|null $previous Existing record for the serial
+ * @return array Known drive record
+ */
+function buildKnownDriveRecord($drive, $previous) {
+    return [
+        'serial' => $drive['serial'],
+        'model' => $drive['model'] ?? 'Unknown',
+        'identification' => $drive['identification'] ?? ($drive['model'] ?? 'Unknown'),
+        'size_bytes' => $drive['size_bytes'] ?? null,
+        'size_human' => $drive['size_human'] ?? null,
+        'physical_type' => $drive['physical_type'] ?? 'hdd',
+        'drive_type' => $drive['drive_type'] ?? 'unassigned',
+        'device_name' => $drive['device_name'] ?? '',
+        'power_on_hours' => $drive['power_on_hours'] ?? null,
+        'age_category' => $drive['age_category'] ?? null,
+        'smart_status' => $drive['smart_status'] ?? 'UNKNOWN',
+        'health_warnings' => array_map(function($warning) {
+            return [
+                'level' => $warning['level'],
+                'attribute' => $warning['attribute'] ?? null,
+                'message' => $warning['message']
+            ];
+        }, $drive['health_warnings'] ?? []),
+        'snapshot' => buildDriveSnapshot($drive),
+        'first_seen' => $previous['first_seen'] ?? date('Y-m-d'),
+        'last_seen' => date('Y-m-d')
+    ];
+}
+
+/**
+ * Update the known drives registry from the drives currently present
+ *
+ * A drive's record is rewritten at most once a day unless its warnings,
+ * SMART status or assignment change, to keep flash writes down. Drives in
+ * standby only refresh last_seen: their SMART values are cached.
+ *
+ * @param array $drives Drives from getAllDrives()
+ * @return int Number of records written
+ */
+function updateKnownDrives($drives) {
+    $known = loadKnownDrives();
+    $archive = loadDriveArchive();
+    $today = date('Y-m-d');
+    $updated = 0;
+
+    foreach ($drives as $drive) {
+        $serial = $drive['serial'] ?? null;
+
+        // The boot flash is replaced deliberately, not retired
+        if (!isValidSerial($serial) || ($drive['drive_type'] ?? '') === 'flash') {
+            continue;
+        }
+
+        // Archived drives stay archived; deleting the entry lets a returned drive be tracked again
+        if (isset($archive[$serial])) {
+            continue;
+        }
+
+        $previous = $known[$serial] ?? null;
+
+        if ($previous !== null && !empty($drive['is_standby'])) {
+            if ($previous['last_seen'] !== $today) {
+                $known[$serial]['last_seen'] = $today;
+                $updated++;
+            }
+            continue;
+        }
+
+        if (empty($drive['power_on_hours'])) {
+            continue;
+        }
+
+        $record = buildKnownDriveRecord($drive, $previous);
+
+        if ($previous !== null &&
+            $previous['last_seen'] === $today &&
+            $previous['health_warnings'] == $record['health_warnings'] &&
+            $previous['smart_status'] === $record['smart_status'] &&
+            $previous['drive_type'] === $record['drive_type']) {
+            continue;
+        }
+
+        $known[$serial] = $record;
+        $updated++;
+    }
+
+    if ($updated > 0 || !file_exists(DRIVEAGE_KNOWN_DRIVES_FILE)) {
+        saveKnownDrives($known);
+    }
+
+    return $updated;
+}
+
+/**
+ * Get known drives that are no longer present and not yet archived
+ *
+ * @param array $known Serial => known drive record
+ * @param array $archive Serial => archived drive record
+ * @param array $drives Drives from getAllDrives()
+ * @return array List of known drive records
+ */
+function getMissingDrives($known, $archive, $drives) {
+    $present = array_column($drives, 'serial');
+
+    return array_values(array_filter($known, function($record, $serial) use ($archive, $present) {
+        return !isset($archive[$serial]) && !in_array($serial, $present, true);
+    }, ARRAY_FILTER_USE_BOTH));
+}
+
+/**
+ * Load the drive archive
+ *
+ * @return array Serial => archived drive record
+ */
+function loadDriveArchive() {
+    return loadJsonFile(DRIVEAGE_ARCHIVE_FILE) ?? [];
+}
+
+/**
+ * Save the drive archive
+ *
+ * @param array $archive Serial => archived drive record
+ * @return bool True on success
+ */
+function saveDriveArchive($archive) {
+    return saveJsonFile(DRIVEAGE_ARCHIVE_FILE, (object)$archive);
+}
+
+/**
+ * Validate submitted archive details
+ *
+ * @param mixed $input ['status', 'removed_date', 'notes']
+ * @return array ['entry' => cleaned details, 'errors' => list of messages]
+ */
+function validateArchiveEntry($input) {
+    $errors = [];
+
+    if (!is_array($input)) {
+        return ['entry' => null, 'errors' => ['Archive details must be an object']];
+    }
+
+    $status = $input['status'] ?? '';
+    if (!in_array($status, DRIVEAGE_ARCHIVE_STATUSES, true)) {
+        $errors[] = 'Status must be one of: ' . implode(', ', DRIVEAGE_ARCHIVE_STATUSES);
+    }
+
+    $removedDate = $input['removed_date'] ?? '';
+    if (!isValidAssetDate($removedDate) || $removedDate > date('Y-m-d')) {
+        $errors[] = 'Removal date must be a past date (YYYY-MM-DD)';
+    }
+
+    $notes = cleanAssetText($input['notes'] ?? '', 2000, true);
+    if ($notes === null) {
+        $errors[] = 'Notes must be 2000 characters or fewer';
+    }
+
+    return [
+        'entry' => [
+            'status' => $status,
+            'removed_date' => $removedDate,
+            'notes' => $notes ?? ''
+        ],
+        'errors' => $errors
+    ];
+}
+
+/**
+ * Move a missing drive from the registry into the archive
+ *
+ * @param string $serial Drive serial number
+ * @param array $entry Validated details from validateArchiveEntry()
+ * @return bool True on success, false if the drive is unknown or already archived
+ */
+function archiveDrive($serial, $entry) {
+    $known = loadKnownDrives();
+    $archive = loadDriveArchive();
+
+    if (!isset($known[$serial]) || isset($archive[$serial])) {
+        return false;
+    }
+
+    $record = $known[$serial];
+    $asset = getDriveAsset($serial);
+
+    $archive[$serial] = $entry + [
+        'serial' => $serial,
+        'model' => $record['model'],
+        'identification' => $record['identification'],
+        'size_bytes' => $record['size_bytes'],
+        'size_human' => $record['size_human'],
+        'physical_type' => $record['physical_type'],
+        'drive_type' => $record['drive_type'],
+        'power_on_hours' => $record['power_on_hours'],
+        'age_category' => $record['age_category'],
+        'smart_status' => $record['smart_status'],
+        'health_warnings' => $record['health_warnings'],
+        'final_snapshot' => $record['snapshot'],
+        'purchase_date' => $asset['purchase_date'] ?? null,
+        'first_seen' => $record['first_seen'],
+        'last_seen' => $record['last_seen'],
+        'archived_at' => date('Y-m-d')
+    ];
+
+    unset($known[$serial]);
+
+    return saveDriveArchive($archive) && saveKnownDrives($known);
+}
+
+/**
+ * Change the status, removal date or notes of an archived drive
+ *
+ * @param string $serial Drive serial number
+ * @param array $entry Validated details from validateArchiveEntry()
+ * @return bool True on success, false if the drive is not archived
+ */
+function updateArchivedDrive($serial, $entry) {
+    $archive = loadDriveArchive();
+
+    if (!isset($archive[$serial])) {
+        return false;
+    }
+
+    $archive[$serial] = array_merge($archive[$serial], $entry);
+
+    return saveDriveArchive($archive);
+}
+
+/**
+ * Remove a drive from the archive or the registry
+ *
+ * A deleted archive entry is not restored to the registry; if the drive is
+ * reinstalled it is picked up again by the next cron run.
+ *
+ * @param string $serial Drive serial number
+ * @param bool $archived True to delete from the archive, false to forget a missing drive
+ * @return bool True on success, false if the serial was not found
+ */
+function removeDriveRecord($serial, $archived) {
+    $records = $archived ? loadDriveArchive() : loadKnownDrives();
+
+    if (!isset($records[$serial])) {
+        return false;
+    }
+
+    unset($records[$serial]);
+
+    return $archived ? saveDriveArchive($records) : saveKnownDrives($records);
+}
@@ -0,0 +1,274 @@
+<?php
+/**
+ * DriveAge Plugin - Array Data-Loss Risk
+ *
+ * Combines each member's estimated annual failure probability with the
+ * redundancy of its array (parity drives) or pool (RAID profile) to estimate
+ * how often data is lost: a failure followed by more failures than the
+ * redundancy can absorb before the rebuild finishes.
+ *
+ * Drive failures are treated as independent; drives bought together fail
+ * together more often than that, so these figures are a lower bound.
+ */
+
+require_once 'config.php';
+require_once 'healthrules.php';
+
+// Annual failure probability assumed for each risk category (top of the category's AFR band)
+define('DRIVEAGE_CATEGORY_FAILURE_PROBABILITY', [
+    'minimal_risk' => 0.01,
+    'low_risk' => 0.02,
+    'moderate_risk' => 0.05,
+    'elevated_risk' => 0.10,
+    'high_risk' => 0.20
+]);
+
+// Upper bound for a single drive's annual failure probability
+define('DRIVEAGE_MAX_FAILURE_PROBABILITY', 0.9);
+
+// Sustained rebuild speed in MB/s by physical type (the slowest member sets the pace)
+define('DRIVEAGE_REBUILD_SPEED', ['hdd' => 150, 'sas' => 150, 'nvme' => 1000, 'usb' => 40]);
+
+// Expected data-loss events per year at which an array is rated moderate / high
+define('DRIVEAGE_ARRAY_RISK_MODERATE', 0.001);
+define('DRIVEAGE_ARRAY_RISK_HIGH', 0.01);
+
+/**
+ * Estimate a drive's probability of failing within a year
+ *
+ * @param array $drive Drive information from getDriveInfo()
+ * @return array ['probability' => float, 'base' => float, 'warning_level' => string|null, 'factor' => int]
+ */
+function getDriveFailureProbability($drive) {
+    $base = DRIVEAGE_CATEGORY_FAILURE_PROBABILITY[$drive['age_category'] ?? ''] ?? DRIVEAGE_CATEGORY_FAILURE_PROBABILITY['moderate_risk'];
+
+    $levels = array_column($drive['health_warnings'] ?? [], 'level');
+
+    // A FAILED SMART status counts as critical
+    if (($drive['smart_status'] ?? '') === 'FAILED') {
+        $levels[] = 'critical';
+    }
+
+    $warningLevel = in_array('critical', $levels, true) ? 'critical' : (in_array('warning', $levels, true) ? 'warning' : null);
+    $factor = $warningLevel !== null ? DRIVEAGE_WARNING_FAILURE_FACTOR[$warningLevel] : 1;
+
+    return [
+        'probability' => min(DRIVEAGE_MAX_FAILURE_PROBABILITY, $base * $factor),
+        'base' => $base,
+        'warning_level' => $warningLevel,
+        'factor' => $factor
+    ];
+}
+
+/**
+ * Probability of more than $tolerated failures among independent drives
+ *
+ * Poisson-binomial distribution of the failure count, built one drive at a time.
+ *
+ * @param array $probabilities Failure probability of each drive
+ * @param int $tolerated Failures the array survives
+ * @return float Probability of losing data
+ */
+function getProbabilityOfMoreFailures($probabilities, $tolerated) {
+    $distribution = [1.0];
+
+    foreach ($probabilities as $p) {
+        $next = array_fill(0, count($distribution) + 1, 0.0);
+        foreach ($distribution as $failures => $probability) {
+            $next[$failures] += $probability * (1 - $p);
+            $next[$failures + 1] += $probability * $p;
+        }
+        $distribution = $next;
+    }
+
+    return max(0.0, array_sum(array_slice($distribution, $tolerated + 1)));
+}
+
+/**
+ * Read pool RAID profiles from Unraid's disks.ini
+ *
+ * Unraid 6.12+ records the profile (btrfs raid1/raid10/..., zfs mirror/raidz1/...)
+ * and vdev width on the pool's first member, which is named after the pool.
+ *
+ * @return array Pool display name => ['fs_type' => string, 'profile' => string, 'width' => int]
+ */
+function getPoolProfiles() {
+    $disksIni = '/var/local/emhttp/disks.ini';
+    $disks = file_exists($disksIni) ? (parse_ini_file($disksIni, true) ?: []) : [];
+    $profiles = [];
+
+    foreach ($disks as $diskName => $diskInfo) {
+        if (($diskInfo['type'] ?? '') !== 'Cache' || empty($diskInfo['fsProfile'])) {
+            continue;
+        }
+
+        $poolName = ucfirst(str_replace('_', ' ', preg_replace('/\d+$/', '', $diskName)));
+        $profiles[$poolName] = [
+            'fs_type' => $diskInfo['fsType'] ?? '',
+            'profile' => strtolower(trim($diskInfo['fsProfile'])),
+            'width' => intval($diskInfo['fsWidth'] ?? 0)
+        ];
+    }
+
+    return $profiles;
+}
+
+/**
+ * Get the number of member failures a pool profile survives
+ *
+ * Pools with several vdevs are treated as one: losing more than one vdev's
+ * redundancy anywhere counts as a loss, which overstates the risk slightly.
+ *
+ * @param string $profile RAID profile
+ * @param int $width Vdev width (ZFS mirrors), 0 if unknown
+ * @return int|null Failures tolerated, or null for an unknown profile
+ */
+function getProfileRedundancy($profile, $width) {
+    if (preg_match('/^raidz([1-3])?$/', $profile, $matches)) {
+        return isset($matches[1]) ? intval($matches[1]) : 1;
+    }
+
+    switch ($profile) {
+        case 'mirror':
+            return $width > 1 ? $width - 1 : 1;
+        case 'raid1':
+        case 'raid10':
+        case 'raid5':
+            return 1;
+        case 'raid1c3':
+        case 'raid6':
+            return 2;
+        case 'raid1c4':
+            return 3;
+        case 'single':
+        case 'raid0':
+        case 'stripe':
+        case 'dup':
+            return 0;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Estimate the data-loss risk of one array or pool
+ *
+ * @param string $arrayName Array or pool name (key of groupDrives())
+ * @param array $types Drive type => drives, from groupDrives()
+ * @param array $poolProfiles From getPoolProfiles()
+ * @return array|null Risk summary, or null for groups without redundancy semantics (unassigned, boot)
+ */
+function getArrayRisk($arrayName, $types, $poolProfiles) {
+    $members = array_merge($types['parity'] ?? [], $types['array'] ?? [], $types['cache'] ?? [], $types['pool'] ?? []);
+    if (empty($members)) {
+        return null;
+    }
+
+    $isArray = isset($types['parity']) || isset($types['array']);
+    $profile = null;
+
+    if ($isArray) {
+        // Unraid parity: each parity drive covers one failed drive
+        $redundancy = count($types['parity'] ?? []);
+        $source = 'parity';
+    } elseif (count($members) === 1) {
+        $redundancy = 0;
+        $source = 'single';
+    } else {
+        $profile = $poolProfiles[$arrayName]['profile'] ?? null;
+        $redundancy = $profile !== null ? getProfileRedundancy($profile, $poolProfiles[$arrayName]['width']) : null;
+        $source = 'profile';
+
+        // Multi-device btrfs pools default to raid1
+        if ($redundancy === null) {
+            $redundancy = 1;
+            $source = 'assumed';
+        }
+    }
+
+    $drives = [];
+    $probabilities = [];
+    $largest = 0;
+    $speed = PHP_INT_MAX;
+
+    foreach ($members as $drive) {
+        $failure = getDriveFailureProbability($drive);
+        $probabilities[] = $failure['probability'];
+        $drives[] = ['device_name' => $drive['device_name']] + $failure;
+
+        $largest = max($largest, intval($drive['size_bytes'] ?? 0));
+        $speed = min($speed, DRIVEAGE_REBUILD_SPEED[$drive['physical_type'] ?? 'hdd'] ?? DRIVEAGE_REBUILD_SPEED['hdd']);
+    }
+
+    // Rebuild writes the whole replacement: the largest member sets the window
+    $rebuildHours = $largest / ($speed * 1000000) / 3600;
+
+    // Without redundancy every failure loses data
+    $total = array_sum($probabilities);
+    $annualLoss = $total;
+    $rebuildLoss = null;
+
+    // With redundancy, data is lost when a member fails and as many others as the
+    // array has redundancy left fail before its rebuild finishes. Summed over the
+    // members this is the expected number of data-loss events per year.
+    if ($redundancy > 0) {
+        $annualLoss = 0.0;
+
+        foreach ($probabilities as $index => $p) {
+            $others = $probabilities;
+            unset($others[$index]);
+
+            $windowProbabilities = array_map(function($other) use ($rebuildHours) {
+                return 1 - pow(1 - $other, $rebuildHours / 8760);
+            }, array_values($others));
+
+            $annualLoss += $p * getProbabilityOfMoreFailures($windowProbabilities, $redundancy - 1);
+        }
+
+        // Chance that a rebuild, once needed, ends in data loss
+        $rebuildLoss = $total > 0 ? $annualLoss / $total : 0.0;
+    }
+
+    if ($annualLoss >= DRIVEAGE_ARRAY_RISK_HIGH) {
+        $level = 'high';
+    } elseif ($annualLoss >= DRIVEAGE_ARRAY_RISK_MODERATE) {
+        $level = 'moderate';
+    } else {
+        $level = 'low';
+    }
+
+    return [
+        'members' => count($members),
+        'redundancy' => $redundancy,
+        'redundancy_source' => $source,
+        'profile' => $profile,
+        // Unraid doesn't stripe: losing too many drives only loses the failed data drives
+        'striped' => !$isArray,
+        'drives' => $drives,
+        'annual_loss_rate' => $annualLoss,
+        'rebuild_hours' => round($rebuildHours, 1),
+        'rebuild_speed' => $speed,
+        'rebuild_loss_probability' => $rebuildLoss,
+        'level' => $level
+    ];
+}
+
+/**
+ * Estimate the data-loss risk of every array and pool
+ *
+ * @param array $grouped Drives from groupDrives()
+ * @return array Array or pool name => risk summary (same keys as $grouped)
+ */
+function getArrayRisks($grouped) {
+    $poolProfiles = getPoolProfiles();
+    $risks = [];
+
+    foreach ($grouped as $arrayName => $types) {
+        $risk = getArrayRisk($arrayName, $types, $poolProfiles);
+        if ($risk !== null) {
+            $risks[$arrayName] = $risk;
+        }
+    }
+
+    return $risks;
+}
@@ -0,0 +1,207 @@
+<?php
+/**
+ * DriveAge Plugin - Drive Asset Metadata
+ *
+ * Per-serial purchase, warranty, location, RMA and notes records kept on the
+ * flash drive, so a failing drive can be found in its bay and checked for
+ * warranty cover without leaving the dashboard.
+ */
+
+require_once 'config.php';
+require_once 'helpers.php';
+require_once 'history.php';
+
+// Asset records, keyed by drive serial
+define('DRIVEAGE_ASSETS_FILE', DRIVEAGE_CONFIG_DIR . '/assets.json');
+
+// RMA entries kept per drive
+define('DRIVEAGE_MAX_RMA_ENTRIES', 20);
+
+// Warranty ending within this many days is flagged on the dashboard
+define('DRIVEAGE_WARRANTY_EXPIRING_DAYS', 90);
+
+/**
+ * Load all asset records from flash (uncached)
+ *
+ * @return array Serial => asset record
+ */
+function loadAssets() {
+    return loadJsonFile(DRIVEAGE_ASSETS_FILE) ?? [];
+}
+
+/**
+ * Save all asset records to flash (atomic write)
+ *
+ * @param array $assets Serial => asset record
+ * @return bool True on success
+ */
+function saveAssets($assets) {
+    return saveJsonFile(DRIVEAGE_ASSETS_FILE, (object)$assets);
+}
+
+/**
+ * Get a drive's asset record
+ *
+ * @param string $serial Drive serial number
+ * @return array|null Asset record, or null if none has been entered
+ */
+function getDriveAsset($serial) {
+    static $assets = null;
+
+    if ($assets === null) {
+        $assets = loadAssets();
+    }
+
+    if (!isValidSerial($serial) || !isset($assets[$serial])) {
+        return null;
+    }
+
+    $validated = validateAsset($assets[$serial]);
+    return $validated['asset'];
+}
+
+/**
+ * Check a YYYY-MM-DD date
+ *
+ * @param string $date Date string
+ * @return bool True if it is a real calendar date
+ */
+function isValidAssetDate($date) {
+    if (!is_string($date) || !preg_match('/^(\d{4})-(\d{2})-(\d{2})$/', $date, $matches)) {
+        return false;
+    }
+
+    return checkdate(intval($matches[2]), intval($matches[3]), intval($matches[1]));
+}
+
+/**
+ * Clean a free-text asset field
+ *
+ * @param mixed $value Submitted value
+ * @param int $maxLength Maximum length
+ * @param bool $multiline Keep line breaks (notes)
+ * @return string|null Cleaned text, null if too long
+ */
+function cleanAssetText($value, $maxLength, $multiline = false) {
+    $text = trim((string)($value ?? ''));
+    $text = preg_replace($multiline ? '/[\x00-\x09\x0B-\x1F\x7F]/' : '/[\x00-\x1F\x7F]/', '', $text);
+
+    return mb_strlen($text) <= $maxLength ? $text : null;
+}
+
+/**
+ * Validate a submitted asset record
+ *
+ * Empty fields are dropped, so an empty record means "no metadata".
+ *
+ * @param mixed $asset Submitted record
+ * @return array ['asset' => array|null, 'errors' => array]
+ */
+function validateAsset($asset) {
+    if (!is_array($asset)) {
+        return ['asset' => null, 'errors' => ['Expected an asset record']];
+    }
+
+    $validated = [];
+    $errors = [];
+
+    foreach (['purchase_date' => 'Purchase date', 'warranty_end' => 'Warranty end date'] as $field => $label) {
+        $date = trim((string)($asset[$field] ?? ''));
+        if ($date === '') {
+            continue;
+        }
+        if (isValidAssetDate($date)) {
+            $validated[$field] = $date;
+        } else {
+            $errors[] = "$label must be a YYYY-MM-DD date";
+        }
+    }
+
+    $price = trim((string)($asset['purchase_price'] ?? ''));
+    if ($price !== '') {
+        if (is_numeric($price) && $price >= 0 && $price <= 1000000) {
+            $validated['purchase_price'] = round($price + 0, 2);
+        } else {
+            $errors[] = 'Purchase price must be a positive number';
+        }
+    }
+
+    foreach (['vendor' => ['Vendor', 100, false], 'location' => ['Location', 50, false], 'notes' => ['Notes', 2000, true]] as $field => $rule) {
+        $text = cleanAssetText($asset[$field] ?? '', $rule[1], $rule[2]);
+        if ($text === null) {
+            $errors[] = "{$rule[0]} must be at most {$rule[1]} characters";
+        } elseif ($text !== '') {
+            $validated[$field] = $text;
+        }
+    }
+
+    $rmaHistory = $asset['rma_history'] ?? [];
+    if (!is_array($rmaHistory) || count($rmaHistory) > DRIVEAGE_MAX_RMA_ENTRIES) {
+        $errors[] = 'RMA history must be a list of at most ' . DRIVEAGE_MAX_RMA_ENTRIES . ' entries';
+        $rmaHistory = [];
+    }
+
+    $rmaEntries = [];
+    foreach (array_values($rmaHistory) as $index => $entry) {
+        $number = $index + 1;
+        $date = is_array($entry) ? trim((string)($entry['date'] ?? '')) : '';
+        $reference = is_array($entry) ? cleanAssetText($entry['reference'] ?? '', 50) : null;
+        $reason = is_array($entry) ? cleanAssetText($entry['reason'] ?? '', 200) : null;
+
+        if (!isValidAssetDate($date)) {
+            $errors[] = "RMA $number: date must be a YYYY-MM-DD date";
+        } elseif ($reference === null || $reason === null) {
+            $errors[] = "RMA $number: reference must be at most 50 and reason at most 200 characters";
+        } else {
+            $rmaEntries[] = ['date' => $date, 'reference' => $reference, 'reason' => $reason];
+        }
+    }
+    if (!empty($rmaEntries)) {
+        $validated['rma_history'] = $rmaEntries;
+    }
+
+    return ['asset' => empty($validated) ? null : $validated, 'errors' => $errors];
+}
+
+/**
+ * Save (or remove) a drive's asset record
+ *
+ * @param string $serial Drive serial number
+ * @param array|null $asset Validated record, null to remove it
+ * @return bool True on success
+ */
+function saveDriveAsset($serial, $asset) {
+    $assets = loadAssets();
+
+    if ($asset === null) {
+        unset($assets[$serial]);
+    } else {
+        $assets[$serial] = $asset;
+    }
+
+    return saveAssets($assets);
+}
+
+/**
+ * Get a drive's warranty status
+ *
+ * @param array|null $asset Asset record
+ * @return array|null ['end_date' => string, 'days_remaining' => int, 'expired' => bool, 'expiring' => bool],
+ *                    or null if no warranty end date is recorded
+ */
+function getWarrantyStatus($asset) {
+    if (empty($asset['warranty_end'])) {
+        return null;
+    }
+
+    $today = new DateTime('today');
+    $end = new DateTime($asset['warranty_end']);
+    $days = intval($today->diff($end)->format('%r%a'));
+
+    return [
+        'end_date' => $asset['warranty_end'],
+        'days_remaining' => $days,
+        'expired' => $days < 0,
+        'expiring' => $days >= 0 && $days <= DRIVEAGE_WARRANTY_EXPIRING_DAYS
+    ];
+}
@@ -0,0 +1,112 @@
+<?php
+/**
+ * DriveAge Plugin - Chassis Bay Layout
+ *
+ * Enclosures (rows x columns of bays) and the drive serial assigned to each
+ * bay, kept on the flash drive for the Bay Map tab.
+ */
+
+require_once 'config.php';
+require_once 'helpers.php';
+require_once 'history.php';
+
+// Bay layout (enclosures and serial assignments)
+define('DRIVEAGE_BAYS_FILE', DRIVEAGE_CONFIG_DIR . '/bays.json');
+
+// Layout limits
+define('DRIVEAGE_MAX_ENCLOSURES', 8);
+define('DRIVEAGE_MAX_BAY_ROWS', 12);
+define('DRIVEAGE_MAX_BAY_COLUMNS', 12);
+
+/**
+ * Get the saved bay layout
+ *
+ * @return array ['enclosures' => [['name', 'rows', 'columns', 'bays' => [bay number => serial]]]]
+ */
+function getBayLayout() {
+    $layout = loadJsonFile(DRIVEAGE_BAYS_FILE);
+    if ($layout === null) {
+        return ['enclosures' => []];
+    }
+
+    // Drop anything a hand edit broke rather than failing the whole map
+    $validated = validateBayLayout($layout);
+    foreach ($validated['errors'] as $error) {
+        error_log('DriveAge: Ignoring invalid bay layout entry: ' . $error);
+    }
+
+    return $validated['layout'];
+}
+
+/**
+ * Validate a submitted bay layout
+ *
+ * Bays are numbered from 1, left to right and top to bottom.
+ *
+ * @param mixed $layout Submitted layout
+ * @return array ['layout' => array, 'errors' => array]
+ */
+function validateBayLayout($layout) {
+    $enclosures = is_array($layout) ? ($layout['enclosures'] ?? null) : null;
+
+    if (!is_array($enclosures) || count($enclosures) > DRIVEAGE_MAX_ENCLOSURES) {
+        return ['layout' => ['enclosures' => []], 'errors' => ['Expected a list of at most ' . DRIVEAGE_MAX_ENCLOSURES . ' enclosures']];
+    }
+
+    $validated = [];
+    $errors = [];
+    $assigned = [];
+
+    foreach (array_values($enclosures) as $index => $enclosure) {
+        $number = $index + 1;
+        $name = is_array($enclosure) ? trim((string)($enclosure['name'] ?? '')) : '';
+        $rows = intval($enclosure['rows'] ?? 0);
+        $columns = intval($enclosure['columns'] ?? 0);
+        $bays = $enclosure['bays'] ?? [];
+
+        if (!preg_match('/^[A-Za-z0-9 _.\-#()\/]{1,50}$/', $name)) {
+            $errors[] = "Enclosure $number: name must be 1-50 letters, digits, spaces or punctuation";
+            continue;
+        }
+        if ($rows < 1 || $rows > DRIVEAGE_MAX_BAY_ROWS || $columns < 1 || $columns > DRIVEAGE_MAX_BAY_COLUMNS) {
+            $errors[] = "$name: rows and columns must be 1-" . DRIVEAGE_MAX_BAY_ROWS;
+            continue;
+        }
+        if (!is_array($bays)) {
+            $errors[] = "$name: invalid bay assignments";
+            continue;
+        }
+
+        $validBays = [];
+        foreach ($bays as $bay => $serial) {
+            $bay = intval($bay);
+            $serial = (string)$serial;
+
+            if ($bay < 1 || $bay > $rows * $columns) {
+                $errors[] = "$name: bay $bay is outside the {$rows}x{$columns} layout";
+            } elseif (!isValidSerial($serial)) {
+                $errors[] = "$name bay $bay: invalid serial number";
+            } elseif (isset($assigned[$serial])) {
+                $errors[] = "$serial is assigned to more than one bay";
+            } else {
+                $validBays[$bay] = $serial;
+                $assigned[$serial] = true;
+            }
+        }
+        ksort($validBays);
+
+        $validated[] = ['name' => $name, 'rows' => $rows, 'columns' => $columns, 'bays' => (object)$validBays];
+    }
+
+    return ['layout' => ['enclosures' => $validated], 'errors' => $errors];
+}
+
+/**
+ * Save the bay layout to flash (atomic write)
+ *
+ * @param array $layout Validated layout
+ * @return bool True on success
+ */
+function saveBayLayout($layout) {
+    return saveJsonFile(DRIVEAGE_BAYS_FILE, $layout);
+}
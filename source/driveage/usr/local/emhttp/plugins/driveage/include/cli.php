@@ -0,0 +1,571 @@
+<?php
+/**
+ * DriveAge Plugin - Command-Line Tool
+ *
+ * Argument parsing, drive filters, terminal table/CSV output, single drive
+ * details and the monitoring check used by scripts/driveage. The check
+ * follows the Nagios plugin conventions: one status line with perfdata,
+ * per-drive details after it, exit code 0 (OK), 1 (WARNING), 2 (CRITICAL)
+ * or 3 (UNKNOWN).
+ */
+
+require_once 'config.php';
+require_once 'smartdata.php';
+require_once 'api.php';
+
+// Monitoring plugin states (exit codes)
+define('DRIVEAGE_CHECK_OK', 0);
+define('DRIVEAGE_CHECK_WARNING', 1);
+define('DRIVEAGE_CHECK_CRITICAL', 2);
+define('DRIVEAGE_CHECK_UNKNOWN', 3);
+define('DRIVEAGE_CHECK_STATES', ['OK', 'WARNING', 'CRITICAL', 'UNKNOWN']);
+
+// Values accepted by --type: a drive matches on its role or its physical type
+define('DRIVEAGE_CLI_DRIVE_TYPES', ['parity', 'array', 'cache', 'pool', 'unassigned', 'flash']);
+define('DRIVEAGE_CLI_PHYSICAL_TYPES', ['hdd', 'sas', 'nvme', 'usb']);
+
+define('DRIVEAGE_CLI_FORMATS', ['table', 'json', 'csv']);
+
+// Options taking a value, and flags
+define('DRIVEAGE_CLI_VALUE_OPTIONS', ['format', 'type', 'risk', 'warn-risk', 'crit-risk', 'warn-temp', 'crit-temp', 'warn-months', 'crit-months']);
+define('DRIVEAGE_CLI_FLAG_OPTIONS', ['warnings', 'help']);
+
+// Check thresholds unless overridden; null disables a threshold
+define('DRIVEAGE_CHECK_DEFAULTS', [
+    'warn_risk' => 'high_risk',
+    'crit_risk' => null,
+    'warn_months' => 6,
+    'crit_months' => 0
+]);
+
+// Default temperature thresholds (Celsius) by physical type: the dashboard's "high" and "critical" bands
+define('DRIVEAGE_CHECK_TEMPERATURE_LIMITS', [
+    'nvme' => ['warning' => 65, 'critical' => 75],
+    'default' => ['warning' => 50, 'critical' => 60]
+]);
+
+/**
+ * Get the usage text
+ *
+ * @return string Usage
+ */
+function getCliUsage() {
+    return <<<'USAGE'
+Usage: driveage [list] [options]
+       driveage show <serial|device> [--format=table|json]
+       driveage check [options]
+
+Commands:
+  list                 Print the drives (default)
+  show                 Print one drive by serial, device (sda, /dev/sda) or name (disk1, parity)
+  check                Monitoring check with Nagios/Icinga exit codes and perfdata
+
+Filters (list and check):
+  --type=LIST          Drive roles or physical types: parity, array, cache, pool,
+                       unassigned, flash, hdd, sas, nvme, usb (comma-separated)
+  --risk=LIST          Risk categories: minimal, low, moderate, elevated, high
+  --warnings           Only drives with health warnings
+
+Output (list and show):
+  --format=FORMAT      table (default), json or csv
+
+Check thresholds (use "none" to disable one):
+  --warn-risk=RISK     Risk category that warns (default: high)
+  --crit-risk=RISK     Risk category that is critical (default: none)
+  --warn-temp=C        Temperature that warns (default: 50, NVMe 65)
+  --crit-temp=C        Temperature that is critical (default: 60, NVMe 75)
+  --warn-months=N      Replacement due within N months warns (default: 6)
+  --crit-months=N      Replacement due within N months is critical (default: 0)
+  Health warnings and a FAILED SMART status always raise their own level.
+
+USAGE;
+}
+
+/**
+ * Parse command-line arguments
+ *
+ * @param array $argv Arguments without the script name
+ * @return array ['command' => string, 'target' => string|null, 'options' => [name => value], 'errors' => list of messages]
+ */
+function parseCliArguments($argv) {
+    $command = null;
+    $target = null;
+    $options = [];
+    $errors = [];
+
+    for ($i = 0; $i < count($argv); $i++) {
+        $arg = $argv[$i];
+
+        if (in_array($arg, ['-h', '--help'], true)) {
+            $options['help'] = true;
+            continue;
+        }
+
+        if (strpos($arg, '--') === 0) {
+            $parts = explode('=', substr($arg, 2), 2);
+            $name = $parts[0];
+
+            if (in_array($name, DRIVEAGE_CLI_FLAG_OPTIONS, true) && count($parts) === 1) {
+                $options[$name] = true;
+            } elseif (in_array($name, DRIVEAGE_CLI_VALUE_OPTIONS, true)) {
+                $value = $parts[1] ?? ($argv[++$i] ?? null);
+                if ($value === null || $value === '') {
+                    $errors[] = "--$name needs a value";
+                } else {
+                    $options[$name] = $value;
+                }
+            } else {
+                $errors[] = "Unknown option: $arg";
+            }
+            continue;
+        }
+
+        if ($command === null) {
+            $command = $arg;
+        } elseif ($command === 'show' && $target === null) {
+            $target = $arg;
+        } else {
+            $errors[] = "Unexpected argument: $arg";
+        }
+    }
+
+    $command = $command ?? 'list';
+
+    if (!in_array($command, ['list', 'show', 'check', 'help'], true)) {
+        $errors[] = "Unknown command: $command";
+    } elseif ($command === 'show' && $target === null && empty($options['help'])) {
+        $errors[] = 'show needs a serial number or device';
+    }
+
+    return ['command' => $command, 'target' => $target, 'options' => $options, 'errors' => $errors];
+}
+
+/**
+ * Parse a risk category given in full (high_risk) or short (high) form
+ *
+ * @param string $value Risk category
+ * @return string|null Risk category key, or null if unknown
+ */
+function parseCliRisk($value) {
+    $value = strtolower(trim($value));
+    $category = substr($value, -5) === '_risk' ? $value : $value . '_risk';
+
+    return in_array($category, DRIVEAGE_RISK_ORDER, true) ? $category : null;
+}
+
+/**
+ * Validate filter and output options
+ *
+ * @param array $options Options from parseCliArguments()
+ * @return array ['filters' => ['types', 'risks', 'warnings'], 'format' => string, 'errors' => list of messages]
+ */
+function validateCliOptions($options) {
+    $errors = [];
+    $filters = ['types' => null, 'risks' => null, 'warnings' => !empty($options['warnings'])];
+
+    if (isset($options['type'])) {
+        $filters['types'] = array_map('strtolower', array_map('trim', explode(',', $options['type'])));
+        $invalid = array_diff($filters['types'], DRIVEAGE_CLI_DRIVE_TYPES, DRIVEAGE_CLI_PHYSICAL_TYPES);
+        if (!empty($invalid)) {
+            $errors[] = 'Unknown --type: ' . implode(', ', $invalid);
+        }
+    }
+
+    if (isset($options['risk'])) {
+        $filters['risks'] = [];
+        foreach (explode(',', $options['risk']) as $value) {
+            $category = parseCliRisk($value);
+            if ($category === null) {
+                $errors[] = 'Unknown --risk: ' . trim($value);
+            } else {
+                $filters['risks'][] = $category;
+            }
+        }
+    }
+
+    $format = strtolower($options['format'] ?? 'table');
+    if (!in_array($format, DRIVEAGE_CLI_FORMATS, true)) {
+        $errors[] = '--format must be one of ' . implode(', ', DRIVEAGE_CLI_FORMATS);
+    }
+
+    return ['filters' => $filters, 'format' => $format, 'errors' => $errors];
+}
+
+/**
+ * Validate check thresholds
+ *
+ * @param array $options Options from parseCliArguments()
+ * @return array ['thresholds' => ['warn_risk', 'crit_risk', 'warn_months', 'crit_months', and 'warn_temp'/'crit_temp'
+ *               when given (otherwise per physical type)], 'errors' => list of messages]
+ */
+function validateCheckThresholds($options) {
+    $errors = [];
+    $thresholds = DRIVEAGE_CHECK_DEFAULTS;
+
+    foreach (['warn-risk', 'crit-risk'] as $name) {
+        if (!isset($options[$name])) {
+            continue;
+        }
+
+        $key = str_replace('-', '_', $name);
+        $thresholds[$key] = strtolower($options[$name]) === 'none' ? null : parseCliRisk($options[$name]);
+        if ($thresholds[$key] === null && strtolower($options[$name]) !== 'none') {
+            $errors[] = "Unknown --$name: " . $options[$name];
+        }
+    }
+
+    foreach (['warn-temp', 'crit-temp', 'warn-months', 'crit-months'] as $name) {
+        if (!isset($options[$name])) {
+            continue;
+        }
+
+        $key = str_replace('-', '_', $name);
+        if (strtolower($options[$name]) === 'none') {
+            $thresholds[$key] = null;
+        } elseif (is_numeric($options[$name]) && $options[$name] >= 0 && $options[$name] <= 1200) {
+            $thresholds[$key] = intval($options[$name]);
+        } else {
+            $errors[] = "--$name must be a number from 0 to 1200 or none";
+        }
+    }
+
+    return ['thresholds' => $thresholds, 'errors' => $errors];
+}
+
+/**
+ * Filter drives by role/physical type, risk and health warnings
+ *
+ * @param array $drives Drives from getAllDrives()
+ * @param array $filters Filters from validateCliOptions()
+ * @return array Matching drives
+ */
+function filterCliDrives($drives, $filters) {
+    return array_values(array_filter($drives, function($drive) use ($filters) {
+        return ($filters['types'] === null
+                || in_array($drive['drive_type'], $filters['types'], true)
+                || in_array($drive['physical_type'], $filters['types'], true))
+            && ($filters['risks'] === null || in_array($drive['age_category'], $filters['risks'], true))
+            && (!$filters['warnings'] || $drive['has_warnings']);
+    }));
+}
+
+/**
+ * Find a drive by serial, kernel device or Unraid name
+ *
+ * @param array $drives Drives from getAllDrives()
+ * @param string $target Serial, sda, /dev/sda or disk name (case-insensitive)
+ * @return array|null Drive, or null if none matches
+ */
+function findCliDrive($drives, $target) {
+    foreach ($drives as $drive) {
+        if ($drive['serial'] === $target || $drive['device_path'] === $target || $drive['device_id'] === $target) {
+            return $drive;
+        }
+    }
+
+    // Unraid names: "Disk 1" also matches disk1
+    $name = strtolower(str_replace(' ', '', $target));
+    foreach ($drives as $drive) {
+        if (strtolower(str_replace(' ', '', $drive['device_name'])) === $name) {
+            return $drive;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get a short risk label (e.g. "Elevated")
+ *
+ * @param string $category Risk category
+ * @return string Label
+ */
+function getCliRiskLabel($category) {
+    return ucfirst(str_replace('_risk', '', $category));
+}
+
+/**
+ * Get the list columns for a drive
+ *
+ * @param array $drive Drive information from getDriveInfo()
+ * @return array Column header => value
+ */
+function getCliDriveRow($drive) {
+    $prediction = $drive['replacement_prediction'] ?? [];
+    $temperature = $drive['temperature'] !== null ? $drive['temperature'] . 'C' : ($drive['is_standby'] ? 'standby' : '-');
+
+    return [
+        'NAME' => $drive['device_name'],
+        'DEVICE' => $drive['device_id'],
+        'TYPE' => $drive['drive_type'] . '/' . $drive['physical_type'],
+        'MODEL' => $drive['model'],
+        'SERIAL' => $drive['serial'],
+        'SIZE' => $drive['size_human'],
+        'AGE' => $drive['power_on_hours'] !== null ? round($drive['power_on_hours'] / 8760, 1) . 'y' : '-',
+        'TEMP' => $temperature,
+        'SMART' => $drive['smart_status'],
+        'RISK' => getCliRiskLabel($drive['age_category']),
+        'REPLACE' => $prediction['timeline_text'] ?? 'Unknown',
+        'WARNINGS' => count($drive['health_warnings'])
+    ];
+}
+
+/**
+ * Format rows as an aligned table
+ *
+ * @param array $rows Rows of column header => value (all with the same headers)
+ * @return string Table with a header line
+ */
+function formatCliTable($rows) {
+    if (empty($rows)) {
+        return "No drives found\n";
+    }
+
+    $headers = array_keys($rows[0]);
+    $widths = [];
+    foreach ($headers as $header) {
+        $widths[$header] = max(mb_strlen($header), ...array_map(function($row) use ($header) {
+            return mb_strlen((string)$row[$header]);
+        }, $rows));
+    }
+
+    $line = function($values) use ($headers, $widths) {
+        $cells = [];
+        foreach ($headers as $header) {
+            $value = (string)$values[$header];
+            $cells[] = $value . str_repeat(' ', $widths[$header] - mb_strlen($value));
+        }
+        return rtrim(implode('  ', $cells)) . "\n";
+    };
+
+    $output = $line(array_combine($headers, $headers));
+    foreach ($rows as $row) {
+        $output .= $line($row);
+    }
+
+    return $output;
+}
+
+/**
+ * Format rows as CSV
+ *
+ * @param array $rows Rows of column header => value
+ * @return string CSV with a header line
+ */
+function formatCliCsv($rows) {
+    $handle = fopen('php://temp', 'r+');
+
+    if (!empty($rows)) {
+        fputcsv($handle, array_keys($rows[0]));
+        foreach ($rows as $row) {
+            fputcsv($handle, array_values($row));
+        }
+    }
+
+    rewind($handle);
+    $csv = stream_get_contents($handle);
+    fclose($handle);
+
+    return $csv;
+}
+
+/**
+ * Format one drive for the terminal
+ *
+ * @param array $drive Drive information from getDriveInfo()
+ * @param array $config Plugin configuration
+ * @return string Labelled fields, health warnings and the replacement explanation
+ */
+function formatCliDriveDetail($drive, $config) {
+    $prediction = $drive['replacement_prediction'] ?? [];
+    $fields = [
+        'Name' => $drive['device_name'],
+        'Device' => $drive['device_path'],
+        'Identification' => $drive['identification'],
+        'Model' => $drive['model'],
+        'Serial' => $drive['serial'],
+        'Size' => $drive['size_human'],
+        'Type' => $drive['drive_type'] . ' (' . $drive['physical_type'] . ')' . ($drive['array_name'] ? ', ' . $drive['array_name'] : ''),
+        'Power on' => $drive['power_on_hours'] !== null ? number_format($drive['power_on_hours']) . ' hours (' . $drive['power_on_human'] . ')' : 'Unknown',
+        'Temperature' => $drive['temperature'] !== null ? $drive['temperature'] . ' C' : ($drive['is_standby'] ? 'Standby' : 'Unknown'),
+        'SMART status' => $drive['smart_status'],
+        'Risk' => $drive['age_label'],
+        'Replacement' => $prediction['timeline_text'] ?? 'Unknown'
+    ];
+
+    if (isset($prediction['months_low'])) {
+        $fields['Replacement'] .= sprintf(' (median %d months, 80%% range %d-%d%s)',
+            $prediction['months_remaining'], $prediction['months_low'], $prediction['months_high'],
+            $prediction['months_high'] >= $prediction['months_max'] ? '+' : '');
+    }
+
+    if (!empty($drive['warranty'])) {
+        $fields['Warranty'] = ($drive['warranty']['expired'] ? 'Expired ' : 'Until ') . $drive['warranty']['end_date'];
+    }
+    if (!empty($drive['asset']['location'])) {
+        $fields['Location'] = $drive['asset']['location'];
+    }
+
+    // SMART counters the drive reports
+    foreach (getHistoryMetrics() as $metric => $label) {
+        if ($metric !== 'power_on_hours' && $metric !== 'temperature' && ($drive[$metric] ?? null) !== null) {
+            $fields[$label] = number_format($drive[$metric]);
+        }
+    }
+
+    $width = max(array_map('mb_strlen', array_keys($fields)));
+    $output = '';
+    foreach ($fields as $label => $value) {
+        $output .= str_pad($label . ':', $width + 2) . $value . "\n";
+    }
+
+    if (!empty($drive['health_warnings'])) {
+        $output .= "\nHealth warnings:\n";
+        foreach ($drive['health_warnings'] as $warning) {
+            $output .= '  ' . strtoupper($warning['level']) . ': ' . $warning['message'] . ($warning['action'] !== '' ? ' - ' . $warning['action'] : '') . "\n";
+        }
+    }
+
+    $explanation = explainReplacementPrediction($drive, $config);
+    $output .= "\nReplacement estimate" . ($explanation['summary'] !== '' ? ': ' . $explanation['summary'] : '') . "\n";
+    foreach ($explanation['factors'] as $factor) {
+        $output .= '  ' . $factor['label'] . ': ' . $factor['value'] . "\n";
+    }
+
+    return $output;
+}
+
+/**
+ * Format a perfdata label=value pair
+ *
+ * @param string $label Label (quoted when it contains spaces or quotes)
+ * @param int|float $value Value
+ * @param array $limits [warn, crit, min, max] (null for empty)
+ * @return string Perfdata item
+ */
+function formatCheckPerfdata($label, $value, $limits = []) {
+    $label = "'" . str_replace(["'", '='], '', $label) . "'";
+
+    return rtrim($label . '=' . $value . ';' . implode(';', array_map(function($limit) {
+        return $limit === null ? '' : $limit;
+    }, $limits)), ';');
+}
+
+/**
+ * Run the monitoring check
+ *
+ * @param array $drives Drives to check
+ * @param array $thresholds Thresholds from validateCheckThresholds()
+ * @return array ['state' => int, 'summary' => string, 'details' => list of lines, 'perfdata' => list of items]
+ */
+function runDriveCheck($drives, $thresholds) {
+    $state = DRIVEAGE_CHECK_OK;
+    $details = [];
+    $problems = [DRIVEAGE_CHECK_WARNING => 0, DRIVEAGE_CHECK_CRITICAL => 0];
+    $riskCounts = array_fill_keys(DRIVEAGE_RISK_ORDER, 0);
+    $perfdata = [];
+
+    foreach ($drives as $drive) {
+        $driveState = DRIVEAGE_CHECK_OK;
+        $reasons = [];
+        $raise = function($level, $reason) use (&$driveState, &$reasons) {
+            $driveState = max($driveState, $level);
+            $reasons[] = $reason;
+        };
+
+        $riskIndex = array_search($drive['age_category'], DRIVEAGE_RISK_ORDER, true);
+        $riskCounts[$drive['age_category']]++;
+        if ($thresholds['crit_risk'] !== null && $riskIndex >= array_search($thresholds['crit_risk'], DRIVEAGE_RISK_ORDER, true)) {
+            $raise(DRIVEAGE_CHECK_CRITICAL, getCliRiskLabel($drive['age_category']) . ' risk');
+        } elseif ($thresholds['warn_risk'] !== null && $riskIndex >= array_search($thresholds['warn_risk'], DRIVEAGE_RISK_ORDER, true)) {
+            $raise(DRIVEAGE_CHECK_WARNING, getCliRiskLabel($drive['age_category']) . ' risk');
+        }
+
+        $limits = DRIVEAGE_CHECK_TEMPERATURE_LIMITS[$drive['physical_type']] ?? DRIVEAGE_CHECK_TEMPERATURE_LIMITS['default'];
+        $warnTemp = array_key_exists('warn_temp', $thresholds) ? $thresholds['warn_temp'] : $limits['warning'];
+        $critTemp = array_key_exists('crit_temp', $thresholds) ? $thresholds['crit_temp'] : $limits['critical'];
+        $temperature = $drive['temperature'];
+        if ($temperature !== null) {
+            if ($critTemp !== null && $temperature >= $critTemp) {
+                $raise(DRIVEAGE_CHECK_CRITICAL, "temperature {$temperature}C");
+            } elseif ($warnTemp !== null && $temperature >= $warnTemp) {
+                $raise(DRIVEAGE_CHECK_WARNING, "temperature {$temperature}C");
+            }
+        }
+
+        $months = $drive['replacement_prediction']['months_remaining'] ?? null;
+        if ($months !== null) {
+            $due = 'replacement ' . strtolower($drive['replacement_prediction']['timeline_text']);
+            if ($thresholds['crit_months'] !== null && $months <= $thresholds['crit_months']) {
+                $raise(DRIVEAGE_CHECK_CRITICAL, $due);
+            } elseif ($thresholds['warn_months'] !== null && $months <= $thresholds['warn_months']) {
+                $raise(DRIVEAGE_CHECK_WARNING, $due);
+            }
+        }
+
+        if ($drive['smart_status'] === 'FAILED') {
+            $raise(DRIVEAGE_CHECK_CRITICAL, 'SMART status FAILED');
+        }
+        foreach ($drive['health_warnings'] as $warning) {
+            $raise($warning['level'] === 'critical' ? DRIVEAGE_CHECK_CRITICAL : DRIVEAGE_CHECK_WARNING, $warning['message']);
+        }
+
+        if ($driveState !== DRIVEAGE_CHECK_OK) {
+            $problems[$driveState]++;
+            $state = max($state, $driveState);
+            $details[] = DRIVEAGE_CHECK_STATES[$driveState] . ': ' . $drive['device_name'] . ' (' . $drive['serial'] . '): ' . implode(', ', $reasons);
+        }
+
+        // Serials stay the same when devices are renamed, so graphs follow the drive
+        if ($temperature !== null) {
+            $perfdata[] = formatCheckPerfdata($drive['serial'] . '_temp', $temperature, [$warnTemp, $critTemp]);
+        }
+        if ($months !== null) {
+            $perfdata[] = formatCheckPerfdata($drive['serial'] . '_months', $months, [$thresholds['warn_months'], $thresholds['crit_months'], 0]);
+        }
+    }
+
+    array_unshift($perfdata,
+        formatCheckPerfdata('drives', count($drives), [null, null, 0]),
+        formatCheckPerfdata('warning', $problems[DRIVEAGE_CHECK_WARNING], [null, null, 0]),
+        formatCheckPerfdata('critical', $problems[DRIVEAGE_CHECK_CRITICAL], [null, null, 0]),
+        formatCheckPerfdata('high_risk', $riskCounts['high_risk'], [null, null, 0])
+    );
+
+    if (empty($drives)) {
+        $state = DRIVEAGE_CHECK_UNKNOWN;
+        $summary = 'No drives found';
+    } elseif ($state === DRIVEAGE_CHECK_OK) {
+        $summary = count($drives) . ' drive' . (count($drives) === 1 ? '' : 's') . ' OK';
+    } else {
+        $parts = [];
+        foreach ([DRIVEAGE_CHECK_CRITICAL => 'critical', DRIVEAGE_CHECK_WARNING => 'warning'] as $level => $label) {
+            if ($problems[$level] > 0) {
+                $parts[] = $problems[$level] . ' ' . $label;
+            }
+        }
+        $summary = implode(', ', $parts) . ' of ' . count($drives) . ' drives';
+    }
+
+    return ['state' => $state, 'summary' => $summary, 'details' => $details, 'perfdata' => $perfdata];
+}
+
+/**
+ * Format a check result as monitoring plugin output
+ *
+ * @param array $result Result from runDriveCheck()
+ * @return string Status line with perfdata, then one line per problem drive
+ */
+function formatCheckOutput($result) {
+    $output = 'DRIVEAGE ' . DRIVEAGE_CHECK_STATES[$result['state']] . ' - ' . $result['summary'];
+    if (!empty($result['perfdata'])) {
+        $output .= ' | ' . implode(' ', $result['perfdata']);
+    }
+    $output .= "\n";
+
+    foreach ($result['details'] as $line) {
+        $output .= $line . "\n";
+    }
+
+    return $output;
+}
@@ -9,6 +9,15 @@
 define('DRIVEAGE_CONFIG_FILE', '/boot/config/plugins/driveage/driveage.cfg');
 define('DRIVEAGE_CONFIG_DIR', '/boot/config/plugins/driveage');
 
+// Risk categories from lowest to highest
+define('DRIVEAGE_RISK_ORDER', ['minimal_risk', 'low_risk', 'moderate_risk', 'elevated_risk', 'high_risk']);
+
+// MQTT topic prefixes: path segments of letters, numbers, _ and - (no wildcards)
+define('DRIVEAGE_MQTT_TOPIC_PATTERN', '/^[A-Za-z0-9_-]{1,64}(\/[A-Za-z0-9_-]{1,64}){0,4}$/');
+
+// MQTT username/password: double quotes and control characters would break the INI file
+define('DRIVEAGE_MQTT_CREDENTIAL_PATTERN', '/^[^"\x00-\x1F\x7F]{0,256}$/');
+
 /**
  * Load configuration from file
  * Returns associative array of configuration values
@@ -79,13 +88,51 @@ function getDefaultConfig() {
         'SHOW_TEMPERATURE' => 'true',
         'SHOW_SMART_STATUS' => 'true',
         'SHOW_SPIN_STATUS' => 'true',
+        'SHOW_WARRANTY' => 'false',
+        'SHOW_LOCATION' => 'false',
+        'SHOW_SELF_TEST' => 'true',
 
         // JSON API Configuration
         'API_ENABLED' => 'false',
         'API_RATE_LIMIT' => '100',
+        'METRICS_TOKEN' => '',                // Optional bearer token for metrics.php (empty = none)
 
         // Prediction Configuration
-        'PREDICTION_MODE' => 'conservative',  // 'conservative' or 'aggressive'
+        'PREDICTION_MODE' => 'conservative',  // NVMe wear estimates: 'conservative' or 'aggressive'
+        'PREDICTION_RISK_PERCENT' => '10',    // HDD: acceptable chance of failure before replacement
+
+        // History Configuration
+        'HISTORY_ENABLED' => 'true',
+        'HISTORY_INTERVAL' => '24',           // Hours between snapshots
+        'HISTORY_RETENTION_DAYS' => '730',
+
+        // Notification Configuration
+        'NOTIFY_ENABLED' => 'true',
+        'NOTIFY_CATEGORY_CHANGE' => 'true',
+        'NOTIFY_NEW_WARNING' => 'true',
+        'NOTIFY_WARNING_INCREASE' => 'true',
+        'NOTIFY_REPLACEMENT' => 'true',
+        'NOTIFY_HORIZON_MONTHS' => '6',       // Alert when estimated replacement drops below this
+
+        // Self-Test Schedule Configuration
+        'SELFTEST_SCHEDULE_ENABLED' => 'false',
+        'SELFTEST_SCHEDULE_TYPE' => 'long',   // 'short' or 'long'
+        'SELFTEST_INTERVAL_DAYS' => '30',     // Days between scheduled tests of the same drive
+        'SELFTEST_DRIVES_PER_DAY' => '1',     // Tests started per day (staggers the array)
+        'SELFTEST_HOUR' => '3',               // Hour of day (0-23) scheduled tests start
+
+        // MQTT Configuration
+        'MQTT_ENABLED' => 'false',
+        'MQTT_HOST' => '',
+        'MQTT_PORT' => '1883',
+        'MQTT_USERNAME' => '',
+        'MQTT_PASSWORD' => '',
+        'MQTT_TLS' => 'false',
+        'MQTT_TLS_VERIFY' => 'true',          // Verify the broker certificate
+        'MQTT_TOPIC_PREFIX' => 'driveage',
+        'MQTT_DISCOVERY' => 'true',           // Home Assistant discovery
+        'MQTT_DISCOVERY_PREFIX' => 'homeassistant',
+        'MQTT_INTERVAL' => '15',              // Minutes between full publishes
 
         // Category Colors (hex format)
         'COLOR_MINIMAL_RISK' => '#4CAF50',
@@ -150,11 +197,48 @@ function saveConfig($config) {
     $content .= "# Column Visibility\n";
     $content .= "SHOW_TEMPERATURE=\"{$config['SHOW_TEMPERATURE']}\"\n";
     $content .= "SHOW_SMART_STATUS=\"{$config['SHOW_SMART_STATUS']}\"\n";
-    $content .= "SHOW_SPIN_STATUS=\"{$config['SHOW_SPIN_STATUS']}\"\n\n";
+    $content .= "SHOW_SPIN_STATUS=\"{$config['SHOW_SPIN_STATUS']}\"\n";
+    $content .= "SHOW_WARRANTY=\"{$config['SHOW_WARRANTY']}\"\n";
+    $content .= "SHOW_LOCATION=\"{$config['SHOW_LOCATION']}\"\n";
+    $content .= "SHOW_SELF_TEST=\"{$config['SHOW_SELF_TEST']}\"\n\n";
 
     $content .= "# JSON API Configuration\n";
     $content .= "API_ENABLED=\"{$config['API_ENABLED']}\"\n";
-    $content .= "API_RATE_LIMIT=\"{$config['API_RATE_LIMIT']}\"\n\n";
+    $content .= "API_RATE_LIMIT=\"{$config['API_RATE_LIMIT']}\"\n";
+    $content .= "METRICS_TOKEN=\"{$config['METRICS_TOKEN']}\"\n\n";
+
+    $content .= "# History Configuration\n";
+    $content .= "HISTORY_ENABLED=\"{$config['HISTORY_ENABLED']}\"\n";
+    $content .= "HISTORY_INTERVAL=\"{$config['HISTORY_INTERVAL']}\"\n";
+    $content .= "HISTORY_RETENTION_DAYS=\"{$config['HISTORY_RETENTION_DAYS']}\"\n\n";
+
+    $content .= "# Notification Configuration\n";
+    $content .= "NOTIFY_ENABLED=\"{$config['NOTIFY_ENABLED']}\"\n";
+    $content .= "NOTIFY_CATEGORY_CHANGE=\"{$config['NOTIFY_CATEGORY_CHANGE']}\"\n";
+    $content .= "NOTIFY_NEW_WARNING=\"{$config['NOTIFY_NEW_WARNING']}\"\n";
+    $content .= "NOTIFY_WARNING_INCREASE=\"{$config['NOTIFY_WARNING_INCREASE']}\"\n";
+    $content .= "NOTIFY_REPLACEMENT=\"{$config['NOTIFY_REPLACEMENT']}\"\n";
+    $content .= "NOTIFY_HORIZON_MONTHS=\"{$config['NOTIFY_HORIZON_MONTHS']}\"\n\n";
+
+    $content .= "# Self-Test Schedule Configuration\n";
+    $content .= "SELFTEST_SCHEDULE_ENABLED=\"{$config['SELFTEST_SCHEDULE_ENABLED']}\"\n";
+    $content .= "SELFTEST_SCHEDULE_TYPE=\"{$config['SELFTEST_SCHEDULE_TYPE']}\"\n";
+    $content .= "SELFTEST_INTERVAL_DAYS=\"{$config['SELFTEST_INTERVAL_DAYS']}\"\n";
+    $content .= "SELFTEST_DRIVES_PER_DAY=\"{$config['SELFTEST_DRIVES_PER_DAY']}\"\n";
+    $content .= "SELFTEST_HOUR=\"{$config['SELFTEST_HOUR']}\"\n\n";
+
+    $content .= "# MQTT Configuration\n";
+    $content .= "MQTT_ENABLED=\"{$config['MQTT_ENABLED']}\"\n";
+    $content .= "MQTT_HOST=\"{$config['MQTT_HOST']}\"\n";
+    $content .= "MQTT_PORT=\"{$config['MQTT_PORT']}\"\n";
+    $content .= "MQTT_USERNAME=\"{$config['MQTT_USERNAME']}\"\n";
+    $content .= "MQTT_PASSWORD=\"{$config['MQTT_PASSWORD']}\"\n";
+    $content .= "MQTT_TLS=\"{$config['MQTT_TLS']}\"\n";
+    $content .= "MQTT_TLS_VERIFY=\"{$config['MQTT_TLS_VERIFY']}\"\n";
+    $content .= "MQTT_TOPIC_PREFIX=\"{$config['MQTT_TOPIC_PREFIX']}\"\n";
+    $content .= "MQTT_DISCOVERY=\"{$config['MQTT_DISCOVERY']}\"\n";
+    $content .= "MQTT_DISCOVERY_PREFIX=\"{$config['MQTT_DISCOVERY_PREFIX']}\"\n";
+    $content .= "MQTT_INTERVAL=\"{$config['MQTT_INTERVAL']}\"\n\n";
 
     $content .= "# Category Colors\n";
     $content .= "COLOR_MINIMAL_RISK=\"{$config['COLOR_MINIMAL_RISK']}\"\n";
@@ -234,7 +318,7 @@ function validateConfig($config) {
     $validated = [];
 
     // Sorting - strict whitelist
-    $validSortColumns = ['device_name', 'size_bytes', 'power_on_hours', 'temperature', 'smart_status'];
+    $validSortColumns = ['device_name', 'size_bytes', 'power_on_hours', 'temperature', 'smart_status', 'replacement_months'];
     $validated['DEFAULT_SORT'] = in_array($config['DEFAULT_SORT'] ?? '', $validSortColumns, true)
         ? $config['DEFAULT_SORT']
         : $defaults['DEFAULT_SORT'];
@@ -286,7 +370,7 @@ function validateConfig($config) {
     // Boolean filters - strict validation
     $booleanFields = [
         'SHOW_PARITY', 'SHOW_ARRAY', 'SHOW_CACHE', 'SHOW_POOL', 'SHOW_UNASSIGNED',
-        'SHOW_TEMPERATURE', 'SHOW_SMART_STATUS', 'SHOW_SPIN_STATUS'
+        'SHOW_TEMPERATURE', 'SHOW_SMART_STATUS', 'SHOW_SPIN_STATUS', 'SHOW_SELF_TEST'
     ];
 
     foreach ($booleanFields as $field) {
@@ -294,15 +378,72 @@ function validateConfig($config) {
         $validated[$field] = ($value === 'true' || $value === true || $value === '1') ? 'true' : 'false';
     }
 
+    // Asset columns are off unless enabled
+    foreach (['SHOW_WARRANTY', 'SHOW_LOCATION'] as $field) {
+        $validated[$field] = ($config[$field] ?? 'false') === 'true' ? 'true' : 'false';
+    }
+
     // API settings
     $validated['API_ENABLED'] = ($config['API_ENABLED'] ?? 'false') === 'true' ? 'true' : 'false';
     $validated['API_RATE_LIMIT'] = max(10, min(1000, intval($config['API_RATE_LIMIT'] ?? 100)));
 
+    // Metrics token - empty, or 16-128 URL-safe characters (safe to store in the INI file)
+    $metricsToken = $config['METRICS_TOKEN'] ?? '';
+    $validated['METRICS_TOKEN'] = (is_string($metricsToken) && preg_match('/^[A-Za-z0-9._~-]{16,128}$/', $metricsToken) === 1)
+        ? $metricsToken
+        : '';
+
     // Prediction mode - strict whitelist
     $validPredictionModes = ['conservative', 'aggressive'];
     $validated['PREDICTION_MODE'] = in_array($config['PREDICTION_MODE'] ?? '', $validPredictionModes, true)
         ? $config['PREDICTION_MODE']
         : $defaults['PREDICTION_MODE'];
+    $validated['PREDICTION_RISK_PERCENT'] = max(1, min(50, intval($config['PREDICTION_RISK_PERCENT'] ?? 10)));
+
+    // History settings
+    $validated['HISTORY_ENABLED'] = ($config['HISTORY_ENABLED'] ?? 'true') === 'true' ? 'true' : 'false';
+    $validated['HISTORY_INTERVAL'] = max(1, min(168, intval($config['HISTORY_INTERVAL'] ?? 24)));
+    $validated['HISTORY_RETENTION_DAYS'] = max(30, min(3650, intval($config['HISTORY_RETENTION_DAYS'] ?? 730)));
+
+    // Notification settings
+    foreach (['NOTIFY_ENABLED', 'NOTIFY_CATEGORY_CHANGE', 'NOTIFY_NEW_WARNING', 'NOTIFY_WARNING_INCREASE', 'NOTIFY_REPLACEMENT'] as $field) {
+        $validated[$field] = ($config[$field] ?? 'true') === 'true' ? 'true' : 'false';
+    }
+    $validated['NOTIFY_HORIZON_MONTHS'] = max(1, min(60, intval($config['NOTIFY_HORIZON_MONTHS'] ?? 6)));
+
+    // Self-test schedule settings
+    $validated['SELFTEST_SCHEDULE_ENABLED'] = ($config['SELFTEST_SCHEDULE_ENABLED'] ?? 'false') === 'true' ? 'true' : 'false';
+    $validated['SELFTEST_SCHEDULE_TYPE'] = in_array($config['SELFTEST_SCHEDULE_TYPE'] ?? '', ['short', 'long'], true)
+        ? $config['SELFTEST_SCHEDULE_TYPE']
+        : $defaults['SELFTEST_SCHEDULE_TYPE'];
+    $validated['SELFTEST_INTERVAL_DAYS'] = max(7, min(365, intval($config['SELFTEST_INTERVAL_DAYS'] ?? 30)));
+    $validated['SELFTEST_DRIVES_PER_DAY'] = max(1, min(10, intval($config['SELFTEST_DRIVES_PER_DAY'] ?? 1)));
+    $validated['SELFTEST_HOUR'] = max(0, min(23, intval($config['SELFTEST_HOUR'] ?? 3)));
+
+    // MQTT settings
+    foreach (['MQTT_ENABLED', 'MQTT_TLS'] as $field) {
+        $validated[$field] = ($config[$field] ?? 'false') === 'true' ? 'true' : 'false';
+    }
+    foreach (['MQTT_TLS_VERIFY', 'MQTT_DISCOVERY'] as $field) {
+        $validated[$field] = ($config[$field] ?? 'true') === 'true' ? 'true' : 'false';
+    }
+    $mqttHost = trim($config['MQTT_HOST'] ?? '');
+    $validated['MQTT_HOST'] = preg_match('/^[A-Za-z0-9.:\-\[\]]{1,253}$/', $mqttHost) ? $mqttHost : '';
+    $validated['MQTT_PORT'] = max(1, min(65535, intval($config['MQTT_PORT'] ?? 1883)));
+    // Rejected rather than cleaned up - a silently altered password fails with a misleading error
+    foreach (['MQTT_USERNAME', 'MQTT_PASSWORD'] as $field) {
+        $value = $config[$field] ?? '';
+        if (!is_string($value) || !preg_match(DRIVEAGE_MQTT_CREDENTIAL_PATTERN, $value)) {
+            error_log("DriveAge: $field rejected: it may not contain double quotes or control characters, or be longer than 256 characters");
+            $value = $defaults[$field];
+        }
+        $validated[$field] = $value;
+    }
+    foreach (['MQTT_TOPIC_PREFIX', 'MQTT_DISCOVERY_PREFIX'] as $field) {
+        $prefix = trim($config[$field] ?? '', '/');
+        $validated[$field] = preg_match(DRIVEAGE_MQTT_TOPIC_PATTERN, $prefix) ? $prefix : $defaults[$field];
+    }
+    $validated['MQTT_INTERVAL'] = max(5, min(1440, intval($config['MQTT_INTERVAL'] ?? 15)));
 
     // Category colors validation
     $colorFields = [
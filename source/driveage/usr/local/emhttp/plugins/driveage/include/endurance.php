@@ -0,0 +1,279 @@
+<?php
+/**
+ * DriveAge Plugin - NVMe Endurance Ratings
+ *
+ * Resolves a drive's rated endurance (TBW) from, in order: a per-serial
+ * override, the user's model table, the bundled model table, and finally the
+ * generic capacity-based estimate (estimateNvmeTBW()).
+ */
+
+require_once 'config.php';
+require_once 'helpers.php';
+require_once 'history.php';
+
+// Per-serial TBW overrides (persistent, on flash)
+define('DRIVEAGE_TBW_OVERRIDES_FILE', DRIVEAGE_CONFIG_DIR . '/tbw_overrides.json');
+
+// User model table, checked before the bundled table (persistent, on flash)
+define('DRIVEAGE_ENDURANCE_MODELS_FILE', DRIVEAGE_CONFIG_DIR . '/nvme_endurance.json');
+
+// Warranty period assumed for DWPD figures when an entry does not give one
+define('DRIVEAGE_DEFAULT_WARRANTY_YEARS', 5);
+
+define('DRIVEAGE_MAX_ENDURANCE_ENTRIES', 100);
+
+/**
+ * Get the bundled endurance table
+ *
+ * Entry fields:
+ * - pattern: wildcard pattern matched against the smartctl model (case-insensitive)
+ * - type: 'tbw' (fixed rating), 'tbw_per_tb' (rating per TB of capacity) or 'dwpd' (drive writes per day)
+ * - value: rating for the type
+ * - warranty_years: warranty period (DWPD ratings are over the warranty)
+ *
+ * Figures are the manufacturers' published ratings; capacity-scaled entries
+ * use the rating of the 1 TB model.
+ *
+ * @return array Entries (first match wins)
+ */
+function getBundledEnduranceModels() {
+    $entry = function($pattern, $type, $value, $warrantyYears = 5) {
+        return ['pattern' => $pattern, 'type' => $type, 'value' => $value, 'warranty_years' => $warrantyYears];
+    };
+
+    return [
+        // Samsung consumer (TLC)
+        $entry('Samsung SSD 990 PRO*', 'tbw_per_tb', 600),
+        $entry('Samsung SSD 990 EVO*', 'tbw_per_tb', 600),
+        $entry('Samsung SSD 980 PRO*', 'tbw_per_tb', 600),
+        $entry('Samsung SSD 980*', 'tbw_per_tb', 600),
+        $entry('Samsung SSD 970 PRO*', 'tbw_per_tb', 1200),
+        $entry('Samsung SSD 970 EVO*', 'tbw_per_tb', 600),
+        // Western Digital
+        $entry('WD_BLACK SN850X*', 'tbw_per_tb', 600),
+        $entry('WD_BLACK SN850*', 'tbw_per_tb', 600),
+        $entry('WDS*SN750*', 'tbw_per_tb', 600),
+        $entry('WD Blue SN570*', 'tbw_per_tb', 600),
+        $entry('WD Red SN700 250GB', 'tbw', 500),
+        $entry('WD Red SN700 500GB', 'tbw', 1000),
+        $entry('WD Red SN700 1000GB', 'tbw', 2000),
+        $entry('WD Red SN700 2000GB', 'tbw', 2500),
+        $entry('WD Red SN700 4000GB', 'tbw', 5100),
+        // Crucial (P1, P3 and P3 Plus are QLC)
+        $entry('CT*P1SSD8', 'tbw_per_tb', 200),
+        $entry('CT*P3SSD8', 'tbw_per_tb', 220),
+        $entry('CT*P3PSSD8', 'tbw_per_tb', 220),
+        $entry('CT*P5PSSD8', 'tbw_per_tb', 600),
+        $entry('CT*T500SSD8', 'tbw_per_tb', 600),
+        $entry('CT*T700SSD*', 'tbw_per_tb', 600),
+        // Intel (660p is QLC)
+        $entry('INTEL SSDPEKNW*', 'tbw_per_tb', 200),
+        // Kingston
+        $entry('KINGSTON SNV2S*', 'tbw_per_tb', 320),
+        $entry('KINGSTON SKC3000*', 'tbw_per_tb', 800),
+        // Enterprise
+        $entry('SAMSUNG MZ1LB*', 'dwpd', 1.3, 3),     // PM983 (M.2)
+        $entry('SAMSUNG MZQLB*', 'dwpd', 1.3, 3),     // PM983 (U.2)
+        $entry('SAMSUNG MZ1L2*', 'dwpd', 1),          // PM9A3 (M.2)
+        $entry('SAMSUNG MZQL2*', 'dwpd', 1),          // PM9A3 (U.2)
+        $entry('Micron_7450*', 'dwpd', 1),            // 7450 PRO (MAX models are rated higher)
+        $entry('INTEL SSDPE2KX*', 'dwpd', 1),         // P4510
+        $entry('SOLIDIGM SSDPF2KX*', 'dwpd', 1)       // D7-P5520
+    ];
+}
+
+/**
+ * Estimate generic TBW rating based on drive capacity
+ *
+ * Uses conservative estimates from 2024 consumer drive market
+ * Formula: 500 TBW per TB of capacity (TLC drives)
+ *
+ * Research sources:
+ * - Tom's Hardware SSD Forums (2024)
+ * - Industry average for consumer TLC drives
+ *
+ * @param int $sizeBytes Drive size in bytes
+ * @return int Estimated TBW rating
+ */
+function estimateNvmeTBW($sizeBytes) {
+    if ($sizeBytes <= 0) {
+        return 300; // Default minimum (typical for 256GB-512GB drives)
+    }
+
+    $sizeGB = $sizeBytes / (1024 * 1024 * 1024);
+    $sizeTB = $sizeGB / 1024;
+
+    // Conservative estimate: 500 TBW per TB
+    $estimatedTBW = round($sizeTB * 500);
+
+    // Minimum 250 TBW for small drives
+    return max($estimatedTBW, 250);
+}
+
+/**
+ * Get the user's endurance table
+ *
+ * @return array Entries (same shape as getBundledEnduranceModels())
+ */
+function getUserEnduranceModels() {
+    static $models = null;
+
+    if ($models === null) {
+        $validated = validateEnduranceModels(loadJsonFile(DRIVEAGE_ENDURANCE_MODELS_FILE) ?? []);
+        $models = $validated['entries'];
+    }
+
+    return $models;
+}
+
+/**
+ * Get per-serial TBW overrides
+ *
+ * @return array Serial => rated TBW
+ */
+function getTbwOverrides() {
+    static $overrides = null;
+
+    if ($overrides === null) {
+        $validated = validateTbwOverrides(loadJsonFile(DRIVEAGE_TBW_OVERRIDES_FILE) ?? []);
+        $overrides = $validated['overrides'];
+    }
+
+    return $overrides;
+}
+
+/**
+ * Validate submitted endurance table entries
+ *
+ * @param mixed $entries Submitted entries
+ * @return array ['entries' => array, 'errors' => array]
+ */
+function validateEnduranceModels($entries) {
+    $validated = [];
+    $errors = [];
+
+    if (!is_array($entries) || count($entries) > DRIVEAGE_MAX_ENDURANCE_ENTRIES) {
+        return ['entries' => [], 'errors' => ['Expected a list of at most ' . DRIVEAGE_MAX_ENDURANCE_ENTRIES . ' models']];
+    }
+
+    foreach (array_values($entries) as $index => $entry) {
+        $number = $index + 1;
+        $pattern = is_array($entry) ? trim((string)($entry['pattern'] ?? '')) : '';
+        $type = $entry['type'] ?? '';
+        $value = $entry['value'] ?? null;
+        $warrantyYears = $entry['warranty_years'] ?? DRIVEAGE_DEFAULT_WARRANTY_YEARS;
+
+        if (!preg_match('/^[A-Za-z0-9 _.\-*?\[\]]{1,64}$/', $pattern)) {
+            $errors[] = "Model $number: pattern must be 1-64 letters, digits, spaces or wildcards";
+        } elseif (!in_array($type, ['tbw', 'tbw_per_tb', 'dwpd'], true)) {
+            $errors[] = "Model $number: invalid rating type";
+        } elseif (!is_numeric($value) || $value <= 0 || $value > 1000000) {
+            $errors[] = "Model $number: rating must be a positive number";
+        } elseif (!is_numeric($warrantyYears) || $warrantyYears < 1 || $warrantyYears > 10) {
+            $errors[] = "Model $number: warranty must be 1-10 years";
+        } else {
+            $validated[] = ['pattern' => $pattern, 'type' => $type, 'value' => $value + 0, 'warranty_years' => intval($warrantyYears)];
+        }
+    }
+
+    return ['entries' => $validated, 'errors' => $errors];
+}
+
+/**
+ * Validate submitted per-serial TBW overrides
+ *
+ * @param mixed $overrides Submitted overrides (serial => TBW)
+ * @return array ['overrides' => array, 'errors' => array]
+ */
+function validateTbwOverrides($overrides) {
+    $validated = [];
+    $errors = [];
+
+    if (!is_array($overrides) || count($overrides) > DRIVEAGE_MAX_ENDURANCE_ENTRIES) {
+        return ['overrides' => [], 'errors' => ['Expected at most ' . DRIVEAGE_MAX_ENDURANCE_ENTRIES . ' overrides']];
+    }
+
+    foreach ($overrides as $serial => $tbw) {
+        $serial = (string)$serial;
+
+        if (!isValidSerial($serial)) {
+            $errors[] = "Invalid serial number: $serial";
+        } elseif (!is_numeric($tbw) || $tbw <= 0 || $tbw > 1000000) {
+            $errors[] = "$serial: TBW must be a positive number";
+        } else {
+            $validated[$serial] = $tbw + 0;
+        }
+    }
+
+    return ['overrides' => $validated, 'errors' => $errors];
+}
+
+/**
+ * Convert a table entry to TBW for a drive
+ *
+ * @param array $entry Table entry
+ * @param int $sizeBytes Drive size in bytes
+ * @return float|null TBW, or null if the entry needs the capacity and it is unknown
+ */
+function getEnduranceEntryTbw($entry, $sizeBytes) {
+    // Ratings use decimal terabytes
+    $sizeTB = $sizeBytes / 1000000000000;
+
+    if ($entry['type'] === 'tbw') {
+        return (float)$entry['value'];
+    }
+
+    if ($sizeTB <= 0) {
+        return null;
+    }
+
+    if ($entry['type'] === 'tbw_per_tb') {
+        return round($entry['value'] * $sizeTB);
+    }
+
+    return round($entry['value'] * $sizeTB * 365 * $entry['warranty_years']);
+}
+
+/**
+ * Get the endurance rating for an NVMe drive
+ *
+ * @param string $model Drive model
+ * @param string $serial Drive serial number
+ * @param int $sizeBytes Drive size in bytes
+ * @return array ['tbw' => float, 'dwpd' => float|null, 'source' => 'override'|'user'|'database'|'estimated', 'rated' => bool, 'pattern' => string|null]
+ */
+function getNvmeEnduranceRating($model, $serial, $sizeBytes) {
+    $sizeTB = $sizeBytes / 1000000000000;
+    $rating = null;
+
+    $overrides = getTbwOverrides();
+    if (isset($overrides[$serial])) {
+        $rating = ['tbw' => (float)$overrides[$serial], 'source' => 'override', 'pattern' => null, 'warranty_years' => DRIVEAGE_DEFAULT_WARRANTY_YEARS];
+    }
+
+    $tables = ['user' => getUserEnduranceModels(), 'database' => getBundledEnduranceModels()];
+    foreach ($tables as $source => $entries) {
+        if ($rating !== null) {
+            break;
+        }
+
+        foreach ($entries as $entry) {
+            if (fnmatch($entry['pattern'], trim($model), FNM_CASEFOLD)) {
+                $tbw = getEnduranceEntryTbw($entry, $sizeBytes);
+                if ($tbw !== null) {
+                    $rating = ['tbw' => $tbw, 'source' => $source, 'pattern' => $entry['pattern'], 'warranty_years' => $entry['warranty_years']];
+                }
+                break;
+            }
+        }
+    }
+
+    if ($rating === null) {
+        $rating = ['tbw' => (float)estimateNvmeTBW($sizeBytes), 'source' => 'estimated', 'pattern' => null, 'warranty_years' => DRIVEAGE_DEFAULT_WARRANTY_YEARS];
+    }
+
+    $rating['rated'] = $rating['source'] !== 'estimated';
+    $rating['dwpd'] = $sizeTB > 0 ? round($rating['tbw'] / ($sizeTB * 365 * $rating['warranty_years']), 2) : null;
+
+    return $rating;
+}
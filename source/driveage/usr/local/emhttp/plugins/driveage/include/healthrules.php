@@ -0,0 +1,601 @@
+<?php
+/**
+ * DriveAge Plugin - SMART Health Rules
+ *
+ * Turns SMART attributes into health warnings using per-attribute rules
+ * (warning/critical thresholds and "got worse since the last reading"
+ * conditions). The default rules reproduce the original built-in checks;
+ * edited rules are stored on flash.
+ */
+
+require_once 'config.php';
+require_once 'helpers.php';
+
+// Edited rules (persistent, on flash - defaults are used until rules are saved)
+define('DRIVEAGE_HEALTH_RULES_FILE', DRIVEAGE_CONFIG_DIR . '/health_rules.json');
+
+// Last reading per drive and rule, for "got worse" conditions (only rewritten when a value changes)
+define('DRIVEAGE_RULE_READINGS_FILE', DRIVEAGE_CONFIG_DIR . '/rule_readings.json');
+
+// How long a "got worse" warning stays active after the value changed
+define('DRIVEAGE_RULE_WORSENED_WINDOW', 7 * 86400);
+
+define('DRIVEAGE_MAX_HEALTH_RULES', 50);
+
+// Failure rate multiplier for a drive's worst health warning (replacement estimate and array risk)
+define('DRIVEAGE_WARNING_FAILURE_FACTOR', ['warning' => 2, 'critical' => 5]);
+
+/**
+ * Get the default health rules
+ *
+ * Rule fields:
+ * - attribute: ATA attribute ID (int), NVMe health log field (e.g., 'media_errors')
+ *   or SAS log counter (e.g., 'grown_defects')
+ * - physical_type: 'hdd', 'nvme', 'sas' or 'any'; model: optional wildcard pattern (e.g., 'ST*')
+ * - compare: 'raw_above' (raw value >= threshold), 'raw_below' (raw value <= threshold)
+ *   or 'normalized_below' (ATA normalized value <= threshold)
+ * - warning / critical: thresholds (null = not used)
+ * - on_worse: level raised when the value got worse since the previous reading ('none', 'warning', 'critical')
+ * - message: {value} is replaced by the value, {s} by a plural "s"
+ *
+ * @return array Rules
+ */
+function getDefaultHealthRules() {
+    $rule = function($fields) {
+        return array_merge([
+            'enabled' => true,
+            'physical_type' => 'hdd',
+            'model' => '',
+            'compare' => 'raw_above',
+            'warning' => null,
+            'critical' => null,
+            'on_worse' => 'none',
+            'action_warning' => '',
+            'action_critical' => '',
+            'help_anchor' => 'other-smart-warnings'
+        ], $fields);
+    };
+
+    return [
+        // Original built-in checks
+        $rule([
+            'id' => 'pending_sectors',
+            'label' => 'Pending sectors',
+            'attribute' => 197,
+            'critical' => 1,
+            'message' => '{value} pending sector{s}',
+            'action_critical' => 'Replace ASAP',
+            'tooltip' => 'Pending sectors are waiting to be reallocated. Drive is actively failing.'
+        ]),
+        $rule([
+            'id' => 'uncorrectable_sectors',
+            'label' => 'Uncorrectable sectors',
+            'attribute' => 198,
+            'critical' => 1,
+            'message' => '{value} uncorrectable error{s}',
+            'action_critical' => 'Replace immediately',
+            'tooltip' => 'Uncorrectable errors indicate permanent data loss. Replace drive now.'
+        ]),
+        $rule([
+            'id' => 'reallocated_sectors',
+            'label' => 'Reallocated sectors',
+            'attribute' => 5,
+            'warning' => 1,
+            'critical' => 11,
+            'message' => '{value} reallocated sector{s}',
+            'action_warning' => 'Backup data, monitor closely',
+            'action_critical' => 'Replace immediately',
+            'tooltip' => 'Reallocated sectors indicate physical damage. Drive may fail soon.',
+            'help_anchor' => 'reallocated-sectors'
+        ]),
+        $rule([
+            'id' => 'media_errors',
+            'label' => 'NVMe media errors',
+            'physical_type' => 'nvme',
+            'attribute' => 'media_errors',
+            'critical' => 1,
+            'message' => 'Media errors detected',
+            'action_critical' => 'Replace ASAP',
+            'tooltip' => 'Uncorrectable data errors. Drive reliability compromised.',
+            'help_anchor' => 'nvme-warnings'
+        ]),
+        $rule([
+            'id' => 'critical_warning',
+            'label' => 'NVMe critical warning',
+            'physical_type' => 'nvme',
+            'attribute' => 'critical_warning',
+            'critical' => 1,
+            'message' => 'Critical warning active',
+            'action_critical' => 'Check drive immediately',
+            'tooltip' => 'Drive has raised a critical warning flag.',
+            'help_anchor' => 'nvme-warnings'
+        ]),
+        // SAS/SCSI log counters
+        $rule([
+            'id' => 'sas_grown_defects',
+            'label' => 'SAS grown defects',
+            'physical_type' => 'sas',
+            'attribute' => 'grown_defects',
+            'warning' => 1,
+            'critical' => 11,
+            'message' => '{value} grown defect{s}',
+            'action_warning' => 'Backup data, monitor closely',
+            'action_critical' => 'Replace immediately',
+            'tooltip' => 'Blocks remapped since manufacture - the SAS equivalent of reallocated sectors.',
+            'help_anchor' => 'sas-warnings'
+        ]),
+        $rule([
+            'id' => 'sas_uncorrected_errors',
+            'label' => 'SAS uncorrected errors',
+            'physical_type' => 'sas',
+            'attribute' => 'uncorrected_errors',
+            'warning' => 1,
+            'on_worse' => 'critical',
+            'message' => '{value} uncorrected read/write/verify error{s}',
+            'action_warning' => 'Backup data, monitor closely',
+            'action_critical' => 'Replace ASAP',
+            'tooltip' => 'Errors the drive could not correct with ECC or retries. New errors mean data is being lost.',
+            'help_anchor' => 'sas-warnings'
+        ]),
+        $rule([
+            'id' => 'sas_non_medium_errors',
+            'label' => 'SAS non-medium errors',
+            'enabled' => false,
+            'physical_type' => 'sas',
+            'attribute' => 'non_medium_errors',
+            'on_worse' => 'warning',
+            'message' => '{value} non-medium error{s}',
+            'action_warning' => 'Check cable, backplane and HBA',
+            'tooltip' => 'Errors not caused by the platters - usually the link, expander or controller.',
+            'help_anchor' => 'sas-warnings'
+        ]),
+        $rule([
+            'id' => 'sas_start_stop_cycles',
+            'label' => 'SAS start-stop cycles',
+            'physical_type' => 'sas',
+            'attribute' => 'start_stop_cycles',
+            'warning' => 40000,
+            'message' => '{value} start-stop cycles',
+            'action_warning' => 'Check spin-down settings, plan replacement',
+            'tooltip' => 'Most enterprise drives are rated for 50,000 start-stop cycles.',
+            'help_anchor' => 'sas-warnings'
+        ]),
+        // Additional attributes - off by default so upgrading doesn't change existing drives' warnings
+        $rule([
+            'id' => 'udma_crc_errors',
+            'label' => 'Interface CRC errors',
+            'enabled' => false,
+            'attribute' => 199,
+            'on_worse' => 'warning',
+            'message' => '{value} interface CRC error{s}',
+            'action_warning' => 'Check SATA cable and backplane',
+            'tooltip' => 'CRC errors are usually caused by a bad cable or backplane connection, not the drive itself.',
+            'help_anchor' => 'additional-smart-warnings'
+        ]),
+        $rule([
+            'id' => 'spin_retry',
+            'label' => 'Spin retries',
+            'enabled' => false,
+            'attribute' => 10,
+            'warning' => 1,
+            'message' => 'Spin retry count {value}',
+            'action_warning' => 'Check power supply, monitor closely',
+            'tooltip' => 'The drive needed more than one attempt to spin up - an early sign of motor or power problems.',
+            'help_anchor' => 'additional-smart-warnings'
+        ]),
+        $rule([
+            'id' => 'end_to_end_errors',
+            'label' => 'End-to-end errors',
+            'enabled' => false,
+            'attribute' => 184,
+            'critical' => 1,
+            'message' => '{value} end-to-end error{s}',
+            'action_critical' => 'Replace ASAP',
+            'tooltip' => 'Data was corrupted between the drive cache and the host. Drive electronics are unreliable.',
+            'help_anchor' => 'additional-smart-warnings'
+        ]),
+        $rule([
+            'id' => 'helium_level',
+            'label' => 'Helium level',
+            'enabled' => false,
+            'attribute' => 22,
+            'compare' => 'normalized_below',
+            'warning' => 99,
+            'critical' => 25,
+            'message' => 'Helium level {value}',
+            'action_warning' => 'Monitor closely, plan replacement',
+            'action_critical' => 'Replace ASAP',
+            'tooltip' => 'Helium is leaking from a sealed drive. The heads depend on it to fly correctly.',
+            'help_anchor' => 'additional-smart-warnings'
+        ]),
+        $rule([
+            'id' => 'load_cycle_count',
+            'label' => 'Load cycle count',
+            'enabled' => false,
+            'attribute' => 193,
+            'warning' => 300000,
+            'message' => '{value} head load cycles',
+            'action_warning' => 'Check idle/parking settings, plan replacement',
+            'tooltip' => 'Most drives are rated for 300,000-600,000 head load/unload cycles.',
+            'help_anchor' => 'additional-smart-warnings'
+        ]),
+        // Vendor-specific raw values - disabled until tuned for your drives
+        $rule([
+            'id' => 'seek_error_rate',
+            'label' => 'Seek error rate',
+            'enabled' => false,
+            'attribute' => 7,
+            'compare' => 'normalized_below',
+            'warning' => 30,
+            'message' => 'Seek error rate {value}',
+            'action_warning' => 'Monitor closely',
+            'tooltip' => 'The heads are having trouble positioning. Raw values are vendor-specific, so the normalized value is used.',
+            'help_anchor' => 'additional-smart-warnings'
+        ]),
+        $rule([
+            'id' => 'reported_uncorrectable',
+            'label' => 'Reported uncorrectable errors',
+            'enabled' => false,
+            'attribute' => 187,
+            'warning' => 1,
+            'message' => '{value} reported uncorrectable error{s}',
+            'action_warning' => 'Monitor closely, plan replacement',
+            'tooltip' => 'Read errors during normal operation that ECC could not recover.'
+        ]),
+        $rule([
+            'id' => 'command_timeout',
+            'label' => 'Command timeouts',
+            'enabled' => false,
+            'attribute' => 188,
+            'warning' => 1,
+            'critical' => 101,
+            'message' => '{value} command timeout{s}',
+            'action_warning' => 'Monitor closely',
+            'action_critical' => 'Replace ASAP',
+            'tooltip' => 'Commands that timed out indicate communication failures between the drive and system.'
+        ])
+    ];
+}
+
+/**
+ * Get the active health rules (saved rules, or the defaults)
+ *
+ * @return array Rules
+ */
+function getHealthRules() {
+    static $rules = null;
+
+    if ($rules !== null) {
+        return $rules;
+    }
+
+    $rules = getDefaultHealthRules();
+
+    $saved = loadJsonFile(DRIVEAGE_HEALTH_RULES_FILE);
+
+    if ($saved !== null) {
+        $validated = validateHealthRules($saved);
+        if (empty($validated['errors'])) {
+            $rules = $validated['rules'];
+        } else {
+            error_log('DriveAge: Ignoring invalid health rules file');
+        }
+    }
+
+    return $rules;
+}
+
+/**
+ * Validate submitted health rules
+ *
+ * @param mixed $rules Submitted rules
+ * @return array ['rules' => array, 'errors' => array] (errors name the rule number and field)
+ */
+function validateHealthRules($rules) {
+    $validated = [];
+    $errors = [];
+    $ids = [];
+
+    if (!is_array($rules) || count($rules) > DRIVEAGE_MAX_HEALTH_RULES) {
+        return ['rules' => [], 'errors' => ['Expected a list of at most ' . DRIVEAGE_MAX_HEALTH_RULES . ' rules']];
+    }
+
+    $text = function($value, $maxLength) {
+        return is_string($value) && mb_strlen($value) <= $maxLength ? trim($value) : null;
+    };
+
+    $threshold = function($value) {
+        if ($value === null || $value === '') {
+            return null;
+        }
+        return is_numeric($value) && $value >= 0 ? $value + 0 : false;
+    };
+
+    foreach (array_values($rules) as $index => $rule) {
+        $number = $index + 1;
+
+        if (!is_array($rule)) {
+            $errors[] = "Rule $number: invalid rule";
+            continue;
+        }
+
+        $attribute = $rule['attribute'] ?? null;
+        if (is_numeric($attribute) && intval($attribute) == $attribute && $attribute >= 1 && $attribute <= 255) {
+            $attribute = intval($attribute);
+        } elseif (!is_string($attribute) || !preg_match('/^[a-z][a-z0-9_]{0,39}$/', $attribute)) {
+            $errors[] = "Rule $number: attribute must be an ATA attribute ID (1-255) or an NVMe/SAS log field";
+            continue;
+        }
+
+        $checked = [
+            'id' => $rule['id'] ?? '',
+            'enabled' => ($rule['enabled'] ?? true) === true || ($rule['enabled'] ?? '') === 'true',
+            'label' => $text($rule['label'] ?? '', 64),
+            'physical_type' => $rule['physical_type'] ?? 'hdd',
+            'model' => $text($rule['model'] ?? '', 64),
+            'attribute' => $attribute,
+            'compare' => $rule['compare'] ?? 'raw_above',
+            'warning' => $threshold($rule['warning'] ?? null),
+            'critical' => $threshold($rule['critical'] ?? null),
+            'on_worse' => $rule['on_worse'] ?? 'none',
+            'message' => $text($rule['message'] ?? '', 120),
+            'action_warning' => $text($rule['action_warning'] ?? '', 80),
+            'action_critical' => $text($rule['action_critical'] ?? '', 80),
+            'tooltip' => $text($rule['tooltip'] ?? '', 200),
+            'help_anchor' => $rule['help_anchor'] ?? ''
+        ];
+
+        $problems = [];
+        if (!is_string($checked['id']) || !preg_match('/^[a-z0-9_]{1,40}$/', $checked['id']) || isset($ids[$checked['id']])) {
+            $problems[] = 'id';
+        }
+        if ($checked['label'] === null || $checked['label'] === '') {
+            $problems[] = 'label';
+        }
+        if (!in_array($checked['physical_type'], ['hdd', 'nvme', 'sas', 'any'], true)) {
+            $problems[] = 'physical_type';
+        }
+        if ($checked['model'] === null) {
+            $problems[] = 'model';
+        }
+        if (!in_array($checked['compare'], ['raw_above', 'raw_below', 'normalized_below'], true)) {
+            $problems[] = 'compare';
+        }
+        if ($checked['warning'] === false) {
+            $problems[] = 'warning';
+        }
+        if ($checked['critical'] === false) {
+            $problems[] = 'critical';
+        }
+        if (!in_array($checked['on_worse'], ['none', 'warning', 'critical'], true)) {
+            $problems[] = 'on_worse';
+        }
+        if ($checked['message'] === null || $checked['message'] === '') {
+            $problems[] = 'message';
+        }
+        foreach (['action_warning', 'action_critical', 'tooltip'] as $field) {
+            if ($checked[$field] === null) {
+                $problems[] = $field;
+            }
+        }
+        if (!is_string($checked['help_anchor']) || !preg_match('/^[a-z0-9-]{0,40}$/', $checked['help_anchor'])) {
+            $problems[] = 'help_anchor';
+        }
+
+        if (!empty($problems)) {
+            $errors[] = "Rule $number: invalid " . implode(', ', $problems);
+            continue;
+        }
+
+        $ids[$checked['id']] = true;
+        $validated[] = $checked;
+    }
+
+    return ['rules' => $validated, 'errors' => $errors];
+}
+
+/**
+ * Save health rules (atomic write)
+ *
+ * @param array $rules Validated rules
+ * @return bool True on success
+ */
+function saveHealthRules($rules) {
+    return saveJsonFile(DRIVEAGE_HEALTH_RULES_FILE, array_values($rules));
+}
+
+/**
+ * Restore the default health rules
+ *
+ * @return bool True on success
+ */
+function resetHealthRules() {
+    return !file_exists(DRIVEAGE_HEALTH_RULES_FILE) || @unlink(DRIVEAGE_HEALTH_RULES_FILE);
+}
+
+/**
+ * Check whether a rule applies to a drive
+ *
+ * @param array $rule Health rule
+ * @param string $physicalType 'hdd', 'nvme', 'sas' or 'usb'
+ * @param string $model Drive model
+ * @return bool True if the rule should be evaluated
+ */
+function healthRuleApplies($rule, $physicalType, $model) {
+    if (!$rule['enabled']) {
+        return false;
+    }
+
+    if ($rule['physical_type'] !== 'any' && $rule['physical_type'] !== $physicalType) {
+        return false;
+    }
+
+    return $rule['model'] === '' || fnmatch($rule['model'], $model, FNM_CASEFOLD);
+}
+
+/**
+ * Get the value a rule checks from parsed SMART data
+ *
+ * @param array $rule Health rule
+ * @param array $smartData SMART data (ATA 'attributes' table, nvme_* or sas_* fields and physical_type)
+ * @return int|float|null Value, or null if the drive doesn't report it
+ */
+function getHealthRuleValue($rule, $smartData) {
+    if (is_int($rule['attribute'])) {
+        $attribute = $smartData['attributes'][$rule['attribute']] ?? null;
+        if ($attribute === null) {
+            return null;
+        }
+        return $rule['compare'] === 'normalized_below' ? $attribute['value'] : $attribute['raw'];
+    }
+
+    // Named attributes are NVMe health log fields, or SAS log counters on SAS drives
+    $prefix = ($smartData['physical_type'] ?? '') === 'sas' ? 'sas_' : 'nvme_';
+    $value = $smartData[$prefix . $rule['attribute']] ?? null;
+    return is_numeric($value) ? $value + 0 : null;
+}
+
+/**
+ * Get the threshold level a value reaches
+ *
+ * @param array $rule Health rule
+ * @param int|float $value Attribute value
+ * @return string|null 'critical', 'warning' or null
+ */
+function getHealthRuleLevel($rule, $value) {
+    $reaches = function($threshold) use ($rule, $value) {
+        if ($threshold === null) {
+            return false;
+        }
+        return $rule['compare'] === 'raw_above' ? $value >= $threshold : $value <= $threshold;
+    };
+
+    if ($reaches($rule['critical'])) {
+        return 'critical';
+    }
+
+    return $reaches($rule['warning']) ? 'warning' : null;
+}
+
+/**
+ * Get the shared rule readings state
+ *
+ * @return array ['readings' => array (serial => rule ID => reading), 'dirty' => bool] (by reference)
+ */
+function &getRuleReadingsState() {
+    static $state = null;
+
+    if ($state === null) {
+        $state = ['readings' => loadJsonFile(DRIVEAGE_RULE_READINGS_FILE) ?? [], 'dirty' => false];
+    }
+
+    return $state;
+}
+
+/**
+ * Record a reading and check whether the value got worse recently
+ *
+ * The first reading only records a baseline. A value that got worse (raw
+ * counter increased, or value fell for *_below rules) keeps the condition
+ * active for DRIVEAGE_RULE_WORSENED_WINDOW.
+ *
+ * @param string $serial Drive serial number
+ * @param array $rule Health rule
+ * @param int|float $value Current value
+ * @return bool True if the value got worse within the window
+ */
+function trackHealthRuleReading($serial, $rule, $value) {
+    $state = &getRuleReadingsState();
+    $previous = $state['readings'][$serial][$rule['id']] ?? null;
+    $worsenedAt = $previous['worsened_at'] ?? null;
+
+    if ($previous !== null && $value != $previous['value']) {
+        $worse = $rule['compare'] === 'raw_above' ? $value > $previous['value'] : $value < $previous['value'];
+        if ($worse) {
+            $worsenedAt = time();
+        }
+    }
+
+    $current = ['value' => $value, 'worsened_at' => $worsenedAt];
+
+    if ($current !== $previous) {
+        $state['readings'][$serial][$rule['id']] = $current;
+        $state['dirty'] = true;
+    }
+
+    return $worsenedAt !== null && (time() - $worsenedAt) < DRIVEAGE_RULE_WORSENED_WINDOW;
+}
+
+/**
+ * Save rule readings if any changed (atomic write)
+ *
+ * @return bool True if nothing needed saving or the save succeeded
+ */
+function saveRuleReadings() {
+    $state = &getRuleReadingsState();
+
+    if (!$state['dirty']) {
+        return true;
+    }
+
+    if (!saveJsonFile(DRIVEAGE_RULE_READINGS_FILE, $state['readings'], false)) {
+        return false;
+    }
+
+    $state['dirty'] = false;
+    return true;
+}
+
+/**
+ * Evaluate the health rules for a drive
+ *
+ * @param array $driveInfo Drive data with physical_type, model, serial and parsed SMART data
+ * @return array Health warnings [['level' => string, 'attribute' => string, 'value' => mixed, 'message' => string, 'action' => string, 'tooltip' => string, 'help_anchor' => string]]
+ */
+function evaluateHealthRules($driveInfo) {
+    $warnings = [];
+    $physicalType = $driveInfo['physical_type'] ?? 'hdd';
+    $model = $driveInfo['model'] ?? '';
+    $serial = $driveInfo['serial'] ?? 'Unknown';
+
+    foreach (getHealthRules() as $rule) {
+        if (!healthRuleApplies($rule, $physicalType, $model)) {
+            continue;
+        }
+
+        $value = getHealthRuleValue($rule, $driveInfo);
+        if ($value === null) {
+            continue;
+        }
+
+        $level = getHealthRuleLevel($rule, $value);
+        $worsened = false;
+
+        if ($rule['on_worse'] !== 'none' && $serial !== 'Unknown') {
+            $worsened = trackHealthRuleReading($serial, $rule, $value);
+
+            if ($worsened && $level !== 'critical') {
+                $level = $rule['on_worse'] === 'critical' ? 'critical' : 'warning';
+            }
+        }
+
+        if ($level === null) {
+            continue;
+        }
+
+        $message = str_replace(['{value}', '{s}'], [$value, $value == 1 ? '' : 's'], $rule['message']);
+        $action = $level === 'critical' ? $rule['action_critical'] : $rule['action_warning'];
+
+        $warnings[] = [
+            'level' => $level,
+            'attribute' => $rule['id'],
+            'value' => $value,
+            'message' => $worsened ? $message . ' (getting worse)' : $message,
+            'action' => $action !== '' ? $action : ($rule['action_critical'] ?: $rule['action_warning']),
+            'tooltip' => $rule['tooltip'],
+            'help_anchor' => $rule['help_anchor']
+        ];
+    }
+
+    return $warnings;
+}
@@ -159,3 +159,96 @@ function getTemperatureUnit() {
     // Default to Celsius
     return 'C';
 }
+
+/**
+ * Get Unraid variable information
+ *
+ * @return array Unraid vars
+ */
+function getUnraidVars() {
+    $varFile = '/var/local/emhttp/var.ini';
+
+    if (!file_exists($varFile)) {
+        return [];
+    }
+
+    return parse_ini_file($varFile) ?: [];
+}
+
+/**
+ * Read a JSON state file
+ *
+ * Symlinks are refused so a planted link can't redirect the read.
+ *
+ * @param string $path File path
+ * @return array|null Decoded data, or null if missing, a symlink or not a JSON object/array
+ */
+function loadJsonFile($path) {
+    if (is_link($path)) {
+        error_log('DriveAge: Refusing to read symlink: ' . $path);
+        return null;
+    }
+
+    if (!is_file($path)) {
+        return null;
+    }
+
+    $content = @file_get_contents($path);
+    $data = $content !== false ? json_decode($content, true) : null;
+
+    return is_array($data) ? $data : null;
+}
+
+/**
+ * Write a JSON state file (atomic write: temp file, then rename)
+ *
+ * The temp file gets a unique name in the same directory, so writers
+ * running at the same time (cron and web requests) don't share it.
+ * Creates a missing parent directory with 0755 permissions; directories
+ * that need tighter permissions (the ramdisk) must be created by the caller.
+ *
+ * @param string $path File path
+ * @param mixed $data Data to encode
+ * @param bool $pretty Pretty-print (files people may read or edit by hand)
+ * @param int|null $mode File permissions (e.g. 0600 for secrets), or null for 0644
+ * @return bool True on success
+ */
+function saveJsonFile($path, $data, $pretty = true, $mode = null) {
+    $dir = dirname($path);
+    if (!is_dir($dir) && !@mkdir($dir, 0755, true)) {
+        error_log('DriveAge: Failed to create directory: ' . $dir);
+        return false;
+    }
+
+    $json = json_encode($data, $pretty ? JSON_PRETTY_PRINT : 0);
+    if ($json === false) {
+        error_log('DriveAge: Failed to encode ' . basename($path));
+        return false;
+    }
+
+    // tempnam() falls back to the system temp dir if $dir isn't writable - rename() needs the same directory
+    $tmpFile = @tempnam($dir, basename($path) . '.');
+    if ($tmpFile === false || dirname($tmpFile) !== $dir || is_link($tmpFile)) {
+        if ($tmpFile !== false) {
+            @unlink($tmpFile);
+        }
+        error_log('DriveAge: Failed to create a temp file for ' . basename($path));
+        return false;
+    }
+
+    if (@file_put_contents($tmpFile, $json, LOCK_EX) === false) {
+        @unlink($tmpFile);
+        error_log('DriveAge: Failed to write ' . basename($path));
+        return false;
+    }
+
+    @chmod($tmpFile, $mode ?? 0644);
+
+    if (!@rename($tmpFile, $path)) {
+        @unlink($tmpFile);
+        error_log('DriveAge: Failed to replace ' . basename($path));
+        return false;
+    }
+
+    return true;
+}
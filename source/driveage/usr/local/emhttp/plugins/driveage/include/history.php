@@ -0,0 +1,237 @@
+<?php
+/**
+ * DriveAge Plugin - Historical SMART Snapshots
+ *
+ * Records SMART metrics per drive (keyed by serial) on a schedule so
+ * trends can be charted over time. Stored on the flash drive so history
+ * survives reboots; sample interval is kept coarse to limit flash writes.
+ */
+
+require_once 'config.php';
+require_once 'helpers.php';
+
+// History directory (persistent, on flash)
+define('DRIVEAGE_HISTORY_DIR', DRIVEAGE_CONFIG_DIR . '/history');
+
+/**
+ * Get the SMART metrics recorded in each snapshot
+ *
+ * @return array Metric key => display label
+ */
+function getHistoryMetrics() {
+    return [
+        'power_on_hours' => 'Power On Hours',
+        'temperature' => 'Temperature',
+        'hdd_reallocated_sectors' => 'Reallocated Sectors',
+        'hdd_pending_sectors' => 'Pending Sectors',
+        'hdd_uncorrectable_sectors' => 'Uncorrectable Sectors',
+        'hdd_reported_uncorrectable' => 'Reported Uncorrectable',
+        'hdd_command_timeout' => 'Command Timeout',
+        'hdd_crc_errors' => 'CRC Errors',
+        'sas_grown_defects' => 'Grown Defects',
+        'sas_uncorrected_errors' => 'Uncorrected Errors',
+        'sas_non_medium_errors' => 'Non-Medium Errors',
+        'nvme_percentage_used' => 'Percentage Used',
+        'nvme_available_spare' => 'Available Spare',
+        'nvme_data_units_written' => 'Data Units Written',
+        'nvme_media_errors' => 'Media Errors'
+    ];
+}
+
+/**
+ * Validate a drive serial number for use as a history key
+ *
+ * @param mixed $serial Serial number
+ * @return bool True if usable
+ */
+function isValidSerial($serial) {
+    return is_string($serial)
+        && $serial !== 'Unknown'
+        && preg_match('/^[A-Za-z0-9 _.\-]{1,64}$/', $serial) === 1;
+}
+
+/**
+ * Get history file path for a serial number
+ *
+ * @param string $serial Drive serial number
+ * @return string History file path
+ */
+function getHistoryFilePath($serial) {
+    // Hex keeps the name unique per serial on the case-insensitive flash drive
+    return DRIVEAGE_HISTORY_DIR . '/' . bin2hex($serial) . '.json';
+}
+
+/**
+ * List the serial numbers that have a history file
+ *
+ * @return array Serial numbers
+ */
+function getHistorySerials() {
+    $serials = [];
+
+    foreach (glob(DRIVEAGE_HISTORY_DIR . '/*.json') ?: [] as $file) {
+        $name = basename($file, '.json');
+        if (strlen($name) % 2 !== 0 || !ctype_xdigit($name)) {
+            continue;
+        }
+
+        $serial = hex2bin($name);
+        if (isValidSerial($serial)) {
+            $serials[] = $serial;
+        }
+    }
+
+    return $serials;
+}
+
+/**
+ * Initialize history directory
+ *
+ * @return bool True if directory exists/created, false on failure
+ */
+function initHistoryDirectory() {
+    if (!is_dir(DRIVEAGE_HISTORY_DIR)) {
+        if (!@mkdir(DRIVEAGE_HISTORY_DIR, 0755, true)) {
+            error_log('DriveAge: Failed to create history directory: ' . DRIVEAGE_HISTORY_DIR);
+            return false;
+        }
+    }
+
+    // Verify directory is not a symlink (security check)
+    if (is_link(DRIVEAGE_HISTORY_DIR)) {
+        error_log('DriveAge: History directory is a symlink (security violation): ' . DRIVEAGE_HISTORY_DIR);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Load recorded history for a drive
+ *
+ * @param string $serial Drive serial number
+ * @return array|null History array ['serial', 'model', 'samples' => [...]] or null if none
+ */
+function loadDriveHistory($serial) {
+    if (!isValidSerial($serial)) {
+        return null;
+    }
+
+    $historyFile = getHistoryFilePath($serial);
+
+    if (!file_exists($historyFile)) {
+        return null;
+    }
+
+    $history = loadJsonFile($historyFile);
+    if (!isset($history['samples']) || !is_array($history['samples']) || ($history['serial'] ?? null) !== $serial) {
+        error_log('DriveAge: Invalid history data for ' . $serial);
+        return null;
+    }
+
+    return $history;
+}
+
+/**
+ * Save history for a drive (atomic write)
+ *
+ * @param string $serial Drive serial number
+ * @param array $history History array
+ * @return bool True on success
+ */
+function saveDriveHistory($serial, $history) {
+    if (!isValidSerial($serial) || !initHistoryDirectory()) {
+        return false;
+    }
+
+    return saveJsonFile(getHistoryFilePath($serial), $history, false);
+}
+
+/**
+ * Build a snapshot of a drive's current SMART metrics
+ *
+ * @param array $drive Drive information from getDriveInfo()
+ * @return array Snapshot with timestamp and metric values
+ */
+function buildDriveSnapshot($drive) {
+    $snapshot = ['timestamp' => time()];
+
+    foreach (array_keys(getHistoryMetrics()) as $metric) {
+        $value = $drive[$metric] ?? null;
+        $snapshot[$metric] = is_numeric($value) ? $value + 0 : null;
+    }
+
+    return $snapshot;
+}
+
+/**
+ * Record a snapshot for a drive if the sample interval has elapsed
+ *
+ * Drives in standby are skipped: their SMART values are cached or missing,
+ * so a snapshot would record stale data as a new reading.
+ *
+ * @param array $drive Drive information from getDriveInfo()
+ * @param array $config Plugin configuration
+ * @return bool True if a snapshot was written
+ */
+function recordDriveSnapshot($drive, $config) {
+    $serial = $drive['serial'] ?? null;
+
+    if (!isValidSerial($serial) || !empty($drive['is_standby']) || empty($drive['power_on_hours'])) {
+        return false;
+    }
+
+    $intervalSeconds = max(1, intval($config['HISTORY_INTERVAL'])) * 3600;
+    $retentionSeconds = max(30, intval($config['HISTORY_RETENTION_DAYS'])) * 86400;
+
+    $history = loadDriveHistory($serial) ?? [
+        'serial' => $serial,
+        'model' => $drive['model'] ?? 'Unknown',
+        'physical_type' => $drive['physical_type'] ?? 'hdd',
+        'samples' => []
+    ];
+
+    $now = time();
+    $lastSample = end($history['samples']);
+
+    // Allow a few minutes of slack so an hourly cron doesn't skip a whole interval
+    if ($lastSample && ($now - intval($lastSample['timestamp'])) < ($intervalSeconds - 300)) {
+        return false;
+    }
+
+    $history['samples'][] = buildDriveSnapshot($drive);
+
+    // Drop samples outside the retention window
+    $history['samples'] = array_values(array_filter($history['samples'], function($sample) use ($now, $retentionSeconds) {
+        return ($now - intval($sample['timestamp'])) <= $retentionSeconds;
+    }));
+
+    $history['model'] = $drive['model'] ?? $history['model'];
+    $history['physical_type'] = $drive['physical_type'] ?? $history['physical_type'];
+    $history['last_updated'] = date('Y-m-d H:i:s', $now);
+
+    return saveDriveHistory($serial, $history);
+}
+
+/**
+ * Record snapshots for all drives
+ *
+ * @param array $drives Drives from getAllDrives()
+ * @param array $config Plugin configuration
+ * @return int Number of snapshots written
+ */
+function recordHistorySnapshots($drives, $config) {
+    if (($config['HISTORY_ENABLED'] ?? 'true') !== 'true') {
+        return 0;
+    }
+
+    $recorded = 0;
+
+    foreach ($drives as $drive) {
+        if (recordDriveSnapshot($drive, $config)) {
+            $recorded++;
+        }
+    }
+
+    return $recorded;
+}
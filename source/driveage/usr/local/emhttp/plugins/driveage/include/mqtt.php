@@ -0,0 +1,676 @@
+<?php
+/**
+ * DriveAge Plugin - MQTT Publisher
+ *
+ * Publishes per-drive state and the fleet summary to an MQTT broker, with
+ * Home Assistant discovery so each drive appears as a device with sensors.
+ * Uses a minimal MQTT 3.1.1 client (QoS 0, retained messages) - each run
+ * connects, publishes and disconnects.
+ *
+ * Availability: every connection registers "offline" on <prefix>/status as
+ * its last will and publishes "online" there, so a dropped connection marks
+ * the sensors unavailable. Sensors also expire if publishing stops.
+ *
+ * Retained topics that are no longer published (a drive was removed, the
+ * topic or discovery prefix changed, discovery was turned off) are cleared,
+ * so neither the broker nor Home Assistant keeps stale drives.
+ */
+
+require_once 'config.php';
+require_once 'helpers.php';
+require_once 'cache.php';
+require_once 'history.php';
+require_once 'api.php';
+
+// Last publish time and risk categories (ramdisk - a reboot just triggers a full publish)
+define('DRIVEAGE_MQTT_STATE_FILE', DRIVEAGE_CACHE_DIR . '/mqtt_state.json');
+
+// Retained topics of the last publish (flash, so drives removed while the server was off are
+// still cleared - only rewritten when the set of topics changes)
+define('DRIVEAGE_MQTT_TOPICS_FILE', DRIVEAGE_CONFIG_DIR . '/mqtt_topics.json');
+
+// Socket connect/read timeout and keepalive, in seconds
+define('DRIVEAGE_MQTT_TIMEOUT', 10);
+define('DRIVEAGE_MQTT_KEEPALIVE', 60);
+
+// Publishing is checked by cron every 5 minutes; allow for cron start jitter
+define('DRIVEAGE_MQTT_INTERVAL_TOLERANCE', 60);
+
+// MQTT control packet types
+define('DRIVEAGE_MQTT_CONNECT', 1);
+define('DRIVEAGE_MQTT_CONNACK', 2);
+define('DRIVEAGE_MQTT_PUBLISH', 3);
+define('DRIVEAGE_MQTT_DISCONNECT', 14);
+
+// CONNACK return codes
+define('DRIVEAGE_MQTT_CONNECT_ERRORS', [
+    1 => 'Broker does not support MQTT 3.1.1',
+    2 => 'Client ID rejected by the broker',
+    3 => 'Broker unavailable',
+    4 => 'Bad username or password',
+    5 => 'Not authorized'
+]);
+
+// Home Assistant sensors per drive: key => discovery settings (values from the drive state topic)
+define('DRIVEAGE_MQTT_DRIVE_SENSORS', [
+    'risk' => [
+        'name' => 'Risk',
+        'value_template' => '{{ value_json.risk_label }}',
+        'icon' => 'mdi:harddisk',
+        'attributes' => true
+    ],
+    'temperature' => [
+        'name' => 'Temperature',
+        'value_template' => '{{ value_json.temperature }}',
+        'device_class' => 'temperature',
+        'unit_of_measurement' => '°C',
+        'state_class' => 'measurement'
+    ],
+    'power_on_hours' => [
+        'name' => 'Power-On Hours',
+        'value_template' => '{{ value_json.power_on_hours }}',
+        'device_class' => 'duration',
+        'unit_of_measurement' => 'h',
+        'state_class' => 'total_increasing',
+        'icon' => 'mdi:clock-outline'
+    ],
+    'months_remaining' => [
+        'name' => 'Replacement In',
+        'value_template' => '{{ value_json.months_remaining }}',
+        'unit_of_measurement' => 'months',
+        'state_class' => 'measurement',
+        'icon' => 'mdi:calendar-clock'
+    ],
+    'warnings' => [
+        'name' => 'Health Warnings',
+        'value_template' => '{{ value_json.warning_count }}',
+        'state_class' => 'measurement',
+        'icon' => 'mdi:alert-outline'
+    ]
+]);
+
+// Home Assistant sensors for the fleet summary topic
+define('DRIVEAGE_MQTT_SUMMARY_SENSORS', [
+    'drive_count' => [
+        'name' => 'Drives',
+        'value_template' => '{{ value_json.drive_count }}',
+        'state_class' => 'measurement',
+        'icon' => 'mdi:harddisk',
+        'attributes' => true
+    ],
+    'high_risk' => [
+        'name' => 'High Risk Drives',
+        'value_template' => '{{ value_json.risk_counts.high_risk }}',
+        'state_class' => 'measurement',
+        'icon' => 'mdi:alert-octagon-outline'
+    ],
+    'elevated_risk' => [
+        'name' => 'Elevated Risk Drives',
+        'value_template' => '{{ value_json.risk_counts.elevated_risk }}',
+        'state_class' => 'measurement',
+        'icon' => 'mdi:alert-outline'
+    ],
+    'drives_with_warnings' => [
+        'name' => 'Drives With Warnings',
+        'value_template' => '{{ value_json.drives_with_warnings }}',
+        'state_class' => 'measurement',
+        'icon' => 'mdi:alert-outline'
+    ],
+    'next_replacement' => [
+        'name' => 'Next Replacement In',
+        'value_template' => '{{ value_json.next_replacement.months_remaining if value_json.next_replacement else None }}',
+        'unit_of_measurement' => 'months',
+        'state_class' => 'measurement',
+        'icon' => 'mdi:calendar-clock'
+    ],
+    'hottest_drive' => [
+        'name' => 'Hottest Drive',
+        'value_template' => '{{ value_json.worst_temperature.temperature if value_json.worst_temperature else None }}',
+        'device_class' => 'temperature',
+        'unit_of_measurement' => '°C',
+        'state_class' => 'measurement'
+    ]
+]);
+
+/**
+ * Read and check the MQTT settings from the plugin configuration
+ *
+ * @param array $config Plugin configuration
+ * @return array ['settings' => array, 'errors' => list of messages]
+ */
+function getMqttSettings($config) {
+    $errors = [];
+
+    $host = trim($config['MQTT_HOST'] ?? '');
+    if ($host === '') {
+        $errors[] = 'Broker host is not set';
+    } elseif (!preg_match('/^([A-Za-z0-9.\-]{1,253}|\[?[0-9A-Fa-f:.]{2,45}\]?)$/', $host)) {
+        $errors[] = 'Broker host must be a host name or IP address';
+    }
+
+    $port = intval($config['MQTT_PORT'] ?? 1883);
+    if ($port < 1 || $port > 65535) {
+        $errors[] = 'Broker port must be between 1 and 65535';
+    }
+
+    foreach (['MQTT_USERNAME' => 'Username', 'MQTT_PASSWORD' => 'Password'] as $field => $label) {
+        if (!preg_match(DRIVEAGE_MQTT_CREDENTIAL_PATTERN, $config[$field] ?? '')) {
+            $errors[] = "$label may not contain double quotes or control characters (at most 256 characters)";
+        }
+    }
+
+    $prefix = trim($config['MQTT_TOPIC_PREFIX'] ?? '', '/');
+    if (!preg_match(DRIVEAGE_MQTT_TOPIC_PATTERN, $prefix)) {
+        $errors[] = 'Topic prefix may only contain letters, numbers, _, - and /';
+    }
+
+    $discoveryPrefix = trim($config['MQTT_DISCOVERY_PREFIX'] ?? '', '/');
+    if (($config['MQTT_DISCOVERY'] ?? 'true') === 'true' && !preg_match(DRIVEAGE_MQTT_TOPIC_PATTERN, $discoveryPrefix)) {
+        $errors[] = 'Discovery prefix may only contain letters, numbers, _, - and /';
+    }
+
+    // Client IDs longer than 23 characters may be rejected by MQTT 3.1.1 brokers
+    $hostname = gethostname() ?: 'unraid';
+    $hostId = strtolower(preg_replace('/[^A-Za-z0-9]/', '', $hostname)) ?: 'unraid';
+
+    return [
+        'settings' => [
+            'host' => trim($host, '[]'),
+            'port' => $port,
+            'username' => $config['MQTT_USERNAME'] ?? '',
+            'password' => $config['MQTT_PASSWORD'] ?? '',
+            'tls' => ($config['MQTT_TLS'] ?? 'false') === 'true',
+            'tls_verify' => ($config['MQTT_TLS_VERIFY'] ?? 'true') === 'true',
+            'prefix' => $prefix,
+            'discovery' => ($config['MQTT_DISCOVERY'] ?? 'true') === 'true',
+            'discovery_prefix' => $discoveryPrefix,
+            'interval' => max(5, min(1440, intval($config['MQTT_INTERVAL'] ?? 15))),
+            'hostname' => $hostname,
+            'host_id' => $hostId,
+            'client_id' => 'driveage-' . substr($hostId, 0, 14)
+        ],
+        'errors' => $errors
+    ];
+}
+
+/**
+ * Encode a UTF-8 string field (2-byte length prefix)
+ *
+ * @param string $value Value
+ * @return string Encoded field
+ */
+function encodeMqttString($value) {
+    return pack('n', strlen($value)) . $value;
+}
+
+/**
+ * Encode a control packet: fixed header with variable-length remaining length, then the body
+ *
+ * @param int $type Packet type (DRIVEAGE_MQTT_*)
+ * @param int $flags Fixed header flags (low 4 bits)
+ * @param string $body Variable header and payload
+ * @return string Packet bytes
+ */
+function encodeMqttPacket($type, $flags, $body) {
+    $length = strlen($body);
+    $encodedLength = '';
+
+    do {
+        $byte = $length % 128;
+        $length = intdiv($length, 128);
+        if ($length > 0) {
+            $byte |= 0x80;
+        }
+        $encodedLength .= chr($byte);
+    } while ($length > 0);
+
+    return chr(($type << 4) | $flags) . $encodedLength . $body;
+}
+
+/**
+ * Write a whole packet to the socket
+ *
+ * @param resource $socket Connection
+ * @param string $packet Packet bytes
+ * @return bool True if everything was written
+ */
+function writeMqttPacket($socket, $packet) {
+    while ($packet !== '') {
+        $written = @fwrite($socket, $packet);
+        if ($written === false || $written === 0) {
+            return false;
+        }
+        $packet = substr($packet, $written);
+    }
+
+    return true;
+}
+
+/**
+ * Read an exact number of bytes from the socket
+ *
+ * @param resource $socket Connection
+ * @param int $length Bytes to read
+ * @return string|null Bytes, or null on timeout or a closed connection
+ */
+function readMqttBytes($socket, $length) {
+    $data = '';
+
+    while (strlen($data) < $length) {
+        $chunk = @fread($socket, $length - strlen($data));
+        if ($chunk === false || $chunk === '') {
+            $meta = stream_get_meta_data($socket);
+            if ($meta['timed_out'] || $meta['eof'] || $chunk === false) {
+                return null;
+            }
+        }
+        $data .= $chunk;
+    }
+
+    return $data;
+}
+
+/**
+ * Connect and log in to the broker
+ *
+ * Registers "offline" (retained) on <prefix>/status as the last will.
+ *
+ * @param array $settings Settings from getMqttSettings()
+ * @param string|null $error Set to the reason on failure
+ * @return resource|false Connection, or false on failure
+ */
+function openMqttConnection($settings, &$error = null) {
+    $host = $settings['host'];
+    $address = ($settings['tls'] ? 'tls' : 'tcp') . '://'
+        . (strpos($host, ':') !== false ? "[$host]" : $host) . ':' . $settings['port'];
+
+    $context = stream_context_create(['ssl' => [
+        'verify_peer' => $settings['tls_verify'],
+        'verify_peer_name' => $settings['tls_verify'],
+        'peer_name' => $host,
+        'SNI_enabled' => true
+    ]]);
+
+    $socket = @stream_socket_client($address, $errno, $errstr, DRIVEAGE_MQTT_TIMEOUT, STREAM_CLIENT_CONNECT, $context);
+    if ($socket === false) {
+        $error = "Cannot connect to $host:{$settings['port']}" . ($errstr !== '' ? " ($errstr)" : '')
+            . ($settings['tls'] ? ' - check the port and certificate' : '');
+        return false;
+    }
+    stream_set_timeout($socket, DRIVEAGE_MQTT_TIMEOUT);
+
+    // Connect flags: clean session (0x02), will (0x04), will retain (0x20), password (0x40), username (0x80)
+    $flags = 0x02 | 0x04 | 0x20;
+    $payload = encodeMqttString($settings['client_id'])
+        . encodeMqttString($settings['prefix'] . '/status')
+        . encodeMqttString('offline');
+
+    // MQTT 3.1.1 only allows a password together with a username
+    if ($settings['username'] !== '') {
+        $flags |= 0x80;
+        $payload .= encodeMqttString($settings['username']);
+
+        if ($settings['password'] !== '') {
+            $flags |= 0x40;
+            $payload .= encodeMqttString($settings['password']);
+        }
+    }
+
+    $body = encodeMqttString('MQTT') . chr(4) . chr($flags) . pack('n', DRIVEAGE_MQTT_KEEPALIVE) . $payload;
+
+    if (!writeMqttPacket($socket, encodeMqttPacket(DRIVEAGE_MQTT_CONNECT, 0, $body))) {
+        fclose($socket);
+        $error = 'Connection closed by the broker';
+        return false;
+    }
+
+    $ack = readMqttBytes($socket, 4);
+    if ($ack === null || ord($ack[0]) >> 4 !== DRIVEAGE_MQTT_CONNACK) {
+        fclose($socket);
+        $error = 'No valid response from the broker - check that the port is an MQTT listener'
+            . ($settings['tls'] ? '' : ' (and whether it requires TLS)');
+        return false;
+    }
+
+    $code = ord($ack[3]);
+    if ($code !== 0) {
+        fclose($socket);
+        $error = DRIVEAGE_MQTT_CONNECT_ERRORS[$code] ?? "Connection refused (code $code)";
+        return false;
+    }
+
+    return $socket;
+}
+
+/**
+ * Publish a message (QoS 0)
+ *
+ * @param resource $socket Connection from openMqttConnection()
+ * @param string $topic Topic
+ * @param string $payload Payload ('' with retain deletes a retained message)
+ * @param bool $retain Retain the message on the broker
+ * @return bool True if written
+ */
+function publishMqttMessage($socket, $topic, $payload, $retain = true) {
+    return writeMqttPacket($socket, encodeMqttPacket(DRIVEAGE_MQTT_PUBLISH, $retain ? 1 : 0, encodeMqttString($topic) . $payload));
+}
+
+/**
+ * Disconnect cleanly (the broker discards the last will)
+ *
+ * @param resource $socket Connection from openMqttConnection()
+ * @return void
+ */
+function closeMqttConnection($socket) {
+    writeMqttPacket($socket, encodeMqttPacket(DRIVEAGE_MQTT_DISCONNECT, 0, ''));
+    fclose($socket);
+}
+
+/**
+ * Get the topic-safe ID for a drive
+ *
+ * Serials that had to be changed get a short hash of the original, so
+ * "WD 123", "WD.123" and "wd_123" don't share topics and sensors.
+ *
+ * @param string $serial Drive serial number
+ * @return string Lowercase ID
+ */
+function getMqttDriveId($serial) {
+    $id = strtolower(preg_replace('/[^A-Za-z0-9_-]/', '_', $serial));
+    return $id === $serial ? $id : $id . '_' . substr(md5($serial), 0, 8);
+}
+
+/**
+ * Build the state published for a drive
+ *
+ * @param array $drive Drive information from getDriveInfo()
+ * @return array Drive state (temperature in Celsius, null when unknown)
+ */
+function buildMqttDriveState($drive) {
+    return [
+        'serial' => $drive['serial'],
+        'model' => $drive['model'],
+        'device_name' => $drive['device_name'],
+        'drive_type' => $drive['drive_type'],
+        'physical_type' => $drive['physical_type'],
+        'risk_category' => $drive['age_category'],
+        'risk_label' => $drive['age_label'],
+        'temperature' => is_numeric($drive['temperature']) ? intval($drive['temperature']) : null,
+        'power_on_hours' => $drive['power_on_hours'],
+        'months_remaining' => $drive['replacement_prediction']['months_remaining'] ?? null,
+        'warning_count' => count($drive['health_warnings'] ?? []),
+        'smart_status' => $drive['smart_status'],
+        'is_standby' => $drive['is_standby']
+    ];
+}
+
+/**
+ * Build Home Assistant discovery configs
+ *
+ * @param array $sensors Sensor definitions (DRIVEAGE_MQTT_*_SENSORS)
+ * @param string $objectPrefix Unique ID prefix for the sensors
+ * @param string $stateTopic Topic the sensors read
+ * @param array $device Home Assistant device block
+ * @param array $settings Settings from getMqttSettings()
+ * @return array Discovery topic => config
+ */
+function buildMqttDiscoveryConfigs($sensors, $objectPrefix, $stateTopic, $device, $settings) {
+    $configs = [];
+
+    foreach ($sensors as $key => $sensor) {
+        $objectId = $objectPrefix . '_' . $key;
+        $config = [
+            'name' => $sensor['name'],
+            'unique_id' => $objectId,
+            'object_id' => $objectId,
+            'state_topic' => $stateTopic,
+            'value_template' => $sensor['value_template'],
+            'availability_topic' => $settings['prefix'] . '/status',
+            'payload_available' => 'online',
+            'payload_not_available' => 'offline',
+            // Unavailable after two missed publishes
+            'expire_after' => ($settings['interval'] * 2 + 5) * 60,
+            'device' => $device,
+            'origin' => ['name' => 'DriveAge']
+        ];
+
+        foreach (['device_class', 'unit_of_measurement', 'state_class', 'icon'] as $field) {
+            if (isset($sensor[$field])) {
+                $config[$field] = $sensor[$field];
+            }
+        }
+        if (!empty($sensor['attributes'])) {
+            $config['json_attributes_topic'] = $stateTopic;
+        }
+
+        $configs[$settings['discovery_prefix'] . '/sensor/driveage/' . $objectId . '/config'] = $config;
+    }
+
+    return $configs;
+}
+
+/**
+ * Build every message of a full publish
+ *
+ * Drives without a usable serial number are skipped (no stable topic).
+ *
+ * @param array $drives Drives from getAllDrives()
+ * @param array $settings Settings from getMqttSettings()
+ * @return array Topic => payload string
+ */
+function buildMqttMessages($drives, $settings) {
+    $prefix = $settings['prefix'];
+    $serverDevice = [
+        'identifiers' => ['driveage_' . $settings['host_id']],
+        'name' => 'DriveAge (' . $settings['hostname'] . ')',
+        'manufacturer' => 'DriveAge',
+        'model' => 'Drive fleet'
+    ];
+
+    $messages = [$prefix . '/status' => 'online'];
+    $discovery = [];
+
+    foreach ($drives as $drive) {
+        if (!isValidSerial($drive['serial'] ?? '')) {
+            continue;
+        }
+
+        $driveId = getMqttDriveId($drive['serial']);
+        $stateTopic = "$prefix/drive/$driveId/state";
+        $messages[$stateTopic] = json_encode(buildMqttDriveState($drive), JSON_UNESCAPED_SLASHES);
+
+        if ($settings['discovery']) {
+            $device = [
+                'identifiers' => ['driveage_' . $driveId],
+                'name' => $drive['model'] . ' (' . $drive['serial'] . ')',
+                'model' => $drive['model'],
+                'serial_number' => $drive['serial'],
+                'via_device' => 'driveage_' . $settings['host_id']
+            ];
+            $discovery += buildMqttDiscoveryConfigs(DRIVEAGE_MQTT_DRIVE_SENSORS, 'driveage_' . $driveId, $stateTopic, $device, $settings);
+        }
+    }
+
+    $summaryTopic = "$prefix/summary";
+    $messages[$summaryTopic] = json_encode(getApiSummaryResource($drives), JSON_UNESCAPED_SLASHES);
+
+    if ($settings['discovery']) {
+        $discovery += buildMqttDiscoveryConfigs(DRIVEAGE_MQTT_SUMMARY_SENSORS, 'driveage_' . $settings['host_id'], $summaryTopic, $serverDevice, $settings);
+    }
+
+    // Discovery configs first, so Home Assistant has the sensors before their states arrive
+    $ordered = [];
+    foreach ($discovery as $topic => $config) {
+        $ordered[$topic] = json_encode($config, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+    }
+
+    return array_merge($ordered, $messages);
+}
+
+/**
+ * Load the last publish state
+ *
+ * @return array|null ['published_at' => int, 'categories' => [serial => category]], or null if nothing was published since boot
+ */
+function loadMqttState() {
+    return loadJsonFile(DRIVEAGE_MQTT_STATE_FILE);
+}
+
+/**
+ * Save the publish state (atomic write)
+ *
+ * @param array $state State to save
+ * @return bool True on success
+ */
+function saveMqttState($state) {
+    return initCacheDirectory() && saveJsonFile(DRIVEAGE_MQTT_STATE_FILE, $state, false);
+}
+
+/**
+ * Load the retained topics of the last publish
+ *
+ * @return array List of topics
+ */
+function loadMqttTopics() {
+    $topics = loadJsonFile(DRIVEAGE_MQTT_TOPICS_FILE);
+
+    return is_array($topics) ? array_values(array_filter($topics, 'is_string')) : [];
+}
+
+/**
+ * Save the retained topics of a publish (atomic write)
+ *
+ * @param array $topics List of topics
+ * @return bool True on success
+ */
+function saveMqttTopics($topics) {
+    return saveJsonFile(DRIVEAGE_MQTT_TOPICS_FILE, array_values($topics), false);
+}
+
+/**
+ * Find drives whose risk category changed since the last publish
+ *
+ * @param array $drives Drives from getAllDrives()
+ * @param array|null $state State from loadMqttState()
+ * @return array Serials of changed drives (drives seen for the first time count as changed)
+ */
+function getMqttCategoryChanges($drives, $state) {
+    $previous = $state['categories'] ?? [];
+    $changed = [];
+
+    foreach ($drives as $drive) {
+        $serial = $drive['serial'] ?? '';
+        if (isValidSerial($serial) && ($previous[$serial] ?? null) !== $drive['age_category']) {
+            $changed[] = $serial;
+        }
+    }
+
+    return $changed;
+}
+
+/**
+ * Publish drive state when it is due or a risk category changed
+ *
+ * @param array $drives Drives from getAllDrives()
+ * @param array $config Plugin configuration
+ * @param bool $force Publish even if not due
+ * @return array ['published' => bool, 'messages' => int, 'cleared' => int, 'changed' => list of serials, 'error' => string|null]
+ */
+function publishMqttUpdate($drives, $config, $force = false) {
+    $result = ['published' => false, 'messages' => 0, 'cleared' => 0, 'changed' => [], 'error' => null];
+
+    $checked = getMqttSettings($config);
+    if (!empty($checked['errors'])) {
+        $result['error'] = implode('; ', $checked['errors']);
+        return $result;
+    }
+    $settings = $checked['settings'];
+
+    $state = loadMqttState();
+    $result['changed'] = getMqttCategoryChanges($drives, $state);
+    $due = $state === null
+        || time() - intval($state['published_at'] ?? 0) >= $settings['interval'] * 60 - DRIVEAGE_MQTT_INTERVAL_TOLERANCE;
+
+    if (!$force && !$due && empty($result['changed'])) {
+        return $result;
+    }
+
+    $socket = openMqttConnection($settings, $error);
+    if ($socket === false) {
+        $result['error'] = $error;
+        return $result;
+    }
+
+    $messages = buildMqttMessages($drives, $settings);
+    foreach ($messages as $topic => $payload) {
+        if (!publishMqttMessage($socket, $topic, $payload)) {
+            fclose($socket);
+            $result['error'] = 'Connection lost while publishing';
+            return $result;
+        }
+        $result['messages']++;
+    }
+
+    // An empty retained message deletes the topic (and removes a discovered sensor)
+    $topics = array_keys($messages);
+    $previousTopics = loadMqttTopics();
+    foreach (array_diff($previousTopics, $topics) as $topic) {
+        if (!publishMqttMessage($socket, $topic, '')) {
+            fclose($socket);
+            $result['error'] = 'Connection lost while clearing removed drives';
+            return $result;
+        }
+        $result['cleared']++;
+    }
+
+    closeMqttConnection($socket);
+
+    sort($topics);
+    sort($previousTopics);
+    if ($topics !== $previousTopics) {
+        saveMqttTopics($topics);
+    }
+
+    $categories = [];
+    foreach ($drives as $drive) {
+        if (isValidSerial($drive['serial'] ?? '')) {
+            $categories[$drive['serial']] = $drive['age_category'];
+        }
+    }
+    saveMqttState(['published_at' => time(), 'categories' => $categories]);
+
+    $result['published'] = true;
+
+    return $result;
+}
+
+/**
+ * Mark DriveAge offline on the broker (MQTT turned off or plugin removed)
+ *
+ * Only does anything if a publish happened since boot.
+ *
+ * @param array $config Plugin configuration
+ * @return bool True if the offline status was published
+ */
+function publishMqttOffline($config) {
+    if (loadMqttState() === null) {
+        return false;
+    }
+    @unlink(DRIVEAGE_MQTT_STATE_FILE);
+
+    $checked = getMqttSettings($config);
+    if (!empty($checked['errors'])) {
+        return false;
+    }
+
+    $socket = openMqttConnection($checked['settings'], $error);
+    if ($socket === false) {
+        error_log('DriveAge: MQTT offline status not published: ' . $error);
+        return false;
+    }
+
+    publishMqttMessage($socket, $checked['settings']['prefix'] . '/status', 'offline');
+    closeMqttConnection($socket);
+
+    return true;
+}
@@ -0,0 +1,230 @@
+<?php
+/**
+ * DriveAge Plugin - Notification Alerts
+ *
+ * Compares the current drive state with the last known state and raises
+ * Unraid notifications when risk category or health state changes.
+ */
+
+require_once 'config.php';
+require_once 'helpers.php';
+
+// Last known drive state (persistent, on flash - only rewritten when it changes)
+define('DRIVEAGE_ALERT_STATE_FILE', DRIVEAGE_CONFIG_DIR . '/alert_state.json');
+
+// Unraid notification script
+define('DRIVEAGE_NOTIFY_SCRIPT', '/usr/local/emhttp/webGui/scripts/notify');
+
+/**
+ * Get notification event types
+ *
+ * @return array Event key => config toggle key
+ */
+function getNotificationEvents() {
+    return [
+        'category_change' => 'NOTIFY_CATEGORY_CHANGE',
+        'new_warning' => 'NOTIFY_NEW_WARNING',
+        'warning_increase' => 'NOTIFY_WARNING_INCREASE',
+        'replacement_horizon' => 'NOTIFY_REPLACEMENT'
+    ];
+}
+
+/**
+ * Build the alert state for a drive
+ *
+ * @param array $drive Drive information from getDriveInfo()
+ * @return array Drive state
+ */
+function buildDriveAlertState($drive) {
+    $warnings = [];
+    foreach ($drive['health_warnings'] ?? [] as $warning) {
+        $warnings[$warning['attribute']] = [
+            'level' => $warning['level'],
+            'value' => is_numeric($warning['value'] ?? null) ? $warning['value'] + 0 : null
+        ];
+    }
+
+    return [
+        'device_name' => $drive['device_name'],
+        'identification' => $drive['identification'],
+        'age_category' => $drive['age_category'],
+        'warnings' => $warnings,
+        'months_remaining' => $drive['replacement_prediction']['months_remaining'] ?? null
+    ];
+}
+
+/**
+ * Load the last known alert state
+ *
+ * @return array|null State keyed by serial, or null if no state has been recorded yet
+ */
+function loadAlertState() {
+    return loadJsonFile(DRIVEAGE_ALERT_STATE_FILE);
+}
+
+/**
+ * Save the alert state (atomic write)
+ *
+ * @param array $state State keyed by serial
+ * @return bool True on success
+ */
+function saveAlertState($state) {
+    return saveJsonFile(DRIVEAGE_ALERT_STATE_FILE, $state);
+}
+
+/**
+ * Compare previous and current drive state and build notifications
+ *
+ * @param array|null $previous Previous drive state (null for a drive seen for the first time)
+ * @param array $current Current drive state
+ * @param array $config Plugin configuration
+ * @return array Notifications [['event' => string, 'importance' => string, 'subject' => string, 'description' => string]]
+ */
+function detectDriveAlerts($previous, $current, $config) {
+    $alerts = [];
+    $name = $current['device_name'] . ' (' . $current['identification'] . ')';
+    $previousWarnings = $previous['warnings'] ?? [];
+
+    // Risk category change
+    if ($previous !== null && $previous['age_category'] !== $current['age_category']) {
+        $oldRank = array_search($previous['age_category'], DRIVEAGE_RISK_ORDER, true);
+        $newRank = array_search($current['age_category'], DRIVEAGE_RISK_ORDER, true);
+
+        if ($current['age_category'] === 'high_risk') {
+            $importance = 'alert';
+        } elseif ($oldRank !== false && $newRank !== false && $newRank > $oldRank) {
+            $importance = 'warning';
+        } else {
+            $importance = 'normal';
+        }
+
+        $alerts[] = [
+            'event' => 'category_change',
+            'importance' => $importance,
+            'subject' => "$name risk changed to " . getAgeLabel($current['age_category'], $config),
+            'description' => 'Risk category changed from ' . getAgeLabel($previous['age_category'], $config)
+                . ' to ' . getAgeLabel($current['age_category'], $config) . '.'
+        ];
+    }
+
+    // New and increasing health warnings
+    foreach ($current['warnings'] as $attribute => $warning) {
+        $importance = $warning['level'] === 'critical' ? 'alert' : 'warning';
+        $label = ucwords(str_replace('_', ' ', $attribute));
+
+        if (!isset($previousWarnings[$attribute])) {
+            $alerts[] = [
+                'event' => 'new_warning',
+                'importance' => $importance,
+                'subject' => "$name: $label",
+                'description' => "New health warning: $label" . ($warning['value'] !== null ? " (value {$warning['value']})" : '') . '.'
+            ];
+        } elseif ($warning['value'] !== null && $previousWarnings[$attribute]['value'] !== null
+                  && $warning['value'] > $previousWarnings[$attribute]['value']) {
+            $alerts[] = [
+                'event' => 'warning_increase',
+                'importance' => $importance,
+                'subject' => "$name: $label increased",
+                'description' => "$label increased from {$previousWarnings[$attribute]['value']} to {$warning['value']}."
+            ];
+        }
+    }
+
+    // Estimated replacement dropped inside the horizon
+    $horizon = intval($config['NOTIFY_HORIZON_MONTHS']);
+    $months = $current['months_remaining'];
+    $previousMonths = $previous['months_remaining'] ?? null;
+
+    if ($previous !== null && $months !== null && $months < $horizon
+        && ($previousMonths === null || $previousMonths >= $horizon)) {
+        $alerts[] = [
+            'event' => 'replacement_horizon',
+            'importance' => 'warning',
+            'subject' => "$name: replacement due within $horizon months",
+            'description' => "Estimated replacement in about $months month(s)."
+        ];
+    }
+
+    return $alerts;
+}
+
+/**
+ * Check all drives against the last known state and send notifications
+ *
+ * The first run only records a baseline. Drives without SMART data (standby,
+ * unreadable) keep their previous state so they don't trigger alerts when
+ * they come back.
+ *
+ * @param array $drives Drives from getAllDrives()
+ * @param array $config Plugin configuration
+ * @return int Number of notifications sent
+ */
+function checkDriveAlerts($drives, $config) {
+    $previousState = loadAlertState();
+    $state = $previousState ?? [];
+    $sent = 0;
+
+    $enabledEvents = [];
+    foreach (getNotificationEvents() as $event => $configKey) {
+        $enabledEvents[$event] = ($config[$configKey] ?? 'true') === 'true';
+    }
+
+    foreach ($drives as $drive) {
+        $serial = $drive['serial'] ?? 'Unknown';
+
+        if ($serial === 'Unknown' || empty($drive['power_on_hours'])) {
+            continue;
+        }
+
+        $current = buildDriveAlertState($drive);
+
+        if ($previousState !== null) {
+            $alerts = detectDriveAlerts($previousState[$serial] ?? null, $current, $config);
+
+            foreach ($alerts as $alert) {
+                if ($enabledEvents[$alert['event']] && sendNotification($alert['subject'], $alert['description'], $alert['importance'])) {
+                    $sent++;
+                }
+            }
+        }
+
+        $state[$serial] = $current;
+    }
+
+    // Avoid flash writes when nothing changed
+    if ($state !== $previousState) {
+        saveAlertState($state);
+    }
+
+    return $sent;
+}
+
+/**
+ * Send an Unraid notification
+ *
+ * @param string $subject Notification subject
+ * @param string $description Notification description
+ * @param string $importance 'normal', 'warning' or 'alert'
+ * @return bool True if the notify script succeeded
+ */
+function sendNotification($subject, $description, $importance = 'normal') {
+    if (!in_array($importance, ['normal', 'warning', 'alert'], true)) {
+        $importance = 'normal';
+    }
+
+    if (!is_executable(DRIVEAGE_NOTIFY_SCRIPT)) {
+        error_log('DriveAge: Notify script not found: ' . DRIVEAGE_NOTIFY_SCRIPT);
+        return false;
+    }
+
+    $command = DRIVEAGE_NOTIFY_SCRIPT
+        . ' -e ' . escapeshellarg('DriveAge')
+        . ' -s ' . escapeshellarg('DriveAge: ' . $subject)
+        . ' -d ' . escapeshellarg($description)
+        . ' -i ' . escapeshellarg($importance)
+        . ' -l ' . escapeshellarg('/Settings/DriveAge');
+
+    exec($command . ' 2>&1', $output, $exitCode);
+
+    return $exitCode === 0;
+}
@@ -3,39 +3,14 @@
  * DriveAge Plugin - Predictive Replacement Estimates
  *
  * Calculates estimated time-to-replacement for drives based on:
- * - HDD: Age + AFR curves + SMART health
+ * - HDD/SAS: Survival model from AFR curves + SMART error counts
  * - NVMe: Wear rate + TBW estimates
  */
 
 require_once 'config.php';
-
-/**
- * Estimate generic TBW rating based on drive capacity
- *
- * Uses conservative estimates from 2024 consumer drive market
- * Formula: 500 TBW per TB of capacity (TLC drives)
- *
- * Research sources:
- * - Tom's Hardware SSD Forums (2024)
- * - Industry average for consumer TLC drives
- *
- * @param int $sizeBytes Drive size in bytes
- * @return int Estimated TBW rating
- */
-function estimateNvmeTBW($sizeBytes) {
-    if ($sizeBytes <= 0) {
-        return 300; // Default minimum (typical for 256GB-512GB drives)
-    }
-
-    $sizeGB = $sizeBytes / (1024 * 1024 * 1024);
-    $sizeTB = $sizeGB / 1024;
-
-    // Conservative estimate: 500 TBW per TB
-    $estimatedTBW = round($sizeTB * 500);
-
-    // Minimum 250 TBW for small drives
-    return max($estimatedTBW, 250);
-}
+require_once 'afr.php';
+require_once 'endurance.php';
+require_once 'survival.php';
 
 /**
  * Calculate estimated remaining life for NVMe drive
@@ -52,6 +27,7 @@ function estimateNvmeRemainingLife($driveInfo, $predictionMode = 'conservative')
     $mediaErrors = $driveInfo['nvme_media_errors'] ?? 0;
     $criticalWarning = $driveInfo['nvme_critical_warning'] ?? 0;
     $sizeBytes = $driveInfo['size_bytes'] ?? 0;
+    $writeRates = $driveInfo['nvme_write_rates'] ?? null;
 
     // CRITICAL: Media errors or critical warning = immediate replacement
     if ($mediaErrors > 0 || $criticalWarning > 0) {
@@ -77,35 +53,56 @@ function estimateNvmeRemainingLife($driveInfo, $predictionMode = 'conservative')
         ];
     }
 
-    // Method 1: TBW calculation (most accurate if we have write data)
-    if ($tbwCalculated !== null && $tbwCalculated > 0 && $sizeBytes > 0) {
-        $estimatedMaxTBW = estimateNvmeTBW($sizeBytes);
-        $remainingTBW = $estimatedMaxTBW - $tbwCalculated;
+    // Method 1: TBW calculation (most accurate if we have write data; 0 written is a new drive)
+    if ($tbwCalculated !== null && $tbwCalculated >= 0 && $sizeBytes > 0) {
+        // Rated endurance when the drive or model is known, otherwise the capacity-based estimate
+        $endurance = getNvmeEnduranceRating($driveInfo['model'] ?? '', $driveInfo['serial'] ?? '', $sizeBytes);
+        $enduranceTBW = $endurance['tbw'];
+        $remainingTBW = $enduranceTBW - $tbwCalculated;
 
         if ($remainingTBW > 0) {
-            // Assume moderate write workload: 20 TB/year for home NAS
-            // Conservative mode: assume 30 TB/year (faster wear)
-            // Aggressive mode: assume 15 TB/year (slower wear)
-            $assumedWriteRate = ($predictionMode === 'conservative') ? 30 : 15;
-
-            $yearsRemaining = $remainingTBW / $assumedWriteRate;
-            $monthsRemaining = round($yearsRemaining * 12);
+            // Measured write rate from SMART history when available
+            // Conservative mode: busiest measured window (catches recent bursts)
+            // Aggressive mode: recent (30-day) rate
+            $measuredRate = ($predictionMode === 'conservative')
+                ? ($writeRates['peak_gb_per_day'] ?? null)
+                : ($writeRates['recent_gb_per_day'] ?? null);
+
+            if ($measuredRate !== null) {
+                $writeRate = round($measuredRate * 365 / 1000, 1);
+                $writeRateSource = 'measured';
+            } else {
+                // Assume moderate write workload: 20 TB/year for home NAS
+                // Conservative mode: assume 30 TB/year (faster wear)
+                // Aggressive mode: assume 15 TB/year (slower wear)
+                $writeRate = ($predictionMode === 'conservative') ? 30 : 15;
+                $writeRateSource = 'assumed';
+            }
 
-            // Cap at target age (same as HDD: 6 years conservative, 8 years aggressive)
+            // Calendar cap: 6 years conservative, 8 years aggressive
             $maxMonths = ($predictionMode === 'conservative') ? 72 : 96;
+
+            $monthsRemaining = $writeRate > 0 ? round($remainingTBW / $writeRate * 12) : $maxMonths;
             $monthsRemaining = min($monthsRemaining, $maxMonths);
 
             $timeline = getReplacementTimelineText($monthsRemaining);
 
+            $ratingText = $endurance['rated']
+                ? "rated {$enduranceTBW} TBW"
+                : "estimated {$enduranceTBW} TBW rating";
+
             return [
                 'months_remaining' => $monthsRemaining,
-                'confidence' => 'medium',
+                'confidence' => $endurance['rated'] ? 'high' : 'medium',
                 'method' => 'tbw_estimate',
-                'notes' => "Based on estimated {$estimatedMaxTBW} TBW rating and {$assumedWriteRate} TB/year write rate.",
-                'estimated_tbw' => $estimatedMaxTBW,
+                'notes' => "Based on {$ratingText} and {$writeRateSource} {$writeRate} TB/year write rate.",
+                'endurance_tbw' => $enduranceTBW,
+                'endurance_source' => $endurance['source'],
+                'endurance_dwpd' => $endurance['dwpd'],
                 'written_tbw' => $tbwCalculated,
                 'remaining_tbw' => round($remainingTBW, 1),
-                'assumed_write_rate' => $assumedWriteRate,
+                'write_rate' => $writeRate,
+                'write_rate_source' => $writeRateSource,
                 'timeline_text' => $timeline['text'],
                 'timeline_class' => $timeline['class']
             ];
@@ -115,6 +112,26 @@ function estimateNvmeRemainingLife($driveInfo, $predictionMode = 'conservative')
     // Method 2: Percentage Used (if < 100%, we can estimate)
     if ($percentageUsed !== null && $percentageUsed > 0 && $percentageUsed < 100) {
         $percentRemaining = 100 - $percentageUsed;
+        $wearPerMonth = $writeRates['wear_per_month'] ?? null;
+
+        // Measured wear velocity from SMART history replaces the assumed wear rate
+        // (only when Percentage Used actually moved within the window)
+        if ($wearPerMonth !== null && $wearPerMonth > 0) {
+            $maxMonths = ($predictionMode === 'conservative') ? 72 : 96;
+            $monthsRemaining = min(round($percentRemaining / $wearPerMonth), $maxMonths);
+            $timeline = getReplacementTimelineText($monthsRemaining);
+
+            return [
+                'months_remaining' => $monthsRemaining,
+                'confidence' => 'medium',
+                'method' => 'percentage_used_measured',
+                'notes' => "Based on measured wear of {$wearPerMonth}% per month.",
+                'percentage_used' => $percentageUsed,
+                'wear_per_month' => $wearPerMonth,
+                'timeline_text' => $timeline['text'],
+                'timeline_class' => $timeline['class']
+            ];
+        }
 
         // Rough linear estimate (not always accurate, but better than nothing)
         // Assume drive has been running for X time to reach Y% used
@@ -125,7 +142,7 @@ function estimateNvmeRemainingLife($driveInfo, $predictionMode = 'conservative')
         // Very rough: assume 1 year per 20% used (5 year expected life)
         $monthsRemaining = round(($percentRemaining / 20) * 12 / $wearMultiplier);
 
-        // Cap at target age (same as HDD: 6 years conservative, 8 years aggressive)
+        // Calendar cap: 6 years conservative, 8 years aggressive
         $maxMonths = ($predictionMode === 'conservative') ? 72 : 96;
         $monthsRemaining = min($monthsRemaining, $maxMonths);
 
@@ -156,7 +173,7 @@ function estimateNvmeRemainingLife($driveInfo, $predictionMode = 'conservative')
 
             $monthsRemaining = round(($spareRemaining / $spareConsumed) * 24 / $wearMultiplier);
 
-            // Cap at target age (same as HDD: 6 years conservative, 8 years aggressive)
+            // Calendar cap: 6 years conservative, 8 years aggressive
             $maxMonths = ($predictionMode === 'conservative') ? 72 : 96;
             $monthsRemaining = min($monthsRemaining, $maxMonths);
 
@@ -186,18 +203,18 @@ function estimateNvmeRemainingLife($driveInfo, $predictionMode = 'conservative')
 }
 
 /**
- * Calculate estimated remaining life for HDD based on age and AFR
+ * Calculate estimated remaining life for HDD from the survival model
  *
- * Uses Backblaze AFR curves: failure rate increases with age
- * Age-based estimates combined with SMART health warnings
+ * The estimate is the time until the chance of the drive failing before it
+ * is replaced reaches the acceptable risk. Model AFR and SMART error counts
+ * scale the hazard; their uncertainty gives the 80% interval around the median.
  *
  * @param array $driveInfo Complete drive information array
- * @param string $predictionMode 'conservative' or 'aggressive'
- * @return array ['months_remaining' => int|null, 'confidence' => string, 'reason' => string, ...]
+ * @param int $riskPercent Acceptable chance of failure before replacement, in percent
+ * @return array ['months_remaining' => int|null, 'months_low' => int, 'months_high' => int, 'confidence' => string, 'reason' => string, ...]
  */
-function estimateHddRemainingLife($driveInfo, $predictionMode = 'conservative') {
+function estimateHddRemainingLife($driveInfo, $riskPercent = 10) {
     $powerOnHours = $driveInfo['power_on_hours'] ?? null;
-    $healthWarnings = $driveInfo['health_warnings'] ?? [];
     $smartStatus = $driveInfo['smart_status'] ?? 'UNKNOWN';
 
     // No SMART data available - cannot make prediction
@@ -215,84 +232,85 @@ function estimateHddRemainingLife($driveInfo, $predictionMode = 'conservative')
     }
 
     $ageYears = $powerOnHours / 8760;
-
-    // CRITICAL: If drive has critical warnings, estimate very short remaining life
-    if (!empty($healthWarnings)) {
-        foreach ($healthWarnings as $warning) {
-            if ($warning['level'] === 'critical') {
-                return [
-                    'months_remaining' => 0,
-                    'confidence' => 'high',
-                    'reason' => 'Critical SMART warnings detected',
-                    'action' => 'Replace immediately',
-                    'timeline_text' => 'Replace Now',
-                    'timeline_class' => 'timeline-critical'
-                ];
-            }
-        }
-
-        // Non-critical warnings: conservative = 3 months, aggressive = 6 months
-        $months = ($predictionMode === 'conservative') ? 3 : 6;
-        $timeline = getReplacementTimelineText($months);
-
-        return [
-            'months_remaining' => $months,
-            'confidence' => 'medium',
-            'reason' => 'SMART warnings detected',
-            'action' => 'Plan replacement soon',
-            'timeline_text' => $timeline['text'],
-            'timeline_class' => $timeline['class']
-        ];
+    $risk = $riskPercent / 100;
+    $hazard = getHazardMultipliers($driveInfo);
+    $spread = exp(DRIVEAGE_SURVIVAL_INTERVAL_Z * $hazard['sigma']);
+
+    // A higher hazard reaches the risk sooner, so the high multiplier gives the low bound
+    $monthsRemaining = intval(round(getYearsToFailureRisk($ageYears, $hazard['multiplier'], $risk) * 12));
+    $monthsLow = intval(round(getYearsToFailureRisk($ageYears, $hazard['multiplier'] * $spread, $risk) * 12));
+    $monthsHigh = intval(round(getYearsToFailureRisk($ageYears, $hazard['multiplier'] / $spread, $risk) * 12));
+
+    $smartFactors = count(array_filter(array_column($hazard['factors'], 'smart')));
+
+    // CRITICAL: A critical warning or FAILED status means replace now, whatever the model says
+    $failed = strtoupper($smartStatus) === 'FAILED';
+    $critical = $failed || in_array('critical', array_column($driveInfo['health_warnings'] ?? [], 'level'), true);
+    if ($critical) {
+        $monthsRemaining = $monthsLow = $monthsHigh = 0;
+        $confidence = 'high';
+    } elseif ($hazard['sigma'] <= 0.4) {
+        $confidence = 'high';
+    } elseif ($hazard['sigma'] <= 0.7) {
+        $confidence = 'medium';
+    } else {
+        $confidence = 'low';
     }
 
-    // Linear age-based estimates using Backblaze AFR curves
-    // Conservative: Target replacement at 6 years (AFR ~10%, balance of safety vs longevity)
-    // Aggressive: Target replacement at 8 years (higher AFR acceptable, maximize drive life)
-
-    $targetAge = ($predictionMode === 'conservative') ? 6.0 : 8.0;
-
-    // Calculate remaining years until target age
-    $remainingYears = $targetAge - $ageYears;
-
-    // Convert to months
-    $monthsRemaining = round($remainingYears * 12);
-
-    // Apply bounds and determine confidence
-    if ($monthsRemaining > 60) {
-        // Very new drive - cap at 5 years max estimate
-        $monthsRemaining = 60;
-        $confidence = 'medium';
+    if ($critical) {
+        $reason = $failed ? 'SMART status is FAILED' : 'Critical SMART warnings detected';
+    } elseif ($smartFactors > 0) {
+        $reason = sprintf('Drive is %.1f years old; SMART errors raise its failure rate %sx', $ageYears, round($hazard['multiplier'], 1));
+    } elseif ($ageYears < 2 && $monthsRemaining > 24) {
         $reason = sprintf('Drive is relatively new (%.1f years old)', $ageYears);
-        $action = 'No action needed';
     } elseif ($monthsRemaining > 24) {
-        // Plenty of life remaining
-        $confidence = 'medium';
         $reason = sprintf('Drive is %.1f years old, well within normal lifespan', $ageYears);
-        $action = 'Monitor regularly';
     } elseif ($monthsRemaining > 12) {
-        // Moderate time remaining
-        $confidence = 'medium';
-        $reason = sprintf('Drive is %.1f years old, approaching target replacement age', $ageYears);
-        $action = 'Plan replacement within 1-2 years';
-    } elseif ($monthsRemaining > 0) {
-        // Less than 1 year remaining
-        $confidence = 'low';
-        $reason = sprintf('Drive is %.1f years old, near or past recommended replacement age', $ageYears);
+        $reason = sprintf('Drive is %.1f years old, approaching the acceptable failure risk', $ageYears);
+    } else {
+        $reason = sprintf('Drive is %.1f years old, at or near the acceptable failure risk', $ageYears);
+    }
+
+    if ($critical) {
+        $action = 'Replace immediately';
+    } elseif ($monthsRemaining <= 0) {
+        $action = 'Replace now';
+    } elseif ($monthsRemaining <= 12) {
         $action = 'Plan replacement within the year';
+    } elseif ($monthsRemaining <= 24) {
+        $action = 'Plan replacement within 1-2 years';
+    } elseif ($smartFactors > 0) {
+        $action = 'Monitor the error counts';
     } else {
-        // Past target age - critical
-        // Gracefully degrade: give 0-6 months based on how far past
-        $monthsRemaining = max(0, round(6 + ($remainingYears * 12)));
-        $confidence = 'low';
-        $reason = sprintf('Drive is %.1f years old, exceeds recommended replacement age', $ageYears);
-        $action = 'Replace soon';
+        $action = $ageYears < 2 ? 'No action needed' : 'Monitor regularly';
     }
 
     $timeline = getReplacementTimelineText($monthsRemaining);
 
+    $afr = $driveInfo['afr'] ?? null;
+    $useModelAfr = ($afr['source'] ?? 'generic') === 'model';
+    $source = $useModelAfr
+        ? sprintf('the %s fleet AFR of %.2f%% (%.2f%% average)', $afr['matched_model'], $afr['model_afr'], $afr['average_afr'])
+        : 'the generic age curve';
+
+    $notes = sprintf('Failure rate from %s', $source);
+    if ($smartFactors > 0) {
+        $notes .= ', raised by SMART errors';
+    }
+    $notes .= '.';
+
     return [
         'months_remaining' => $monthsRemaining,
+        'months_low' => $monthsLow,
+        'months_high' => $monthsHigh,
+        'months_max' => DRIVEAGE_SURVIVAL_MAX_MONTHS,
+        'risk_percent' => $riskPercent,
+        'annual_failure_probability' => round(getConditionalFailureProbability($ageYears, $hazard['multiplier'], 1), 4),
+        'hazard_multiplier' => round($hazard['multiplier'], 2),
+        'hazard_factors' => $hazard['factors'],
         'confidence' => $confidence,
+        'method' => $useModelAfr ? 'model_afr' : 'age_curve',
+        'notes' => $notes,
         'reason' => $reason,
         'action' => $action,
         'timeline_text' => $timeline['text'],
@@ -358,7 +376,132 @@ function getPredictiveReplacement($driveInfo, $config) {
     if ($physicalType === 'nvme') {
         return estimateNvmeRemainingLife($driveInfo, $predictionMode);
     } else {
-        // HDD and USB both use age-based estimates
-        return estimateHddRemainingLife($driveInfo, $predictionMode);
+        // HDD, SAS and USB all use the survival model
+        return estimateHddRemainingLife($driveInfo, intval($config['PREDICTION_RISK_PERCENT'] ?? 10));
     }
 }
+
+/**
+ * Explain how a drive's replacement estimate was reached
+ *
+ * Lists the inputs and rules behind replacement_prediction so users can see
+ * why a drive is flagged without reading the SMART report themselves.
+ *
+ * @param array $drive Drive information from getDriveInfo()
+ * @param array $config Plugin configuration
+ * @return array ['summary' => string, 'factors' => [['label' => string, 'value' => string]]]
+ */
+function explainReplacementPrediction($drive, $config) {
+    $prediction = $drive['replacement_prediction'] ?? [];
+    $mode = $config['PREDICTION_MODE'] ?? 'conservative';
+    $conservative = ($mode === 'conservative');
+    $months = $prediction['months_remaining'] ?? null;
+    $factors = [];
+
+    if (($drive['physical_type'] ?? 'hdd') === 'nvme') {
+        $factors[] = ['label' => 'Prediction mode', 'value' => ucfirst($mode)];
+        $factors[] = ['label' => 'Method', 'value' => str_replace('_', ' ', $prediction['method'] ?? 'unknown')];
+
+        if ($drive['nvme_percentage_used'] !== null) {
+            $factors[] = ['label' => 'Percentage used', 'value' => $drive['nvme_percentage_used'] . '%'];
+        }
+        if ($drive['nvme_available_spare'] !== null) {
+            $factors[] = ['label' => 'Available spare', 'value' => $drive['nvme_available_spare'] . '% (threshold ' . ($drive['nvme_available_spare_threshold'] ?? 10) . '%)'];
+        }
+        if (isset($prediction['endurance_tbw'])) {
+            $sources = [
+                'override' => 'rated, entered for this drive',
+                'user' => 'rated, from your model table',
+                'database' => 'rated, from the bundled model table',
+                'estimated' => 'estimated at ~500 TBW per TB of capacity'
+            ];
+            $factors[] = ['label' => 'Written / endurance', 'value' => $prediction['written_tbw'] . ' TB of ' . $prediction['endurance_tbw'] . ' TBW (' . $sources[$prediction['endurance_source']] . ')'];
+            if ($prediction['endurance_dwpd'] !== null) {
+                $factors[] = ['label' => 'Drive writes per day', 'value' => $prediction['endurance_dwpd'] . ' DWPD over the warranty'];
+            }
+            $factors[] = ['label' => ucfirst($prediction['write_rate_source']) . ' write rate', 'value' => $prediction['write_rate'] . ' TB/year'];
+        }
+        if (isset($prediction['wear_per_month'])) {
+            $factors[] = ['label' => 'Measured wear', 'value' => $prediction['wear_per_month'] . '% per month'];
+        }
+        $writeRates = $drive['nvme_write_rates'] ?? null;
+        if (($writeRates['recent_gb_per_day'] ?? null) !== null) {
+            $factors[] = ['label' => 'Recent writes', 'value' => implode(', ', array_map(function($days) use ($writeRates) {
+                return $days . ' days: ' . ($writeRates['rates'][$days] !== null ? $writeRates['rates'][$days] . ' GB/day' : 'not enough history');
+            }, array_keys($writeRates['rates'])))];
+        }
+        if (($writeRates['lifetime_gb_per_day'] ?? null) !== null) {
+            $factors[] = ['label' => 'Lifetime average writes', 'value' => $writeRates['lifetime_gb_per_day'] . ' GB/day'];
+        }
+        if (in_array($prediction['method'] ?? '', ['percentage_used_linear', 'percentage_used_measured', 'spare_depletion', 'tbw_estimate'], true)) {
+            $factors[] = ['label' => 'Estimate cap', 'value' => ($conservative ? 72 : 96) . ' months'];
+        }
+
+        $summary = $prediction['notes'] ?? '';
+    } else {
+        $hours = $drive['power_on_hours'] ?? null;
+        $afr = $drive['afr'] ?? null;
+
+        $factors[] = ['label' => 'Acceptable failure risk', 'value' => ($config['PREDICTION_RISK_PERCENT'] ?? 10) . '% chance of failing before replacement'];
+
+        if ($hours) {
+            $factors[] = ['label' => 'Power-on age', 'value' => number_format($hours) . ' hours (' . round($hours / 8760, 1) . ' years)'];
+            $factors[] = ['label' => 'Age curve failure rate', 'value' => round(getBaselineHazard($hours / 8760) * 100, 1) . '% per year at this age'];
+        }
+
+        if (($afr['source'] ?? 'generic') === 'model') {
+            $factors[] = ['label' => 'Failure rate source', 'value' => 'Model AFR from imported Backblaze data (' . $afr['matched_model'] . ')'];
+            $factors[] = ['label' => 'Model fleet AFR', 'value' => $afr['model_afr'] . '% over ' . number_format($afr['drive_days']) . ' drive-days (dataset average ' . $afr['average_afr'] . '%)'];
+        } else {
+            if ($afr !== null && $afr['matched_model'] !== null) {
+                $factors[] = ['label' => 'Model fleet AFR', 'value' => $afr['model_afr'] . '% over ' . number_format($afr['drive_days']) . ' drive-days - too few to use (' . number_format(DRIVEAGE_AFR_MIN_DRIVE_DAYS) . ' needed)'];
+            }
+            $factors[] = ['label' => 'Failure rate source', 'value' => 'Generic age curve (Backblaze AFR bands)'];
+        }
+
+        if (($drive['physical_type'] ?? 'hdd') === 'sas') {
+            $counters = [
+                'sas_grown_defects' => 'grown defects',
+                'sas_uncorrected_errors' => 'uncorrected errors',
+                'sas_non_medium_errors' => 'non-medium errors'
+            ];
+            $reported = [];
+            foreach ($counters as $field => $label) {
+                if (($drive[$field] ?? null) !== null) {
+                    $reported[] = number_format($drive[$field]) . ' ' . $label;
+                }
+            }
+            if (!empty($reported)) {
+                $factors[] = ['label' => 'SAS error logs', 'value' => implode(', ', $reported)];
+            }
+        }
+
+        $warnings = $drive['health_warnings'] ?? [];
+        if (!empty($warnings)) {
+            $factors[] = ['label' => 'Health warnings', 'value' => implode('; ', array_map(function($warning) {
+                return $warning['message'] . ' (' . $warning['level'] . ')';
+            }, $warnings))];
+        }
+
+        if (!empty($prediction['hazard_factors'])) {
+            $factors[] = ['label' => 'Hazard multipliers', 'value' => implode('; ', array_map(function($factor) {
+                return $factor['label'] . ' (' . $factor['multiplier'] . 'x)';
+            }, $prediction['hazard_factors'])) . ' - ' . $prediction['hazard_multiplier'] . 'x combined'];
+        }
+
+        if (isset($prediction['months_low'])) {
+            $factors[] = ['label' => 'Estimate range', 'value' => $prediction['months_low'] . '-' . $prediction['months_high'] . ' months (80% interval, median ' . $months . ')'];
+            $factors[] = ['label' => 'Chance of failing in the next year', 'value' => round($prediction['annual_failure_probability'] * 100, 1) . '%'];
+        }
+
+        $summary = trim(($prediction['reason'] ?? '') . '. ' . ($prediction['action'] ?? ''), '. ');
+    }
+
+    $factors[] = ['label' => 'Confidence', 'value' => ucfirst($prediction['confidence'] ?? 'none')];
+
+    if ($months !== null && $months < 6) {
+        $factors[] = ['label' => 'Risk override', 'value' => 'Estimates under 6 months raise the risk category to High Risk'];
+    }
+
+    return ['summary' => $summary, 'factors' => $factors];
+}
@@ -5,6 +5,9 @@
  * Handles rate limiting, logging, and other security features
  */
 
+require_once 'helpers.php';
+require_once 'apikeys.php';
+
 // Rate limit storage
 define('RATE_LIMIT_DIR', '/var/lib/driveage/ratelimit');
 define('SECURITY_LOG_FILE', '/var/log/driveage_security.log');
@@ -26,20 +29,105 @@ function initRateLimitDirectory() {
     return true;
 }
 
+/**
+ * Authenticate a request and enforce API access rules and rate limits
+ *
+ * Dashboard requests are identified by Unraid's webGUI csrf_token sent in the
+ * X-DriveAge-Token header. Everything else is external and needs the API
+ * enabled plus a valid API key (Authorization: Bearer <key>). An endpoint's
+ * own bearer token (the metrics endpoint's METRICS_TOKEN) is accepted as a
+ * built-in key with the default rate limit.
+ *
+ * @param array $config Plugin configuration
+ * @param string $endpointToken Additional bearer token accepted by this endpoint ('' = API keys only)
+ * @return array ['internal' => bool, 'api_key' => array|null] (exits if denied)
+ */
+function authorizeRequest($config, $endpointToken = '') {
+    if (isInternalRequest()) {
+        checkRateLimit($config, true);
+        return ['internal' => true, 'api_key' => null];
+    }
+
+    $token = getBearerToken();
+    $apiKey = findApiKey($token);
+
+    if ($apiKey === null && $endpointToken !== '' && $token !== '' && hash_equals($endpointToken, $token)) {
+        $apiKey = ['id' => 'endpoint_token', 'name' => 'Endpoint token', 'rate_limit' => 0, 'builtin' => true];
+    }
+
+    if ($apiKey !== null) {
+        currentApiKey($apiKey);
+    }
+
+    checkRateLimit($config, false, $apiKey);
+
+    // Built-in keys have no stored record to update
+    if (empty($apiKey['builtin'])) {
+        touchApiKey($apiKey, getClientIp());
+    }
+
+    return ['internal' => false, 'api_key' => $apiKey];
+}
+
+/**
+ * Check whether a request comes from the DriveAge pages in the Unraid webGUI
+ *
+ * @return bool True if the X-DriveAge-Token header matches Unraid's csrf_token
+ */
+function isInternalRequest() {
+    $token = $_SERVER['HTTP_X_DRIVEAGE_TOKEN'] ?? '';
+    $expected = getUnraidVars()['csrf_token'] ?? '';
+
+    return $token !== '' && $expected !== '' && hash_equals($expected, $token);
+}
+
+/**
+ * Get the bearer token from the Authorization header
+ *
+ * @return string Token (empty if missing)
+ */
+function getBearerToken() {
+    $header = $_SERVER['HTTP_AUTHORIZATION'] ?? $_SERVER['REDIRECT_HTTP_AUTHORIZATION'] ?? '';
+
+    return preg_match('/^Bearer\s+(\S+)$/i', $header, $matches) ? $matches[1] : '';
+}
+
+/**
+ * Get or set the API key used by the current request (included in security log entries)
+ *
+ * @param array|null $record Key record to set, or omit to read
+ * @return array|null Current key record
+ */
+function currentApiKey($record = null) {
+    static $current = null;
+
+    if ($record !== null) {
+        $current = $record;
+    }
+
+    return $current;
+}
+
 /**
  * Check and enforce rate limiting
  *
+ * External requests are limited per API key (the key's own limit, or
+ * API_RATE_LIMIT); internal requests per client IP.
+ *
  * @param array $config Plugin configuration
  * @param bool $internalRequest Whether this is an internal dashboard request
+ * @param array|null $apiKey Authenticated API key record (external requests)
  * @return bool True if request is allowed
  */
-function checkRateLimit($config, $internalRequest = false) {
+function checkRateLimit($config, $internalRequest = false, $apiKey = null) {
     // Check if API is enabled (only for external requests)
     // Internal dashboard requests are always allowed
     if (!$internalRequest && $config['API_ENABLED'] !== 'true') {
         http_response_code(403);
         header('Content-Type: application/json');
         echo json_encode([
+            'success' => false,
+            'code' => 'api_disabled',
             'error' => 'API Disabled',
             'message' => 'The JSON API is currently disabled. Enable it in plugin settings.'
         ]);
@@ -47,17 +135,37 @@ function checkRateLimit($config, $internalRequest = false) {
         exit;
     }
 
+    // External requests need a valid API key
+    if (!$internalRequest && $apiKey === null) {
+        http_response_code(401);
+        header('Content-Type: application/json');
+        header('WWW-Authenticate: Bearer realm="DriveAge"');
+        echo json_encode([
+            'success' => false,
+            'code' => 'unauthorized',
+            'error' => 'Unauthorized',
+            'message' => 'A valid API key is required (Authorization: Bearer <key>). Create one in plugin settings.'
+        ]);
+        logSecurityEvent('api_access_denied', ['reason' => getBearerToken() === '' ? 'Missing API key' : 'Invalid API key']);
+        exit;
+    }
+
     $clientIp = getClientIp();
     $limit = max(10, min(1000, intval($config['API_RATE_LIMIT'])));
     $window = 60; // 1 minute window
 
+    if ($apiKey !== null && !empty($apiKey['rate_limit'])) {
+        $limit = max(10, min(1000, intval($apiKey['rate_limit'])));
+    }
+
     if (!initRateLimitDirectory()) {
         // If we can't create rate limit dir, allow but log
         error_log('DriveAge: Rate limiting unavailable');
         return true;
     }
 
-    $rateLimitFile = RATE_LIMIT_DIR . '/' . md5($clientIp) . '.json';
+    $bucket = $apiKey !== null ? 'key:' . $apiKey['id'] : $clientIp;
+    $rateLimitFile = RATE_LIMIT_DIR . '/' . md5($bucket) . '.json';
 
     // Load existing request data
     $requests = [];
@@ -84,6 +192,8 @@ function checkRateLimit($config, $internalRequest = false) {
         header('Retry-After: ' . $retryAfter);
 
         echo json_encode([
+            'success' => false,
+            'code' => 'rate_limited',
             'error' => 'Rate limit exceeded',
             'message' => "Maximum $limit requests per minute allowed",
             'retry_after' => $retryAfter
@@ -188,6 +298,12 @@ function logSecurityEvent($event, $details = []) {
         'details' => $details
     ];
 
+    // Attribute external API activity to the key that made it
+    $apiKey = currentApiKey();
+    if ($apiKey !== null) {
+        $logEntry['api_key'] = ['id' => $apiKey['id'], 'name' => $apiKey['name']];
+    }
+
     $logLine = json_encode($logEntry) . "\n";
 
     // Ensure log directory exists
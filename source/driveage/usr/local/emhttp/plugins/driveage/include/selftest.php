@@ -0,0 +1,438 @@
+<?php
+/**
+ * DriveAge Plugin - SMART Self-Tests
+ *
+ * Starts short/long self-tests with smartctl, tracks their progress and each
+ * drive's last result, and runs the optional staggered schedule (one or more
+ * drives per day, skipping parity-check windows).
+ *
+ * Progress and results live on the ramdisk (refreshed from the drives by the
+ * hourly cron and by the dashboard while a test runs); only the schedule's
+ * "last tested" dates are kept on flash.
+ */
+
+require_once 'config.php';
+require_once 'helpers.php';
+require_once 'cache.php';
+require_once 'history.php';
+require_once 'smartdetail.php';
+
+// Test progress and last results (ramdisk, rebuilt from the drives after a reboot)
+define('DRIVEAGE_SELFTEST_STATE_FILE', DRIVEAGE_CACHE_DIR . '/selftests.json');
+
+// When each drive last had a scheduled test (flash, written once per scheduled test)
+define('DRIVEAGE_SELFTEST_SCHEDULE_FILE', DRIVEAGE_CONFIG_DIR . '/selftest_schedule.json');
+
+// Unraid's parity check schedule (written by Settings -> Scheduler)
+define('DRIVEAGE_PARITY_CRON_FILE', '/boot/config/plugins/dynamix/parity-check.cron');
+
+define('DRIVEAGE_SELFTEST_TYPES', ['short', 'long']);
+
+// Assumed test duration in minutes when the drive doesn't report one (large HDDs take over a day for a long test)
+define('DRIVEAGE_SELFTEST_DEFAULT_MINUTES', ['short' => 15, 'long' => 1800, 'unknown' => 1800]);
+
+// Grace period before a test that can't be read (drive asleep) is no longer shown as running
+define('DRIVEAGE_SELFTEST_EXPIRY_MARGIN', 3600);
+
+/**
+ * Load self-test progress and results
+ *
+ * @return array Serial => ['running' => array|null, 'last' => array|null, 'checked_at' => int]
+ */
+function loadSelfTestState() {
+    return loadJsonFile(DRIVEAGE_SELFTEST_STATE_FILE) ?? [];
+}
+
+/**
+ * Save self-test progress and results (atomic write)
+ *
+ * @param array $state Serial => entry
+ * @return bool True on success
+ */
+function saveSelfTestState($state) {
+    return initCacheDirectory() && saveJsonFile(DRIVEAGE_SELFTEST_STATE_FILE, $state, false);
+}
+
+/**
+ * Get a drive's self-test progress and last result
+ *
+ * @param string $serial Drive serial number
+ * @return array|null ['running' => ['type', 'remaining_percent', 'started_at', 'expected_minutes']|null, 'last' => ['type', 'status', 'passed', 'completed_at']|null, 'checked_at' => int] or null if never checked
+ */
+function getDriveSelfTest($serial) {
+    static $state = null;
+
+    if ($state === null) {
+        $state = loadSelfTestState();
+    }
+
+    return $state[$serial] ?? null;
+}
+
+/**
+ * Check whether a drive can run SMART self-tests
+ *
+ * @param array $drive Drive information from getDriveInfo()
+ * @return bool True for array, pool and unassigned HDD/SAS/NVMe drives
+ */
+function canRunSelfTest($drive) {
+    return $drive['drive_type'] !== 'flash'
+        && $drive['physical_type'] !== 'usb'
+        && isValidSerial($drive['serial'])
+        && isValidBlockDevice($drive['device_path']);
+}
+
+/**
+ * Check whether a parity check, sync or rebuild is running
+ *
+ * @return bool True while the array is resyncing
+ */
+function isParityCheckRunning() {
+    $vars = getUnraidVars();
+    return intval($vars['mdResyncPos'] ?? 0) > 0;
+}
+
+/**
+ * Get the scheduled parity checks
+ *
+ * @return array Cron schedules [['day_of_month' => string, 'month' => string, 'day_of_week' => string]]
+ */
+function getParityCheckSchedule() {
+    if (!file_exists(DRIVEAGE_PARITY_CRON_FILE) || is_link(DRIVEAGE_PARITY_CRON_FILE)) {
+        return [];
+    }
+
+    $schedule = [];
+
+    foreach (file(DRIVEAGE_PARITY_CRON_FILE, FILE_IGNORE_NEW_LINES | FILE_SKIP_EMPTY_LINES) as $line) {
+        $fields = preg_split('/\s+/', trim($line), 6);
+
+        if (count($fields) < 6 || $fields[0][0] === '#' || strpos($fields[5], 'mdcmd check') === false) {
+            continue;
+        }
+
+        $schedule[] = ['day_of_month' => $fields[2], 'month' => $fields[3], 'day_of_week' => $fields[4]];
+    }
+
+    return $schedule;
+}
+
+/**
+ * Check a value against one cron field
+ *
+ * Supports *, lists, ranges and steps (e.g. "1,15", "1-7", "1-31/2").
+ *
+ * @param string $field Cron field
+ * @param int $value Value to check
+ * @param int $min Lowest value of the field, where a "*" step starts (1 for day of month and month)
+ * @return bool True if the field matches
+ */
+function cronFieldMatches($field, $value, $min = 0) {
+    foreach (explode(',', $field) as $part) {
+        $step = 1;
+        if (strpos($part, '/') !== false) {
+            list($part, $step) = explode('/', $part, 2);
+            $step = max(1, intval($step));
+        }
+
+        if ($part === '*') {
+            $matches = ($value - $min) % $step === 0;
+        } elseif (strpos($part, '-') !== false) {
+            list($low, $high) = array_map('intval', explode('-', $part, 2));
+            $matches = $value >= $low && $value <= $high && ($value - $low) % $step === 0;
+        } else {
+            $matches = intval($part) === $value;
+        }
+
+        if ($matches) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Check whether a parity check is scheduled on a day or the day after
+ *
+ * A long test on a large drive can take more than a day, so the day before
+ * a parity check is avoided too. Like cron, a schedule that restricts both
+ * the day of month and the day of week matches either.
+ *
+ * @param int $timestamp Day to check
+ * @return bool True if no test should start that day
+ */
+function isParityCheckWindow($timestamp) {
+    foreach (getParityCheckSchedule() as $entry) {
+        foreach ([$timestamp, $timestamp + 86400] as $day) {
+            if (!cronFieldMatches($entry['month'], intval(date('n', $day)), 1)) {
+                continue;
+            }
+
+            $dayOfWeek = intval(date('w', $day));
+            $domMatches = cronFieldMatches($entry['day_of_month'], intval(date('j', $day)), 1);
+            $dowMatches = cronFieldMatches($entry['day_of_week'], $dayOfWeek) || ($dayOfWeek === 0 && cronFieldMatches($entry['day_of_week'], 7));
+
+            $matches = ($entry['day_of_month'] !== '*' && $entry['day_of_week'] !== '*')
+                ? ($domMatches || $dowMatches)
+                : ($domMatches && $dowMatches);
+
+            if ($matches) {
+                return true;
+            }
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Start a self-test on a drive
+ *
+ * @param array $drive Drive information from getDriveInfo()
+ * @param string $type 'short' or 'long'
+ * @param array $state Self-test state (updated with the running test)
+ * @return array ['success' => bool, 'message' => string]
+ */
+function startSelfTest($drive, $type, &$state) {
+    if (!in_array($type, DRIVEAGE_SELFTEST_TYPES, true) || !canRunSelfTest($drive)) {
+        return ['success' => false, 'message' => 'Self-tests are not supported on this drive'];
+    }
+
+    if (!empty($state[$drive['serial']]['running'])) {
+        return ['success' => false, 'message' => 'A self-test is already running'];
+    }
+
+    exec('smartctl -t ' . $type . ' ' . escapeshellarg($drive['device_path']) . ' 2>/dev/null', $output, $exitCode);
+
+    // Bits 0-2: bad arguments, device open failed, SMART command failed
+    if (($exitCode & 7) !== 0) {
+        return ['success' => false, 'message' => 'smartctl could not start the test'];
+    }
+
+    $state[$drive['serial']] = [
+        'running' => ['type' => $type, 'remaining_percent' => 100, 'started_at' => time(), 'expected_minutes' => null],
+        'last' => $state[$drive['serial']]['last'] ?? null,
+        'checked_at' => time()
+    ];
+
+    return ['success' => true, 'message' => ucfirst($type) . ' test started'];
+}
+
+/**
+ * Read a drive's self-test progress and last result from smartctl
+ *
+ * Queried with -n standby, so sleeping drives are skipped rather than spun up.
+ * A running test that can't be read is dropped once it is well past its
+ * expected duration (spinning down usually aborts it).
+ *
+ * @param array $drive Drive information from getDriveInfo()
+ * @param array $state Self-test state (updated with the drive's entry)
+ * @return bool True if the drive was read
+ */
+function refreshSelfTestStatus($drive, &$state) {
+    if (!canRunSelfTest($drive)) {
+        return false;
+    }
+
+    if (!empty($drive['is_standby'])) {
+        expireSelfTest($drive['serial'], $state);
+        return false;
+    }
+
+    exec('smartctl -n standby -c -l selftest -j ' . escapeshellarg($drive['device_path']) . ' 2>/dev/null', $output, $exitCode);
+    $data = json_decode(implode("\n", $output), true);
+
+    if (($exitCode & 2) !== 0 || !is_array($data)) {
+        expireSelfTest($drive['serial'], $state);
+        return false;
+    }
+
+    $previous = $state[$drive['serial']] ?? [];
+    $running = parseRunningSelfTest($data);
+
+    if ($running !== null) {
+        $running['type'] = $previous['running']['type'] ?? $running['type'];
+        $running['started_at'] = $previous['running']['started_at'] ?? time();
+        $running['expected_minutes'] = getSelfTestPollingMinutes($data, $running['type']) ?? ($previous['running']['expected_minutes'] ?? null);
+    }
+
+    $last = null;
+    foreach (parseSmartDetailSelfTests($data) ?? [] as $test) {
+        if (stripos($test['status'], 'progress') !== false) {
+            continue;
+        }
+
+        $last = [
+            'type' => $test['type'],
+            'status' => $test['status'],
+            'passed' => $test['passed'],
+            'completed_at' => getSelfTestCompletedAt($test['lifetime_hours'], $drive['power_on_hours'])
+        ];
+        break;
+    }
+
+    $state[$drive['serial']] = ['running' => $running, 'last' => $last, 'checked_at' => time()];
+    return true;
+}
+
+/**
+ * Stop showing a running test that is well past its expected duration
+ *
+ * @param string $serial Drive serial number
+ * @param array $state Self-test state (entry updated in place)
+ */
+function expireSelfTest($serial, &$state) {
+    $running = $state[$serial]['running'] ?? null;
+    if (empty($running)) {
+        return;
+    }
+
+    $minutes = $running['expected_minutes'] ?? null;
+    if (!$minutes) {
+        $minutes = DRIVEAGE_SELFTEST_DEFAULT_MINUTES[$running['type']] ?? DRIVEAGE_SELFTEST_DEFAULT_MINUTES['unknown'];
+    }
+
+    if (time() - intval($running['started_at'] ?? 0) > $minutes * 60 + DRIVEAGE_SELFTEST_EXPIRY_MARGIN) {
+        // The log is read again once the drive is awake, which shows how the test ended
+        $state[$serial]['running'] = null;
+    }
+}
+
+/**
+ * Read the drive's own estimate of a self-test's duration (ATA only)
+ *
+ * @param array $data Parsed JSON data from smartctl -c -l selftest -j
+ * @param string $type 'short', 'long' or 'unknown'
+ * @return int|null Minutes, or null if not reported
+ */
+function getSelfTestPollingMinutes($data, $type) {
+    $polling = $data['ata_smart_data']['self_test']['polling_minutes'] ?? [];
+    $minutes = $polling[$type === 'short' ? 'short' : 'extended'] ?? null;
+
+    return is_numeric($minutes) && $minutes > 0 ? intval($minutes) : null;
+}
+
+/**
+ * Parse the self-test in progress from smartctl JSON (ATA, NVMe or SCSI)
+ *
+ * @param array $data Parsed JSON data from smartctl -c -l selftest -j
+ * @return array|null ['type' => string, 'remaining_percent' => int|null] or null if no test is running
+ */
+function parseRunningSelfTest($data) {
+    // ATA: status 0xF_ = in progress, low nibble = tenths remaining
+    $ataStatus = $data['ata_smart_data']['self_test']['status'] ?? null;
+    if ($ataStatus !== null && (intval($ataStatus['value'] ?? 0) >> 4) === 15) {
+        return ['type' => 'unknown', 'remaining_percent' => $ataStatus['remaining_percent'] ?? null];
+    }
+
+    $nvmeOperation = $data['nvme_self_test_log']['current_self_test_operation'] ?? null;
+    if ($nvmeOperation !== null && intval($nvmeOperation['value'] ?? 0) !== 0) {
+        $completed = $data['nvme_self_test_log']['current_self_test_completion_percent'] ?? null;
+        return [
+            'type' => intval($nvmeOperation['value']) === 2 ? 'long' : 'short',
+            'remaining_percent' => $completed !== null ? 100 - intval($completed) : null
+        ];
+    }
+
+    // SCSI: newest log entry reports "in progress" (result 15)
+    if (intval($data['scsi_self_test_0']['result']['value'] ?? 0) === 15) {
+        return ['type' => 'unknown', 'remaining_percent' => null];
+    }
+
+    return null;
+}
+
+/**
+ * Estimate when a logged self-test finished
+ *
+ * The log records the power-on hours at completion; many ATA drives keep
+ * only the low 16 bits.
+ *
+ * @param int|null $lifetimeHours Power-on hours logged with the test
+ * @param int|null $powerOnHours Current power-on hours
+ * @return int|null Unix timestamp, or null if unknown
+ */
+function getSelfTestCompletedAt($lifetimeHours, $powerOnHours) {
+    if ($lifetimeHours === null || !$powerOnHours) {
+        return null;
+    }
+
+    $hoursAgo = $powerOnHours - $lifetimeHours;
+    if ($hoursAgo < 0 || $hoursAgo >= 65536) {
+        $hoursAgo = (($powerOnHours - $lifetimeHours) % 65536 + 65536) % 65536;
+    }
+
+    return time() - $hoursAgo * 3600;
+}
+
+/**
+ * Load when each drive last had a scheduled test
+ *
+ * @return array Serial => Unix timestamp
+ */
+function loadSelfTestSchedule() {
+    return loadJsonFile(DRIVEAGE_SELFTEST_SCHEDULE_FILE) ?? [];
+}
+
+/**
+ * Save the scheduled test dates to flash (atomic write)
+ *
+ * @param array $schedule Serial => Unix timestamp
+ * @return bool True on success
+ */
+function saveSelfTestSchedule($schedule) {
+    return saveJsonFile(DRIVEAGE_SELFTEST_SCHEDULE_FILE, $schedule);
+}
+
+/**
+ * Start today's scheduled self-tests
+ *
+ * Drives are tested in turn - the ones tested longest ago (or never) first -
+ * so a monthly long test is spread over the month instead of loading every
+ * drive at once. Nothing starts during a parity check or on/the day before
+ * a scheduled one.
+ *
+ * @param array $drives Drives from getAllDrives()
+ * @param array $config Plugin configuration
+ * @param array $state Self-test state (updated with the started tests)
+ * @return int Number of tests started
+ */
+function runScheduledSelfTests($drives, $config, &$state) {
+    if ($config['SELFTEST_SCHEDULE_ENABLED'] !== 'true' || isParityCheckRunning() || isParityCheckWindow(time())) {
+        return 0;
+    }
+
+    $type = in_array($config['SELFTEST_SCHEDULE_TYPE'], DRIVEAGE_SELFTEST_TYPES, true) ? $config['SELFTEST_SCHEDULE_TYPE'] : 'long';
+    $intervalSeconds = max(7, min(365, intval($config['SELFTEST_INTERVAL_DAYS']))) * 86400;
+    $perDay = max(1, min(10, intval($config['SELFTEST_DRIVES_PER_DAY'])));
+    $schedule = loadSelfTestSchedule();
+
+    $due = array_filter($drives, function($drive) use ($schedule, $intervalSeconds, $state) {
+        return canRunSelfTest($drive)
+            && empty($state[$drive['serial']]['running'])
+            && (time() - intval($schedule[$drive['serial']] ?? 0)) >= $intervalSeconds;
+    });
+
+    usort($due, function($a, $b) use ($schedule) {
+        return [intval($schedule[$a['serial']] ?? 0), $a['device_id']] <=> [intval($schedule[$b['serial']] ?? 0), $b['device_id']];
+    });
+
+    $started = 0;
+    foreach (array_slice($due, 0, $perDay) as $drive) {
+        $result = startSelfTest($drive, $type, $state);
+
+        if ($result['success']) {
+            $schedule[$drive['serial']] = time();
+            $started++;
+        } else {
+            error_log('DriveAge: Scheduled self-test on ' . $drive['device_name'] . ' failed: ' . $result['message']);
+        }
+    }
+
+    if ($started > 0) {
+        saveSelfTestSchedule($schedule);
+    }
+
+    return $started;
+}
@@ -0,0 +1,197 @@
+<?php
+/**
+ * DriveAge Plugin - What-If Replacement Simulator
+ *
+ * Re-runs risk categorization, replacement estimates and array risk on the
+ * current drives with some of them swapped for new drives, or with a
+ * different prediction settings and thresholds. Nothing is saved.
+ */
+
+require_once 'config.php';
+require_once 'smartdata.php';
+require_once 'history.php';
+require_once 'formatting.php';
+require_once 'arrayrisk.php';
+
+// Physical types a hypothetical replacement can be
+define('DRIVEAGE_SIMULATION_TYPES', ['hdd', 'sas', 'nvme']);
+
+// Largest replacement size accepted, in TB
+define('DRIVEAGE_SIMULATION_MAX_TB', 100);
+
+/**
+ * Validate a submitted scenario
+ *
+ * @param mixed $input ['replacements' => [['serial', 'size_tb', 'physical_type']], 'prediction_mode', 'risk_percent', 'thresholds' => [category => hours]]
+ * @param array $drives Drives from getAllDrives()
+ * @return array ['scenario' => cleaned scenario, 'errors' => list of messages]
+ */
+function validateSimulationScenario($input, $drives) {
+    $errors = [];
+
+    if (!is_array($input)) {
+        return ['scenario' => null, 'errors' => ['Scenario must be an object']];
+    }
+
+    $serials = array_column($drives, 'serial');
+    $replacements = [];
+
+    foreach (is_array($input['replacements'] ?? null) ? $input['replacements'] : [] as $index => $replacement) {
+        $serial = $replacement['serial'] ?? '';
+        $sizeTb = $replacement['size_tb'] ?? null;
+        $type = $replacement['physical_type'] ?? '';
+        $label = 'Replacement ' . ($index + 1);
+
+        if (!isValidSerial($serial) || !in_array($serial, $serials, true)) {
+            $errors[] = "$label: drive not found";
+            continue;
+        }
+        if (!is_numeric($sizeTb) || $sizeTb <= 0 || $sizeTb > DRIVEAGE_SIMULATION_MAX_TB) {
+            $errors[] = "$label: size must be between 0 and " . DRIVEAGE_SIMULATION_MAX_TB . ' TB';
+        }
+        if (!in_array($type, DRIVEAGE_SIMULATION_TYPES, true)) {
+            $errors[] = "$label: type must be one of " . implode(', ', DRIVEAGE_SIMULATION_TYPES);
+        }
+
+        $replacements[$serial] = ['size_bytes' => intval(round(floatval($sizeTb) * 1e12)), 'physical_type' => $type];
+    }
+
+    $mode = $input['prediction_mode'] ?? '';
+    if (!in_array($mode, ['conservative', 'aggressive'], true)) {
+        $errors[] = 'Prediction mode must be conservative or aggressive';
+    }
+
+    $riskPercent = $input['risk_percent'] ?? null;
+    if (!is_numeric($riskPercent) || intval($riskPercent) < 1 || intval($riskPercent) > 50) {
+        $errors[] = 'Acceptable failure risk must be between 1 and 50%';
+    }
+
+    $thresholds = [];
+    $previous = 0;
+    foreach (['minimal_risk', 'low_risk', 'moderate_risk', 'elevated_risk'] as $category) {
+        $hours = $input['thresholds'][$category] ?? null;
+
+        if (!is_numeric($hours) || intval($hours) <= $previous || intval($hours) > 876600) {
+            $errors[] = 'Thresholds must increase from one category to the next (at most 100 years)';
+            break;
+        }
+
+        $thresholds[$category] = $previous = intval($hours);
+    }
+
+    return [
+        'scenario' => [
+            'replacements' => $replacements,
+            'prediction_mode' => $mode,
+            'risk_percent' => intval($riskPercent),
+            'thresholds' => $thresholds
+        ],
+        'errors' => $errors
+    ];
+}
+
+/**
+ * Build the drive that would replace an existing one
+ *
+ * The new drive takes the old one's slot (assignment, device name) and bay
+ * temperature, with one hour on the clock - the first reading the dashboard
+ * would show - and no warnings.
+ *
+ * @param array $drive Drive being replaced
+ * @param array $replacement ['size_bytes', 'physical_type']
+ * @return array Drive information
+ */
+function buildReplacementDrive($drive, $replacement) {
+    $type = $replacement['physical_type'];
+    $isNvme = $type === 'nvme';
+    $size = formatBytes($replacement['size_bytes']);
+
+    $new = [
+        'serial' => '',
+        'replaces' => $drive['serial'],
+        'model' => 'New ' . strtoupper($type) . ' ' . $size,
+        'identification' => 'New ' . strtoupper($type) . ' ' . $size . ' (replaces ' . $drive['identification'] . ')',
+        'size_bytes' => $replacement['size_bytes'],
+        'size_human' => $size,
+        'physical_type' => $type,
+        'power_on_hours' => 1,
+        'power_on_human' => formatPowerOnHours(1),
+        'temperature_class' => getTemperatureClass($drive['temperature'], $type),
+        'smart_status' => 'PASSED',
+        'smart_status_formatted' => formatSmartStatus('PASSED'),
+        'is_standby' => false,
+        'is_stale' => false,
+        'afr' => null,
+        'asset' => null,
+        'warranty' => null,
+        'self_test' => null,
+        'health_warnings' => [],
+        'has_warnings' => false,
+        'nvme_write_rates' => null,
+        'smart_error_growth' => null
+    ];
+
+    // Clear every SMART counter, then set a new NVMe drive's wear attributes
+    // (nothing written yet, so it is estimated from its endurance rating)
+    foreach (array_keys($drive) as $key) {
+        if (preg_match('/^(nvme|hdd|sas)_/', $key)) {
+            $new[$key] = null;
+        }
+    }
+
+    if ($isNvme) {
+        $new['nvme_percentage_used'] = 0;
+        $new['nvme_available_spare'] = 100;
+        $new['nvme_available_spare_threshold'] = 10;
+        $new['nvme_media_errors'] = 0;
+        $new['nvme_critical_warning'] = 0;
+        $new['nvme_data_units_written'] = 0;
+        $new['nvme_tbw_calculated'] = 0;
+    }
+
+    return array_merge($drive, $new);
+}
+
+/**
+ * Run a scenario against the current drives
+ *
+ * Every drive is re-categorized with the scenario's configuration, so
+ * threshold and prediction setting changes apply to kept drives too.
+ *
+ * @param array $drives Drives from getAllDrives()
+ * @param array $scenario Validated scenario from validateSimulationScenario()
+ * @param array $config Plugin configuration
+ * @return array ['drives' => [...], 'grouped' => [...], 'array_risk' => [...]]
+ */
+function runSimulation($drives, $scenario, $config) {
+    $simConfig = $config;
+    $simConfig['PREDICTION_MODE'] = $scenario['prediction_mode'];
+    $simConfig['PREDICTION_RISK_PERCENT'] = $scenario['risk_percent'];
+    foreach ($scenario['thresholds'] as $category => $hours) {
+        $simConfig['THRESHOLD_' . strtoupper($category)] = $hours;
+    }
+
+    $simulated = [];
+
+    foreach ($drives as $drive) {
+        if (isset($scenario['replacements'][$drive['serial']])) {
+            $drive = buildReplacementDrive($drive, $scenario['replacements'][$drive['serial']]);
+        }
+
+        // Same steps as getDriveInfo() and getAllDrives()
+        $drive['age_category'] = getDriveRiskCategory($drive, $simConfig);
+        $drive['color_class'] = getAgeColorClass($drive['age_category']);
+        $drive['age_label'] = getAgeLabel($drive['age_category'], $simConfig);
+        $drive = applyReplacementPrediction($drive, $simConfig);
+        $drive['is_oldest'] = ($drive['age_category'] === 'high_risk');
+        $simulated[] = $drive;
+    }
+
+    $grouped = groupDrives($simulated);
+
+    return [
+        'drives' => $simulated,
+        'grouped' => $grouped,
+        'array_risk' => (object)getArrayRisks($grouped)
+    ];
+}
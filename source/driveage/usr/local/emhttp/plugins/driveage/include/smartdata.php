@@ -10,6 +10,11 @@ require_once 'config.php';
 require_once 'helpers.php';
 require_once 'cache.php';
 require_once 'predictions.php';
+require_once 'healthrules.php';
+require_once 'afr.php';
+require_once 'writerate.php';
+require_once 'assets.php';
+require_once 'selftest.php';
 
 // DriveAge now relies entirely on Unraid's SMART cache at /var/local/emhttp/smart/
 // This cache is updated by emhttpd every 30 seconds (configurable via poll_attributes)
@@ -58,9 +63,53 @@ function getAllDrives($config) {
         $drive['is_oldest'] = ($drive['age_category'] === 'high_risk');
     }
 
+    // Persist readings used by "got worse" health rules
+    saveRuleReadings();
+
     return $drives;
 }
 
+/**
+ * Group drives by array and drive type
+ *
+ * @param array $drives Array of drive data
+ * @return array Grouped drives
+ */
+function groupDrives($drives) {
+    $grouped = [];
+
+    foreach ($drives as $drive) {
+        $arrayName = $drive['array_name'];
+        $driveType = $drive['drive_type'];
+
+        if (!isset($grouped[$arrayName])) {
+            $grouped[$arrayName] = [];
+        }
+
+        if (!isset($grouped[$arrayName][$driveType])) {
+            $grouped[$arrayName][$driveType] = [];
+        }
+
+        $grouped[$arrayName][$driveType][] = $drive;
+    }
+
+    // Sort arrays and types
+    ksort($grouped);
+
+    foreach ($grouped as $arrayName => &$types) {
+        // Define sort order for drive types
+        $typeOrder = ['parity' => 1, 'array' => 2, 'cache' => 3, 'pool' => 4, 'unassigned' => 5];
+
+        uksort($types, function($a, $b) use ($typeOrder) {
+            $orderA = $typeOrder[$a] ?? 99;
+            $orderB = $typeOrder[$b] ?? 99;
+            return $orderA - $orderB;
+        });
+    }
+
+    return $grouped;
+}
+
 /**
  * Discover all block devices
  *
@@ -118,21 +167,6 @@ function isValidBlockDevice($path) {
     return true;
 }
 
-/**
- * Get Unraid variable information
- *
- * @return array Unraid vars
- */
-function getUnraidVars() {
-    $varFile = '/var/local/emhttp/var.ini';
-
-    if (!file_exists($varFile)) {
-        return [];
-    }
-
-    return parse_ini_file($varFile) ?: [];
-}
-
 /**
  * Get detailed information about a specific drive
  *
@@ -194,6 +228,8 @@ function getDriveInfo($devicePath, $diskAssignments, $config, $tempUnit = 'C') {
         $physicalType = 'usb';
     } elseif (strpos($devicePath, 'nvme') !== false) {
         $physicalType = 'nvme';
+    } elseif (!empty($smartData['is_sas'])) {
+        $physicalType = 'sas';
     } else {
         $physicalType = 'hdd';
     }
@@ -204,45 +240,18 @@ function getDriveInfo($devicePath, $diskAssignments, $config, $tempUnit = 'C') {
         $smartData ?? []
     );
 
-    // Determine age category based on drive type
-    // NVMe: Use wear-based risk assessment
-    // HDD/USB: Use age-based risk assessment
-    if ($physicalType === 'nvme') {
-        $nvmeRiskCategory = getNvmeRiskCategory($tempDriveInfo);
-        $ageCategory = $nvmeRiskCategory ?? getAgeCategory($powerOnHours, $config);
-    } else {
-        $ageCategory = getAgeCategory($powerOnHours, $config);
-    }
+    // Model-specific failure rate from an imported Backblaze dataset (HDD/SAS only, null without a dataset)
+    $afrProfile = in_array($physicalType, ['hdd', 'sas'], true) ? getModelAfr($model) : null;
 
-    // Get health warnings for HDDs
-    $healthWarnings = [];
-    if ($physicalType === 'hdd' && $smartData) {
-        $healthWarnings = getHddHealthWarnings($tempDriveInfo);
-    }
-
-    // Check for NVMe critical conditions
-    if ($physicalType === 'nvme' && $smartData) {
-        if (($smartData['nvme_media_errors'] ?? 0) > 0) {
-            $healthWarnings[] = [
-                'level' => 'critical',
-                'attribute' => 'media_errors',
-                'value' => $smartData['nvme_media_errors'],
-                'message' => 'Media errors detected',
-                'action' => 'Replace ASAP',
-                'tooltip' => 'Uncorrectable data errors. Drive reliability compromised.'
-            ];
-        }
+    $ageCategory = getDriveRiskCategory(
+        array_merge($tempDriveInfo, ['power_on_hours' => $powerOnHours, 'afr' => $afrProfile]),
+        $config
+    );
 
-        if (($smartData['nvme_critical_warning'] ?? 0) > 0) {
-            $healthWarnings[] = [
-                'level' => 'critical',
-                'attribute' => 'critical_warning',
-                'value' => $smartData['nvme_critical_warning'],
-                'message' => 'Critical warning active',
-                'action' => 'Check drive immediately',
-                'tooltip' => 'Drive has raised a critical warning flag.'
-            ];
-        }
+    // Get health warnings from the SMART health rules (see healthrules.php)
+    $healthWarnings = [];
+    if ($smartData) {
+        $healthWarnings = evaluateHealthRules($tempDriveInfo);
     }
 
     // Format device name and identification using Unraid's logic
@@ -258,6 +267,8 @@ function getDriveInfo($devicePath, $diskAssignments, $config, $tempUnit = 'C') {
         $identification = $processedModel . ' (' . $deviceName . ')';
     }
 
+    $asset = getDriveAsset($serial);
+
     // Build complete drive information array
     $driveInfo = [
         'device_name' => $formattedDeviceName,
@@ -287,6 +298,13 @@ function getDriveInfo($devicePath, $diskAssignments, $config, $tempUnit = 'C') {
         'is_standby' => $isStandby,
         'cache_age' => $cacheAge,
         'is_stale' => $isStale,
+        // Failure rate source (null for non-HDD drives or without an imported dataset)
+        'afr' => $afrProfile,
+        // Purchase/warranty/location metadata entered by the user (null if none)
+        'asset' => $asset,
+        'warranty' => getWarrantyStatus($asset),
+        // Self-test progress and last result (null until the drive has been checked)
+        'self_test' => getDriveSelfTest($serial),
         // Health warnings array
         'health_warnings' => $healthWarnings,
         'has_warnings' => count($healthWarnings) > 0,
@@ -304,9 +322,59 @@ function getDriveInfo($devicePath, $diskAssignments, $config, $tempUnit = 'C') {
         'hdd_pending_sectors' => $smartData['hdd_pending_sectors'] ?? null,
         'hdd_uncorrectable_sectors' => $smartData['hdd_uncorrectable_sectors'] ?? null,
         'hdd_reported_uncorrectable' => $smartData['hdd_reported_uncorrectable'] ?? null,
-        'hdd_command_timeout' => $smartData['hdd_command_timeout'] ?? null
+        'hdd_command_timeout' => $smartData['hdd_command_timeout'] ?? null,
+        'hdd_crc_errors' => $smartData['hdd_crc_errors'] ?? null,
+        // SAS/SCSI log counters (null for non-SAS drives)
+        'sas_grown_defects' => $smartData['sas_grown_defects'] ?? null,
+        'sas_uncorrected_errors' => $smartData['sas_uncorrected_errors'] ?? null,
+        'sas_non_medium_errors' => $smartData['sas_non_medium_errors'] ?? null,
+        'sas_start_stop_cycles' => $smartData['sas_start_stop_cycles'] ?? null,
+        'sas_load_unload_cycles' => $smartData['sas_load_unload_cycles'] ?? null
     ];
 
+    // Measured write rates from SMART history (null for non-NVMe drives)
+    $driveInfo['nvme_write_rates'] = $physicalType === 'nvme' ? getNvmeWriteRates($driveInfo) : null;
+
+    // Error counter growth from SMART history, a hazard multiplier in the survival model (null for NVMe drives)
+    $driveInfo['smart_error_growth'] = $physicalType !== 'nvme' ? getSmartErrorGrowth($driveInfo) : null;
+
+    return applyReplacementPrediction($driveInfo, $config);
+}
+
+/**
+ * Determine a drive's risk category
+ *
+ * NVMe: wear-based risk assessment
+ * HDD/SAS: age-based risk assessment, scaled by the model's AFR when known
+ * USB: age-based risk assessment
+ *
+ * @param array $drive Drive information (physical_type, power_on_hours, afr and NVMe wear attributes)
+ * @param array $config Plugin configuration
+ * @return string Risk category
+ */
+function getDriveRiskCategory($drive, $config) {
+    $powerOnHours = $drive['power_on_hours'];
+    $afrProfile = $drive['afr'] ?? null;
+
+    if ($drive['physical_type'] === 'nvme') {
+        return getNvmeRiskCategory($drive) ?? getAgeCategory($powerOnHours, $config);
+    }
+
+    if ($powerOnHours !== null && ($afrProfile['source'] ?? 'generic') === 'model') {
+        return getAgeCategory(round($powerOnHours * $afrProfile['factor']), $config);
+    }
+
+    return getAgeCategory($powerOnHours, $config);
+}
+
+/**
+ * Add the replacement estimate to a drive
+ *
+ * @param array $driveInfo Drive information with age_category set
+ * @param array $config Plugin configuration
+ * @return array Drive information with replacement_prediction
+ */
+function applyReplacementPrediction($driveInfo, $config) {
     // Calculate predictive replacement estimate
     $prediction = getPredictiveReplacement($driveInfo, $config);
 
@@ -320,74 +388,12 @@ function getDriveInfo($devicePath, $diskAssignments, $config, $tempUnit = 'C') {
         $prediction['months_remaining'] < 6) {
         $driveInfo['age_category'] = 'high_risk';
         $driveInfo['color_class'] = getAgeColorClass('high_risk');
+        $driveInfo['age_label'] = getAgeLabel('high_risk', $config);
     }
 
     return $driveInfo;
 }
 
-/**
- * Detect HDD pre-failure conditions based on critical SMART attributes
- *
- * Analyzes reallocated sectors, pending sectors, and uncorrectable errors
- * to provide early warning of drive failure
- *
- * @param array $driveInfo Drive information array with HDD SMART attributes
- * @return array Health warnings [['level' => string, 'attribute' => string, 'value' => int, 'message' => string, 'action' => string, 'tooltip' => string]]
- */
-function getHddHealthWarnings($driveInfo) {
-    $warnings = [];
-
-    // Only check if this is an HDD
-    if ($driveInfo['physical_type'] !== 'hdd') {
-        return $warnings;
-    }
-
-    $reallocated = $driveInfo['hdd_reallocated_sectors'] ?? 0;
-    $pending = $driveInfo['hdd_pending_sectors'] ?? 0;
-    $uncorrectable = $driveInfo['hdd_uncorrectable_sectors'] ?? 0;
-
-    // CRITICAL: Pending sectors = imminent reallocation
-    if ($pending > 0) {
-        $warnings[] = [
-            'level' => 'critical',
-            'attribute' => 'pending_sectors',
-            'value' => $pending,
-            'message' => $pending . ' pending sector' . ($pending > 1 ? 's' : ''),
-            'action' => 'Replace ASAP',
-            'tooltip' => 'Pending sectors are waiting to be reallocated. Drive is actively failing.'
-        ];
-    }
-
-    // CRITICAL: Uncorrectable sectors = data loss risk
-    if ($uncorrectable > 0) {
-        $warnings[] = [
-            'level' => 'critical',
-            'attribute' => 'uncorrectable_sectors',
-            'value' => $uncorrectable,
-            'message' => $uncorrectable . ' uncorrectable error' . ($uncorrectable > 1 ? 's' : ''),
-            'action' => 'Replace immediately',
-            'tooltip' => 'Uncorrectable errors indicate permanent data loss. Replace drive now.'
-        ];
-    }
-
-    // WARNING/CRITICAL: Reallocated sectors = physical damage
-    if ($reallocated > 0) {
-        $severity = $reallocated > 10 ? 'critical' : 'warning';
-        $action = $reallocated > 10 ? 'Replace immediately' : 'Backup data, monitor closely';
-
-        $warnings[] = [
-            'level' => $severity,
-            'attribute' => 'reallocated_sectors',
-            'value' => $reallocated,
-            'message' => $reallocated . ' reallocated sector' . ($reallocated > 1 ? 's' : ''),
-            'action' => $action,
-            'tooltip' => 'Reallocated sectors indicate physical damage. Drive may fail soon.'
-        ];
-    }
-
-    return $warnings;
-}
-
 /**
  * Get SMART data from Unraid's cached files (updated by emhttpd)
  *
@@ -426,6 +432,88 @@ function getSmartDataFromUnraidCache($deviceName) {
     return parseSmartctlOutput($output);
 }
 
+/**
+ * Parse one row of the smartctl ATA attribute table
+ *
+ * Format: ID# ATTRIBUTE_NAME FLAG VALUE WORST THRESH TYPE UPDATED WHEN_FAILED RAW_VALUE
+ *
+ * @param string $line Line of smartctl text output
+ * @return array|null ['id', 'name', 'value', 'worst', 'threshold', 'type', 'when_failed', 'raw'] or null if not an attribute row
+ */
+function parseAtaAttributeLine($line) {
+    if (!preg_match('/^\s*(\d+)\s+(\S+)\s+0x[0-9a-f]+\s+(\d+)\s+(\d+)\s+(\d+|-+)\s+(\S+)\s+\S+\s+(\S+)\s+(.+?)\s*$/i', $line, $matches)) {
+        return null;
+    }
+
+    return [
+        'id' => intval($matches[1]),
+        'name' => $matches[2],
+        'value' => intval($matches[3]),
+        'worst' => intval($matches[4]),
+        'threshold' => is_numeric($matches[5]) ? intval($matches[5]) : null,
+        'type' => $matches[6],
+        'when_failed' => $matches[7] === '-' ? null : $matches[7],
+        'raw' => $matches[8]
+    ];
+}
+
+/**
+ * Get raw SMART attributes from Unraid's cached files
+ *
+ * ATA drives return the full attribute table; NVMe drives return the
+ * SMART/Health Information log entries (id, value, worst and threshold are null).
+ *
+ * @param string $deviceName Device name (e.g., sda, nvme0n1)
+ * @return array|null Attributes [['id', 'name', 'value', 'worst', 'threshold', 'type', 'when_failed', 'raw']] or null if unavailable (no cache, standby)
+ */
+function getRawSmartAttributes($deviceName) {
+    if (!preg_match('/^(sd[a-z]|nvme[0-9]n[0-9])$/', $deviceName)) {
+        return null;
+    }
+
+    $cacheFile = "/var/local/emhttp/smart/$deviceName";
+
+    if (!file_exists($cacheFile)) {
+        return null;
+    }
+
+    $output = file_get_contents($cacheFile);
+    if (!$output || stripos($output, 'STANDBY') !== false || stripos($output, 'SLEEP') !== false) {
+        return null;
+    }
+
+    $attributes = [];
+    $inNvmeLog = false;
+
+    foreach (explode("\n", $output) as $line) {
+        $attribute = parseAtaAttributeLine($line);
+        if ($attribute !== null) {
+            $attributes[] = $attribute;
+            continue;
+        }
+
+        // NVMe format: "Percentage Used:                    3%" (until the blank line ending the log)
+        if (stripos($line, 'SMART/Health Information') !== false) {
+            $inNvmeLog = true;
+        } elseif ($inNvmeLog && trim($line) === '') {
+            $inNvmeLog = false;
+        } elseif ($inNvmeLog && preg_match('/^([^:]+):\s+(.+?)\s*$/', $line, $matches)) {
+            $attributes[] = [
+                'id' => null,
+                'name' => trim($matches[1]),
+                'value' => null,
+                'worst' => null,
+                'threshold' => null,
+                'type' => null,
+                'when_failed' => null,
+                'raw' => $matches[2]
+            ];
+        }
+    }
+
+    return $attributes;
+}
+
 /**
  * Parse smartctl text output to extract SMART attributes
  *
@@ -441,7 +529,8 @@ function parseSmartctlOutput($output) {
         'smart_status' => 'UNKNOWN',
         'temperature' => null,
         'power_on_hours' => null,
-        'spin_status' => 'unknown'
+        'spin_status' => 'unknown',
+        'attributes' => []
     ];
 
     $lines = explode("\n", $output);
@@ -454,14 +543,22 @@ function parseSmartctlOutput($output) {
             $smartData['model'] = trim($matches[1]);
         }
 
-        // Serial
-        if (preg_match('/Serial Number:\s+(.+)/', $line, $matches)) {
+        // Serial (SAS drives report "Serial number:")
+        if (preg_match('/Serial Number:\s+(.+)/i', $line, $matches)) {
             $smartData['serial'] = trim($matches[1]);
         }
 
-        // SMART status
+        // SMART status (SAS drives report "SMART Health Status: OK")
         if (preg_match('/SMART overall-health.*:\s+(.+)/', $line, $matches)) {
             $smartData['smart_status'] = (stripos($matches[1], 'PASSED') !== false) ? 'PASSED' : 'FAILED';
+        } elseif (preg_match('/SMART Health Status:\s+(.+)/', $line, $matches)) {
+            $smartData['smart_status'] = (stripos($matches[1], 'OK') === 0) ? 'PASSED' : 'FAILED';
+        }
+
+        // Keep the full attribute table for the health rules (normalized value and leading raw number)
+        $attribute = parseAtaAttributeLine($line);
+        if ($attribute !== null) {
+            $smartData['attributes'][$attribute['id']] = ['value' => $attribute['value'], 'raw' => intval($attribute['raw'])];
         }
 
         // Parse SMART attribute table (ID 9 = Power_On_Hours, ID 194 = Temperature)
@@ -496,6 +593,23 @@ function parseSmartctlOutput($output) {
         }
     }
 
+    // SAS/SCSI drives report log pages instead of an ATA attribute table
+    $sasAttrs = parseScsiSmartAttributes(null, $output);
+    if (!empty($sasAttrs)) {
+        $smartData = array_merge($smartData, $sasAttrs);
+
+        if ($smartData['model'] === 'Unknown' && preg_match('/^Product:\s+(.+)$/m', $output, $matches)) {
+            $vendor = preg_match('/^Vendor:\s+(.+)$/m', $output, $vendorMatch) ? trim($vendorMatch[1]) . ' ' : '';
+            $smartData['model'] = $vendor . trim($matches[1]);
+        }
+        if (preg_match('/Current Drive Temperature:\s+(\d+)\s*C/', $output, $matches)) {
+            $smartData['temperature'] = intval($matches[1]);
+        }
+        if ($smartData['power_on_hours'] === null) {
+            $smartData['power_on_hours'] = $sasAttrs['sas_power_on_hours'];
+        }
+    }
+
     // Return null if we couldn't get critical data
     return $smartData['power_on_hours'] !== null ? $smartData : null;
 }
@@ -582,12 +696,13 @@ function getSmartData($devicePath) {
  */
 function parseSmartctlJsonOutput($data) {
     $smartData = [
-        'model' => $data['model_name'] ?? $data['model_family'] ?? 'Unknown',
+        'model' => $data['model_name'] ?? (isset($data['scsi_product']) ? trim(($data['scsi_vendor'] ?? '') . ' ' . $data['scsi_product']) : null) ?? $data['model_family'] ?? 'Unknown',
         'serial' => $data['serial_number'] ?? 'Unknown',
         'smart_status' => ($data['smart_status']['passed'] ?? false) ? 'PASSED' : 'FAILED',
         'temperature' => null,
         'power_on_hours' => null,
-        'spin_status' => 'active' // If we got here, drive is active
+        'spin_status' => 'active', // If we got here, drive is active
+        'attributes' => []
     ];
 
     // Get temperature
@@ -598,6 +713,8 @@ function parseSmartctlJsonOutput($data) {
     // Get power-on hours (ATA drives)
     if (isset($data['ata_smart_attributes']['table'])) {
         foreach ($data['ata_smart_attributes']['table'] as $attr) {
+            $smartData['attributes'][$attr['id']] = ['value' => $attr['value'] ?? null, 'raw' => $attr['raw']['value'] ?? 0];
+
             if ($attr['id'] === 9) { // Power_On_Hours
                 $smartData['power_on_hours'] = $attr['raw']['value'];
             }
@@ -628,6 +745,15 @@ function parseSmartctlJsonOutput($data) {
         $smartData = array_merge($smartData, $hddAttrs);
     }
 
+    // Parse SAS/SCSI log counters (power-on time comes from the SCSI logs too)
+    $sasAttrs = parseScsiSmartAttributes($data, null);
+    if (!empty($sasAttrs)) {
+        $smartData = array_merge($smartData, $sasAttrs);
+        if ($smartData['power_on_hours'] === null) {
+            $smartData['power_on_hours'] = $sasAttrs['sas_power_on_hours'];
+        }
+    }
+
     return $smartData['power_on_hours'] !== null ? $smartData : null;
 }
 
@@ -697,7 +823,8 @@ function parseHddSmartAttributes($data = null, $textOutput = null) {
         'hdd_pending_sectors' => null,
         'hdd_uncorrectable_sectors' => null,
         'hdd_reported_uncorrectable' => null,
-        'hdd_command_timeout' => null
+        'hdd_command_timeout' => null,
+        'hdd_crc_errors' => null
     ];
 
     // Try JSON first (more reliable)
@@ -719,6 +846,9 @@ function parseHddSmartAttributes($data = null, $textOutput = null) {
                 case 188: // Command_Timeout
                     $hdd['hdd_command_timeout'] = $attr['raw']['value'] ?? 0;
                     break;
+                case 199: // UDMA_CRC_Error_Count
+                    $hdd['hdd_crc_errors'] = $attr['raw']['value'] ?? 0;
+                    break;
             }
         }
         return $hdd;
@@ -750,6 +880,9 @@ function parseHddSmartAttributes($data = null, $textOutput = null) {
                     case 188:
                         $hdd['hdd_command_timeout'] = $rawValue;
                         break;
+                    case 199:
+                        $hdd['hdd_crc_errors'] = $rawValue;
+                        break;
                 }
             }
         }
@@ -758,6 +891,82 @@ function parseHddSmartAttributes($data = null, $textOutput = null) {
     return $hdd;
 }
 
+/**
+ * Parse SAS/SCSI SMART log counters
+ *
+ * SAS drives have no ATA attribute table. Their health comes from the grown
+ * defect list (remapped blocks, the equivalent of reallocated sectors), the
+ * read/write/verify error counter logs, the non-medium error count and the
+ * start-stop cycle counter.
+ *
+ * @param array $data Parsed JSON data from smartctl -j (null if text mode)
+ * @param string $textOutput Raw smartctl text output (null if JSON mode)
+ * @return array SAS log counters (with is_sas and sas_power_on_hours) or empty array if not SAS/SCSI
+ */
+function parseScsiSmartAttributes($data = null, $textOutput = null) {
+    $sas = [
+        'is_sas' => true,
+        'sas_power_on_hours' => null,
+        'sas_grown_defects' => null,
+        'sas_uncorrected_errors' => null,
+        'sas_non_medium_errors' => null,
+        'sas_start_stop_cycles' => null,
+        'sas_load_unload_cycles' => null
+    ];
+
+    // Try JSON first (more reliable)
+    if ($data !== null) {
+        if (($data['device']['protocol'] ?? '') !== 'SCSI' && !isset($data['scsi_grown_defect_list'])) {
+            return [];
+        }
+
+        $sas['sas_power_on_hours'] = $data['power_on_time']['hours'] ?? null;
+        $sas['sas_grown_defects'] = $data['scsi_grown_defect_list'] ?? null;
+        $sas['sas_non_medium_errors'] = $data['scsi_nonmedium_error_count'] ?? null;
+        $sas['sas_start_stop_cycles'] = $data['scsi_start_stop_cycle_counter']['accumulated_start_stop_cycles'] ?? null;
+        $sas['sas_load_unload_cycles'] = $data['scsi_start_stop_cycle_counter']['accumulated_load_unload_cycles'] ?? null;
+
+        foreach (['read', 'write', 'verify'] as $counter) {
+            if (isset($data['scsi_error_counter_log'][$counter]['total_uncorrected_errors'])) {
+                $sas['sas_uncorrected_errors'] = ($sas['sas_uncorrected_errors'] ?? 0) + $data['scsi_error_counter_log'][$counter]['total_uncorrected_errors'];
+            }
+        }
+
+        return $sas;
+    }
+
+    // Fallback: parse text output
+    if ($textOutput === null ||
+        !preg_match('/Transport protocol:\s+SAS|SMART Health Status:|Elements in grown defect list|Error counter log/i', $textOutput)) {
+        return [];
+    }
+
+    if (preg_match('/Accumulated power on time, hours:minutes\s+(\d+):\d+/', $textOutput, $matches)) {
+        $sas['sas_power_on_hours'] = intval($matches[1]);
+    } elseif (preg_match('/number of hours powered up\s*=\s*([\d.]+)/', $textOutput, $matches)) {
+        $sas['sas_power_on_hours'] = intval(floor($matches[1]));
+    }
+
+    $counters = [
+        'sas_grown_defects' => '/Elements in grown defect list:\s+(\d+)/',
+        'sas_non_medium_errors' => '/Non-medium error count:\s+(\d+)/',
+        'sas_start_stop_cycles' => '/Accumulated start-stop cycles:\s+(\d+)/',
+        'sas_load_unload_cycles' => '/Accumulated load-unload cycles:\s+(\d+)/'
+    ];
+
+    foreach ($counters as $field => $pattern) {
+        if (preg_match($pattern, $textOutput, $matches)) {
+            $sas[$field] = intval($matches[1]);
+        }
+    }
+
+    // Error counter log rows: "read:  0  0  0  0  0  12345.678  0" (last column = total uncorrected errors)
+    if (preg_match_all('/^(?:read|write|verify):\s+.*\s(\d+)\s*$/m', $textOutput, $matches)) {
+        $sas['sas_uncorrected_errors'] = array_sum(array_map('intval', $matches[1]));
+    }
+
+    return $sas;
+}
 
 /**
  * Get drive size in bytes
@@ -843,7 +1052,10 @@ function getUnraidAssignment($deviceName, $diskAssignments) {
                 case 'Cache':
                     // Use the actual cache name (e.g., "cache", "media_cache")
                     $assignment['display_name'] = ucfirst(str_replace('_', ' ', $diskName));
-                    $assignment['array_name'] = ucfirst(str_replace('_', ' ', $diskName));
+
+                    // Members (cache, cache2, ...) are grouped under the pool name so redundancy applies to the whole pool
+                    $poolName = preg_replace('/\d+$/', '', $diskName);
+                    $assignment['array_name'] = ucfirst(str_replace('_', ' ', $poolName));
                     $assignment['drive_type'] = 'cache';
                     break;
 
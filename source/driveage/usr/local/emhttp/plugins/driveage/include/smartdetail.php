@@ -0,0 +1,251 @@
+<?php
+/**
+ * DriveAge Plugin - Full SMART Detail
+ *
+ * Reads the complete smartctl report for a single drive (all attributes,
+ * NVMe health log, SAS log counters, error log, self-test log) for the drive
+ * detail panel.
+ * Queried with -n standby so sleeping drives are never spun up; they fall
+ * back to the attributes in Unraid's SMART cache.
+ */
+
+require_once 'smartdata.php';
+
+// Maximum error/self-test log entries returned
+define('DRIVEAGE_DETAIL_LOG_ENTRIES', 10);
+
+/**
+ * Get the full SMART report for a drive
+ *
+ * @param string $devicePath Device path (e.g., /dev/sda)
+ * @return array ['source' => 'smartctl'|'cache'|'none', 'standby' => bool, 'attributes' => array, 'nvme_health' => array, 'sas_logs' => array, 'error_log' => array|null, 'self_tests' => array|null]
+ */
+function getSmartDetail($devicePath) {
+    $detail = [
+        'source' => 'none',
+        'standby' => false,
+        'attributes' => [],
+        'nvme_health' => [],
+        'sas_logs' => [],
+        'error_log' => null,
+        'self_tests' => null
+    ];
+
+    if (!isValidBlockDevice($devicePath)) {
+        return $detail;
+    }
+
+    // -n standby: exit status bit 1 is set (and nothing is read) if the drive is sleeping
+    exec('smartctl -n standby -x -j ' . escapeshellarg($devicePath) . ' 2>/dev/null', $output, $exitCode);
+    $data = json_decode(implode("\n", $output), true);
+
+    if (($exitCode & 2) === 0 && is_array($data)) {
+        $detail['source'] = 'smartctl';
+        $detail['attributes'] = parseSmartDetailAttributes($data);
+        $detail['nvme_health'] = parseSmartDetailNvmeHealth($data);
+        $detail['sas_logs'] = parseSmartDetailScsiLogs($data);
+        $detail['error_log'] = parseSmartDetailErrorLog($data);
+        $detail['self_tests'] = parseSmartDetailSelfTests($data);
+        return $detail;
+    }
+
+    $detail['standby'] = is_array($data) && stripos($data['smartctl']['messages'][0]['string'] ?? '', 'STANDBY') !== false;
+
+    // Fall back to the attribute table emhttpd last cached
+    $cached = getRawSmartAttributes(basename($devicePath));
+    if ($cached !== null) {
+        $detail['source'] = 'cache';
+
+        foreach ($cached as $attribute) {
+            if ($attribute['id'] !== null) {
+                $detail['attributes'][] = $attribute;
+            } else {
+                $detail['nvme_health'][] = ['name' => $attribute['name'], 'value' => $attribute['raw']];
+            }
+        }
+    }
+
+    return $detail;
+}
+
+/**
+ * Parse the ATA attribute table from smartctl JSON
+ *
+ * @param array $data Parsed JSON data from smartctl -j
+ * @return array Attributes (same shape as getRawSmartAttributes())
+ */
+function parseSmartDetailAttributes($data) {
+    $attributes = [];
+
+    foreach ($data['ata_smart_attributes']['table'] ?? [] as $attr) {
+        $whenFailed = $attr['when_failed'] ?? '';
+
+        $attributes[] = [
+            'id' => $attr['id'],
+            'name' => $attr['name'] ?? 'Unknown_Attribute',
+            'value' => $attr['value'] ?? null,
+            'worst' => $attr['worst'] ?? null,
+            'threshold' => $attr['thresh'] ?? null,
+            'type' => !empty($attr['flags']['prefailure']) ? 'Pre-fail' : 'Old_age',
+            'when_failed' => ($whenFailed === '' || $whenFailed === '-') ? null : $whenFailed,
+            'raw' => $attr['raw']['string'] ?? (string)($attr['raw']['value'] ?? '')
+        ];
+    }
+
+    return $attributes;
+}
+
+/**
+ * Parse the NVMe SMART/Health Information log from smartctl JSON
+ *
+ * @param array $data Parsed JSON data from smartctl -j
+ * @return array Log entries [['name' => string, 'value' => mixed]]
+ */
+function parseSmartDetailNvmeHealth($data) {
+    $health = [];
+
+    foreach ($data['nvme_smart_health_information_log'] ?? [] as $key => $value) {
+        // Per-sensor temperatures are reported as an array
+        if (is_array($value)) {
+            $value = implode(', ', $value);
+        }
+
+        $health[] = [
+            'name' => ucfirst(str_replace('_', ' ', $key)),
+            'value' => $value
+        ];
+    }
+
+    return $health;
+}
+
+/**
+ * Parse the SAS/SCSI log pages from smartctl JSON
+ *
+ * @param array $data Parsed JSON data from smartctl -j
+ * @return array Log entries [['name' => string, 'value' => mixed]] (empty for non-SAS drives)
+ */
+function parseSmartDetailScsiLogs($data) {
+    $logs = [];
+
+    if (isset($data['scsi_grown_defect_list'])) {
+        $logs[] = ['name' => 'Grown defect list', 'value' => $data['scsi_grown_defect_list']];
+    }
+
+    foreach (['read', 'write', 'verify'] as $counter) {
+        $log = $data['scsi_error_counter_log'][$counter] ?? null;
+        if ($log === null) {
+            continue;
+        }
+
+        $logs[] = [
+            'name' => ucfirst($counter) . ' errors corrected / uncorrected',
+            'value' => intval($log['total_errors_corrected'] ?? 0) . ' / ' . intval($log['total_uncorrected_errors'] ?? 0)
+        ];
+        if (isset($log['gigabytes_processed'])) {
+            $logs[] = ['name' => ucfirst($counter) . ' gigabytes processed', 'value' => $log['gigabytes_processed']];
+        }
+    }
+
+    if (isset($data['scsi_nonmedium_error_count'])) {
+        $logs[] = ['name' => 'Non-medium errors', 'value' => $data['scsi_nonmedium_error_count']];
+    }
+
+    $cycles = $data['scsi_start_stop_cycle_counter'] ?? [];
+    if (isset($cycles['accumulated_start_stop_cycles'])) {
+        $logs[] = ['name' => 'Start-stop cycles', 'value' => $cycles['accumulated_start_stop_cycles'] . (isset($cycles['specified_cycle_count_over_device_lifetime']) ? ' of ' . $cycles['specified_cycle_count_over_device_lifetime'] . ' specified' : '')];
+    }
+    if (isset($cycles['accumulated_load_unload_cycles'])) {
+        $logs[] = ['name' => 'Load-unload cycles', 'value' => $cycles['accumulated_load_unload_cycles'] . (isset($cycles['specified_load_unload_count_over_device_lifetime']) ? ' of ' . $cycles['specified_load_unload_count_over_device_lifetime'] . ' specified' : '')];
+    }
+
+    if (isset($data['scsi_percentage_used_endurance_indicator'])) {
+        $logs[] = ['name' => 'Percentage used endurance indicator', 'value' => $data['scsi_percentage_used_endurance_indicator'] . '%'];
+    }
+
+    return $logs;
+}
+
+/**
+ * Parse the ATA error log (or NVMe error count) from smartctl JSON
+ *
+ * @param array $data Parsed JSON data from smartctl -j
+ * @return array|null ['count' => int, 'entries' => [['number', 'lifetime_hours', 'description']]] or null if not reported
+ */
+function parseSmartDetailErrorLog($data) {
+    $log = $data['ata_smart_error_log']['extended'] ?? $data['ata_smart_error_log']['summary'] ?? null;
+
+    if ($log !== null) {
+        $entries = [];
+
+        foreach (array_slice($log['table'] ?? [], 0, DRIVEAGE_DETAIL_LOG_ENTRIES) as $entry) {
+            $entries[] = [
+                'number' => $entry['error_number'] ?? null,
+                'lifetime_hours' => $entry['lifetime_hours'] ?? null,
+                'description' => $entry['error_description'] ?? 'Unknown error'
+            ];
+        }
+
+        return ['count' => intval($log['count'] ?? count($entries)), 'entries' => $entries];
+    }
+
+    if (isset($data['nvme_smart_health_information_log']['num_err_log_entries'])) {
+        return ['count' => intval($data['nvme_smart_health_information_log']['num_err_log_entries']), 'entries' => []];
+    }
+
+    return null;
+}
+
+/**
+ * Parse the self-test log from smartctl JSON (ATA, NVMe or SCSI)
+ *
+ * @param array $data Parsed JSON data from smartctl -j
+ * @return array|null Recent tests [['type', 'status', 'passed', 'lifetime_hours']] (newest first) or null if not reported
+ */
+function parseSmartDetailSelfTests($data) {
+    $ataLog = $data['ata_smart_self_test_log']['extended'] ?? $data['ata_smart_self_test_log']['standard'] ?? null;
+
+    if ($ataLog !== null) {
+        return array_map(function($test) {
+            return [
+                'type' => $test['type']['string'] ?? 'Unknown',
+                'status' => $test['status']['string'] ?? 'Unknown',
+                'passed' => $test['status']['passed'] ?? null,
+                'lifetime_hours' => $test['lifetime_hours'] ?? null
+            ];
+        }, array_slice($ataLog['table'] ?? [], 0, DRIVEAGE_DETAIL_LOG_ENTRIES));
+    }
+
+    if (isset($data['nvme_self_test_log'])) {
+        return array_map(function($test) {
+            $result = $test['self_test_result']['string'] ?? 'Unknown';
+
+            return [
+                'type' => $test['self_test_code']['string'] ?? 'Unknown',
+                'status' => $result,
+                'passed' => ($test['self_test_result']['value'] ?? null) === 0,
+                'lifetime_hours' => $test['power_on_hours'] ?? null
+            ];
+        }, array_slice($data['nvme_self_test_log']['table'] ?? [], 0, DRIVEAGE_DETAIL_LOG_ENTRIES));
+    }
+
+    // SCSI self-test results are reported as scsi_self_test_0 (newest) to scsi_self_test_19
+    if (isset($data['scsi_self_test_0'])) {
+        $tests = [];
+
+        for ($i = 0; $i < DRIVEAGE_DETAIL_LOG_ENTRIES && isset($data['scsi_self_test_' . $i]); $i++) {
+            $test = $data['scsi_self_test_' . $i];
+
+            $tests[] = [
+                'type' => $test['code']['string'] ?? 'Unknown',
+                'status' => $test['result']['string'] ?? 'Unknown',
+                'passed' => ($test['result']['value'] ?? null) === 0,
+                'lifetime_hours' => $test['power_on_time']['hours'] ?? null
+            ];
+        }
+
+        return $tests;
+    }
+
+    return null;
+}
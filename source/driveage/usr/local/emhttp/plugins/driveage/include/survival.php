@@ -0,0 +1,263 @@
+<?php
+/**
+ * DriveAge Plugin - HDD Survival Model
+ *
+ * Bathtub-shaped hazard (a constant random-failure rate plus a Weibull
+ * wear-out term) fitted to the Backblaze AFR bands, scaled by the model's
+ * relative AFR and by hazard multipliers for SMART error counts and their
+ * growth. The replacement estimate is the time until the chance of the drive
+ * failing before it is replaced reaches the user's acceptable risk.
+ *
+ * Uncertainty in the overall hazard level is treated as log-normal, so the
+ * median estimate and its 80% interval come from the same calculation.
+ */
+
+require_once 'config.php';
+require_once 'healthrules.php';
+require_once 'writerate.php';
+
+// Hazard h(t) = RANDOM_RATE + (SHAPE / SCALE) * (t / SCALE)^(SHAPE - 1), t in years.
+// Least-squares fit in log space to the AFR bands 1.5% (year 0-2), 2% (2-3),
+// 3% (3-4), 6% (4-5) and 10% (5-6); it reaches ~13% at 6 years and ~23% at 7.
+define('DRIVEAGE_SURVIVAL_RANDOM_RATE', 0.015);
+define('DRIVEAGE_SURVIVAL_WEIBULL_SHAPE', 4.7);
+define('DRIVEAGE_SURVIVAL_WEIBULL_SCALE', 8.95);
+
+// Log-normal spread of the hazard level: generic curve, and the curve's shape
+// error when a model AFR sets the level (sampling error is added from drive-days)
+define('DRIVEAGE_SURVIVAL_GENERIC_SIGMA', 0.6);
+define('DRIVEAGE_SURVIVAL_SHAPE_SIGMA', 0.25);
+
+// Extra spread added for each SMART hazard multiplier (they are rough population figures)
+define('DRIVEAGE_SURVIVAL_FACTOR_SIGMA', 0.5);
+
+// z-score of the 10th/90th percentile (80% interval)
+define('DRIVEAGE_SURVIVAL_INTERVAL_Z', 1.2816);
+
+// Estimates beyond this are reported as this many months
+define('DRIVEAGE_SURVIVAL_MAX_MONTHS', 120);
+
+// Upper bound for the combined hazard multiplier
+define('DRIVEAGE_SURVIVAL_MAX_MULTIPLIER', 100);
+
+// Hazard multipliers by SMART counter: [minimum count => multiplier], highest matching step wins.
+// Approximated from the Google (Pinheiro et al. 2007) and Backblaze SMART failure studies.
+define('DRIVEAGE_SURVIVAL_COUNTER_MULTIPLIERS', [
+    'hdd_reallocated_sectors' => ['label' => 'Reallocated sectors', 'steps' => [1 => 3, 10 => 6, 100 => 10]],
+    'hdd_pending_sectors' => ['label' => 'Pending sectors', 'steps' => [1 => 8, 10 => 15]],
+    'hdd_uncorrectable_sectors' => ['label' => 'Uncorrectable sectors', 'steps' => [1 => 5, 10 => 10]],
+    // CRC errors are mostly cabling faults and only weakly predict drive failure
+    'hdd_crc_errors' => ['label' => 'CRC errors', 'steps' => [1 => 1.2, 100 => 1.5]],
+    'sas_grown_defects' => ['label' => 'Grown defects', 'steps' => [1 => 3, 10 => 6, 100 => 10]],
+    'sas_uncorrected_errors' => ['label' => 'Uncorrected errors', 'steps' => [1 => 5, 10 => 10]]
+]);
+
+// Health rules already covered by a counter multiplier (other warnings use the generic factors)
+define('DRIVEAGE_SURVIVAL_COVERED_RULES', [
+    'reallocated_sectors', 'pending_sectors', 'uncorrectable_sectors', 'udma_crc_errors',
+    'sas_grown_defects', 'sas_uncorrected_errors'
+]);
+
+// Counters whose growth over the last GROWTH_DAYS multiplies the hazard again
+define('DRIVEAGE_SURVIVAL_GROWTH_METRICS', [
+    'hdd_reallocated_sectors', 'hdd_pending_sectors', 'hdd_uncorrectable_sectors',
+    'sas_grown_defects', 'sas_uncorrected_errors'
+]);
+define('DRIVEAGE_SURVIVAL_GROWTH_DAYS', 30);
+define('DRIVEAGE_SURVIVAL_GROWTH_MULTIPLIER', 3);
+
+// Multiplier for a FAILED SMART status (the worst health warning not covered above
+// uses DRIVEAGE_WARNING_FAILURE_FACTOR)
+define('DRIVEAGE_SURVIVAL_FAILED_MULTIPLIER', 20);
+
+/**
+ * Baseline annual hazard at an age
+ *
+ * @param float $ageYears Power-on age in years
+ * @return float Failures per drive-year
+ */
+function getBaselineHazard($ageYears) {
+    $scale = DRIVEAGE_SURVIVAL_WEIBULL_SCALE;
+    $shape = DRIVEAGE_SURVIVAL_WEIBULL_SHAPE;
+
+    return DRIVEAGE_SURVIVAL_RANDOM_RATE + ($shape / $scale) * pow(max(0, $ageYears) / $scale, $shape - 1);
+}
+
+/**
+ * Baseline cumulative hazard from new to an age
+ *
+ * @param float $ageYears Power-on age in years
+ * @return float Cumulative hazard
+ */
+function getCumulativeHazard($ageYears) {
+    $ageYears = max(0, $ageYears);
+
+    return DRIVEAGE_SURVIVAL_RANDOM_RATE * $ageYears + pow($ageYears / DRIVEAGE_SURVIVAL_WEIBULL_SCALE, DRIVEAGE_SURVIVAL_WEIBULL_SHAPE);
+}
+
+/**
+ * Probability that a drive of a given age fails within a period
+ *
+ * @param float $ageYears Current power-on age in years
+ * @param float $multiplier Hazard multiplier
+ * @param float $years Length of the period in years
+ * @return float Failure probability
+ */
+function getConditionalFailureProbability($ageYears, $multiplier, $years) {
+    $hazard = $multiplier * (getCumulativeHazard($ageYears + $years) - getCumulativeHazard($ageYears));
+
+    return 1 - exp(-$hazard);
+}
+
+/**
+ * Time until the chance of failing from now reaches a risk level
+ *
+ * @param float $ageYears Current power-on age in years
+ * @param float $multiplier Hazard multiplier
+ * @param float $risk Acceptable failure probability (0-1)
+ * @return float Years, at most DRIVEAGE_SURVIVAL_MAX_MONTHS / 12
+ */
+function getYearsToFailureRisk($ageYears, $multiplier, $risk) {
+    $maxYears = DRIVEAGE_SURVIVAL_MAX_MONTHS / 12;
+    $target = -log(1 - $risk) / $multiplier;
+    $start = getCumulativeHazard($ageYears);
+
+    if (getCumulativeHazard($ageYears + $maxYears) - $start < $target) {
+        return $maxYears;
+    }
+
+    // Cumulative hazard only grows with age, so bisection converges
+    $low = 0.0;
+    $high = $maxYears;
+    for ($i = 0; $i < 40; $i++) {
+        $mid = ($low + $high) / 2;
+        if (getCumulativeHazard($ageYears + $mid) - $start < $target) {
+            $low = $mid;
+        } else {
+            $high = $mid;
+        }
+    }
+
+    return $high;
+}
+
+/**
+ * Measure how much each error counter grew over the growth window
+ *
+ * The current reading is the end point, as for NVMe write rates.
+ *
+ * @param array $drive Drive information (serial and SMART counters)
+ * @return array|null Metric => increase for counters that grew, or null without enough history
+ */
+function getSmartErrorGrowth($drive) {
+    $history = loadDriveHistory($drive['serial'] ?? '');
+    if ($history === null) {
+        return null;
+    }
+
+    $now = time();
+    $growth = [];
+    $measured = false;
+
+    foreach (DRIVEAGE_SURVIVAL_GROWTH_METRICS as $metric) {
+        if (!is_numeric($drive[$metric] ?? null)) {
+            continue;
+        }
+
+        $start = findWindowStartSample($history['samples'], $metric, DRIVEAGE_SURVIVAL_GROWTH_DAYS, $now);
+        if ($start === null) {
+            continue;
+        }
+
+        $measured = true;
+        if ($drive[$metric] > $start[$metric]) {
+            $growth[$metric] = $drive[$metric] - $start[$metric];
+        }
+    }
+
+    return $measured ? $growth : null;
+}
+
+/**
+ * Get the spread of the hazard level from the failure rate source
+ *
+ * @param array|null $afr Failure rate profile from getModelAfr()
+ * @return float Log-normal sigma
+ */
+function getBaselineHazardSigma($afr) {
+    if (($afr['source'] ?? 'generic') !== 'model') {
+        return DRIVEAGE_SURVIVAL_GENERIC_SIGMA;
+    }
+
+    // Poisson sampling error of the model's observed failure count
+    $failures = max(1, $afr['model_afr'] / 100 * $afr['drive_days'] / 365);
+
+    return sqrt(pow(DRIVEAGE_SURVIVAL_SHAPE_SIGMA, 2) + 1 / $failures);
+}
+
+/**
+ * Combine everything that scales a drive's hazard
+ *
+ * @param array $drive Drive information from getDriveInfo()
+ * @return array ['multiplier' => float, 'sigma' => float, 'factors' => [['label' => string, 'multiplier' => float, 'smart' => bool]]]
+ */
+function getHazardMultipliers($drive) {
+    $afr = $drive['afr'] ?? null;
+    $factors = [];
+
+    if (($afr['source'] ?? 'generic') === 'model') {
+        $factors[] = ['label' => 'Model AFR (' . $afr['matched_model'] . ')', 'multiplier' => $afr['factor'], 'smart' => false];
+    }
+
+    foreach (DRIVEAGE_SURVIVAL_COUNTER_MULTIPLIERS as $field => $counter) {
+        $count = $drive[$field] ?? null;
+        if (!is_numeric($count) || $count < 1) {
+            continue;
+        }
+
+        $multiplier = 1;
+        foreach ($counter['steps'] as $minimum => $stepMultiplier) {
+            if ($count >= $minimum) {
+                $multiplier = $stepMultiplier;
+            }
+        }
+        $factors[] = ['label' => $counter['label'] . ': ' . number_format($count), 'multiplier' => $multiplier, 'smart' => true];
+    }
+
+    $growth = $drive['smart_error_growth'] ?? null;
+    if (!empty($growth)) {
+        $metrics = getHistoryMetrics();
+        $grown = array_map(function($metric) use ($growth, $metrics) {
+            return $metrics[$metric] . ' +' . number_format($growth[$metric]);
+        }, array_keys($growth));
+        $factors[] = ['label' => 'Growing in the last ' . DRIVEAGE_SURVIVAL_GROWTH_DAYS . ' days: ' . implode(', ', $grown), 'multiplier' => DRIVEAGE_SURVIVAL_GROWTH_MULTIPLIER, 'smart' => true];
+    }
+
+    $uncovered = array_filter($drive['health_warnings'] ?? [], function($warning) {
+        return !in_array($warning['attribute'], DRIVEAGE_SURVIVAL_COVERED_RULES, true);
+    });
+    $levels = array_column($uncovered, 'level');
+    $worst = in_array('critical', $levels, true) ? 'critical' : (in_array('warning', $levels, true) ? 'warning' : null);
+    if ($worst !== null) {
+        $factors[] = ['label' => ucfirst($worst) . ' health warning', 'multiplier' => DRIVEAGE_WARNING_FAILURE_FACTOR[$worst], 'smart' => true];
+    }
+
+    if (($drive['smart_status'] ?? '') === 'FAILED') {
+        $factors[] = ['label' => 'SMART status FAILED', 'multiplier' => DRIVEAGE_SURVIVAL_FAILED_MULTIPLIER, 'smart' => true];
+    }
+
+    $multiplier = 1.0;
+    $variance = pow(getBaselineHazardSigma($afr), 2);
+    foreach ($factors as $factor) {
+        $multiplier *= $factor['multiplier'];
+        if ($factor['smart']) {
+            $variance += pow(DRIVEAGE_SURVIVAL_FACTOR_SIGMA, 2);
+        }
+    }
+
+    return [
+        'multiplier' => min(DRIVEAGE_SURVIVAL_MAX_MULTIPLIER, $multiplier),
+        'sigma' => sqrt($variance),
+        'factors' => $factors
+    ];
+}
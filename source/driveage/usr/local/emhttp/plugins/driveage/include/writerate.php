@@ -0,0 +1,127 @@
+<?php
+/**
+ * DriveAge Plugin - Measured NVMe Write Rates
+ *
+ * Derives recent write rates (7, 30 and 90 days) and wear velocity from the
+ * data_units_written and percentage_used values recorded in SMART history,
+ * so drives whose workload changed are projected from what they write now
+ * rather than their lifetime average.
+ */
+
+require_once 'config.php';
+require_once 'history.php';
+
+// Windows (days) recent write rates are measured over
+define('DRIVEAGE_WRITE_RATE_WINDOWS', [7, 30, 90]);
+
+// A window is only measured once the oldest sample in it covers this share of the window
+define('DRIVEAGE_WRITE_RATE_MIN_COVERAGE', 0.5);
+
+// NVMe data units are 1000 x 512 bytes
+define('DRIVEAGE_NVME_DATA_UNIT_BYTES', 512000);
+
+/**
+ * Find the oldest sample inside a window that has a value for a metric
+ *
+ * @param array $samples History samples (oldest first)
+ * @param string $metric Metric key
+ * @param int $windowDays Window length in days
+ * @param int $now Current timestamp
+ * @return array|null Sample, or null if none covers enough of the window
+ */
+function findWindowStartSample($samples, $metric, $windowDays, $now) {
+    $windowStart = $now - $windowDays * 86400;
+
+    foreach ($samples as $sample) {
+        if (intval($sample['timestamp']) < $windowStart || !is_numeric($sample[$metric] ?? null)) {
+            continue;
+        }
+
+        // Samples are oldest first, so the first match is the oldest in the window
+        $coverage = ($now - intval($sample['timestamp'])) / ($windowDays * 86400);
+        return $coverage >= DRIVEAGE_WRITE_RATE_MIN_COVERAGE ? $sample : null;
+    }
+
+    return null;
+}
+
+/**
+ * Measure an NVMe drive's write rates and wear velocity
+ *
+ * The current SMART reading is the end point of each window, so rates are
+ * up to date even between history snapshots.
+ *
+ * @param array $drive Drive information (serial, power_on_hours, nvme_data_units_written, nvme_percentage_used)
+ * @return array ['rates' => [days => GB/day|null], 'recent_gb_per_day' => float|null, 'recent_window_days' => int|null,
+ *                'peak_gb_per_day' => float|null, 'lifetime_gb_per_day' => float|null, 'wear_per_month' => float|null]
+ */
+function getNvmeWriteRates($drive) {
+    $unitsWritten = $drive['nvme_data_units_written'] ?? null;
+    $powerOnHours = $drive['power_on_hours'] ?? null;
+    $percentageUsed = $drive['nvme_percentage_used'] ?? null;
+
+    $result = [
+        'rates' => array_fill_keys(DRIVEAGE_WRITE_RATE_WINDOWS, null),
+        'recent_gb_per_day' => null,
+        'recent_window_days' => null,
+        'peak_gb_per_day' => null,
+        'lifetime_gb_per_day' => null,
+        'wear_per_month' => null
+    ];
+
+    if (!is_numeric($unitsWritten)) {
+        return $result;
+    }
+
+    // Lifetime average per power-on day
+    if ($powerOnHours > 0) {
+        $result['lifetime_gb_per_day'] = round($unitsWritten * DRIVEAGE_NVME_DATA_UNIT_BYTES / 1e9 / ($powerOnHours / 24), 1);
+    }
+
+    $history = loadDriveHistory($drive['serial'] ?? '');
+    if ($history === null) {
+        return $result;
+    }
+
+    $now = time();
+
+    foreach (DRIVEAGE_WRITE_RATE_WINDOWS as $days) {
+        $start = findWindowStartSample($history['samples'], 'nvme_data_units_written', $days, $now);
+        $written = $start !== null ? $unitsWritten - $start['nvme_data_units_written'] : -1;
+
+        // A negative difference means the counter was reset (or the serial reused) - not measurable
+        if ($written >= 0) {
+            $spanDays = ($now - intval($start['timestamp'])) / 86400;
+            $result['rates'][$days] = round($written * DRIVEAGE_NVME_DATA_UNIT_BYTES / 1e9 / $spanDays, 1);
+        }
+    }
+
+    // Recent rate: the 30-day window smooths out bursts; fall back to whichever window is measured
+    foreach ([30, 7, 90] as $days) {
+        if ($result['rates'][$days] !== null) {
+            $result['recent_gb_per_day'] = $result['rates'][$days];
+            $result['recent_window_days'] = $days;
+            break;
+        }
+    }
+
+    $measured = array_filter($result['rates'], function($rate) {
+        return $rate !== null;
+    });
+    $result['peak_gb_per_day'] = !empty($measured) ? max($measured) : null;
+
+    // Wear velocity needs a long window: percentage_used only changes in whole percent,
+    // so a window without a change is not measured (0 would project the calendar cap)
+    if (is_numeric($percentageUsed)) {
+        foreach ([90, 30] as $days) {
+            $start = findWindowStartSample($history['samples'], 'nvme_percentage_used', $days, $now);
+            if ($start !== null && $percentageUsed > $start['nvme_percentage_used']) {
+                $spanDays = ($now - intval($start['timestamp'])) / 86400;
+                $result['wear_per_month'] = round(($percentageUsed - $start['nvme_percentage_used']) / $spanDays * 30, 2);
+                break;
+            }
+        }
+    }
+
+    return $result;
+}
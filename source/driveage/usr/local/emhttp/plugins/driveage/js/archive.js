@@ -0,0 +1,503 @@
+/**
+ * DriveAge Plugin - Retired Drives Archive
+ * Lists drives that are no longer present so they can be archived as retired,
+ * failed, RMA'd or sold, shows the archive with its final SMART snapshot and
+ * summarizes lifetimes and failures across the fleet.
+ *
+ * Drive data comes from the Dashboard tab: dashboard.js calls renderArchive()
+ * after each successful load. The registry and archive are injected by
+ * DriveAgeArchive.page.
+ */
+
+const ARCHIVE_STATUS_LABELS = {
+    retired: 'Retired',
+    failed: 'Failed',
+    rma: "RMA'd",
+    sold: 'Sold'
+};
+
+// Generic HDD AFR curve from METHODOLOGY.md (upper bound of each age band in years)
+const ARCHIVE_BASELINE_AFR = [
+    { max: 2, afr: 1.5 },
+    { max: 3, afr: 2.0 },
+    { max: 4, afr: 3.0 },
+    { max: 5, afr: 6.0 },
+    { max: Infinity, afr: 10.0 }
+];
+
+let archiveState = null;
+let archiveDriveData = null;
+
+// Initialize archive controls when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    initializeArchive();
+});
+
+/**
+ * Initialize archive controls
+ */
+function initializeArchive() {
+    if (!document.getElementById('archive-container')) {
+        return;
+    }
+
+    archiveState = typeof DRIVEAGE_ARCHIVE !== 'undefined' ? DRIVEAGE_ARCHIVE : { known: {}, archive: {} };
+
+    document.getElementById('archive-export-select').addEventListener('change', function() {
+        const format = this.value;
+        this.value = '';
+
+        if (format === 'csv') {
+            exportArchiveCsv();
+        } else if (format === 'json') {
+            exportArchiveJson();
+        }
+    });
+}
+
+/**
+ * Render the archive tab
+ * Called from dashboard.js after drive data loads
+ *
+ * @param {Object} data - Full data object from API
+ */
+function renderArchive(data) {
+    if (!document.getElementById('archive-container') || !data || !data.drives) {
+        return;
+    }
+
+    archiveDriveData = data;
+    drawArchive();
+}
+
+/**
+ * Draw the missing drives, the archive and the fleet statistics
+ */
+function drawArchive() {
+    if (!archiveDriveData) return;
+
+    const present = new Set(archiveDriveData.drives.map(drive => drive.serial));
+    const missing = Object.values(archiveState.known)
+        .filter(record => !present.has(record.serial) && !archiveState.archive[record.serial])
+        .sort((a, b) => b.last_seen.localeCompare(a.last_seen));
+    const archived = Object.values(archiveState.archive)
+        .sort((a, b) => b.removed_date.localeCompare(a.removed_date));
+
+    drawMissingDrives(missing);
+    drawArchivedDrives(archived);
+    drawFleetStats(archived);
+}
+
+/**
+ * Draw drives that are no longer present, with archive controls
+ *
+ * @param {Array} missing - Known drive records
+ */
+function drawMissingDrives(missing) {
+    const container = document.getElementById('archive-missing');
+
+    if (missing.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    let html = '<h3>Missing Drives</h3>';
+    html += '<p class="planner-notes">These drives were seen before but are not detected now. Archive a drive that was pulled for good with the reason it left. A drive that was only disconnected drops off this list once it is detected again.</p>';
+    html += '<div class="driveage-table-container"><table class="driveage-table archive-table"><thead><tr>';
+    html += '<th>Serial</th><th>Model</th><th class="text-right">Size</th><th class="text-right">Age</th><th>Last Seen</th><th>Warnings</th><th>Archive As</th>';
+    html += '</tr></thead><tbody>';
+
+    missing.forEach(record => {
+        html += `<tr data-serial="${escapeHtml(record.serial)}">`;
+        html += `<td>${escapeHtml(record.serial)}</td>`;
+        html += `<td>${escapeHtml(record.model)}</td>`;
+        html += `<td class="text-right">${escapeHtml(record.size_human || '')}</td>`;
+        html += `<td class="text-right">${escapeHtml(formatArchiveLifetime(record.power_on_hours))}</td>`;
+        html += `<td>${escapeHtml(record.last_seen)}</td>`;
+        html += `<td>${renderArchiveWarnings(record.health_warnings)}</td>`;
+        html += '<td class="archive-controls">';
+        html += renderArchiveStatusSelect('failed');
+        html += `<input type="date" data-field="removed_date" value="${escapeHtml(record.last_seen)}" max="${escapeHtml(getArchiveToday())}" title="Removal date">`;
+        html += '<input type="text" data-field="notes" maxlength="2000" placeholder="Notes" title="Notes (e.g. RMA number, buyer)">';
+        html += '<button type="button" data-action="archive">Archive</button>';
+        html += '<button type="button" data-action="forget" title="Drop this drive without archiving it">Forget</button>';
+        html += '</td></tr>';
+    });
+
+    html += '</tbody></table></div>';
+    container.innerHTML = html;
+
+    container.querySelectorAll('tr[data-serial]').forEach(row => {
+        row.querySelector('[data-action="archive"]').addEventListener('click', function() {
+            postArchiveAction('archive', row.dataset.serial, getArchiveRowEntry(row), this);
+        });
+        row.querySelector('[data-action="forget"]').addEventListener('click', function() {
+            if (confirm(`Forget drive ${row.dataset.serial}? It will not be archived.`)) {
+                postArchiveAction('forget', row.dataset.serial, {}, this);
+            }
+        });
+    });
+}
+
+/**
+ * Draw the archived drives table
+ *
+ * @param {Array} archived - Archived drive records, newest removal first
+ */
+function drawArchivedDrives(archived) {
+    const container = document.getElementById('archive-list');
+
+    if (archived.length === 0) {
+        container.innerHTML = '<div class="driveage-info">No drives archived yet. Drives that disappear from the server are listed above so you can record why.</div>';
+        return;
+    }
+
+    let html = '<div class="driveage-table-container"><table class="driveage-table archive-table"><thead><tr>';
+    html += '<th>Serial</th><th>Model</th><th class="text-right">Size</th><th>Status</th><th>Removed</th>';
+    html += '<th class="text-right">Lifetime</th><th>Final Warnings</th><th>Notes</th><th></th>';
+    html += '</tr></thead><tbody>';
+
+    archived.forEach(record => {
+        html += `<tr data-serial="${escapeHtml(record.serial)}">`;
+        html += `<td>${escapeHtml(record.serial)}</td>`;
+        html += `<td>${escapeHtml(record.model)}</td>`;
+        html += `<td class="text-right">${escapeHtml(record.size_human || '')}</td>`;
+        html += `<td>${renderArchiveStatusSelect(record.status)}</td>`;
+        html += `<td><input type="date" data-field="removed_date" value="${escapeHtml(record.removed_date)}" max="${escapeHtml(getArchiveToday())}"></td>`;
+        html += `<td class="text-right" title="${escapeHtml(record.power_on_hours ? record.power_on_hours + ' power-on hours' : '')}">${escapeHtml(formatArchiveLifetime(record.power_on_hours))}</td>`;
+        html += `<td>${renderArchiveWarnings(record.health_warnings)}</td>`;
+        html += `<td><input type="text" data-field="notes" maxlength="2000" value="${escapeHtml(record.notes)}"></td>`;
+        html += '<td class="archive-controls">';
+        html += '<button type="button" data-action="history" title="Recorded SMART history">History</button>';
+        html += '<button type="button" data-action="delete" title="Remove from the archive">Delete</button>';
+        html += '</td></tr>';
+    });
+
+    html += '</tbody></table></div>';
+    container.innerHTML = html;
+
+    container.querySelectorAll('tr[data-serial]').forEach(row => {
+        const serial = row.dataset.serial;
+
+        row.querySelectorAll('[data-field]').forEach(input => {
+            input.addEventListener('change', function() {
+                postArchiveAction('update', serial, getArchiveRowEntry(row), this);
+            });
+        });
+        row.querySelector('[data-action="history"]').addEventListener('click', function() {
+            if (window.openTrendView) {
+                openTrendView(serial, `${archiveState.archive[serial].model} (${serial})`, archiveDriveData.config.temperature_unit);
+            }
+        });
+        row.querySelector('[data-action="delete"]').addEventListener('click', function() {
+            if (confirm(`Delete drive ${serial} from the archive?`)) {
+                postArchiveAction('delete', serial, {}, this);
+            }
+        });
+    });
+}
+
+/**
+ * Draw lifetime per model, removals per year and observed vs expected failures
+ *
+ * @param {Array} archived - Archived drive records
+ */
+function drawFleetStats(archived) {
+    const container = document.getElementById('archive-stats');
+    const active = archiveDriveData.drives.filter(drive => drive.drive_type !== 'flash' && drive.serial && drive.serial !== 'Unknown');
+    const isFailure = record => record.status === 'failed' || record.status === 'rma';
+    const isRotational = record => record.physical_type === 'hdd' || record.physical_type === 'sas';
+
+    let html = '<h3>Fleet Statistics</h3>';
+
+    // Observed HDD failure rate over all power-on time vs the generic curve
+    const hdds = active.filter(isRotational).concat(archived.filter(isRotational));
+    const driveYears = hdds.reduce((sum, drive) => sum + (Number(drive.power_on_hours) || 0) / 8760, 0);
+    const failures = archived.filter(record => isRotational(record) && isFailure(record)).length;
+    const expected = hdds.reduce((sum, drive) => sum + getExpectedFailures(Number(drive.power_on_hours) || 0), 0);
+
+    html += '<div class="planner-totals">';
+    html += `<div><strong>${driveYears.toFixed(1)}</strong><span>HDD drive-years</span></div>`;
+    html += `<div><strong>${failures}</strong><span>HDD failures (failed or RMA'd)</span></div>`;
+    html += `<div><strong>${driveYears > 0 ? (failures / driveYears * 100).toFixed(2) + '%' : '-'}</strong><span>Observed AFR</span></div>`;
+    html += `<div><strong>${expected.toFixed(2)}</strong><span>Failures expected by the Backblaze curve</span></div>`;
+    html += '</div>';
+
+    // Per model: lifetime of archived drives and age of drives still in service
+    const models = {};
+    active.concat(archived).forEach(drive => {
+        const model = drive.model || 'Unknown';
+        models[model] = models[model] || { active: [], archived: [], failed: 0 };
+
+        if (drive.status) {
+            models[model].archived.push(Number(drive.power_on_hours) || 0);
+            models[model].failed += isFailure(drive) ? 1 : 0;
+        } else {
+            models[model].active.push(Number(drive.power_on_hours) || 0);
+        }
+    });
+
+    html += '<div class="driveage-table-container"><table class="driveage-table archive-stats-table"><thead><tr>';
+    html += '<th>Model</th><th class="text-right">In Service</th><th class="text-right">Avg Age</th>';
+    html += '<th class="text-right">Archived</th><th class="text-right">Failed / RMA</th><th class="text-right">Avg Lifetime</th>';
+    html += '</tr></thead><tbody>';
+
+    Object.keys(models).sort().forEach(model => {
+        const stats = models[model];
+        html += `<tr><td>${escapeHtml(model)}</td>`;
+        html += `<td class="text-right">${stats.active.length}</td>`;
+        html += `<td class="text-right">${stats.active.length > 0 ? escapeHtml(formatArchiveLifetime(getArchiveAverage(stats.active))) : '-'}</td>`;
+        html += `<td class="text-right">${stats.archived.length}</td>`;
+        html += `<td class="text-right">${stats.failed}</td>`;
+        html += `<td class="text-right">${stats.archived.length > 0 ? escapeHtml(formatArchiveLifetime(getArchiveAverage(stats.archived))) : '-'}</td></tr>`;
+    });
+
+    html += '</tbody></table></div>';
+
+    // Removals per year by reason
+    const years = {};
+    archived.forEach(record => {
+        const year = record.removed_date.substring(0, 4);
+        years[year] = years[year] || { retired: 0, failed: 0, rma: 0, sold: 0 };
+        years[year][record.status]++;
+    });
+
+    if (Object.keys(years).length > 0) {
+        html += '<table class="driveage-table planner-years"><thead><tr><th>Year</th>';
+        Object.values(ARCHIVE_STATUS_LABELS).forEach(label => {
+            html += `<th class="text-right">${escapeHtml(label)}</th>`;
+        });
+        html += '</tr></thead><tbody>';
+
+        Object.keys(years).sort().reverse().forEach(year => {
+            html += `<tr><td>${escapeHtml(year)}</td>`;
+            Object.keys(ARCHIVE_STATUS_LABELS).forEach(status => {
+                html += `<td class="text-right">${years[year][status]}</td>`;
+            });
+            html += '</tr>';
+        });
+
+        html += '</tbody></table>';
+    }
+
+    html += '<p class="planner-notes">Drive-years count each drive\'s whole power-on time, including time before DriveAge knew about it. ';
+    html += 'Expected failures apply the generic Backblaze AFR curve from METHODOLOGY.md to the same drive-years. ';
+    html += 'With a small fleet a single failure moves the observed rate a lot.</p>';
+
+    container.innerHTML = html;
+}
+
+/**
+ * Expected number of failures for one drive over its power-on time
+ *
+ * @param {number} hours - Power-on hours
+ * @return {number} Expected failures (sum of AFR over each year of age)
+ */
+function getExpectedFailures(hours) {
+    const years = hours / 8760;
+    let start = 0;
+    let expected = 0;
+
+    for (const band of ARCHIVE_BASELINE_AFR) {
+        expected += Math.max(0, Math.min(years, band.max) - start) * band.afr / 100;
+        if (years <= band.max) break;
+        start = band.max;
+    }
+
+    return expected;
+}
+
+/**
+ * Read the status, removal date and notes from a table row
+ *
+ * @param {HTMLElement} row - Table row
+ * @return {Object} Archive details
+ */
+function getArchiveRowEntry(row) {
+    return {
+        status: row.querySelector('[data-field="status"]').value,
+        removed_date: row.querySelector('[data-field="removed_date"]').value,
+        notes: row.querySelector('[data-field="notes"]').value
+    };
+}
+
+/**
+ * Send an archive change and redraw with the returned state
+ *
+ * @param {string} action - 'archive', 'update', 'delete' or 'forget'
+ * @param {string} serial - Drive serial number
+ * @param {Object} entry - Status, removed_date and notes (archive/update only)
+ * @param {HTMLElement} control - Control that triggered the change (disabled while saving)
+ */
+function postArchiveAction(action, serial, entry, control) {
+    const body = new FormData();
+    body.append('csrf_token', typeof DRIVEAGE_CSRF_TOKEN !== 'undefined' ? DRIVEAGE_CSRF_TOKEN : '');
+    body.append('action', action);
+    body.append('serial', serial);
+    Object.keys(entry).forEach(key => body.append(key, entry[key]));
+
+    control.disabled = true;
+    setArchiveStatus('Saving...');
+
+    fetch('/plugins/driveage/scripts/archive.php', {
+        method: 'POST',
+        body: body
+    })
+        .then(response => response.json().catch(() => ({ success: false, message: 'Request failed (status: ' + response.status + ')' })))
+        .then(data => {
+            if (!data.success) {
+                setArchiveStatus('Failed: ' + (data.details ? data.details.join('; ') : (data.message || data.error || 'Unknown error')));
+                return;
+            }
+
+            archiveState = { known: data.known, archive: data.archive };
+            setArchiveStatus('Saved.');
+            drawArchive();
+        })
+        .catch(error => {
+            setArchiveStatus('Failed: ' + error.message);
+        })
+        .finally(() => {
+            control.disabled = false;
+        });
+}
+
+/**
+ * Export the archive as CSV
+ */
+function exportArchiveCsv() {
+    const archived = Object.values(archiveState.archive);
+    if (archived.length === 0) {
+        alert('No archived drives to export.');
+        return;
+    }
+
+    const columns = [
+        ['Serial', r => r.serial],
+        ['Model', r => r.model],
+        ['Identification', r => r.identification],
+        ['Physical Type', r => r.physical_type],
+        ['Drive Type', r => r.drive_type],
+        ['Size (bytes)', r => r.size_bytes],
+        ['Size', r => r.size_human],
+        ['Status', r => ARCHIVE_STATUS_LABELS[r.status] || r.status],
+        ['Removed', r => r.removed_date],
+        ['Power On Hours at Removal', r => r.power_on_hours],
+        ['Lifetime (years)', r => r.power_on_hours ? (r.power_on_hours / 8760).toFixed(2) : ''],
+        ['SMART Status', r => r.smart_status],
+        ['Health Warnings', r => (r.health_warnings || []).map(w => `${w.level}: ${w.message}`).join('; ')],
+        ['Purchase Date', r => r.purchase_date],
+        ['First Seen', r => r.first_seen],
+        ['Last Seen', r => r.last_seen],
+        ['Notes', r => r.notes]
+    ];
+
+    const lines = [columns.map(column => csvField(column[0])).join(',')];
+    archived.forEach(record => {
+        lines.push(columns.map(column => csvField(column[1](record))).join(','));
+    });
+
+    downloadFile(lines.join('\r\n') + '\r\n', getExportFilename('csv', 'archive'), 'text/csv;charset=utf-8');
+}
+
+/**
+ * Export the archive as JSON (includes each drive's final SMART snapshot)
+ */
+function exportArchiveJson() {
+    const archived = Object.values(archiveState.archive);
+    if (archived.length === 0) {
+        alert('No archived drives to export.');
+        return;
+    }
+
+    const data = {
+        generated: new Date().toISOString(),
+        drive_count: archived.length,
+        drives: archived
+    };
+
+    downloadFile(JSON.stringify(data, null, 2), getExportFilename('json', 'archive'), 'application/json');
+}
+
+/**
+ * Render the archive status picker
+ *
+ * @param {string} selected - Selected status
+ * @return {string} HTML
+ */
+function renderArchiveStatusSelect(selected) {
+    let html = '<select data-field="status" title="Why the drive left the server">';
+    Object.keys(ARCHIVE_STATUS_LABELS).forEach(status => {
+        html += `<option value="${status}" ${status === selected ? 'selected' : ''}>${escapeHtml(ARCHIVE_STATUS_LABELS[status])}</option>`;
+    });
+    html += '</select>';
+    return html;
+}
+
+/**
+ * Render a drive's last recorded warnings
+ *
+ * @param {Array} warnings - Warnings ({ level, message })
+ * @return {string} HTML
+ */
+function renderArchiveWarnings(warnings) {
+    if (!warnings || warnings.length === 0) {
+        return '<span class="health-ok">None</span>';
+    }
+
+    return warnings.map(warning => {
+        const className = warning.level === 'critical' ? 'warning-critical' : 'warning-caution';
+        return `<span class="${className}">${escapeHtml(warning.message)}</span>`;
+    }).join('<br>');
+}
+
+/**
+ * Format power-on hours as years
+ *
+ * @param {number|null} hours - Power-on hours
+ * @return {string} Formatted age
+ */
+function formatArchiveLifetime(hours) {
+    if (hours === null || hours === undefined || isNaN(hours)) {
+        return 'Unknown';
+    }
+
+    return (hours / 8760).toFixed(1) + ' years';
+}
+
+/**
+ * Average of a list of numbers
+ *
+ * @param {Array} values - Numbers
+ * @return {number|null} Average, or null for an empty list
+ */
+function getArchiveAverage(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Today's date as YYYY-MM-DD (local time)
+ *
+ * @return {string} Date
+ */
+function getArchiveToday() {
+    const now = new Date();
+    return now.getFullYear() + '-' + String(now.getMonth() + 1).padStart(2, '0') + '-' + String(now.getDate()).padStart(2, '0');
+}
+
+/**
+ * Show a status message next to the export control
+ *
+ * @param {string} message - Message text
+ */
+function setArchiveStatus(message) {
+    const status = document.getElementById('archive-status');
+    if (status) {
+        status.textContent = message;
+    }
+}
+
+/**
+ * Expose archive render function to global scope for dashboard.js
+ */
+window.renderArchive = renderArchive;
@@ -0,0 +1,309 @@
+/**
+ * DriveAge Plugin - Chassis Bay Map
+ * Draws each enclosure as a grid of bays holding the drive assigned to it (by
+ * serial), colored by risk category with temperature and warnings overlaid.
+ *
+ * Drive data comes from the Dashboard tab: dashboard.js calls renderBayMap()
+ * after each successful load. The saved layout is injected by DriveAgeBays.page.
+ */
+
+let bayLayout = null;
+let bayDraft = null;
+let bayMapData = null;
+
+// Initialize bay map controls when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    initializeBayMap();
+});
+
+/**
+ * Initialize bay map controls
+ */
+function initializeBayMap() {
+    if (!document.getElementById('baymap-container')) {
+        return;
+    }
+
+    bayLayout = typeof DRIVEAGE_BAY_LAYOUT !== 'undefined' ? DRIVEAGE_BAY_LAYOUT : { enclosures: [] };
+
+    document.getElementById('baymap-edit-btn').addEventListener('click', function() {
+        // Edit a copy so Cancel can restore the saved layout
+        bayDraft = JSON.parse(JSON.stringify(bayLayout));
+        setBayStatus('');
+        drawBayMap();
+    });
+    document.getElementById('baymap-add-btn').addEventListener('click', function() {
+        bayDraft.enclosures.push({ name: 'Enclosure ' + (bayDraft.enclosures.length + 1), rows: 3, columns: 4, bays: {} });
+        drawBayMap();
+    });
+    document.getElementById('baymap-save-btn').addEventListener('click', function() {
+        saveBayLayout(this);
+    });
+    document.getElementById('baymap-cancel-btn').addEventListener('click', function() {
+        bayDraft = null;
+        setBayStatus('');
+        drawBayMap();
+    });
+}
+
+/**
+ * Render the bay map
+ * Called from dashboard.js after drive data loads
+ *
+ * @param {Object} data - Full data object from API
+ */
+function renderBayMap(data) {
+    if (!document.getElementById('baymap-container') || !data || !data.drives) {
+        return;
+    }
+
+    bayMapData = data;
+    drawBayMap();
+}
+
+/**
+ * Draw the enclosures (view or edit mode) and the list of drives not in a bay
+ */
+function drawBayMap() {
+    const container = document.getElementById('baymap-enclosures');
+    if (!container || !bayMapData) return;
+
+    const editing = bayDraft !== null;
+    const layout = editing ? bayDraft : bayLayout;
+
+    document.getElementById('baymap-edit-btn').classList.toggle('hidden', editing);
+    ['baymap-add-btn', 'baymap-save-btn', 'baymap-cancel-btn'].forEach(id => {
+        document.getElementById(id).classList.toggle('hidden', !editing);
+    });
+
+    const drivesBySerial = {};
+    bayMapData.drives.forEach(drive => {
+        if (drive.serial && drive.serial !== 'Unknown') {
+            drivesBySerial[drive.serial] = drive;
+        }
+    });
+
+    const assigned = new Set();
+    layout.enclosures.forEach(enclosure => {
+        Object.values(enclosure.bays).forEach(serial => assigned.add(serial));
+    });
+
+    let html = '';
+
+    if (layout.enclosures.length === 0) {
+        html += editing
+            ? '<div class="driveage-info">Click <strong>Add Enclosure</strong> to describe your chassis.</div>'
+            : '<div class="driveage-info">No enclosures defined yet. Click <strong>Edit Layout</strong> to describe your chassis and place drives in their bays.</div>';
+    }
+
+    layout.enclosures.forEach((enclosure, index) => {
+        html += `<div class="bay-enclosure" data-enclosure="${index}">`;
+
+        if (editing) {
+            html += '<div class="bay-enclosure-header">';
+            html += `<input type="text" data-field="name" maxlength="50" value="${escapeHtml(enclosure.name)}" title="Enclosure name">`;
+            html += `<label>Rows <input type="number" data-field="rows" min="1" max="12" value="${enclosure.rows}"></label>`;
+            html += `<label>Columns <input type="number" data-field="columns" min="1" max="12" value="${enclosure.columns}"></label>`;
+            html += '<button type="button" data-action="remove" title="Remove this enclosure">Remove</button>';
+            html += '</div>';
+        } else {
+            html += `<h3>${escapeHtml(enclosure.name)}</h3>`;
+        }
+
+        html += `<div class="bay-grid" style="grid-template-columns: repeat(${enclosure.columns}, minmax(110px, 1fr))">`;
+        for (let bay = 1; bay <= enclosure.rows * enclosure.columns; bay++) {
+            html += editing
+                ? renderBayEditor(enclosure, bay, drivesBySerial, assigned)
+                : renderBay(enclosure.bays[bay], bay, drivesBySerial);
+        }
+        html += '</div></div>';
+    });
+
+    // Drives still to be placed
+    const unplaced = bayMapData.drives.filter(drive => drivesBySerial[drive.serial] && !assigned.has(drive.serial));
+    if (layout.enclosures.length > 0 && unplaced.length > 0) {
+        html += '<div class="bay-unplaced"><strong>Not in a bay:</strong> ';
+        html += unplaced.map(drive => `<span class="bay-unplaced-drive ${escapeHtml(drive.color_class)}"${getDriveClickAttributes(drive)}>${escapeHtml(drive.device_name)}</span>`).join(' ');
+        html += '</div>';
+    }
+
+    container.innerHTML = html;
+
+    applyDynamicColors();
+
+    if (editing) {
+        bindBayEditor(container);
+    } else {
+        bindDriveClickHandlers(container);
+    }
+}
+
+/**
+ * Render one bay (view mode)
+ *
+ * @param {string|undefined} serial - Serial assigned to the bay
+ * @param {number} bay - Bay number
+ * @param {Object} drivesBySerial - Present drives keyed by serial
+ * @return {string} HTML
+ */
+function renderBay(serial, bay, drivesBySerial) {
+    const number = `<span class="bay-number">${bay}</span>`;
+
+    if (!serial) {
+        return `<div class="bay-slot bay-empty">${number}<span class="bay-label">Empty</span></div>`;
+    }
+
+    const drive = drivesBySerial[serial];
+    if (!drive) {
+        // Assigned drive is no longer detected - the bay to check first
+        return `<div class="bay-slot bay-missing" title="Drive ${escapeHtml(serial)} is not detected">${number}<span class="bay-label">Missing</span><span class="bay-detail">${escapeHtml(serial)}</span></div>`;
+    }
+
+    const warnings = drive.health_warnings || [];
+    const critical = warnings.filter(warning => warning.level === 'critical').length;
+    const title = `${drive.identification} - ${drive.age_label}` + (warnings.length > 0 ? '\n' + warnings.map(warning => warning.message).join('\n') : '');
+
+    let html = `<div class="bay-slot ${escapeHtml(drive.color_class)}"${getDriveClickAttributes(drive)} title="${escapeHtml(title)}">`;
+    html += number;
+    if (warnings.length > 0) {
+        html += `<span class="bay-warning ${critical > 0 ? 'warning-critical' : 'warning-caution'}">${critical > 0 ? '⚠️' : '⚡'}${warnings.length > 1 ? warnings.length : ''}</span>`;
+    }
+    html += `<span class="bay-label">${escapeHtml(drive.device_name)}</span>`;
+    html += `<span class="bay-detail">${escapeHtml(drive.size_human)}</span>`;
+    if (drive.temperature !== null) {
+        html += `<span class="bay-detail bay-temp ${escapeHtml(drive.temperature_class || '')}">${escapeHtml(drive.temperature_formatted)}</span>`;
+    }
+    html += '</div>';
+
+    return html;
+}
+
+/**
+ * Render one bay (edit mode) with a drive picker
+ *
+ * @param {Object} enclosure - Enclosure being edited
+ * @param {number} bay - Bay number
+ * @param {Object} drivesBySerial - Present drives keyed by serial
+ * @param {Set} assigned - Serials already placed in any bay
+ * @return {string} HTML
+ */
+function renderBayEditor(enclosure, bay, drivesBySerial, assigned) {
+    const current = enclosure.bays[bay] || '';
+
+    let html = `<div class="bay-slot bay-edit"><span class="bay-number">${bay}</span>`;
+    html += `<select data-bay="${bay}"><option value="">Empty</option>`;
+
+    if (current && !drivesBySerial[current]) {
+        html += `<option value="${escapeHtml(current)}" selected>Missing: ${escapeHtml(current)}</option>`;
+    }
+
+    Object.values(drivesBySerial).forEach(drive => {
+        // Each drive can only sit in one bay
+        if (drive.serial !== current && assigned.has(drive.serial)) return;
+        html += `<option value="${escapeHtml(drive.serial)}" ${drive.serial === current ? 'selected' : ''}>${escapeHtml(drive.device_name)} - ${escapeHtml(drive.serial)}</option>`;
+    });
+
+    html += '</select></div>';
+    return html;
+}
+
+/**
+ * Bind the edit mode inputs to the draft layout
+ *
+ * @param {HTMLElement} container - Enclosures container
+ */
+function bindBayEditor(container) {
+    container.querySelectorAll('.bay-enclosure').forEach(element => {
+        const enclosure = bayDraft.enclosures[parseInt(element.dataset.enclosure, 10)];
+
+        element.querySelector('[data-field="name"]').addEventListener('change', function() {
+            enclosure.name = this.value;
+        });
+
+        element.querySelectorAll('[data-field="rows"], [data-field="columns"]').forEach(input => {
+            input.addEventListener('change', function() {
+                enclosure[this.dataset.field] = Math.max(1, Math.min(12, parseInt(this.value, 10) || 1));
+
+                // Bays that no longer exist give their drives back
+                Object.keys(enclosure.bays).forEach(bay => {
+                    if (parseInt(bay, 10) > enclosure.rows * enclosure.columns) {
+                        delete enclosure.bays[bay];
+                    }
+                });
+                drawBayMap();
+            });
+        });
+
+        element.querySelector('[data-action="remove"]').addEventListener('click', function() {
+            bayDraft.enclosures.splice(bayDraft.enclosures.indexOf(enclosure), 1);
+            drawBayMap();
+        });
+
+        element.querySelectorAll('select[data-bay]').forEach(select => {
+            select.addEventListener('change', function() {
+                if (this.value) {
+                    enclosure.bays[this.dataset.bay] = this.value;
+                } else {
+                    delete enclosure.bays[this.dataset.bay];
+                }
+                // Refresh the other pickers so the drive is offered only once
+                drawBayMap();
+            });
+        });
+    });
+}
+
+/**
+ * Save the draft layout
+ *
+ * @param {HTMLElement} button - Save button (disabled while saving)
+ */
+function saveBayLayout(button) {
+    const body = new FormData();
+    body.append('csrf_token', typeof DRIVEAGE_CSRF_TOKEN !== 'undefined' ? DRIVEAGE_CSRF_TOKEN : '');
+    body.append('action', 'save');
+    body.append('layout', JSON.stringify(bayDraft));
+
+    button.disabled = true;
+    setBayStatus('Saving...');
+
+    fetch('/plugins/driveage/scripts/bays.php', {
+        method: 'POST',
+        body: body
+    })
+        .then(response => response.json().catch(() => ({ success: false, message: 'Request failed (status: ' + response.status + ')' })))
+        .then(data => {
+            if (!data.success) {
+                setBayStatus('Failed: ' + (data.details ? data.details.join('; ') : (data.message || data.error || 'Unknown error')));
+                return;
+            }
+
+            bayLayout = data.layout;
+            bayDraft = null;
+            setBayStatus('Layout saved.');
+            drawBayMap();
+        })
+        .catch(error => {
+            setBayStatus('Failed: ' + error.message);
+        })
+        .finally(() => {
+            button.disabled = false;
+        });
+}
+
+/**
+ * Show a status message next to the layout buttons
+ *
+ * @param {string} message - Message text
+ */
+function setBayStatus(message) {
+    const status = document.getElementById('baymap-status');
+    if (status) {
+        status.textContent = message;
+    }
+}
+
+/**
+ * Expose bay map render function to global scope for dashboard.js
+ */
+window.renderBayMap = renderBayMap;
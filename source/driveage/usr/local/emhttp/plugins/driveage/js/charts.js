@@ -8,6 +8,9 @@ let riskChart = null;
 let temperatureChart = null;
 let sizeChart = null;
 
+// Trend chart instances (per-drive history view)
+let trendCharts = [];
+
 /**
  * Main entry point - renders all charts
  * Called from dashboard.js after data loads
@@ -30,9 +33,9 @@ function renderCharts(driveData) {
     destroyCharts();
 
     // Render each chart
-    renderRiskChart(driveData);
-    renderTemperatureChart(driveData);
-    renderSizeChart(driveData);
+    riskChart = renderRiskChart(driveData);
+    temperatureChart = renderTemperatureChart(driveData);
+    sizeChart = renderSizeChart(driveData);
 }
 
 /**
@@ -92,10 +95,12 @@ function aggregateRiskData(drives) {
  * Render risk category distribution chart (donut)
  *
  * @param {Object} driveData - Full data object from API
+ * @param {string} canvasId - Canvas to draw on (the dashboard's by default)
+ * @return {Chart|null} Chart instance
  */
-function renderRiskChart(driveData) {
-    const ctx = document.getElementById('risk-chart');
-    if (!ctx) return;
+function renderRiskChart(driveData, canvasId = 'risk-chart') {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
 
     const riskData = aggregateRiskData(driveData.drives);
     // Note: No HTML escaping needed - Chart.js renders to canvas, not HTML
@@ -123,7 +128,7 @@ function renderRiskChart(driveData) {
         driveData.colors.high_risk
     ];
 
-    riskChart = new Chart(ctx, {
+    return new Chart(ctx, {
         type: 'doughnut',
         data: {
             labels: labels,
@@ -230,10 +235,12 @@ function aggregateTemperatureData(drives) {
  * Render temperature distribution chart (grouped bar)
  *
  * @param {Object} driveData - Full data object from API
+ * @param {string} canvasId - Canvas to draw on (the dashboard's by default)
+ * @return {Chart|null} Chart instance
  */
-function renderTemperatureChart(driveData) {
-    const ctx = document.getElementById('temperature-chart');
-    if (!ctx) return;
+function renderTemperatureChart(driveData, canvasId = 'temperature-chart') {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
 
     const tempData = aggregateTemperatureData(driveData.drives);
 
@@ -261,7 +268,7 @@ function renderTemperatureChart(driveData) {
         tempData.nvme.unknown
     ];
 
-    temperatureChart = new Chart(ctx, {
+    return new Chart(ctx, {
         type: 'bar',
         data: {
             labels: labels,
@@ -398,10 +405,12 @@ function aggregateSizeData(drives) {
  * Render drive size distribution chart (grouped bar)
  *
  * @param {Object} driveData - Full data object from API
+ * @param {string} canvasId - Canvas to draw on (the dashboard's by default)
+ * @return {Chart|null} Chart instance
  */
-function renderSizeChart(driveData) {
-    const ctx = document.getElementById('size-chart');
-    if (!ctx) return;
+function renderSizeChart(driveData, canvasId = 'size-chart') {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return null;
 
     const sizeData = aggregateSizeData(driveData.drives);
 
@@ -417,7 +426,7 @@ function renderSizeChart(driveData) {
     // USB data
     const usbData = sizeData.usb;
 
-    sizeChart = new Chart(ctx, {
+    return new Chart(ctx, {
         type: 'bar',
         data: {
             labels: labels,
@@ -513,6 +522,197 @@ function hideCharts() {
 }
 
 /**
- * Expose destroyCharts to global scope for dashboard.js
+ * Open the per-drive trend view
+ * Called from dashboard.js when a table row is clicked
+ *
+ * @param {string} serial - Drive serial number
+ * @param {string} title - Heading for the trend view
+ * @param {string} tempUnit - Temperature unit ('C' or 'F')
+ */
+function openTrendView(serial, title, tempUnit) {
+    const modal = document.getElementById('trend-modal');
+    const body = document.getElementById('trend-body');
+    const heading = document.getElementById('trend-title');
+    if (!modal || !body || !serial) return;
+
+    destroyTrendCharts();
+
+    if (heading) {
+        heading.textContent = title || serial;
+    }
+    body.innerHTML = '<div class="driveage-loading"><div class="spinner"></div> Loading drive history...</div>';
+    modal.classList.remove('hidden');
+
+    const url = '/plugins/driveage/scripts/get_drive_history.php?serial=' + encodeURIComponent(serial);
+
+    fetch(url, { headers: getRequestHeaders() })
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Failed to fetch drive history (status: ' + response.status + ')');
+            }
+            return response.json();
+        })
+        .then(history => {
+            if (!history.success) {
+                throw new Error(history.error || 'Failed to load drive history');
+            }
+            renderTrendCharts(history, body, tempUnit || 'C');
+        })
+        .catch(error => {
+            console.error('DriveAge: Error loading drive history:', error);
+            body.innerHTML = `<div class="driveage-error">Error: ${escapeHtml(error.message)}</div>`;
+        });
+}
+
+/**
+ * Close the per-drive trend view
+ */
+function closeTrendView() {
+    const modal = document.getElementById('trend-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+
+    destroyTrendCharts();
+}
+
+/**
+ * Convert a recorded metric value for display
+ *
+ * @param {string} metric - Metric key from the history endpoint
+ * @param {number} value - Raw recorded value
+ * @param {string} tempUnit - Temperature unit ('C' or 'F')
+ * @return {number} Display value
+ */
+function convertTrendValue(metric, value, tempUnit) {
+    if (metric === 'temperature' && tempUnit === 'F') {
+        return Math.round(9 / 5 * value) + 32;
+    }
+
+    if (metric === 'nvme_data_units_written') {
+        // Data units are 512,000 bytes; show terabytes written
+        return Math.round(value * 512000 / 1e10) / 100;
+    }
+
+    return value;
+}
+
+/**
+ * Render one line chart per recorded attribute
+ *
+ * Only attributes the drive actually reports (any non-null sample) are charted.
+ *
+ * @param {Object} history - Response from get_drive_history.php
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} tempUnit - Temperature unit ('C' or 'F')
+ */
+function renderTrendCharts(history, container, tempUnit) {
+    const samples = history.samples || [];
+
+    if (samples.length === 0) {
+        const reason = history.history_enabled
+            ? `No snapshots recorded yet. A snapshot is taken every ${history.interval_hours} hour(s).`
+            : 'History recording is disabled. Enable it in DriveAge Settings.';
+        container.innerHTML = `<div class="driveage-info">${escapeHtml(reason)}</div>`;
+        return;
+    }
+
+    const metricLabels = Object.assign({}, history.metrics, {
+        'temperature': 'Temperature (°' + tempUnit + ')',
+        'nvme_data_units_written': 'Data Written (TB)'
+    });
+
+    const metrics = Object.keys(history.metrics).filter(metric =>
+        samples.some(sample => sample[metric] !== null && sample[metric] !== undefined)
+    );
+
+    let html = `<p class="trend-summary">${samples.length} snapshot(s) from `;
+    html += `${escapeHtml(new Date(samples[0].timestamp * 1000).toLocaleDateString())} to `;
+    html += `${escapeHtml(new Date(samples[samples.length - 1].timestamp * 1000).toLocaleDateString())}</p>`;
+    html += '<div class="chart-grid">';
+    metrics.forEach(metric => {
+        html += '<div class="chart-card">';
+        html += `<h3>${escapeHtml(metricLabels[metric])}</h3>`;
+        html += `<canvas data-metric="${escapeHtml(metric)}"></canvas>`;
+        html += '</div>';
+    });
+    html += '</div>';
+
+    container.innerHTML = html;
+
+    metrics.forEach(metric => {
+        const ctx = container.querySelector(`canvas[data-metric="${metric}"]`);
+        if (!ctx) return;
+
+        const points = samples
+            .filter(sample => sample[metric] !== null && sample[metric] !== undefined)
+            .map(sample => ({
+                x: sample.timestamp * 1000,
+                y: convertTrendValue(metric, sample[metric], tempUnit)
+            }));
+
+        trendCharts.push(new Chart(ctx, {
+            type: 'line',
+            data: {
+                datasets: [{
+                    label: metricLabels[metric],
+                    data: points,
+                    borderColor: '#2196F3',
+                    backgroundColor: 'rgba(33, 150, 243, 0.15)',
+                    fill: true,
+                    pointRadius: points.length > 60 ? 0 : 3,
+                    tension: 0.2
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                scales: {
+                    x: {
+                        type: 'linear',
+                        ticks: {
+                            maxTicksLimit: 6,
+                            font: { size: 11 },
+                            callback: function(value) {
+                                return new Date(value).toLocaleDateString();
+                            }
+                        }
+                    },
+                    y: {
+                        beginAtZero: metric !== 'temperature' && metric !== 'power_on_hours',
+                        ticks: {
+                            font: { size: 11 }
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            title: function(context) {
+                                return new Date(context[0].parsed.x).toLocaleString();
+                            }
+                        }
+                    }
+                }
+            }
+        }));
+    });
+}
+
+/**
+ * Destroy trend chart instances
+ */
+function destroyTrendCharts() {
+    trendCharts.forEach(chart => chart.destroy());
+    trendCharts = [];
+}
+
+/**
+ * Expose chart functions to global scope for dashboard.js
  */
 window.destroyCharts = destroyCharts;
+window.openTrendView = openTrendView;
+window.closeTrendView = closeTrendView;
@@ -5,8 +5,33 @@
 let driveData = null;
 let sortColumn = 'replacement_months';
 let sortDirection = 'asc';
+let sortInitialized = false;
 let chartInstances = null;
 
+// View mode (table or card) - remembered across visits
+const VIEW_MODE_KEY = 'driveage_view_mode';
+let currentView = localStorage.getItem(VIEW_MODE_KEY) === 'card' ? 'card' : 'table';
+
+// Auto-refresh state
+let refreshTimer = null;
+let nextRefreshAt = null;
+let pausedRemaining = null;
+let refreshFailures = 0;
+let isLoading = false;
+
+// Dashboard filters (search, chips, warnings toggle) - session only
+// Chip groups track hidden values so drive types/categories that appear later show by default
+let filters = null;
+let viewData = null;
+const FILTER_GROUPS = ['drive_type', 'physical_type', 'age_category'];
+const DRIVE_TYPE_ORDER = ['parity', 'array', 'cache', 'pool', 'flash', 'unassigned'];
+const RISK_CATEGORIES = ['minimal_risk', 'low_risk', 'moderate_risk', 'elevated_risk', 'high_risk'];
+
+// Session-only overrides (sort, refresh, filters) - never written to the saved config
+const SESSION_PREFS_KEY = 'driveage_session_prefs';
+const VALID_SORT_COLUMNS = ['device_name', 'identification', 'size_bytes', 'power_on_hours', 'temperature', 'smart_status', 'replacement_months', 'location', 'warranty_days'];
+const MAX_REFRESH_BACKOFF = 3600;
+
 /**
  * Escape HTML to prevent XSS
  *
@@ -23,6 +48,15 @@ function escapeHtml(str) {
     return div.innerHTML;
 }
 
+/**
+ * Headers that identify dashboard requests to the DriveAge endpoints
+ *
+ * @return {Object} Request headers
+ */
+function getRequestHeaders() {
+    return typeof DRIVEAGE_REQUEST_TOKEN !== 'undefined' ? { 'X-DriveAge-Token': DRIVEAGE_REQUEST_TOKEN } : {};
+}
+
 // Initialize dashboard when DOM is ready
 document.addEventListener('DOMContentLoaded', function() {
     initializeDashboard();
@@ -66,21 +100,588 @@ function setupEventListeners() {
             loadDriveData();
         });
     }
+
+    // Export current (filtered and sorted) drives
+    const exportSelect = document.getElementById('export-select');
+    if (exportSelect) {
+        exportSelect.addEventListener('change', function() {
+            const format = this.value;
+            this.value = '';
+
+            if (!driveData) return;
+
+            if (format === 'csv' && window.exportCsv) {
+                exportCsv();
+            } else if (format === 'json' && window.exportJson) {
+                exportJson();
+            } else if (format === 'report' && window.openPrintReport) {
+                openPrintReport();
+            }
+        });
+    }
+
+    // Auto-refresh toggle (session override)
+    const autoRefreshToggle = document.getElementById('auto-refresh-toggle');
+    if (autoRefreshToggle) {
+        autoRefreshToggle.addEventListener('change', function() {
+            saveSessionPref('auto_refresh', this.checked);
+            refreshFailures = 0;
+            scheduleNextRefresh();
+        });
+    }
+
+    // Refresh interval (session override)
+    const intervalSelect = document.getElementById('refresh-interval-select');
+    if (intervalSelect) {
+        intervalSelect.addEventListener('change', function() {
+            saveSessionPref('refresh_interval', parseInt(this.value, 10));
+            refreshFailures = 0;
+            scheduleNextRefresh();
+        });
+    }
+
+    // Reset session overrides back to the saved settings
+    const resetBtn = document.getElementById('reset-session-btn');
+    if (resetBtn) {
+        resetBtn.addEventListener('click', function() {
+            sessionStorage.removeItem(SESSION_PREFS_KEY);
+            sortInitialized = false;
+            filters = null;
+            applySavedPreferences();
+            renderDashboard();
+            refreshFailures = 0;
+            scheduleNextRefresh();
+        });
+    }
+
+    // Filter bar: free-text search
+    const searchInput = document.getElementById('filter-search');
+    if (searchInput) {
+        searchInput.addEventListener('input', function() {
+            if (!filters) return;
+            filters.search = this.value;
+            saveSessionPref('filters', filters);
+            renderDashboard();
+        });
+    }
+
+    // Filter bar: drive type / physical type / risk category chips
+    const filterBar = document.getElementById('filter-bar');
+    if (filterBar) {
+        filterBar.addEventListener('click', function(event) {
+            const chip = event.target.closest('.filter-chip');
+            if (chip) {
+                toggleFilterChip(chip.dataset.group, chip.dataset.value);
+            }
+        });
+    }
+
+    // Filter bar: warnings only
+    const warningsOnly = document.getElementById('filter-warnings-only');
+    if (warningsOnly) {
+        warningsOnly.addEventListener('change', function() {
+            if (!filters) return;
+            filters.warnings_only = this.checked;
+            saveSessionPref('filters', filters);
+            renderDashboard();
+        });
+    }
+
+    // Filter bar: show everything
+    const clearFiltersBtn = document.getElementById('filter-clear-btn');
+    if (clearFiltersBtn) {
+        clearFiltersBtn.addEventListener('click', function() {
+            filters = getEmptyFilters();
+            saveSessionPref('filters', filters);
+            renderDashboard();
+        });
+    }
+
+    // View toggle (table / card)
+    document.querySelectorAll('.view-toggle').forEach(button => {
+        button.addEventListener('click', function() {
+            setViewMode(this.dataset.view);
+        });
+    });
+    updateViewToggle();
+
+    // Pause auto-refresh while the tab is hidden
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+}
+
+/**
+ * Switch between table and card views
+ *
+ * @param {string} view 'table' or 'card'
+ */
+function setViewMode(view) {
+    currentView = view === 'card' ? 'card' : 'table';
+    localStorage.setItem(VIEW_MODE_KEY, currentView);
+    updateViewToggle();
+    renderDashboard();
+}
+
+/**
+ * Highlight the active view toggle button
+ */
+function updateViewToggle() {
+    document.querySelectorAll('.view-toggle').forEach(button => {
+        button.classList.toggle('active', button.dataset.view === currentView);
+    });
+}
+
+/**
+ * Get a filter state that hides nothing
+ *
+ * @return {Object} Filter state
+ */
+function getEmptyFilters() {
+    return {
+        search: '',
+        hidden: { drive_type: [], physical_type: [], age_category: [] },
+        warnings_only: false
+    };
+}
+
+/**
+ * Get the default filter state from saved settings (SHOW_* drive type flags)
+ *
+ * @return {Object} Filter state
+ */
+function getDefaultFilters() {
+    const result = getEmptyFilters();
+    const showTypes = (driveData && driveData.config && driveData.config.show_drive_types) || {};
+
+    for (const type in showTypes) {
+        if (!showTypes[type]) {
+            result.hidden.drive_type.push(type);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Initialize filters from the session (if changed this session) or saved defaults
+ */
+function initializeFilters() {
+    const saved = getSessionPrefs().filters;
+    filters = getDefaultFilters();
+
+    if (saved && typeof saved === 'object') {
+        filters.search = typeof saved.search === 'string' ? saved.search : '';
+        filters.warnings_only = saved.warnings_only === true;
+
+        if (saved.hidden && typeof saved.hidden === 'object') {
+            FILTER_GROUPS.forEach(group => {
+                if (Array.isArray(saved.hidden[group])) {
+                    filters.hidden[group] = saved.hidden[group].map(String);
+                }
+            });
+        }
+    }
+}
+
+/**
+ * Show/hide drives with a given chip value
+ *
+ * @param {string} group Filter group (drive_type, physical_type, age_category)
+ * @param {string} value Chip value
+ */
+function toggleFilterChip(group, value) {
+    if (!filters || !FILTER_GROUPS.includes(group)) {
+        return;
+    }
+
+    const hidden = filters.hidden[group];
+    const index = hidden.indexOf(value);
+    if (index === -1) {
+        hidden.push(value);
+    } else {
+        hidden.splice(index, 1);
+    }
+
+    saveSessionPref('filters', filters);
+    renderDashboard();
+}
+
+/**
+ * Check whether a drive passes the current filters
+ *
+ * @param {Object} drive Drive object from API
+ * @return {boolean} True if the drive should be shown
+ */
+function driveMatchesFilters(drive) {
+    if (!filters) {
+        return true;
+    }
+
+    for (const group of FILTER_GROUPS) {
+        if (filters.hidden[group].includes(String(drive[group]))) {
+            return false;
+        }
+    }
+
+    if (filters.warnings_only && !drive.has_warnings) {
+        return false;
+    }
+
+    // Every search term must appear in the model, serial, device or location
+    const terms = filters.search.toLowerCase().split(/\s+/).filter(term => term !== '');
+    if (terms.length > 0) {
+        const asset = drive.asset || {};
+        const haystack = [drive.model, drive.serial, drive.device_name, drive.device_id, drive.identification, asset.location, asset.vendor]
+            .filter(value => value)
+            .join(' ')
+            .toLowerCase();
+
+        if (!terms.every(term => haystack.includes(term))) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Build the filtered drive list and grouping used by the table, cards, charts and count
+ *
+ * @return {Object} { drives: Array, grouped: Object }
+ */
+function getFilteredData() {
+    const drives = driveData.drives.filter(driveMatchesFilters);
+    const grouped = {};
+
+    for (const arrayName in driveData.grouped) {
+        for (const driveType in driveData.grouped[arrayName]) {
+            const groupDrives = driveData.grouped[arrayName][driveType].filter(driveMatchesFilters);
+            if (groupDrives.length === 0) continue;
+
+            if (!grouped[arrayName]) {
+                grouped[arrayName] = {};
+            }
+            grouped[arrayName][driveType] = groupDrives;
+        }
+    }
+
+    return { drives: drives, grouped: grouped };
+}
+
+/**
+ * Render filter chips (with per-value drive counts) and sync filter inputs
+ */
+function renderFilterBar() {
+    const filterBar = document.getElementById('filter-bar');
+    if (!filterBar || !filters) return;
+
+    filterBar.classList.remove('hidden');
+
+    const labels = {
+        drive_type: formatDriveType,
+        physical_type: formatPhysicalType,
+        age_category: category => getCategoryLabel(category)
+    };
+
+    const orders = {
+        drive_type: DRIVE_TYPE_ORDER,
+        physical_type: ['hdd', 'sas', 'nvme', 'usb'],
+        age_category: RISK_CATEGORIES
+    };
+
+    FILTER_GROUPS.forEach(group => {
+        const container = filterBar.querySelector(`.filter-chips[data-group="${group}"]`);
+        if (!container) return;
+
+        // Count drives per value, then order known values first
+        const counts = {};
+        driveData.drives.forEach(drive => {
+            const value = String(drive[group]);
+            counts[value] = (counts[value] || 0) + 1;
+        });
+
+        const values = Object.keys(counts).sort((a, b) => {
+            const orderA = orders[group].indexOf(a);
+            const orderB = orders[group].indexOf(b);
+            return (orderA === -1 ? 99 : orderA) - (orderB === -1 ? 99 : orderB);
+        });
+
+        let html = '';
+        values.forEach(value => {
+            const active = !filters.hidden[group].includes(value);
+            html += `<button type="button" class="filter-chip${active ? ' active' : ''}" data-group="${group}" data-value="${escapeHtml(value)}" aria-pressed="${active}">`;
+            html += `${escapeHtml(labels[group](value))} <span class="filter-chip-count">${counts[value]}</span>`;
+            html += '</button>';
+        });
+
+        container.innerHTML = html;
+    });
+
+    // Don't fight the user while they type
+    const searchInput = document.getElementById('filter-search');
+    if (searchInput && document.activeElement !== searchInput) {
+        searchInput.value = filters.search;
+    }
+
+    const warningsOnly = document.getElementById('filter-warnings-only');
+    if (warningsOnly) {
+        warningsOnly.checked = filters.warnings_only;
+    }
+}
+
+/**
+ * Get the configured label for a risk category
+ *
+ * @param {string} category Risk category key
+ * @return {string} Label
+ */
+function getCategoryLabel(category) {
+    const drive = driveData.drives.find(d => d.age_category === category);
+    if (drive && drive.age_label) {
+        return drive.age_label;
+    }
+
+    return category.replace('_risk', '').replace(/^\w/, c => c.toUpperCase()) + ' Risk';
+}
+
+/**
+ * Get session-only preference overrides
+ *
+ * @return {Object} Overrides (sort_column, sort_direction, auto_refresh, refresh_interval, filters)
+ */
+function getSessionPrefs() {
+    try {
+        return JSON.parse(sessionStorage.getItem(SESSION_PREFS_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Save a session-only preference override
+ *
+ * @param {string} key Preference key
+ * @param {*} value Preference value
+ */
+function saveSessionPref(key, value) {
+    const prefs = getSessionPrefs();
+    prefs[key] = value;
+    sessionStorage.setItem(SESSION_PREFS_KEY, JSON.stringify(prefs));
+}
+
+/**
+ * Get effective refresh settings (session override, else saved config)
+ *
+ * @return {Object} { enabled: boolean, interval: number (seconds) }
+ */
+function getRefreshSettings() {
+    const prefs = getSessionPrefs();
+    const config = (driveData && driveData.config) || {};
+
+    const enabled = typeof prefs.auto_refresh === 'boolean' ? prefs.auto_refresh : !!config.auto_refresh;
+    let interval = parseInt(prefs.refresh_interval || config.refresh_interval || 300, 10);
+    interval = Math.max(30, Math.min(3600, interval));
+
+    return { enabled: enabled, interval: interval };
+}
+
+/**
+ * Apply saved sort and refresh preferences (with session overrides) to the UI
+ */
+function applySavedPreferences() {
+    if (!driveData || !driveData.config) {
+        return;
+    }
+
+    const prefs = getSessionPrefs();
+    const config = driveData.config;
+
+    // Sort: session override first, then saved default - only on first load
+    // so clicking headers isn't undone by auto-refresh
+    if (!sortInitialized) {
+        const column = prefs.sort_column || config.default_sort;
+        const direction = prefs.sort_direction || config.default_sort_dir;
+
+        if (VALID_SORT_COLUMNS.includes(column)) {
+            sortColumn = column;
+        }
+        if (direction === 'asc' || direction === 'desc') {
+            sortDirection = direction;
+        }
+        sortInitialized = true;
+    }
+
+    // Filters: session state first, then saved drive type defaults
+    if (filters === null) {
+        initializeFilters();
+    }
+
+    // Refresh controls reflect effective settings
+    const refresh = getRefreshSettings();
+
+    const autoRefreshToggle = document.getElementById('auto-refresh-toggle');
+    if (autoRefreshToggle) {
+        autoRefreshToggle.checked = refresh.enabled;
+    }
+
+    const intervalSelect = document.getElementById('refresh-interval-select');
+    if (intervalSelect) {
+        // Saved interval may not be one of the presets
+        if (!intervalSelect.querySelector(`option[value="${refresh.interval}"]`)) {
+            const option = document.createElement('option');
+            option.value = refresh.interval;
+            option.textContent = formatInterval(refresh.interval);
+            intervalSelect.appendChild(option);
+        }
+        intervalSelect.value = String(refresh.interval);
+    }
+}
+
+/**
+ * Schedule the next auto-refresh (or stop polling if disabled)
+ *
+ * Failed refreshes back off exponentially, capped at one hour.
+ */
+function scheduleNextRefresh() {
+    stopRefreshTimer();
+    pausedRemaining = null;
+
+    const refresh = getRefreshSettings();
+    if (!refresh.enabled) {
+        nextRefreshAt = null;
+        updateRefreshCountdown();
+        return;
+    }
+
+    const delay = Math.min(MAX_REFRESH_BACKOFF, refresh.interval * Math.pow(2, refreshFailures));
+    nextRefreshAt = Date.now() + delay * 1000;
+
+    if (document.hidden) {
+        // Start paused; resumes when the tab becomes visible
+        pausedRemaining = delay * 1000;
+        updateRefreshCountdown();
+        return;
+    }
+
+    refreshTimer = setInterval(tickRefreshCountdown, 1000);
+    updateRefreshCountdown();
+}
+
+/**
+ * Stop the countdown timer
+ */
+function stopRefreshTimer() {
+    if (refreshTimer) {
+        clearInterval(refreshTimer);
+        refreshTimer = null;
+    }
+}
+
+/**
+ * Countdown tick - triggers a background refresh when due
+ */
+function tickRefreshCountdown() {
+    if (nextRefreshAt === null) {
+        stopRefreshTimer();
+        return;
+    }
+
+    if (Date.now() >= nextRefreshAt) {
+        stopRefreshTimer();
+        loadDriveData({ background: true });
+        return;
+    }
+
+    updateRefreshCountdown();
+}
+
+/**
+ * Pause the countdown while the tab is hidden, resume when visible
+ */
+function handleVisibilityChange() {
+    if (nextRefreshAt === null) {
+        return;
+    }
+
+    if (document.hidden) {
+        if (refreshTimer) {
+            pausedRemaining = Math.max(0, nextRefreshAt - Date.now());
+            stopRefreshTimer();
+        }
+    } else if (pausedRemaining !== null) {
+        nextRefreshAt = Date.now() + pausedRemaining;
+        pausedRemaining = null;
+        refreshTimer = setInterval(tickRefreshCountdown, 1000);
+    }
+
+    updateRefreshCountdown();
+}
+
+/**
+ * Update the auto-refresh countdown display
+ */
+function updateRefreshCountdown() {
+    const element = document.getElementById('refresh-countdown');
+    if (!element) return;
+
+    if (nextRefreshAt === null) {
+        element.textContent = '';
+        return;
+    }
+
+    if (pausedRemaining !== null) {
+        element.textContent = 'Auto-refresh paused';
+        return;
+    }
+
+    const remaining = Math.max(0, Math.ceil((nextRefreshAt - Date.now()) / 1000));
+    const prefix = refreshFailures > 0 ? 'Refresh failed, retrying in ' : 'Next refresh in ';
+    element.textContent = prefix + formatCountdown(remaining);
+    element.classList.toggle('refresh-error', refreshFailures > 0);
+}
+
+/**
+ * Format seconds as m:ss
+ */
+function formatCountdown(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const secs = seconds % 60;
+    return minutes + ':' + String(secs).padStart(2, '0');
+}
+
+/**
+ * Format a refresh interval for display
+ */
+function formatInterval(seconds) {
+    if (seconds % 3600 === 0) return (seconds / 3600) + 'h';
+    if (seconds % 60 === 0) return (seconds / 60) + 'm';
+    return seconds + 's';
 }
 
 /**
  * Load drive data from server
  *
  * Fetches drive data from Unraid's SMART cache (updated every 30s by emhttpd)
+ *
+ * @param {Object} options { background: true } keeps the current view on screen
+ *                         and leaves errors to the countdown (auto-refresh)
  */
-function loadDriveData() {
+function loadDriveData(options = {}) {
     console.log('DriveAge: loadDriveData called');
-    showLoading();
+
+    if (isLoading) {
+        return;
+    }
+    isLoading = true;
+
+    const background = options.background && driveData !== null;
+    if (!background) {
+        showLoading();
+    }
 
     const url = '/plugins/driveage/scripts/get_drive_data.php';
     console.log('DriveAge: Fetching from:', url);
 
-    fetch(url)
+    fetch(url, { headers: getRequestHeaders() })
         .then(response => {
             console.log('DriveAge: Fetch response received, status:', response.status, 'ok:', response.ok);
             if (!response.ok) {
@@ -92,17 +693,53 @@ function loadDriveData() {
             console.log('DriveAge: Data parsed, success:', data.success, 'drive_count:', data.drive_count);
             if (data.success) {
                 driveData = data;
+                refreshFailures = 0;
+                applySavedPreferences();
                 console.log('DriveAge: Calling renderDashboard()');
                 renderDashboard();
                 updateLastUpdated(data.timestamp);
+
+                // Planner tab works from the same data (all drives, unfiltered)
+                if (window.renderPlanner) {
+                    renderPlanner(data);
+                }
+
+                // What-If tab offers the same drives for simulated replacement
+                if (window.renderSimulator) {
+                    renderSimulator(data);
+                }
+
+                // Bay Map tab places the same drives in their enclosure bays
+                if (window.renderBayMap) {
+                    renderBayMap(data);
+                }
+
+                // Archive tab lists known drives that are no longer present
+                if (window.renderArchive) {
+                    renderArchive(data);
+                }
+
+                // Keep polling self-test progress while any test is running
+                if (window.updateSelfTestPolling) {
+                    updateSelfTestPolling(data);
+                }
             } else {
                 console.log('DriveAge: Data success=false, message:', data.message);
-                showError(data.message || 'Failed to load drive data');
+                throw new Error(data.message || 'Failed to load drive data');
             }
         })
         .catch(error => {
             console.error('DriveAge: Error loading drive data:', error);
-            showError('Failed to load drive data: ' + error.message);
+            refreshFailures++;
+
+            // Background refresh keeps the last good data on screen
+            if (!background) {
+                showError('Failed to load drive data: ' + error.message);
+            }
+        })
+        .finally(() => {
+            isLoading = false;
+            scheduleNextRefresh();
         });
 }
 
@@ -145,7 +782,7 @@ function applyDynamicColors() {
 }
 
 /**
- * Render the dashboard in table view
+ * Render the dashboard in the selected view (table or card)
  */
 function renderDashboard() {
     if (!driveData) {
@@ -153,9 +790,19 @@ function renderDashboard() {
     }
 
     hideLoading();
-    renderTableView();
-    renderCharts(driveData);
-    updateDriveCount(driveData.drive_count);
+
+    // Table, cards, charts and count all follow the filter bar
+    viewData = getFilteredData();
+    renderFilterBar();
+
+    if (currentView === 'card') {
+        renderCardView();
+    } else {
+        renderTableView();
+    }
+
+    renderCharts(Object.assign({}, driveData, { drives: viewData.drives }));
+    updateDriveCount(viewData.drives.length, driveData.drives.length);
     applyDynamicColors();
 }
 
@@ -187,6 +834,18 @@ function renderTableView() {
         html += '<th>Spin</th>';
     }
 
+    if (driveData.config.show_location) {
+        html += '<th class="sortable" data-column="location">Location</th>';
+    }
+
+    if (driveData.config.show_warranty) {
+        html += '<th class="sortable" data-column="warranty_days">Warranty</th>';
+    }
+
+    if (driveData.config.show_self_test) {
+        html += '<th>Self-Test</th>';
+    }
+
     html += '<th>Age</th>';
     html += '<th>Health Status</th>';
     html += '<th class="sortable" data-column="replacement_months" title="Estimated time until recommended replacement">Est. Replacement</th>';
@@ -194,7 +853,10 @@ function renderTableView() {
     html += '<tbody>';
 
     // Group drives
-    const grouped = driveData.grouped;
+    const grouped = viewData.grouped;
+
+    // Data-loss risk badge goes on the first header of each array
+    const badgedArrays = new Set();
 
     for (const arrayName in grouped) {
         for (const driveType in grouped[arrayName]) {
@@ -206,6 +868,10 @@ function renderTableView() {
             html += `<td colspan="20">`;
             html += `<span class="group-toggle">▼</span>`;
             html += `${arrayName} - ${formatDriveType(driveType)} (${drives.length})`;
+            if (!badgedArrays.has(arrayName)) {
+                badgedArrays.add(arrayName);
+                html += renderArrayRiskBadge(arrayName);
+            }
             html += `</td></tr>`;
 
             // Add drives in this group
@@ -220,7 +886,7 @@ function renderTableView() {
                     }
                 }
 
-                html += `<tr class="${rowClass} group-row">`;
+                html += `<tr class="${rowClass} group-row"${getDriveClickAttributes(drive)}>`;
                 html += `<td>${escapeHtml(drive.device_name)}</td>`;
                 html += `<td title="${escapeHtml(drive.identification)}">${escapeHtml(truncate(drive.identification, 50))}</td>`;
                 html += `<td class="text-right">${escapeHtml(drive.size_human)}</td>`;
@@ -241,47 +907,29 @@ function renderTableView() {
                     html += `<td>${drive.spin_status_formatted}</td>`;
                 }
 
+                if (driveData.config.show_location) {
+                    html += `<td>${escapeHtml((drive.asset && drive.asset.location) || '-')}</td>`;
+                }
+
+                if (driveData.config.show_warranty) {
+                    html += renderWarrantyCell(drive, 'td');
+                }
+
+                if (driveData.config.show_self_test) {
+                    html += renderSelfTestCell(drive, 'td');
+                }
+
                 html += `<td>${escapeHtml(drive.age_label)}</td>`;
 
                 // Health Status column
-                html += '<td class="health-status-cell">';
-                if (drive.has_warnings) {
-                    drive.health_warnings.forEach(warning => {
-                        const iconClass = warning.level === 'critical' ? 'warning-critical' : 'warning-caution';
-                        const icon = warning.level === 'critical' ? '⚠️' : '⚡';
-
-                        // Map warning attributes to help page anchors
-                        const helpAnchors = {
-                            'reallocated_sectors': 'reallocated-sectors',
-                            'pending_sectors': 'other-smart-warnings',
-                            'uncorrectable_sectors': 'other-smart-warnings',
-                            'reported_uncorrectable': 'other-smart-warnings',
-                            'command_timeout': 'other-smart-warnings',
-                            'media_errors': 'nvme-warnings',
-                            'critical_warning': 'nvme-warnings'
-                        };
-
-                        const anchor = helpAnchors[warning.attribute] || 'other-smart-warnings';
-                        const helpUrl = `/Settings/DriveAgeHelp#${anchor}`;
-
-                        html += `<a href="${helpUrl}" class="${iconClass}" title="${escapeHtml(warning.tooltip)}" style="text-decoration: none; color: inherit;">`;
-                        html += `${icon} ${escapeHtml(warning.message)}`;
-                        html += '</a><br>';
-                    });
-                } else if (drive.power_on_hours === null || drive.power_on_hours === 0 ||
-                           drive.smart_status === 'UNKNOWN' || drive.smart_status === 'N/A') {
-                    // No SMART data available
-                    html += '<span class="health-unknown" title="No SMART data available">N/A</span>';
-                } else {
-                    html += '<span class="health-ok" title="No warnings detected">✓ Healthy</span>';
-                }
+                html += `<td class="health-status-cell">${renderHealthStatus(drive)}`;
                 html += '</td>';
 
                 // Est. Replacement column
                 const prediction = drive.replacement_prediction || {};
-                const tooltipText = `Confidence: ${prediction.confidence || 'none'}. Method: ${prediction.method || 'unknown'}. ${prediction.notes || ''}`;
-                html += `<td class="${prediction.timeline_class || 'timeline-unknown'}" title="${escapeHtml(tooltipText)}">`;
+                html += `<td class="${escapeHtml(prediction.timeline_class || 'timeline-unknown')}" title="${escapeHtml(getPredictionTooltip(drive))}">`;
                 html += escapeHtml(prediction.timeline_text || 'Unknown');
+                html += renderAfrSource(drive);
                 html += '</td>';
 
                 html += '</tr>';
@@ -290,6 +938,7 @@ function renderTableView() {
     }
 
     html += '</tbody></table></div>';
+    html += renderNoMatches();
 
     container.innerHTML = html;
 
@@ -301,10 +950,441 @@ function renderTableView() {
         });
     });
 
+    // Open the drive detail panel when a row is clicked
+    bindDriveClickHandlers(container);
+
     // Update sort indicators
     updateSortIndicators();
 }
 
+/**
+ * Render card view
+ *
+ * One card per drive, keeping the same array/type grouping as the table
+ */
+function renderCardView() {
+    const container = document.getElementById('drive-container');
+    if (!container) return;
+
+    const sortOptions = {
+        'replacement_months': 'Est. Replacement',
+        'power_on_hours': 'Power On Hours',
+        'device_name': 'Device',
+        'size_bytes': 'Size',
+        'temperature': 'Temperature',
+        'smart_status': 'SMART Status'
+    };
+
+    if (driveData.config.show_location) {
+        sortOptions.location = 'Location';
+    }
+    if (driveData.config.show_warranty) {
+        sortOptions.warranty_days = 'Warranty Remaining';
+    }
+
+    let html = '<div class="driveage-card-view">';
+
+    // Cards have no column headers, so sorting gets its own control
+    html += '<div class="card-sort-controls">';
+    html += '<label for="card-sort-select">Sort by</label>';
+    html += '<select id="card-sort-select">';
+    for (const column in sortOptions) {
+        html += `<option value="${column}" ${column === sortColumn ? 'selected' : ''}>${sortOptions[column]}</option>`;
+    }
+    html += '</select>';
+    html += `<button type="button" id="card-sort-dir" title="Toggle sort direction">${sortDirection === 'asc' ? '↑ Asc' : '↓ Desc'}</button>`;
+    html += '</div>';
+
+    const grouped = viewData.grouped;
+    const badgedArrays = new Set();
+
+    for (const arrayName in grouped) {
+        for (const driveType in grouped[arrayName]) {
+            const drives = sortDrives([...grouped[arrayName][driveType]], sortColumn, sortDirection);
+
+            html += '<div class="card-group">';
+            html += `<div class="card-group-header" onclick="toggleCardGroup(this)">`;
+            html += `<span class="group-toggle">▼</span>`;
+            html += `${escapeHtml(arrayName)} - ${escapeHtml(formatDriveType(driveType))} (${drives.length})`;
+            if (!badgedArrays.has(arrayName)) {
+                badgedArrays.add(arrayName);
+                html += renderArrayRiskBadge(arrayName);
+            }
+            html += '</div>';
+            html += '<div class="card-grid">';
+
+            drives.forEach(drive => {
+                const prediction = drive.replacement_prediction || {};
+                let cardClass = 'drive-card' + (drive.is_oldest ? ' oldest-drive' : '');
+
+                if (drive.is_standby) {
+                    cardClass += ' drive-standby';
+                    if (drive.is_stale) {
+                        cardClass += ' drive-stale';
+                    }
+                }
+
+                html += `<div class="${cardClass}"${getDriveClickAttributes(drive)}>`;
+
+                // Risk color band
+                html += `<div class="drive-card-band ${escapeHtml(drive.color_class)}">`;
+                html += `<span class="drive-card-name">${escapeHtml(drive.device_name)}</span>`;
+                html += `<span class="drive-card-risk">${escapeHtml(drive.age_label)}</span>`;
+                html += '</div>';
+
+                html += '<div class="drive-card-body">';
+                html += `<div class="drive-card-id" title="${escapeHtml(drive.identification)}">${escapeHtml(truncate(drive.identification, 40))}</div>`;
+                html += '<dl class="drive-card-details">';
+                html += `<dt>Size</dt><dd>${escapeHtml(drive.size_human)}</dd>`;
+                html += `<dt>Age</dt><dd title="${drive.power_on_hours !== null ? escapeHtml(drive.power_on_hours.toLocaleString()) + ' hours' : ''}">${escapeHtml(drive.power_on_human)}</dd>`;
+
+                if (driveData.config.show_temperature) {
+                    const tempClass = drive.temperature_class || getTemperatureClass(drive.temperature, drive.physical_type);
+                    html += `<dt>Temp</dt><dd class="${escapeHtml(tempClass)}">${escapeHtml(drive.temperature_formatted)}</dd>`;
+                }
+
+                if (driveData.config.show_smart_status) {
+                    html += `<dt>SMART</dt><dd>${drive.smart_status_formatted}</dd>`;
+                }
+
+                if (driveData.config.show_spin_status) {
+                    html += `<dt>Spin</dt><dd>${drive.spin_status_formatted}</dd>`;
+                }
+
+                if (driveData.config.show_location) {
+                    html += `<dt>Location</dt><dd>${escapeHtml((drive.asset && drive.asset.location) || '-')}</dd>`;
+                }
+
+                if (driveData.config.show_warranty) {
+                    html += '<dt>Warranty</dt>' + renderWarrantyCell(drive, 'dd');
+                }
+
+                if (driveData.config.show_self_test) {
+                    html += '<dt>Self-Test</dt>' + renderSelfTestCell(drive, 'dd');
+                }
+
+                html += `<dt>Replace</dt><dd class="${escapeHtml(prediction.timeline_class || 'timeline-unknown')}" title="${escapeHtml(getPredictionTooltip(drive))}">${escapeHtml(prediction.timeline_text || 'Unknown')}${renderAfrSource(drive)}</dd>`;
+                html += '</dl>';
+                html += `<div class="drive-card-health health-status-cell">${renderHealthStatus(drive)}</div>`;
+                html += '</div>';
+
+                html += '</div>';
+            });
+
+            html += '</div></div>';
+        }
+    }
+
+    html += renderNoMatches();
+    html += '</div>';
+
+    container.innerHTML = html;
+
+    const sortSelect = document.getElementById('card-sort-select');
+    if (sortSelect) {
+        sortSelect.addEventListener('change', function() {
+            handleSort(this.value);
+        });
+    }
+
+    const sortDirBtn = document.getElementById('card-sort-dir');
+    if (sortDirBtn) {
+        sortDirBtn.addEventListener('click', function() {
+            handleSort(sortColumn);
+        });
+    }
+
+    bindDriveClickHandlers(container);
+}
+
+/**
+ * Message shown when the filters hide every drive
+ *
+ * @return {string} HTML (empty if any drive is shown)
+ */
+function renderNoMatches() {
+    if (viewData.drives.length > 0) {
+        return '';
+    }
+
+    return '<div class="driveage-no-matches">No drives match the current filters.</div>';
+}
+
+/**
+ * Render health warnings (or Healthy / N/A) for a drive
+ *
+ * @param {Object} drive Drive object from API
+ * @return {string} HTML
+ */
+function renderHealthStatus(drive) {
+    let html = '';
+
+    if (drive.has_warnings) {
+        drive.health_warnings.forEach(warning => {
+            const iconClass = warning.level === 'critical' ? 'warning-critical' : 'warning-caution';
+            const icon = warning.level === 'critical' ? '⚠️' : '⚡';
+
+            // Help page anchor comes from the health rule that raised the warning
+            const anchor = warning.help_anchor || 'other-smart-warnings';
+            const helpUrl = `/Settings/DriveAgeHelp#${encodeURIComponent(anchor)}`;
+
+            html += `<a href="${helpUrl}" class="${iconClass}" title="${escapeHtml(warning.tooltip)}" style="text-decoration: none; color: inherit;">`;
+            html += `${icon} ${escapeHtml(warning.message)}`;
+            html += '</a><br>';
+        });
+    } else if (drive.power_on_hours === null || drive.power_on_hours === 0 ||
+               drive.smart_status === 'UNKNOWN' || drive.smart_status === 'N/A') {
+        // No SMART data available
+        html += '<span class="health-unknown" title="No SMART data available">N/A</span>';
+    } else {
+        html += '<span class="health-ok" title="No warnings detected">✓ Healthy</span>';
+    }
+
+    return html;
+}
+
+/**
+ * Build tooltip text for a drive's replacement estimate
+ *
+ * @param {Object} drive Drive object from API
+ * @return {string} Plain text tooltip
+ */
+function getPredictionTooltip(drive) {
+    const prediction = drive.replacement_prediction || {};
+    let tooltip = `Confidence: ${prediction.confidence || 'none'}. Method: ${prediction.method || 'unknown'}. ${prediction.notes || ''}`;
+
+    // Survival model estimates (HDD/SAS) carry an 80% interval around the median
+    if (prediction.months_low !== undefined && prediction.months_remaining !== null) {
+        tooltip += ` ${prediction.risk_percent}% failure risk reached in ${formatPredictionRange(prediction)}` +
+            ` (median ${prediction.months_remaining}). ${formatRiskPercent(prediction.annual_failure_probability)} chance of failing in the next year.`;
+    }
+
+    if (drive.afr && drive.afr.source !== 'model' && drive.afr.matched_model) {
+        tooltip += ` ${drive.afr.matched_model} fleet AFR ${drive.afr.model_afr}% has too few drive-days to use.`;
+    }
+
+    const writeRates = drive.nvme_write_rates;
+    if (writeRates && writeRates.recent_gb_per_day !== null) {
+        tooltip += ` Writing ${writeRates.recent_gb_per_day} GB/day (${writeRates.recent_window_days}-day)`;
+        if (writeRates.lifetime_gb_per_day !== null) {
+            tooltip += ` vs ${writeRates.lifetime_gb_per_day} GB/day lifetime`;
+            // Flag runaway writers (e.g. a container logging to the cache pool)
+            if (writeRates.recent_gb_per_day > writeRates.lifetime_gb_per_day * 2) {
+                tooltip += ' - recent writes well above normal';
+            }
+        }
+        tooltip += '.';
+    }
+
+    if (drive.warranty) {
+        tooltip += drive.warranty.expired
+            ? ` Warranty expired ${drive.warranty.end_date}.`
+            : ` Under warranty until ${drive.warranty.end_date} (${formatWarrantyRemaining(drive.warranty.days_remaining)} left).`;
+    }
+
+    return tooltip;
+}
+
+/**
+ * Format the 80% interval of a survival model estimate
+ *
+ * @param {Object} prediction Replacement prediction with months_low, months_high and months_max
+ * @return {string} e.g. "11-29 months", "40-120+ months"
+ */
+function formatPredictionRange(prediction) {
+    const high = prediction.months_high >= prediction.months_max ? `${prediction.months_high}+` : prediction.months_high;
+    return `${prediction.months_low}-${high} months`;
+}
+
+/**
+ * Format time left on a warranty
+ *
+ * @param {number} days Days remaining
+ * @return {string} e.g. "45 days", "7 months", "2.5 years"
+ */
+function formatWarrantyRemaining(days) {
+    if (days < 60) {
+        return `${days} day${days === 1 ? '' : 's'}`;
+    }
+    if (days < 730) {
+        return `${Math.floor(days / 30.44)} months`;
+    }
+    return `${(days / 365.25).toFixed(1).replace(/\.0$/, '')} years`;
+}
+
+/**
+ * Render the warranty remaining cell
+ *
+ * @param {Object} drive Drive object from API
+ * @param {string} tag Cell element (td for the table, dd for cards)
+ * @return {string} HTML
+ */
+function renderWarrantyCell(drive, tag) {
+    const warranty = drive.warranty;
+
+    if (!warranty) {
+        return `<${tag} class="warranty-unknown">-</${tag}>`;
+    }
+
+    const cellClass = warranty.expired ? 'warranty-expired' : (warranty.expiring ? 'warranty-expiring' : 'warranty-active');
+    const text = warranty.expired ? 'Expired' : formatWarrantyRemaining(warranty.days_remaining);
+
+    return `<${tag} class="${cellClass}" title="Warranty end: ${escapeHtml(warranty.end_date)}">${escapeHtml(text)}</${tag}>`;
+}
+
+/**
+ * Render the data-loss risk badge for an array or pool group header
+ * The tooltip walks through the calculation
+ *
+ * @param {string} arrayName Key of driveData.grouped
+ * @return {string} HTML (empty for groups without a risk estimate)
+ */
+function renderArrayRiskBadge(arrayName) {
+    const risk = (driveData.array_risk || {})[arrayName];
+    if (!risk) {
+        return '';
+    }
+
+    const lines = [];
+    const tolerated = risk.redundancy === 1 ? '1 failure' : `${risk.redundancy} failures`;
+
+    if (risk.redundancy_source === 'parity') {
+        lines.push(`${risk.members} drives with ${risk.redundancy} parity: survives ${tolerated}`);
+    } else if (risk.redundancy_source === 'single') {
+        lines.push('Single-drive pool: no redundancy');
+    } else if (risk.redundancy_source === 'profile') {
+        lines.push(`${risk.members} drives, ${risk.profile} profile: survives ${tolerated}`);
+    } else {
+        lines.push(`${risk.members} drives, profile unknown (assumed raid1): survives ${tolerated}`);
+    }
+
+    lines.push('', 'Estimated annual failure probability per drive (risk category AFR, raised for health warnings):');
+    risk.drives.forEach(drive => {
+        const bump = drive.warning_level ? ` (${formatRiskPercent(drive.base)} x${drive.factor} for ${drive.warning_level})` : '';
+        lines.push(`  ${drive.device_name}: ${formatRiskPercent(drive.probability)}${bump}`);
+    });
+
+    lines.push('');
+
+    if (risk.rebuild_loss_probability !== null) {
+        lines.push(`Rebuild of the largest drive: about ${risk.rebuild_hours} h at ${risk.rebuild_speed} MB/s`);
+        lines.push(`Chance of ${risk.redundancy} more failure${risk.redundancy === 1 ? '' : 's'} during that rebuild: ${formatRiskPercent(risk.rebuild_loss_probability)}`);
+        lines.push(`Expected data-loss events per year (each drive's failure chance x rebuild risk): ${formatRiskPercent(risk.annual_loss_rate)}`);
+    } else {
+        lines.push(`Every failure loses data: ${formatRiskPercent(risk.annual_loss_rate)} per year`);
+    }
+
+    lines.push('', risk.striped
+        ? 'Exceeding the redundancy loses the whole pool.'
+        : 'Unraid does not stripe data: exceeding parity loses only the failed data drives.');
+    lines.push('Failures are treated as independent; drives from the same batch often fail together, so treat this as a lower bound.');
+
+    const labels = { low: 'Low', moderate: 'Moderate', high: 'High' };
+
+    return ` <span class="array-risk array-risk-${escapeHtml(risk.level)}" title="${escapeHtml(lines.join('\n'))}">` +
+        `${labels[risk.level]} data-loss risk: ${escapeHtml(formatRiskPercent(risk.annual_loss_rate))}/yr</span>`;
+}
+
+/**
+ * Format a probability as a percentage with precision that suits its size
+ *
+ * @param {number} probability Probability (0-1)
+ * @return {string} Formatted percentage
+ */
+function formatRiskPercent(probability) {
+    const percent = probability * 100;
+
+    if (percent === 0) {
+        return '0%';
+    }
+    if (percent < 0.001) {
+        return '<0.001%';
+    }
+    return (percent < 1 ? percent.toPrecision(2) : percent.toFixed(1)) + '%';
+}
+
+/**
+ * Render the self-test cell (progress of a running test, otherwise the last result)
+ *
+ * @param {Object} drive Drive object from API
+ * @param {string} tag Cell element (td for the table, dd for cards)
+ * @return {string} HTML
+ */
+function renderSelfTestCell(drive, tag) {
+    const selfTest = drive.self_test;
+
+    if (selfTest && selfTest.running) {
+        const running = selfTest.running;
+        const remaining = running.remaining_percent !== null ? ` ${running.remaining_percent}% left` : '';
+        const type = running.type !== 'unknown' ? ` (${running.type})` : '';
+        return `<${tag} class="selftest-running" title="Started ${escapeHtml(new Date(running.started_at * 1000).toLocaleString())}">Running${escapeHtml(type + remaining)}</${tag}>`;
+    }
+
+    if (!selfTest || !selfTest.last) {
+        return `<${tag} class="selftest-none">-</${tag}>`;
+    }
+
+    const last = selfTest.last;
+    const date = last.completed_at ? new Date(last.completed_at * 1000).toLocaleDateString() : 'date unknown';
+    const cellClass = last.passed === false ? 'selftest-failed' : 'selftest-passed';
+    const text = last.passed === false ? 'Failed' : 'Passed';
+
+    return `<${tag} class="${cellClass}" title="${escapeHtml(last.type + ': ' + last.status)}">${text} ${escapeHtml(date)}</${tag}>`;
+}
+
+/**
+ * Render which failure rate source a drive's estimate used
+ *
+ * Only shown once a Backblaze dataset has been imported (drive.afr is set).
+ *
+ * @param {Object} drive Drive object from API
+ * @return {string} HTML (empty without a dataset)
+ */
+function renderAfrSource(drive) {
+    if (!drive.afr) return '';
+
+    if (drive.afr.source === 'model') {
+        return `<div class="afr-source">Model AFR ${escapeHtml(drive.afr.model_afr)}%</div>`;
+    }
+
+    return '<div class="afr-source">Generic curve</div>';
+}
+
+/**
+ * Get data attributes that make a drive row/card open its detail panel
+ *
+ * @param {Object} drive Drive object from API
+ * @return {string} HTML attribute string (empty if the serial is unknown)
+ */
+function getDriveClickAttributes(drive) {
+    if (!drive.serial || drive.serial === 'Unknown') {
+        return '';
+    }
+
+    return ` data-serial="${escapeHtml(drive.serial)}" data-title="${escapeHtml(drive.device_name + ' - ' + drive.identification)}" data-clickable="true"`;
+}
+
+/**
+ * Open the drive detail panel when a drive row or card is clicked
+ *
+ * @param {HTMLElement} container Element containing the rendered drives
+ */
+function bindDriveClickHandlers(container) {
+    container.querySelectorAll('[data-clickable="true"]').forEach(element => {
+        element.classList.add('drive-row');
+        element.title = element.title || 'Click for SMART details';
+
+        element.addEventListener('click', function(event) {
+            // Let health warning help links navigate normally
+            if (event.target.closest('a')) return;
+
+            if (window.openDriveDetail) {
+                openDriveDetail(this.dataset.serial, this.dataset.title);
+            }
+        });
+    });
+}
+
 /**
  * Handle column sorting
  */
@@ -319,6 +1399,10 @@ function handleSort(column) {
         sortDirection = (column === 'replacement_months') ? 'asc' : 'desc';
     }
 
+    // Remember for this session without changing the saved default
+    saveSessionPref('sort_column', sortColumn);
+    saveSessionPref('sort_direction', sortDirection);
+
     renderDashboard();
 }
 
@@ -333,6 +1417,12 @@ function sortDrives(drives, column, direction) {
         if (column === 'replacement_months') {
             aVal = a.replacement_prediction?.months_remaining;
             bVal = b.replacement_prediction?.months_remaining;
+        } else if (column === 'location') {
+            aVal = a.asset?.location;
+            bVal = b.asset?.location;
+        } else if (column === 'warranty_days') {
+            aVal = a.warranty?.days_remaining;
+            bVal = b.warranty?.days_remaining;
         } else {
             aVal = a[column];
             bVal = b[column];
@@ -396,6 +1486,20 @@ function toggleGroup(headerRow) {
     }
 }
 
+/**
+ * Toggle card group visibility
+ */
+function toggleCardGroup(header) {
+    const grid = header.nextElementSibling;
+    if (!grid) return;
+
+    const isCollapsed = grid.classList.toggle('group-collapsed');
+    const toggle = header.querySelector('.group-toggle');
+    if (toggle) {
+        toggle.textContent = isCollapsed ? '▶' : '▼';
+    }
+}
+
 /**
  * Get temperature CSS class
  *
@@ -433,12 +1537,27 @@ function formatDriveType(type) {
         'array': 'Array Disks',
         'cache': 'Cache',
         'pool': 'Pool',
+        'flash': 'Flash',
         'unassigned': 'Unassigned'
     };
 
     return types[type] || type;
 }
 
+/**
+ * Format physical drive type for display
+ */
+function formatPhysicalType(type) {
+    const types = {
+        'hdd': 'HDD/SSD',
+        'sas': 'SAS',
+        'nvme': 'NVMe',
+        'usb': 'USB'
+    };
+
+    return types[type] || type;
+}
+
 /**
  * Truncate string with ellipsis
  */
@@ -461,11 +1580,14 @@ function updateLastUpdated(timestamp) {
 
 /**
  * Update drive count display
+ *
+ * @param {number} shown Drives matching the current filters
+ * @param {number} total All drives
  */
-function updateDriveCount(count) {
+function updateDriveCount(shown, total) {
     const element = document.getElementById('drive-count');
     if (element) {
-        element.textContent = `Total Drives: ${count}`;
+        element.textContent = shown === total ? `Total Drives: ${total}` : `Showing ${shown} of ${total} Drives`;
     }
 }
 
@@ -0,0 +1,469 @@
+/**
+ * DriveAge Plugin - Drive Detail Panel
+ * Shows the full SMART report for one drive (attribute table, NVMe health log,
+ * error log, self-test log), starts self-tests, explains its replacement
+ * estimate and edits its asset details (purchase, warranty, location, RMA
+ * history, notes).
+ *
+ * Opened from dashboard.js when a drive row or card is clicked.
+ */
+
+/**
+ * Open the detail panel for a drive
+ *
+ * @param {string} serial - Drive serial number
+ * @param {string} title - Heading for the panel
+ */
+function openDriveDetail(serial, title) {
+    const modal = document.getElementById('detail-modal');
+    const body = document.getElementById('detail-body');
+    const heading = document.getElementById('detail-title');
+    if (!modal || !body || !serial) return;
+
+    if (heading) {
+        heading.textContent = title || serial;
+    }
+    body.innerHTML = '<div class="driveage-loading"><div class="spinner"></div> Reading SMART report...</div>';
+    modal.classList.remove('hidden');
+
+    const url = '/plugins/driveage/scripts/get_drive_detail.php?serial=' + encodeURIComponent(serial);
+
+    fetch(url, { headers: getRequestHeaders() })
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Failed to fetch drive detail (status: ' + response.status + ')');
+            }
+            return response.json();
+        })
+        .then(detail => {
+            if (!detail.success) {
+                throw new Error(detail.error || 'Failed to load drive detail');
+            }
+            renderDriveDetail(detail, body, title);
+        })
+        .catch(error => {
+            console.error('DriveAge: Error loading drive detail:', error);
+            body.innerHTML = `<div class="driveage-error">Error: ${escapeHtml(error.message)}</div>`;
+        });
+}
+
+/**
+ * Close the drive detail panel
+ */
+function closeDriveDetail() {
+    const modal = document.getElementById('detail-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+}
+
+/**
+ * Render the detail panel contents
+ *
+ * @param {Object} detail - Response from get_drive_detail.php
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} title - Panel heading (reused for the history view)
+ */
+function renderDriveDetail(detail, container, title) {
+    const drive = detail.drive;
+    const smart = detail.smart || {};
+
+    let html = '<div class="detail-overview">';
+    html += '<dl class="detail-facts">';
+    html += `<dt>Model</dt><dd>${escapeHtml(drive.model)}</dd>`;
+    html += `<dt>Serial</dt><dd>${escapeHtml(drive.serial)}</dd>`;
+    html += `<dt>Size</dt><dd>${escapeHtml(drive.size_human)}</dd>`;
+    html += `<dt>Type</dt><dd>${escapeHtml(formatDriveType(drive.drive_type))} (${escapeHtml(formatPhysicalType(drive.physical_type))})</dd>`;
+    html += `<dt>Power On</dt><dd>${escapeHtml(drive.power_on_human)}</dd>`;
+    html += `<dt>Temperature</dt><dd>${escapeHtml(drive.temperature_formatted)}</dd>`;
+    html += `<dt>SMART</dt><dd>${escapeHtml(drive.smart_status)}</dd>`;
+    html += `<dt>Risk</dt><dd><span class="detail-risk ${escapeHtml(drive.color_class)}">${escapeHtml(drive.age_label)}</span></dd>`;
+    html += '</dl>';
+    html += '<button type="button" id="detail-history-btn">View SMART History</button>';
+    html += '</div>';
+
+    html += renderDetailPrediction(drive, detail.prediction);
+    html += '<div id="detail-asset"></div>';
+    if (drive.has_warnings) {
+        html += `<h4>Health Warnings</h4><div class="detail-warnings">${renderHealthStatus(drive)}</div>`;
+    }
+
+    if (smart.source === 'cache') {
+        html += `<div class="driveage-info">${smart.standby
+            ? 'Drive is in standby. Showing the attributes Unraid last cached; the error and self-test logs are read when the drive is active.'
+            : 'Showing the attributes Unraid last cached; the full SMART report could not be read.'}</div>`;
+    } else if (smart.source === 'none') {
+        html += '<div class="driveage-info">No SMART report is available for this drive.</div>';
+    }
+
+    html += renderDetailAttributes(smart.attributes || []);
+    html += renderDetailHealthLog('NVMe Health Log', smart.nvme_health || []);
+    html += renderDetailHealthLog('SAS Log Counters', smart.sas_logs || []);
+    html += renderDetailErrorLog(smart.error_log);
+    html += renderDetailSelfTestControls(drive);
+    html += renderDetailSelfTests(smart.self_tests);
+
+    container.innerHTML = html;
+    renderDetailAsset(drive, document.getElementById('detail-asset'));
+
+    container.querySelectorAll('button[data-selftest]').forEach(button => {
+        button.addEventListener('click', function() {
+            if (window.startSelfTests) {
+                startSelfTests({ type: this.dataset.selftest, serial: drive.serial }, document.getElementById('detail-selftest-status'));
+            }
+        });
+    });
+
+    const historyButton = document.getElementById('detail-history-btn');
+    if (historyButton) {
+        historyButton.addEventListener('click', function() {
+            closeDriveDetail();
+            if (window.openTrendView) {
+                openTrendView(drive.serial, title, driveData.config.temperature_unit);
+            }
+        });
+    }
+}
+
+/**
+ * Render the replacement estimate explanation
+ *
+ * @param {Object} drive - Drive object from API
+ * @param {Object} prediction - Explanation from explainReplacementPrediction()
+ * @return {string} HTML
+ */
+function renderDetailPrediction(drive, prediction) {
+    const estimate = drive.replacement_prediction || {};
+    if (!prediction) return '';
+
+    let html = '<h4>Replacement Estimate</h4>';
+    html += `<p class="detail-estimate"><span class="${escapeHtml(estimate.timeline_class || 'timeline-unknown')}">${escapeHtml(estimate.timeline_text || 'Unknown')}</span>`;
+    if (prediction.summary) {
+        html += ` &mdash; ${escapeHtml(prediction.summary)}`;
+    }
+    html += '</p>';
+
+    html += '<dl class="detail-facts detail-factors">';
+    prediction.factors.forEach(factor => {
+        html += `<dt>${escapeHtml(factor.label)}</dt><dd>${escapeHtml(factor.value)}</dd>`;
+    });
+    html += '</dl>';
+
+    return html;
+}
+
+/**
+ * Render a drive's asset details with an Edit button
+ *
+ * @param {Object} drive - Drive object from API
+ * @param {HTMLElement} container - Element to render into
+ */
+function renderDetailAsset(drive, container) {
+    if (!container) return;
+
+    const asset = drive.asset || {};
+    const warranty = drive.warranty;
+
+    let html = '<h4>Asset Details</h4>';
+
+    if (!drive.asset) {
+        html += '<p class="detail-empty">No purchase, warranty or location details recorded.</p>';
+    } else {
+        html += '<dl class="detail-facts">';
+        if (asset.location) {
+            html += `<dt>Location</dt><dd>${escapeHtml(asset.location)}</dd>`;
+        }
+        if (warranty) {
+            html += `<dt>Warranty</dt><dd class="${warranty.expired ? 'warranty-expired' : (warranty.expiring ? 'warranty-expiring' : '')}">`;
+            html += warranty.expired
+                ? `Expired ${escapeHtml(warranty.end_date)}`
+                : `Until ${escapeHtml(warranty.end_date)} (${escapeHtml(formatWarrantyRemaining(warranty.days_remaining))} left)`;
+            html += '</dd>';
+        }
+        if (asset.purchase_date) {
+            html += `<dt>Purchased</dt><dd>${escapeHtml(asset.purchase_date)}</dd>`;
+        }
+        if (asset.purchase_price !== undefined) {
+            html += `<dt>Price</dt><dd>${escapeHtml(asset.purchase_price.toFixed(2))}</dd>`;
+        }
+        if (asset.vendor) {
+            html += `<dt>Vendor</dt><dd>${escapeHtml(asset.vendor)}</dd>`;
+        }
+        (asset.rma_history || []).forEach(rma => {
+            html += `<dt>RMA ${escapeHtml(rma.date)}</dt><dd>${escapeHtml([rma.reference, rma.reason].filter(value => value).join(' - ') || '-')}</dd>`;
+        });
+        if (asset.notes) {
+            html += `<dt>Notes</dt><dd class="detail-notes">${escapeHtml(asset.notes)}</dd>`;
+        }
+        html += '</dl>';
+    }
+
+    if (drive.serial && drive.serial !== 'Unknown') {
+        html += '<div class="asset-actions"><button type="button" id="asset-edit-btn">Edit Asset Details</button></div>';
+    }
+
+    container.innerHTML = html;
+
+    const editButton = document.getElementById('asset-edit-btn');
+    if (editButton) {
+        editButton.addEventListener('click', function() {
+            renderAssetForm(drive, container);
+        });
+    }
+}
+
+/**
+ * Render the asset details editor
+ *
+ * @param {Object} drive - Drive object from API
+ * @param {HTMLElement} container - Element to render into
+ */
+function renderAssetForm(drive, container) {
+    const asset = drive.asset || {};
+
+    let html = '<h4>Asset Details</h4>';
+    html += '<div class="asset-form">';
+    html += `<label for="asset-location">Location</label><input type="text" id="asset-location" maxlength="50" placeholder="e.g. Bay 3" value="${escapeHtml(asset.location)}">`;
+    html += `<label for="asset-warranty-end">Warranty ends</label><input type="date" id="asset-warranty-end" value="${escapeHtml(asset.warranty_end)}">`;
+    html += `<label for="asset-purchase-date">Purchase date</label><input type="date" id="asset-purchase-date" value="${escapeHtml(asset.purchase_date)}">`;
+    html += `<label for="asset-purchase-price">Price</label><input type="number" id="asset-purchase-price" min="0" step="0.01" value="${escapeHtml(asset.purchase_price)}">`;
+    html += `<label for="asset-vendor">Vendor</label><input type="text" id="asset-vendor" maxlength="100" value="${escapeHtml(asset.vendor)}">`;
+    html += '<label>RMA history</label><div><div id="asset-rma-list"></div><button type="button" id="asset-rma-add">Add RMA</button></div>';
+    html += `<label for="asset-notes">Notes</label><textarea id="asset-notes" maxlength="2000">${escapeHtml(asset.notes)}</textarea>`;
+    html += '</div>';
+    html += '<div class="asset-actions">';
+    html += '<button type="button" id="asset-save-btn">Save</button> ';
+    html += '<button type="button" id="asset-cancel-btn">Cancel</button>';
+    html += '<span id="asset-status" class="asset-status"></span>';
+    html += '</div>';
+
+    container.innerHTML = html;
+
+    const rmaList = document.getElementById('asset-rma-list');
+    (asset.rma_history || []).forEach(rma => addAssetRmaRow(rmaList, rma));
+
+    document.getElementById('asset-rma-add').addEventListener('click', function() {
+        addAssetRmaRow(rmaList, { date: new Date().toISOString().slice(0, 10) });
+    });
+    document.getElementById('asset-cancel-btn').addEventListener('click', function() {
+        renderDetailAsset(drive, container);
+    });
+    document.getElementById('asset-save-btn').addEventListener('click', function() {
+        saveDriveAsset(drive, container, this);
+    });
+}
+
+/**
+ * Add an RMA row to the asset editor
+ *
+ * @param {HTMLElement} list - RMA list element
+ * @param {Object} rma - {date, reference, reason}
+ */
+function addAssetRmaRow(list, rma) {
+    const row = document.createElement('div');
+    row.className = 'rma-row';
+    row.innerHTML = `<input type="date" data-field="date" value="${escapeHtml(rma.date)}">`
+        + `<input type="text" data-field="reference" maxlength="50" placeholder="RMA number" value="${escapeHtml(rma.reference)}">`
+        + `<input type="text" data-field="reason" maxlength="200" placeholder="Reason / outcome" value="${escapeHtml(rma.reason)}">`
+        + '<button type="button" title="Remove">✕</button>';
+    row.querySelector('button').addEventListener('click', function() {
+        row.remove();
+    });
+    list.appendChild(row);
+}
+
+/**
+ * Save the asset editor and refresh the dashboard
+ *
+ * @param {Object} drive - Drive object from API
+ * @param {HTMLElement} container - Asset section element
+ * @param {HTMLElement} button - Save button (disabled while saving)
+ */
+function saveDriveAsset(drive, container, button) {
+    const status = document.getElementById('asset-status');
+    const asset = {
+        location: document.getElementById('asset-location').value,
+        warranty_end: document.getElementById('asset-warranty-end').value,
+        purchase_date: document.getElementById('asset-purchase-date').value,
+        purchase_price: document.getElementById('asset-purchase-price').value,
+        vendor: document.getElementById('asset-vendor').value,
+        notes: document.getElementById('asset-notes').value,
+        rma_history: Array.from(document.querySelectorAll('#asset-rma-list .rma-row')).map(row => ({
+            date: row.querySelector('[data-field="date"]').value,
+            reference: row.querySelector('[data-field="reference"]').value,
+            reason: row.querySelector('[data-field="reason"]').value
+        }))
+    };
+
+    const body = new FormData();
+    body.append('csrf_token', typeof DRIVEAGE_CSRF_TOKEN !== 'undefined' ? DRIVEAGE_CSRF_TOKEN : '');
+    body.append('action', 'save');
+    body.append('serial', drive.serial);
+    body.append('asset', JSON.stringify(asset));
+
+    button.disabled = true;
+    status.textContent = 'Saving...';
+
+    fetch('/plugins/driveage/scripts/assets.php', {
+        method: 'POST',
+        body: body
+    })
+        .then(response => response.json().catch(() => ({ success: false, message: 'Request failed (status: ' + response.status + ')' })))
+        .then(data => {
+            if (!data.success) {
+                status.textContent = 'Failed: ' + (data.details ? data.details.join('; ') : (data.message || data.error || 'Unknown error'));
+                button.disabled = false;
+                return;
+            }
+
+            drive.asset = data.asset;
+            drive.warranty = data.warranty;
+            renderDetailAsset(drive, container);
+
+            // Warranty/location columns and tooltips come from the drive list
+            loadDriveData({ background: true });
+        })
+        .catch(error => {
+            status.textContent = 'Failed: ' + error.message;
+            button.disabled = false;
+        });
+}
+
+/**
+ * Render the ATA SMART attribute table
+ *
+ * An attribute is failing when smartctl reports WHEN_FAILED, or its
+ * normalized value has dropped to the threshold.
+ *
+ * @param {Array} attributes - Attribute rows
+ * @return {string} HTML (empty for drives without an ATA attribute table)
+ */
+function renderDetailAttributes(attributes) {
+    if (attributes.length === 0) return '';
+
+    let html = '<h4>SMART Attributes</h4>';
+    html += '<table class="driveage-table detail-table"><thead><tr>';
+    html += '<th>ID</th><th>Attribute</th><th>Value</th><th>Worst</th><th>Threshold</th><th>Type</th><th>Failing</th><th>Raw</th>';
+    html += '</tr></thead><tbody>';
+
+    attributes.forEach(attr => {
+        const atThreshold = attr.threshold > 0 && attr.value !== null && attr.value <= attr.threshold;
+        const failing = attr.when_failed || (atThreshold ? 'now' : '');
+
+        html += `<tr class="${failing ? 'attr-failing' : ''}">`;
+        html += `<td>${escapeHtml(attr.id)}</td>`;
+        html += `<td>${escapeHtml(attr.name.replace(/_/g, ' '))}</td>`;
+        html += `<td>${escapeHtml(attr.value ?? '-')}</td>`;
+        html += `<td>${escapeHtml(attr.worst ?? '-')}</td>`;
+        html += `<td>${escapeHtml(attr.threshold ?? '-')}</td>`;
+        html += `<td>${escapeHtml(attr.type || '-')}</td>`;
+        html += `<td>${escapeHtml(failing || '-')}</td>`;
+        html += `<td>${escapeHtml(attr.raw)}</td>`;
+        html += '</tr>';
+    });
+
+    html += '</tbody></table>';
+    return html;
+}
+
+/**
+ * Render a name/value health log (NVMe SMART/Health Information or SAS log counters)
+ *
+ * @param {string} title - Section heading
+ * @param {Array} health - Log entries [{name, value}]
+ * @return {string} HTML (empty when the drive doesn't report the log)
+ */
+function renderDetailHealthLog(title, health) {
+    if (health.length === 0) return '';
+
+    let html = `<h4>${escapeHtml(title)}</h4>`;
+    html += '<table class="driveage-table detail-table"><tbody>';
+    health.forEach(entry => {
+        html += `<tr><td>${escapeHtml(entry.name)}</td><td>${escapeHtml(entry.value)}</td></tr>`;
+    });
+    html += '</tbody></table>';
+
+    return html;
+}
+
+/**
+ * Render the error log
+ *
+ * @param {Object|null} errorLog - {count, entries} or null if not reported
+ * @return {string} HTML
+ */
+function renderDetailErrorLog(errorLog) {
+    if (!errorLog) return '';
+
+    let html = '<h4>Error Log</h4>';
+
+    if (errorLog.count === 0) {
+        return html + '<p class="detail-empty">No errors logged.</p>';
+    }
+
+    html += `<p class="detail-empty">${escapeHtml(errorLog.count)} error(s) logged${errorLog.entries.length > 0 && errorLog.entries.length < errorLog.count ? `, showing the ${errorLog.entries.length} most recent` : ''}.</p>`;
+
+    if (errorLog.entries.length > 0) {
+        html += '<table class="driveage-table detail-table"><thead><tr><th>#</th><th>Power-On Hours</th><th>Error</th></tr></thead><tbody>';
+        errorLog.entries.forEach(entry => {
+            html += `<tr class="attr-failing"><td>${escapeHtml(entry.number ?? '-')}</td><td>${escapeHtml(entry.lifetime_hours ?? '-')}</td><td>${escapeHtml(entry.description)}</td></tr>`;
+        });
+        html += '</tbody></table>';
+    }
+
+    return html;
+}
+
+/**
+ * Render recent self-test results
+ *
+ * @param {Array|null} tests - Self-tests (newest first) or null if not reported
+ * @return {string} HTML
+ */
+function renderDetailSelfTests(tests) {
+    if (!tests) return '';
+
+    let html = '<h4>Self-Test Log</h4>';
+
+    if (tests.length === 0) {
+        return html + '<p class="detail-empty">No self-tests have been run.</p>';
+    }
+
+    html += '<table class="driveage-table detail-table"><thead><tr><th>Test</th><th>Result</th><th>Power-On Hours</th></tr></thead><tbody>';
+    tests.forEach(test => {
+        html += `<tr class="${test.passed === false ? 'attr-failing' : ''}">`;
+        html += `<td>${escapeHtml(test.type)}</td><td>${escapeHtml(test.status)}</td><td>${escapeHtml(test.lifetime_hours ?? '-')}</td>`;
+        html += '</tr>';
+    });
+    html += '</tbody></table>';
+
+    return html;
+}
+
+/**
+ * Render the self-test status and start buttons
+ *
+ * @param {Object} drive - Drive object from API
+ * @return {string} HTML (empty for flash/USB drives)
+ */
+function renderDetailSelfTestControls(drive) {
+    if (drive.drive_type === 'flash' || drive.physical_type === 'usb') return '';
+
+    let html = '<h4>Self-Test</h4><div class="detail-selftest">';
+    html += renderSelfTestCell(drive, 'span');
+
+    if (!(drive.self_test && drive.self_test.running)) {
+        html += '<button type="button" data-selftest="short" title="About two minutes">Start Short Test</button>';
+        html += '<button type="button" data-selftest="long" title="Reads the whole drive - can take many hours">Start Extended Test</button>';
+    }
+    html += '<span id="detail-selftest-status" class="selftest-status"></span>';
+    html += '</div>';
+
+    return html;
+}
+
+/**
+ * Expose detail panel functions to global scope for dashboard.js
+ */
+window.openDriveDetail = openDriveDetail;
+window.closeDriveDetail = closeDriveDetail;
@@ -0,0 +1,452 @@
+/**
+ * DriveAge Plugin - Export Module
+ * Exports the current (filtered and sorted) drive list as CSV, JSON or a printable report
+ */
+
+// Replacement planning buckets for the printable report (upper bound in months)
+const REPORT_PLANNING_BUCKETS = [
+    { label: 'Replace within 6 months', max: 6 },
+    { label: '6 - 12 months', max: 12 },
+    { label: '12 - 24 months', max: 24 },
+    { label: 'More than 24 months', max: Infinity }
+];
+
+/**
+ * Get drives exactly as shown on the dashboard (filters and sort applied)
+ *
+ * @return {Array} Drive objects
+ */
+function getExportDrives() {
+    if (!driveData || !viewData) {
+        return [];
+    }
+
+    return sortDrives([...viewData.drives], sortColumn, sortDirection);
+}
+
+/**
+ * Export the current drive list as CSV
+ */
+function exportCsv() {
+    const drives = getExportDrives();
+    if (drives.length === 0) {
+        alert('No drives to export.');
+        return;
+    }
+
+    const columns = [
+        ['Device', d => d.device_name],
+        ['Array', d => d.array_name],
+        ['Drive Type', d => d.drive_type],
+        ['Physical Type', d => d.physical_type],
+        ['Model', d => d.model],
+        ['Serial', d => d.serial],
+        ['Size (bytes)', d => d.size_bytes],
+        ['Size', d => d.size_human],
+        ['Power On Hours', d => d.power_on_hours],
+        ['Age', d => d.power_on_human],
+        ['Temperature (C)', d => d.temperature],
+        ['SMART Status', d => d.smart_status],
+        ['Spin Status', d => d.spin_status],
+        ['Risk Category', d => d.age_category],
+        ['Risk Label', d => d.age_label],
+        ['Health Warnings', d => (d.health_warnings || []).map(w => `${w.level}: ${w.message}`).join('; ')],
+        ['Replacement Months Remaining', d => (d.replacement_prediction || {}).months_remaining],
+        ['Replacement Range (80%)', d => (d.replacement_prediction || {}).months_low !== undefined ? formatPredictionRange(d.replacement_prediction) : ''],
+        ['Replacement Timeline', d => (d.replacement_prediction || {}).timeline_text],
+        ['Replacement Confidence', d => (d.replacement_prediction || {}).confidence],
+        ['Replacement Method', d => (d.replacement_prediction || {}).method],
+        ['Replacement Notes', d => getPredictionNotes(d.replacement_prediction)],
+        ['Location', d => (d.asset || {}).location],
+        ['Warranty End', d => (d.asset || {}).warranty_end],
+        ['Purchase Date', d => (d.asset || {}).purchase_date],
+        ['Purchase Price', d => (d.asset || {}).purchase_price],
+        ['Vendor', d => (d.asset || {}).vendor]
+    ];
+
+    const lines = [columns.map(column => csvField(column[0])).join(',')];
+    drives.forEach(drive => {
+        lines.push(columns.map(column => csvField(column[1](drive))).join(','));
+    });
+
+    downloadFile(lines.join('\r\n') + '\r\n', getExportFilename('csv'), 'text/csv;charset=utf-8');
+}
+
+/**
+ * Export the current drive list as JSON
+ */
+function exportJson() {
+    const drives = getExportDrives();
+    if (drives.length === 0) {
+        alert('No drives to export.');
+        return;
+    }
+
+    const data = {
+        generated: new Date().toISOString(),
+        data_timestamp: driveData.timestamp,
+        sort: { column: sortColumn, direction: sortDirection },
+        filters: filters,
+        drive_count: drives.length,
+        total_drive_count: driveData.drives.length,
+        thresholds: driveData.thresholds,
+        drives: drives
+    };
+
+    downloadFile(JSON.stringify(data, null, 2), getExportFilename('json'), 'application/json');
+}
+
+/**
+ * Open a print-optimized HTML report in a new window
+ */
+function openPrintReport() {
+    const drives = getExportDrives();
+    if (drives.length === 0) {
+        alert('No drives to include in the report.');
+        return;
+    }
+
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) {
+        alert('Unable to open the report window. Please allow pop-ups for this page.');
+        return;
+    }
+
+    reportWindow.document.open();
+    reportWindow.document.write(buildReportHtml(drives));
+    reportWindow.document.close();
+
+    // Give images a moment to decode before opening the print dialog
+    reportWindow.addEventListener('load', function() {
+        reportWindow.focus();
+        reportWindow.print();
+    });
+}
+
+/**
+ * Build the printable report document
+ *
+ * @param {Array} drives Drives to include
+ * @return {string} Complete HTML document
+ */
+function buildReportHtml(drives) {
+    const generated = new Date().toLocaleString();
+    const dataTime = new Date(driveData.timestamp * 1000).toLocaleString();
+    const filtered = drives.length !== driveData.drives.length;
+
+    let html = '<!DOCTYPE html><html><head><meta charset="utf-8">';
+    html += `<title>DriveAge Drive Inventory - ${escapeHtml(generated)}</title>`;
+    html += `<style>${getReportStyles()}</style>`;
+    html += '</head><body>';
+
+    html += '<h1>Drive Inventory Report</h1>';
+    html += `<p class="meta">Generated ${escapeHtml(generated)} &middot; Drive data from ${escapeHtml(dataTime)} &middot; `;
+    html += filtered
+        ? `${drives.length} of ${driveData.drives.length} drives (filtered)`
+        : `${drives.length} drives`;
+    html += '</p>';
+
+    // Summary
+    const totalBytes = drives.reduce((sum, drive) => sum + (drive.size_bytes || 0), 0);
+    const warningCount = drives.filter(drive => drive.has_warnings).length;
+    html += '<div class="summary">';
+    html += `<div><strong>${drives.length}</strong><span>Drives</span></div>`;
+    html += `<div><strong>${escapeHtml(formatReportBytes(totalBytes))}</strong><span>Total Capacity</span></div>`;
+    html += `<div><strong>${warningCount}</strong><span>With Health Warnings</span></div>`;
+    html += `<div><strong>${drives.filter(drive => drive.age_category === 'high_risk').length}</strong><span>High Risk</span></div>`;
+    html += '</div>';
+
+    html += buildReportLegend();
+    html += buildReportCharts();
+    html += buildReportPlanning(drives);
+    html += buildReportInventory(drives);
+
+    html += '<p class="footer">DriveAge - Unraid drive age monitor</p>';
+    html += '</body></html>';
+
+    return html;
+}
+
+/**
+ * Build the risk category legend for the report
+ *
+ * @return {string} HTML
+ */
+function buildReportLegend() {
+    const thresholds = driveData.thresholds || {};
+    const bounds = [0, thresholds.minimal_risk, thresholds.low_risk, thresholds.moderate_risk, thresholds.elevated_risk];
+
+    let html = '<h2>Risk Categories</h2><div class="legend">';
+
+    RISK_CATEGORIES.forEach((category, index) => {
+        const from = bounds[index];
+        const to = bounds[index + 1];
+        let range;
+
+        if (index === 0) {
+            range = `< ${formatReportYears(to)} years`;
+        } else if (to === undefined) {
+            range = `≥ ${formatReportYears(from)} years`;
+        } else {
+            range = `${formatReportYears(from)} - ${formatReportYears(to)} years`;
+        }
+
+        const background = driveData.colors[category] || '#ccc';
+        const color = driveData.text_colors[category] || '#000';
+        html += `<span class="legend-item" style="background:${escapeHtml(background)};color:${escapeHtml(color)}">`;
+        html += `${escapeHtml(getCategoryLabel(category))} (${escapeHtml(range)})`;
+        html += '</span>';
+    });
+
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Build chart images for the report from the dashboard canvases
+ *
+ * @return {string} HTML (empty if charts are not rendered)
+ */
+function buildReportCharts() {
+    const charts = [
+        ['risk-chart', 'Risk Category Distribution'],
+        ['temperature-chart', 'Temperature Distribution'],
+        ['size-chart', 'Drive Size Distribution']
+    ];
+
+    let images = '';
+    charts.forEach(([id, title]) => {
+        const canvas = document.getElementById(id);
+        if (!canvas || canvas.width === 0 || canvas.height === 0) return;
+
+        try {
+            images += `<figure><img src="${canvas.toDataURL('image/png')}" alt="${escapeHtml(title)}"><figcaption>${escapeHtml(title)}</figcaption></figure>`;
+        } catch (e) {
+            console.warn('DriveAge: Unable to capture chart', id, e);
+        }
+    });
+
+    return images ? `<h2>Charts</h2><div class="charts">${images}</div>` : '';
+}
+
+/**
+ * Build the replacement planning section (drives bucketed by estimated replacement)
+ *
+ * @param {Array} drives Drives to include
+ * @return {string} HTML
+ */
+function buildReportPlanning(drives) {
+    const buckets = REPORT_PLANNING_BUCKETS.map(bucket => Object.assign({ drives: [] }, bucket));
+    const unknown = { label: 'No estimate available', drives: [] };
+
+    sortDrives([...drives], 'replacement_months', 'asc').forEach(drive => {
+        const months = (drive.replacement_prediction || {}).months_remaining;
+        if (months === null || months === undefined) {
+            unknown.drives.push(drive);
+            return;
+        }
+
+        const bucket = buckets.find(b => months <= b.max);
+        bucket.drives.push(drive);
+    });
+
+    let html = '<h2>Replacement Planning</h2>';
+    html += '<table><thead><tr><th>Timeframe</th><th>Drives</th><th>Capacity</th><th>Details</th></tr></thead><tbody>';
+
+    buckets.concat([unknown]).forEach(bucket => {
+        if (bucket.drives.length === 0) return;
+
+        const capacity = bucket.drives.reduce((sum, drive) => sum + (drive.size_bytes || 0), 0);
+        const details = bucket.drives.map(drive => {
+            const prediction = drive.replacement_prediction || {};
+            let line = `${escapeHtml(drive.device_name)} - ${escapeHtml(drive.identification)} (${escapeHtml(drive.size_human)})`;
+            if (prediction.timeline_text) {
+                line += `: ${escapeHtml(prediction.timeline_text)}`;
+            }
+            if (prediction.confidence) {
+                line += ` <em>[${escapeHtml(prediction.confidence)} confidence]</em>`;
+            }
+            return line;
+        }).join('<br>');
+
+        html += `<tr><td><strong>${escapeHtml(bucket.label)}</strong></td><td>${bucket.drives.length}</td>`;
+        html += `<td>${escapeHtml(formatReportBytes(capacity))}</td><td>${details}</td></tr>`;
+    });
+
+    html += '</tbody></table>';
+    return html;
+}
+
+/**
+ * Build the full inventory table for the report
+ *
+ * @param {Array} drives Drives to include
+ * @return {string} HTML
+ */
+function buildReportInventory(drives) {
+    let html = '<h2>Drive Inventory</h2>';
+    html += '<table class="inventory"><thead><tr>';
+    html += '<th>Device</th><th>Array</th><th>Model</th><th>Serial</th><th>Size</th><th>Age</th>';
+    html += '<th>Temp</th><th>SMART</th><th>Risk</th><th>Health Warnings</th><th>Est. Replacement</th>';
+    html += '</tr></thead><tbody>';
+
+    drives.forEach(drive => {
+        const prediction = drive.replacement_prediction || {};
+        const warnings = (drive.health_warnings || []).map(w => escapeHtml(w.message)).join('<br>');
+        const background = driveData.colors[drive.age_category] || 'transparent';
+        const color = driveData.text_colors[drive.age_category] || 'inherit';
+
+        html += '<tr>';
+        html += `<td>${escapeHtml(drive.device_name)}</td>`;
+        html += `<td>${escapeHtml(drive.array_name)} / ${escapeHtml(formatDriveType(drive.drive_type))}</td>`;
+        html += `<td>${escapeHtml(drive.model)}</td>`;
+        html += `<td>${escapeHtml(drive.serial)}</td>`;
+        html += `<td>${escapeHtml(drive.size_human)}</td>`;
+        html += `<td>${escapeHtml(drive.power_on_human)}</td>`;
+        html += `<td>${escapeHtml(drive.temperature_formatted)}</td>`;
+        html += `<td>${escapeHtml(drive.smart_status)}</td>`;
+        html += `<td style="background:${escapeHtml(background)};color:${escapeHtml(color)}">${escapeHtml(drive.age_label)}</td>`;
+        html += `<td>${warnings || 'None'}</td>`;
+        html += `<td>${escapeHtml(prediction.timeline_text || 'Unknown')}</td>`;
+        html += '</tr>';
+    });
+
+    html += '</tbody></table>';
+    return html;
+}
+
+/**
+ * Inline styles for the printable report
+ *
+ * @return {string} CSS
+ */
+function getReportStyles() {
+    return `
+        body { font-family: Arial, Helvetica, sans-serif; font-size: 11px; color: #222; margin: 20px; }
+        h1 { font-size: 20px; margin: 0 0 4px 0; }
+        h2 { font-size: 14px; margin: 20px 0 8px 0; border-bottom: 1px solid #ccc; padding-bottom: 4px; }
+        .meta, .footer { color: #666; }
+        .footer { margin-top: 20px; text-align: center; }
+        .summary { display: flex; gap: 20px; margin: 15px 0; }
+        .summary div { border: 1px solid #ddd; padding: 8px 15px; text-align: center; }
+        .summary strong { display: block; font-size: 16px; }
+        .legend { display: flex; flex-wrap: wrap; gap: 6px; }
+        .legend-item { padding: 4px 8px; border-radius: 3px; }
+        .charts { display: flex; flex-wrap: wrap; gap: 10px; }
+        figure { margin: 0; width: 31%; text-align: center; }
+        figure img { max-width: 100%; }
+        figcaption { color: #666; margin-top: 4px; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { border: 1px solid #ddd; padding: 4px 6px; text-align: left; vertical-align: top; }
+        th { background: #f0f0f0; }
+        tr { page-break-inside: avoid; }
+        * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        @page { size: landscape; margin: 12mm; }
+    `;
+}
+
+/**
+ * Prediction notes (NVMe predictions use notes, HDD predictions use reason/action)
+ *
+ * @param {Object} prediction Replacement prediction
+ * @return {string} Notes text
+ */
+function getPredictionNotes(prediction) {
+    if (!prediction) return '';
+
+    return [prediction.notes, prediction.reason, prediction.action]
+        .filter(value => value)
+        .join(' ');
+}
+
+/**
+ * Quote a value for CSV
+ *
+ * Values starting with a formula character are prefixed with ' so spreadsheets
+ * don't evaluate them (CSV injection).
+ *
+ * @param {*} value Field value
+ * @return {string} CSV field
+ */
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let str = String(value);
+    if (/^[=+\-@\t\r]/.test(str) && typeof value !== 'number') {
+        str = "'" + str;
+    }
+
+    if (/[",\r\n]/.test(str)) {
+        str = '"' + str.replace(/"/g, '""') + '"';
+    }
+
+    return str;
+}
+
+/**
+ * Trigger a browser download
+ *
+ * @param {string} content File content
+ * @param {string} filename File name
+ * @param {string} mimeType MIME type
+ */
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Build an export file name (driveage-inventory-YYYY-MM-DD.ext)
+ *
+ * @param {string} extension File extension
+ * @param {string} name Export name (default 'inventory')
+ * @return {string} File name
+ */
+function getExportFilename(extension, name = 'inventory') {
+    const now = new Date();
+    const date = now.getFullYear() + '-' +
+        String(now.getMonth() + 1).padStart(2, '0') + '-' +
+        String(now.getDate()).padStart(2, '0');
+
+    return `driveage-${name}-${date}.${extension}`;
+}
+
+/**
+ * Format bytes (decimal units, matching drive labels)
+ */
+function formatReportBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+    let value = bytes;
+    let unit = 0;
+
+    while (value >= 1000 && unit < units.length - 1) {
+        value /= 1000;
+        unit++;
+    }
+
+    return (unit === 0 ? value : value.toFixed(1)) + ' ' + units[unit];
+}
+
+/**
+ * Format hours as years (no trailing .0)
+ */
+function formatReportYears(hours) {
+    const years = hours / 8760;
+    return Number.isInteger(years) ? String(years) : years.toFixed(1);
+}
+
+// Expose export functions to global scope for dashboard.js
+window.exportCsv = exportCsv;
+window.exportJson = exportJson;
+window.openPrintReport = openPrintReport;
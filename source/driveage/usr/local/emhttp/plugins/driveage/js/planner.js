@@ -0,0 +1,434 @@
+/**
+ * DriveAge Plugin - Replacement Budget Planner
+ * Buckets drives into quarters by replacement_prediction.months_remaining and
+ * estimates replacement capacity and cost from user-entered $/TB prices.
+ *
+ * Drive data comes from the Dashboard tab: dashboard.js calls renderPlanner()
+ * after each successful load.
+ */
+
+// Planner preferences (horizon and prices) - remembered in this browser
+const PLANNER_PREFS_KEY = 'driveage_planner_prefs';
+const PLANNER_DEFAULTS = { horizon: 2, price_hdd: 15, price_nvme: 60 };
+
+let plannerData = null;
+let plannerChart = null;
+
+// Initialize planner controls when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    initializePlanner();
+});
+
+/**
+ * Initialize planner controls
+ */
+function initializePlanner() {
+    if (!document.getElementById('planner-container')) {
+        return;
+    }
+
+    const prefs = getPlannerPrefs();
+
+    const horizonSelect = document.getElementById('planner-horizon');
+    const hddPrice = document.getElementById('planner-price-hdd');
+    const nvmePrice = document.getElementById('planner-price-nvme');
+
+    if (horizonSelect) {
+        horizonSelect.value = String(prefs.horizon);
+        horizonSelect.addEventListener('change', handlePlannerChange);
+    }
+
+    if (hddPrice) {
+        hddPrice.value = prefs.price_hdd;
+        hddPrice.addEventListener('input', handlePlannerChange);
+    }
+
+    if (nvmePrice) {
+        nvmePrice.value = prefs.price_nvme;
+        nvmePrice.addEventListener('input', handlePlannerChange);
+    }
+}
+
+/**
+ * Get saved planner preferences
+ *
+ * @return {Object} { horizon, price_hdd, price_nvme }
+ */
+function getPlannerPrefs() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(PLANNER_PREFS_KEY)) || {};
+    } catch (e) {
+        saved = {};
+    }
+
+    const horizon = parseInt(saved.horizon, 10);
+    const priceHdd = parseFloat(saved.price_hdd);
+    const priceNvme = parseFloat(saved.price_nvme);
+
+    return {
+        horizon: horizon >= 1 && horizon <= 5 ? horizon : PLANNER_DEFAULTS.horizon,
+        price_hdd: priceHdd >= 0 ? priceHdd : PLANNER_DEFAULTS.price_hdd,
+        price_nvme: priceNvme >= 0 ? priceNvme : PLANNER_DEFAULTS.price_nvme
+    };
+}
+
+/**
+ * Save planner preferences from the controls and re-render
+ */
+function handlePlannerChange() {
+    const horizon = parseInt(document.getElementById('planner-horizon').value, 10);
+    const priceHdd = parseFloat(document.getElementById('planner-price-hdd').value);
+    const priceNvme = parseFloat(document.getElementById('planner-price-nvme').value);
+
+    localStorage.setItem(PLANNER_PREFS_KEY, JSON.stringify({
+        horizon: horizon,
+        price_hdd: isNaN(priceHdd) ? PLANNER_DEFAULTS.price_hdd : priceHdd,
+        price_nvme: isNaN(priceNvme) ? PLANNER_DEFAULTS.price_nvme : priceNvme
+    }));
+
+    if (plannerData) {
+        renderPlanner(plannerData);
+    }
+}
+
+/**
+ * Render the planner
+ * Called from dashboard.js after drive data loads
+ *
+ * @param {Object} data - Full data object from API
+ */
+function renderPlanner(data) {
+    if (!document.getElementById('planner-container') || !data || !data.drives) {
+        return;
+    }
+
+    plannerData = data;
+
+    const prefs = getPlannerPrefs();
+    const plan = buildReplacementPlan(data.drives, prefs);
+
+    renderPlannerSummary(plan, prefs);
+    renderPlannerParity(plan);
+    renderPlannerChart(plan);
+    renderPlannerSchedule(plan);
+}
+
+/**
+ * Build the quarterly replacement plan
+ *
+ * @param {Array} drives - Array of drive objects
+ * @param {Object} prefs - Planner preferences
+ * @return {Object} Plan { quarters, beyond, unknown, parity, totals }
+ */
+function buildReplacementPlan(drives, prefs) {
+    const now = new Date();
+    const startYear = now.getFullYear();
+    const startQuarter = Math.floor(now.getMonth() / 3);
+    const quarterCount = prefs.horizon * 4;
+
+    const quarters = [];
+    for (let i = 0; i < quarterCount; i++) {
+        const quarter = (startQuarter + i) % 4;
+        const year = startYear + Math.floor((startQuarter + i) / 4);
+        quarters.push({ label: `Q${quarter + 1} ${year}`, year: year, drives: [], bytes: 0, cost: 0 });
+    }
+
+    // Flash (USB boot) drives are not part of the storage budget
+    const storageDrives = drives.filter(drive => drive.drive_type !== 'flash');
+    const parity = getParityRequirement(storageDrives);
+
+    const plan = { quarters: quarters, beyond: [], unknown: [], parity: parity, totals: { drives: 0, bytes: 0, cost: 0 } };
+
+    storageDrives.forEach(drive => {
+        const months = (drive.replacement_prediction || {}).months_remaining;
+
+        if (months === null || months === undefined) {
+            plan.unknown.push(drive);
+            return;
+        }
+
+        // Overdue drives land in the current quarter
+        const target = new Date(now.getFullYear(), now.getMonth() + Math.max(0, Math.round(months)), 1);
+        const index = (target.getFullYear() - startYear) * 4 + Math.floor(target.getMonth() / 3) - startQuarter;
+
+        if (index >= quarterCount) {
+            plan.beyond.push(drive);
+            return;
+        }
+
+        // Parity replacements must be at least as large as the largest data drive
+        let replacementBytes = drive.size_bytes || 0;
+        if (drive.drive_type === 'parity') {
+            replacementBytes = Math.max(replacementBytes, parity.largest_data_bytes);
+        }
+
+        const price = drive.physical_type === 'nvme' ? prefs.price_nvme : prefs.price_hdd;
+        const cost = (replacementBytes / 1e12) * price;
+
+        const item = {
+            drive: drive,
+            overdue: months <= 0,
+            replacement_bytes: replacementBytes,
+            cost: cost
+        };
+
+        const bucket = quarters[index];
+        bucket.drives.push(item);
+        bucket.bytes += replacementBytes;
+        bucket.cost += cost;
+
+        plan.totals.drives++;
+        plan.totals.bytes += replacementBytes;
+        plan.totals.cost += cost;
+    });
+
+    return plan;
+}
+
+/**
+ * Check parity sizing (parity must be at least as large as the largest data drive)
+ *
+ * @param {Array} drives - Array of drive objects
+ * @return {Object} { largest_data_bytes, drives: [{ drive, undersized }] }
+ */
+function getParityRequirement(drives) {
+    const largestData = drives
+        .filter(drive => drive.drive_type === 'array')
+        .reduce((max, drive) => Math.max(max, drive.size_bytes || 0), 0);
+
+    return {
+        largest_data_bytes: largestData,
+        drives: drives
+            .filter(drive => drive.drive_type === 'parity')
+            .map(drive => ({ drive: drive, undersized: (drive.size_bytes || 0) < largestData }))
+    };
+}
+
+/**
+ * Render totals (overall and per year)
+ */
+function renderPlannerSummary(plan, prefs) {
+    const container = document.getElementById('planner-summary');
+    if (!container) return;
+
+    const years = {};
+    plan.quarters.forEach(quarter => {
+        if (!years[quarter.year]) {
+            years[quarter.year] = { drives: 0, bytes: 0, cost: 0 };
+        }
+        years[quarter.year].drives += quarter.drives.length;
+        years[quarter.year].bytes += quarter.bytes;
+        years[quarter.year].cost += quarter.cost;
+    });
+
+    let html = '<div class="planner-totals">';
+    html += `<div><strong>${plan.totals.drives}</strong><span>Drives to replace (${prefs.horizon} ${prefs.horizon === 1 ? 'year' : 'years'})</span></div>`;
+    html += `<div><strong>${escapeHtml(formatPlannerBytes(plan.totals.bytes))}</strong><span>Replacement capacity</span></div>`;
+    html += `<div><strong>${escapeHtml(formatPlannerCost(plan.totals.cost))}</strong><span>Estimated cost</span></div>`;
+    html += '</div>';
+
+    html += '<table class="driveage-table planner-years"><thead><tr>';
+    html += '<th>Year</th><th class="text-right">Drives</th><th class="text-right">Capacity</th><th class="text-right">Estimated Cost</th>';
+    html += '</tr></thead><tbody>';
+    for (const year in years) {
+        html += `<tr><td>${escapeHtml(year)}</td><td class="text-right">${years[year].drives}</td>`;
+        html += `<td class="text-right">${escapeHtml(formatPlannerBytes(years[year].bytes))}</td>`;
+        html += `<td class="text-right">${escapeHtml(formatPlannerCost(years[year].cost))}</td></tr>`;
+    }
+    html += '</tbody></table>';
+
+    container.innerHTML = html;
+}
+
+/**
+ * Render parity sizing check
+ */
+function renderPlannerParity(plan) {
+    const container = document.getElementById('planner-parity');
+    if (!container) return;
+
+    const parity = plan.parity;
+    if (parity.drives.length === 0 || parity.largest_data_bytes === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    let html = '<h3>Parity Sizing</h3>';
+    html += `<p>Largest data drive: <strong>${escapeHtml(formatPlannerBytes(parity.largest_data_bytes))}</strong>. `;
+    html += 'Parity drives must be at least this size, so planned parity replacements are sized to match. ';
+    html += 'Replacing a data drive with a larger one than your parity requires upgrading parity first.</p>';
+    html += '<ul>';
+
+    parity.drives.forEach(item => {
+        const name = `${item.drive.device_name} - ${item.drive.identification} (${item.drive.size_human})`;
+        if (item.undersized) {
+            html += `<li class="warning-critical">⚠️ ${escapeHtml(name)} is smaller than the largest data drive</li>`;
+        } else {
+            html += `<li class="health-ok">✓ ${escapeHtml(name)}</li>`;
+        }
+    });
+
+    html += '</ul>';
+    container.innerHTML = html;
+}
+
+/**
+ * Render stacked cost-per-quarter chart (HDD vs NVMe)
+ */
+function renderPlannerChart(plan) {
+    const ctx = document.getElementById('planner-chart');
+    if (!ctx || typeof Chart === 'undefined') return;
+
+    if (plannerChart) {
+        plannerChart.destroy();
+        plannerChart = null;
+    }
+
+    const sumCost = (quarter, nvme) => quarter.drives
+        .filter(item => (item.drive.physical_type === 'nvme') === nvme)
+        .reduce((sum, item) => sum + item.cost, 0);
+
+    plannerChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: plan.quarters.map(quarter => quarter.label),
+            datasets: [{
+                label: 'HDD',
+                data: plan.quarters.map(quarter => Math.round(sumCost(quarter, false))),
+                backgroundColor: '#2196F3',  // Blue
+                borderWidth: 1,
+                borderColor: '#fff'
+            }, {
+                label: 'NVMe',
+                data: plan.quarters.map(quarter => Math.round(sumCost(quarter, true))),
+                backgroundColor: '#FF9800',  // Orange
+                borderWidth: 1,
+                borderColor: '#fff'
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            scales: {
+                x: {
+                    stacked: true,
+                    ticks: { font: { size: 11 } }
+                },
+                y: {
+                    stacked: true,
+                    beginAtZero: true,
+                    ticks: {
+                        font: { size: 11 },
+                        callback: value => formatPlannerCost(value)
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        boxWidth: 15,
+                        padding: 10,
+                        font: { size: 11 }
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return context.dataset.label + ': ' + formatPlannerCost(context.parsed.y);
+                        },
+                        footer: function(items) {
+                            const quarter = plan.quarters[items[0].dataIndex];
+                            return quarter.drives.length + ' drive(s), ' + formatPlannerBytes(quarter.bytes);
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Render per-quarter drive schedule
+ */
+function renderPlannerSchedule(plan) {
+    const container = document.getElementById('planner-schedule');
+    if (!container) return;
+
+    let html = '<div class="driveage-table-container"><table class="driveage-table">';
+    html += '<thead><tr>';
+    html += '<th>Device</th><th>Identification</th><th>Type</th><th class="text-right">Size</th>';
+    html += '<th class="text-right">Replace With</th><th class="text-right">Est. Cost</th><th>Est. Replacement</th>';
+    html += '</tr></thead><tbody>';
+
+    let scheduled = 0;
+    plan.quarters.forEach(quarter => {
+        if (quarter.drives.length === 0) return;
+        scheduled++;
+
+        html += '<tr class="group-header"><td colspan="7">';
+        html += `${escapeHtml(quarter.label)} - ${quarter.drives.length} drive(s), `;
+        html += `${escapeHtml(formatPlannerBytes(quarter.bytes))}, ${escapeHtml(formatPlannerCost(quarter.cost))}`;
+        html += '</td></tr>';
+
+        quarter.drives.forEach(item => {
+            const drive = item.drive;
+            const prediction = drive.replacement_prediction || {};
+            const upsized = item.replacement_bytes > (drive.size_bytes || 0);
+
+            html += '<tr>';
+            html += `<td>${escapeHtml(drive.device_name)}${item.overdue ? ' <span class="warning-critical" title="Replacement already recommended">(overdue)</span>' : ''}</td>`;
+            html += `<td>${escapeHtml(drive.identification)}</td>`;
+            html += `<td>${escapeHtml(formatDriveType(drive.drive_type))} / ${escapeHtml(formatPhysicalType(drive.physical_type))}</td>`;
+            html += `<td class="text-right">${escapeHtml(drive.size_human)}</td>`;
+            html += `<td class="text-right"${upsized ? ' title="Parity must match the largest data drive"' : ''}>`;
+            html += `${escapeHtml(formatPlannerBytes(item.replacement_bytes))}${upsized ? ' ⬆' : ''}</td>`;
+            html += `<td class="text-right">${escapeHtml(formatPlannerCost(item.cost))}</td>`;
+            html += `<td class="${escapeHtml(prediction.timeline_class || 'timeline-unknown')}">${escapeHtml(prediction.timeline_text || 'Unknown')}</td>`;
+            html += '</tr>';
+        });
+    });
+
+    if (scheduled === 0) {
+        html += '<tr><td colspan="7" class="text-center">No drives are due for replacement within this horizon.</td></tr>';
+    }
+
+    html += '</tbody></table></div>';
+
+    // Drives outside the plan
+    const notes = [];
+    if (plan.beyond.length > 0) {
+        notes.push(`${plan.beyond.length} drive(s) are estimated to last beyond this horizon.`);
+    }
+    if (plan.unknown.length > 0) {
+        notes.push(`${plan.unknown.length} drive(s) have no replacement estimate: ` +
+            plan.unknown.map(drive => escapeHtml(drive.device_name)).join(', ') + '.');
+    }
+    if (notes.length > 0) {
+        html += `<p class="planner-notes">${notes.join('<br>')}</p>`;
+    }
+
+    container.innerHTML = html;
+}
+
+/**
+ * Format bytes (decimal units, matching drive labels)
+ */
+function formatPlannerBytes(bytes) {
+    if (!bytes) return '0 TB';
+
+    const tb = bytes / 1e12;
+    return (tb >= 100 ? Math.round(tb) : Math.round(tb * 10) / 10) + ' TB';
+}
+
+/**
+ * Format a dollar amount (whole dollars)
+ */
+function formatPlannerCost(value) {
+    return '$' + Math.round(value).toLocaleString();
+}
+
+// Expose planner entry point to global scope for dashboard.js
+window.renderPlanner = renderPlanner;
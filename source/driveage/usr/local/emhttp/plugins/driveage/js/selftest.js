@@ -0,0 +1,127 @@
+/**
+ * DriveAge Plugin - SMART Self-Tests
+ * Starts short/long self-tests on one drive (detail panel) or on every drive
+ * of a type (dashboard toolbar), and polls progress while tests are running.
+ *
+ * dashboard.js calls updateSelfTestPolling() after each successful load.
+ */
+
+// Progress poll interval while a test is running
+const SELFTEST_POLL_SECONDS = 60;
+
+let selfTestTimer = null;
+
+// Initialize self-test controls when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    const select = document.getElementById('selftest-select');
+    if (!select) return;
+
+    select.addEventListener('change', function() {
+        const [type, driveType] = this.value.split(':');
+        this.value = '';
+        if (!type) return;
+
+        const label = driveType === 'all' ? 'all drives' : formatDriveType(driveType).toLowerCase() + ' drives';
+        const duration = type === 'long' ? 'An extended test reads the whole drive and can take many hours.' : 'A short test takes about two minutes.';
+
+        if (!confirm(`Start a ${type} SMART self-test on ${label}?\n\n${duration} Drives in standby will be spun up.`)) {
+            return;
+        }
+
+        startSelfTests({ type: type, drive_type: driveType }, document.getElementById('selftest-status'));
+    });
+});
+
+/**
+ * Start self-tests
+ *
+ * @param {Object} params - { type: 'short'|'long', serial } or { type, drive_type }
+ * @param {HTMLElement|null} status - Element that shows the outcome
+ */
+function startSelfTests(params, status) {
+    const body = new FormData();
+    body.append('csrf_token', typeof DRIVEAGE_CSRF_TOKEN !== 'undefined' ? DRIVEAGE_CSRF_TOKEN : '');
+    body.append('action', 'start');
+    Object.keys(params).forEach(key => body.append(key, params[key]));
+
+    setSelfTestStatus(status, 'Starting...');
+
+    fetch('/plugins/driveage/scripts/selftest.php', {
+        method: 'POST',
+        body: body
+    })
+        .then(response => response.json().catch(() => ({ success: false, message: 'Request failed (status: ' + response.status + ')' })))
+        .then(data => {
+            const problems = data.details && data.details.length > 0 ? ' (' + data.details.join('; ') + ')' : '';
+
+            if (!data.success) {
+                setSelfTestStatus(status, 'Failed: ' + (data.error || data.message || 'Unknown error') + problems);
+                return;
+            }
+
+            setSelfTestStatus(status, `Started ${data.started} test${data.started === 1 ? '' : 's'}${problems}`);
+            loadDriveData({ background: true });
+        })
+        .catch(error => {
+            setSelfTestStatus(status, 'Failed: ' + error.message);
+        });
+}
+
+/**
+ * Poll progress while any drive has a self-test running
+ * Called from dashboard.js after drive data loads
+ *
+ * @param {Object} data - Full data object from API
+ */
+function updateSelfTestPolling(data) {
+    const running = data.drives.some(drive => drive.self_test && drive.self_test.running);
+
+    if (!running) {
+        clearTimeout(selfTestTimer);
+        selfTestTimer = null;
+        return;
+    }
+
+    if (selfTestTimer === null) {
+        selfTestTimer = setTimeout(pollSelfTests, SELFTEST_POLL_SECONDS * 1000);
+    }
+}
+
+/**
+ * Re-read progress from the drives under test, then reload the dashboard
+ */
+function pollSelfTests() {
+    selfTestTimer = null;
+
+    const body = new FormData();
+    body.append('csrf_token', typeof DRIVEAGE_CSRF_TOKEN !== 'undefined' ? DRIVEAGE_CSRF_TOKEN : '');
+    body.append('action', 'status');
+
+    fetch('/plugins/driveage/scripts/selftest.php', {
+        method: 'POST',
+        body: body
+    })
+        .then(response => response.json())
+        .then(() => loadDriveData({ background: true }))
+        .catch(error => {
+            console.error('DriveAge: Error polling self-tests:', error);
+        });
+}
+
+/**
+ * Show a self-test message
+ *
+ * @param {HTMLElement|null} status - Status element
+ * @param {string} message - Message text
+ */
+function setSelfTestStatus(status, message) {
+    if (status) {
+        status.textContent = message;
+    }
+}
+
+/**
+ * Expose self-test functions to global scope for dashboard.js and detail.js
+ */
+window.startSelfTests = startSelfTests;
+window.updateSelfTestPolling = updateSelfTestPolling;
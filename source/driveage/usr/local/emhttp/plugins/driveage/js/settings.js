@@ -73,6 +73,668 @@ function resetToDefaults() {
     alert('Settings reset to defaults (' + resetCount + ' fields updated). Click "Apply Settings" to save.');
 }
 
+/**
+ * Fill the metrics token field with a random token
+ */
+function generateMetricsToken() {
+    const field = document.querySelector('input[name="METRICS_TOKEN"]');
+    if (!field) return;
+
+    const bytes = new Uint8Array(24);
+    crypto.getRandomValues(bytes);
+    field.value = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Escape HTML to prevent XSS
+ *
+ * @param {string} str String to escape
+ * @return {string} Escaped string
+ */
+function escapeHtml(str) {
+    if (str === null || str === undefined || str === '') {
+        return '';
+    }
+
+    const div = document.createElement('div');
+    div.textContent = String(str);
+    return div.innerHTML;
+}
+
+/**
+ * Render the API key list
+ *
+ * @param {Array} keys Public key records (no hashes)
+ */
+function renderApiKeys(keys) {
+    const list = document.getElementById('api-keys-list');
+    if (!list) return;
+
+    if (!keys || keys.length === 0) {
+        list.innerHTML = '<tr><td colspan="6">No API keys. External requests are rejected until a key is created.</td></tr>';
+        return;
+    }
+
+    const formatTime = timestamp => timestamp ? new Date(timestamp * 1000).toLocaleString() : 'Never';
+
+    list.innerHTML = keys.map(key => {
+        const lastUsed = formatTime(key.last_used) + (key.last_used_ip ? ' (' + escapeHtml(key.last_used_ip) + ')' : '');
+        return '<tr>' +
+            '<td>' + escapeHtml(key.name) + '</td>' +
+            '<td><code>' + escapeHtml(key.display) + '</code></td>' +
+            '<td>' + (key.rate_limit ? escapeHtml(key.rate_limit) + '/min' : 'Default') + '</td>' +
+            '<td>' + escapeHtml(formatTime(key.created)) + '</td>' +
+            '<td>' + lastUsed + '</td>' +
+            '<td><button type="button" class="btn-danger" data-key-id="' + escapeHtml(key.id) + '" data-key-name="' + escapeHtml(key.name) + '">Revoke</button></td>' +
+            '</tr>';
+    }).join('');
+
+    list.querySelectorAll('button[data-key-id]').forEach(button => {
+        button.addEventListener('click', function() {
+            revokeApiKey(this, this.dataset.keyId, this.dataset.keyName);
+        });
+    });
+}
+
+/**
+ * POST an API key action (create/revoke) with the CSRF token
+ *
+ * @param {Object} fields Form fields
+ * @return {Promise<Object>} Parsed JSON response
+ */
+function postApiKeyAction(fields) {
+    const tokenInput = document.querySelector('input[name="csrf_token"]');
+    const body = new FormData();
+    body.append('csrf_token', tokenInput ? tokenInput.value : '');
+
+    Object.keys(fields).forEach(key => body.append(key, fields[key]));
+
+    return fetch('/plugins/driveage/scripts/api_keys.php', {
+        method: 'POST',
+        body: body
+    }).then(response => response.json().catch(() => ({ success: false, message: 'Request failed (status: ' + response.status + ')' })));
+}
+
+/**
+ * Create a named API key and show it once
+ *
+ * @param {HTMLElement} button Create button (disabled while saving)
+ */
+function createApiKey(button) {
+    const nameInput = document.getElementById('api-key-name');
+    const rateInput = document.getElementById('api-key-rate-limit');
+    const status = document.getElementById('api-key-status');
+
+    const name = nameInput.value.trim();
+    if (!/^[A-Za-z0-9 _.\-]{1,64}$/.test(name)) {
+        status.textContent = 'Enter a name (letters, digits, spaces, dots, dashes or underscores).';
+        return;
+    }
+
+    button.disabled = true;
+    status.textContent = '';
+
+    postApiKeyAction({ action: 'create', name: name, rate_limit: rateInput.value || '0' })
+        .then(data => {
+            if (!data.success) {
+                status.textContent = 'Failed: ' + (data.message || data.error || 'Unknown error');
+                return;
+            }
+
+            nameInput.value = '';
+            rateInput.value = '';
+            document.getElementById('api-key-value').value = data.key;
+            document.getElementById('api-key-created').classList.remove('hidden');
+            renderApiKeys(data.keys);
+        })
+        .catch(error => {
+            status.textContent = 'Failed: ' + error.message;
+        })
+        .finally(() => {
+            button.disabled = false;
+        });
+}
+
+/**
+ * Revoke an API key
+ *
+ * @param {HTMLElement} button Revoke button
+ * @param {string} id Key ID
+ * @param {string} name Key name (for the confirmation)
+ */
+function revokeApiKey(button, id, name) {
+    if (!confirm('Revoke API key "' + name + '"? Anything using it will stop working immediately.')) {
+        return;
+    }
+
+    const status = document.getElementById('api-key-status');
+    button.disabled = true;
+
+    postApiKeyAction({ action: 'revoke', id: id })
+        .then(data => {
+            if (!data.success) {
+                status.textContent = 'Failed: ' + (data.message || data.error || 'Unknown error');
+                button.disabled = false;
+                return;
+            }
+
+            status.textContent = 'Key revoked.';
+            renderApiKeys(data.keys);
+        })
+        .catch(error => {
+            status.textContent = 'Failed: ' + error.message;
+            button.disabled = false;
+        });
+}
+
+/**
+ * Render the SMART health rule editor
+ *
+ * Inputs have no name attribute so they are not submitted with the settings
+ * form; rules are saved separately through scripts/health_rules.php.
+ *
+ * @param {Array} rules Health rules
+ */
+function renderHealthRules(rules) {
+    const list = document.getElementById('health-rules-list');
+    if (!list) return;
+
+    const options = (values, selectedValue) => Object.keys(values).map(value =>
+        '<option value="' + value + '"' + (value === selectedValue ? ' selected' : '') + '>' + values[value] + '</option>'
+    ).join('');
+    const threshold = value => value === null || value === undefined ? '' : escapeHtml(value);
+
+    list.innerHTML = rules.map(rule =>
+        '<tr class="health-rule" data-rule-id="' + escapeHtml(rule.id) + '" data-help-anchor="' + escapeHtml(rule.help_anchor) + '">' +
+            '<td><input type="checkbox" data-field="enabled"' + (rule.enabled ? ' checked' : '') + '></td>' +
+            '<td><input type="text" data-field="label" value="' + escapeHtml(rule.label) + '" maxlength="64"></td>' +
+            '<td><select data-field="physical_type">' + options({ hdd: 'HDD', nvme: 'NVMe', sas: 'SAS', any: 'Any' }, rule.physical_type) + '</select></td>' +
+            '<td><input type="text" data-field="model" value="' + escapeHtml(rule.model) + '" maxlength="64" placeholder="All models"></td>' +
+            '<td><input type="text" data-field="attribute" value="' + escapeHtml(rule.attribute) + '" maxlength="40"></td>' +
+            '<td><select data-field="compare">' + options({ raw_above: 'Raw &ge;', raw_below: 'Raw &le;', normalized_below: 'Normalized &le;' }, rule.compare) + '</select></td>' +
+            '<td><input type="number" data-field="warning" value="' + threshold(rule.warning) + '" min="0"></td>' +
+            '<td><input type="number" data-field="critical" value="' + threshold(rule.critical) + '" min="0"></td>' +
+            '<td><select data-field="on_worse">' + options({ none: 'Ignore', warning: 'Warning', critical: 'Critical' }, rule.on_worse) + '</select></td>' +
+            '<td><button type="button" class="btn-danger" data-remove-rule>Remove</button></td>' +
+        '</tr>' +
+        '<tr class="health-rule-text">' +
+            '<td></td>' +
+            '<td colspan="9">' +
+                '<input type="text" data-field="message" value="' + escapeHtml(rule.message) + '" maxlength="120" placeholder="Message ({value} = value, {s} = plural s)">' +
+                '<input type="text" data-field="action_warning" value="' + escapeHtml(rule.action_warning) + '" maxlength="80" placeholder="Warning action">' +
+                '<input type="text" data-field="action_critical" value="' + escapeHtml(rule.action_critical) + '" maxlength="80" placeholder="Critical action">' +
+                '<input type="text" data-field="tooltip" value="' + escapeHtml(rule.tooltip) + '" maxlength="200" placeholder="Tooltip">' +
+            '</td>' +
+        '</tr>'
+    ).join('');
+
+    list.querySelectorAll('button[data-remove-rule]').forEach(button => {
+        button.addEventListener('click', function() {
+            const row = this.closest('tr');
+            row.nextElementSibling.remove();
+            row.remove();
+        });
+    });
+}
+
+/**
+ * Read the rules back from the editor
+ *
+ * @return {Array} Health rules
+ */
+function collectHealthRules() {
+    return Array.from(document.querySelectorAll('#health-rules-list tr.health-rule')).map(row => {
+        const rule = { id: row.dataset.ruleId, help_anchor: row.dataset.helpAnchor };
+        const fields = Array.from(row.querySelectorAll('[data-field]'))
+            .concat(Array.from(row.nextElementSibling.querySelectorAll('[data-field]')));
+
+        fields.forEach(field => {
+            if (field.type === 'checkbox') {
+                rule[field.dataset.field] = field.checked;
+            } else if (field.type === 'number') {
+                rule[field.dataset.field] = field.value === '' ? null : Number(field.value);
+            } else {
+                rule[field.dataset.field] = field.value.trim();
+            }
+        });
+
+        // ATA attribute IDs are numbers, NVMe/SAS log fields are names
+        if (/^\d+$/.test(rule.attribute)) {
+            rule.attribute = parseInt(rule.attribute, 10);
+        }
+
+        return rule;
+    });
+}
+
+/**
+ * Add an empty rule to the editor
+ */
+function addHealthRule() {
+    const rules = collectHealthRules();
+    rules.push({
+        id: 'custom_' + Date.now().toString(36),
+        enabled: true,
+        label: 'New rule',
+        physical_type: 'hdd',
+        model: '',
+        attribute: '',
+        compare: 'raw_above',
+        warning: 1,
+        critical: null,
+        on_worse: 'none',
+        message: '',
+        action_warning: '',
+        action_critical: '',
+        tooltip: '',
+        help_anchor: 'other-smart-warnings'
+    });
+    renderHealthRules(rules);
+}
+
+/**
+ * POST a health rule action (save/reset) with the CSRF token
+ *
+ * @param {Object} fields Form fields
+ * @param {HTMLElement} button Button (disabled while saving)
+ * @param {string} successMessage Status shown on success
+ */
+function postHealthRuleAction(fields, button, successMessage) {
+    const status = document.getElementById('health-rules-status');
+    const tokenInput = document.querySelector('input[name="csrf_token"]');
+    const body = new FormData();
+    body.append('csrf_token', tokenInput ? tokenInput.value : '');
+
+    Object.keys(fields).forEach(key => body.append(key, fields[key]));
+
+    button.disabled = true;
+    status.textContent = 'Saving...';
+
+    fetch('/plugins/driveage/scripts/health_rules.php', {
+        method: 'POST',
+        body: body
+    })
+        .then(response => response.json().catch(() => ({ success: false, message: 'Request failed (status: ' + response.status + ')' })))
+        .then(data => {
+            if (!data.success) {
+                status.textContent = 'Failed: ' + (data.details ? data.details.join('; ') : (data.message || data.error || 'Unknown error'));
+                return;
+            }
+
+            renderHealthRules(data.rules);
+            status.textContent = successMessage;
+            localStorage.setItem('driveage_settings_changed', Date.now().toString());
+        })
+        .catch(error => {
+            status.textContent = 'Failed: ' + error.message;
+        })
+        .finally(() => {
+            button.disabled = false;
+        });
+}
+
+/**
+ * Save the edited health rules
+ *
+ * @param {HTMLElement} button Save button
+ */
+function saveHealthRules(button) {
+    postHealthRuleAction({ action: 'save', rules: JSON.stringify(collectHealthRules()) }, button, 'Rules saved.');
+}
+
+/**
+ * Restore the default health rules
+ *
+ * @param {HTMLElement} button Reset button
+ */
+function resetHealthRules(button) {
+    if (!confirm('Replace all health rules with the defaults? Custom rules will be removed.')) {
+        return;
+    }
+
+    postHealthRuleAction({ action: 'reset' }, button, 'Default rules restored.');
+}
+
+/**
+ * Render the imported failure rate dataset summary
+ *
+ * @param {Object|null} summary Dataset summary (null if nothing imported)
+ */
+function renderAfrSummary(summary) {
+    const element = document.getElementById('afr-summary');
+    if (!element) return;
+
+    if (!summary) {
+        element.textContent = 'No data imported. All HDDs use the generic age curve.';
+        return;
+    }
+
+    element.textContent = summary.models + ' models (' + summary.usable_models + ' with enough data), ' +
+        Number(summary.drive_days).toLocaleString() + ' drive-days, average AFR ' + summary.average_afr + '%. ' +
+        'Last import ' + new Date(summary.imported_at * 1000).toLocaleString() +
+        (summary.imports > 1 ? ' (' + summary.imports + ' files)' : '') + '.';
+}
+
+/**
+ * POST a failure rate data action (import/clear) with the CSRF token
+ *
+ * @param {FormData} body Request body (action and fields)
+ * @param {HTMLElement} button Button (disabled while working)
+ * @param {Function} describe Builds the success message from the response
+ */
+function postAfrAction(body, button, describe) {
+    const status = document.getElementById('afr-status');
+    const tokenInput = document.querySelector('input[name="csrf_token"]');
+    body.append('csrf_token', tokenInput ? tokenInput.value : '');
+
+    button.disabled = true;
+    status.textContent = 'Working...';
+
+    fetch('/plugins/driveage/scripts/afr_data.php', {
+        method: 'POST',
+        body: body
+    })
+        .then(response => response.json().catch(() => ({ success: false, message: 'Request failed (status: ' + response.status + ')' })))
+        .then(data => {
+            if (!data.success) {
+                status.textContent = 'Failed: ' + (data.message || data.error || 'Unknown error');
+                return;
+            }
+
+            renderAfrSummary(data.summary);
+            status.textContent = describe(data);
+            localStorage.setItem('driveage_settings_changed', Date.now().toString());
+        })
+        .catch(error => {
+            status.textContent = 'Failed: ' + error.message;
+        })
+        .finally(() => {
+            button.disabled = false;
+        });
+}
+
+/**
+ * Import the selected Backblaze CSV
+ *
+ * @param {HTMLElement} button Import button
+ */
+function importAfrData(button) {
+    const fileInput = document.getElementById('afr-file');
+    if (!fileInput.files.length) {
+        document.getElementById('afr-status').textContent = 'Choose a CSV file first.';
+        return;
+    }
+
+    const body = new FormData();
+    body.append('action', 'import');
+    body.append('file', fileInput.files[0]);
+    body.append('merge', document.getElementById('afr-merge').checked ? 'true' : 'false');
+
+    postAfrAction(body, button, data => {
+        fileInput.value = '';
+        return 'Imported ' + data.imported.models + ' models from ' + Number(data.imported.rows).toLocaleString() +
+            (data.imported.format === 'raw' ? ' drive-day rows.' : ' table rows.');
+    });
+}
+
+/**
+ * Delete the imported dataset
+ *
+ * @param {HTMLElement} button Delete button
+ */
+function clearAfrData(button) {
+    if (!confirm('Delete the imported failure rate data? All HDDs will use the generic age curve.')) {
+        return;
+    }
+
+    const body = new FormData();
+    body.append('action', 'clear');
+
+    postAfrAction(body, button, () => 'Data deleted.');
+}
+
+/**
+ * Render the user's NVMe endurance model table
+ *
+ * @param {Array} models Entries [{pattern, type, value, warranty_years}]
+ */
+function renderEnduranceModels(models) {
+    const list = document.getElementById('endurance-models-list');
+    if (!list) return;
+
+    const types = { tbw: 'TBW', tbw_per_tb: 'TBW per TB', dwpd: 'DWPD' };
+
+    list.innerHTML = models.map(model =>
+        '<tr class="endurance-model">' +
+            '<td><input type="text" data-field="pattern" value="' + escapeHtml(model.pattern) + '" maxlength="64" placeholder="e.g. Samsung SSD 990 PRO*"></td>' +
+            '<td><select data-field="type">' + Object.keys(types).map(type =>
+                '<option value="' + type + '"' + (type === model.type ? ' selected' : '') + '>' + types[type] + '</option>'
+            ).join('') + '</select></td>' +
+            '<td><input type="number" data-field="value" value="' + escapeHtml(model.value) + '" min="0" step="any"></td>' +
+            '<td><input type="number" data-field="warranty_years" value="' + escapeHtml(model.warranty_years) + '" min="1" max="10"></td>' +
+            '<td><button type="button" class="btn-danger" data-remove-row>Remove</button></td>' +
+        '</tr>'
+    ).join('');
+
+    bindRemoveRowButtons(list);
+}
+
+/**
+ * Render the per-drive TBW ratings
+ *
+ * @param {Object} overrides Serial => rated TBW
+ */
+function renderTbwOverrides(overrides) {
+    const list = document.getElementById('tbw-overrides-list');
+    if (!list) return;
+
+    list.innerHTML = Object.keys(overrides).map(serial =>
+        '<tr class="tbw-override">' +
+            '<td><input type="text" data-field="serial" value="' + escapeHtml(serial) + '" maxlength="64"></td>' +
+            '<td><input type="number" data-field="tbw" value="' + escapeHtml(overrides[serial]) + '" min="0" step="any"></td>' +
+            '<td><button type="button" class="btn-danger" data-remove-row>Remove</button></td>' +
+        '</tr>'
+    ).join('');
+
+    bindRemoveRowButtons(list);
+}
+
+/**
+ * Make a list's Remove buttons delete their row
+ *
+ * @param {HTMLElement} list Table body
+ */
+function bindRemoveRowButtons(list) {
+    list.querySelectorAll('button[data-remove-row]').forEach(button => {
+        button.addEventListener('click', function() {
+            this.closest('tr').remove();
+        });
+    });
+}
+
+/**
+ * Read the endurance model table back from the editor
+ *
+ * @return {Array} Entries
+ */
+function collectEnduranceModels() {
+    return Array.from(document.querySelectorAll('#endurance-models-list tr.endurance-model')).map(row => ({
+        pattern: row.querySelector('[data-field="pattern"]').value.trim(),
+        type: row.querySelector('[data-field="type"]').value,
+        value: Number(row.querySelector('[data-field="value"]').value),
+        warranty_years: Number(row.querySelector('[data-field="warranty_years"]').value)
+    }));
+}
+
+/**
+ * Read the per-drive ratings back from the editor
+ *
+ * @return {Object} Serial => rated TBW
+ */
+function collectTbwOverrides() {
+    const overrides = {};
+    document.querySelectorAll('#tbw-overrides-list tr.tbw-override').forEach(row => {
+        const serial = row.querySelector('[data-field="serial"]').value.trim();
+        if (serial) {
+            overrides[serial] = Number(row.querySelector('[data-field="tbw"]').value);
+        }
+    });
+    return overrides;
+}
+
+/**
+ * Add an empty model to the endurance table
+ */
+function addEnduranceModel() {
+    const models = collectEnduranceModels();
+    models.push({ pattern: '', type: 'tbw_per_tb', value: 600, warranty_years: 5 });
+    renderEnduranceModels(models);
+}
+
+/**
+ * Add an empty per-drive rating
+ */
+function addTbwOverride() {
+    const list = document.getElementById('tbw-overrides-list');
+    const overrides = collectTbwOverrides();
+    renderTbwOverrides(overrides);
+    list.insertAdjacentHTML('beforeend',
+        '<tr class="tbw-override">' +
+            '<td><input type="text" data-field="serial" maxlength="64" placeholder="Serial number"></td>' +
+            '<td><input type="number" data-field="tbw" min="0" step="any" placeholder="TBW"></td>' +
+            '<td><button type="button" class="btn-danger" data-remove-row>Remove</button></td>' +
+        '</tr>');
+    bindRemoveRowButtons(list);
+}
+
+/**
+ * Save the endurance model table and per-drive ratings
+ *
+ * @param {HTMLElement} button Save button (disabled while saving)
+ */
+function saveEnduranceRatings(button) {
+    const status = document.getElementById('endurance-status');
+    const tokenInput = document.querySelector('input[name="csrf_token"]');
+    const body = new FormData();
+    body.append('csrf_token', tokenInput ? tokenInput.value : '');
+    body.append('action', 'save');
+    body.append('models', JSON.stringify(collectEnduranceModels()));
+    body.append('overrides', JSON.stringify(collectTbwOverrides()));
+
+    button.disabled = true;
+    status.textContent = 'Saving...';
+
+    fetch('/plugins/driveage/scripts/endurance.php', {
+        method: 'POST',
+        body: body
+    })
+        .then(response => response.json().catch(() => ({ success: false, message: 'Request failed (status: ' + response.status + ')' })))
+        .then(data => {
+            if (!data.success) {
+                status.textContent = 'Failed: ' + (data.details ? data.details.join('; ') : (data.message || data.error || 'Unknown error'));
+                return;
+            }
+
+            renderEnduranceModels(data.models);
+            renderTbwOverrides(data.overrides);
+            status.textContent = 'Ratings saved.';
+            localStorage.setItem('driveage_settings_changed', Date.now().toString());
+        })
+        .catch(error => {
+            status.textContent = 'Failed: ' + error.message;
+        })
+        .finally(() => {
+            button.disabled = false;
+        });
+}
+
+/**
+ * Send a test notification through Unraid's notify system
+ *
+ * @param {HTMLElement} button Test button (disabled while sending)
+ */
+function sendTestNotification(button) {
+    const status = document.getElementById('test-notification-status');
+    const tokenInput = document.querySelector('input[name="csrf_token"]');
+
+    const body = new FormData();
+    body.append('csrf_token', tokenInput ? tokenInput.value : '');
+
+    button.disabled = true;
+    if (status) status.textContent = 'Sending...';
+
+    fetch('/plugins/driveage/scripts/send_test_notification.php', {
+        method: 'POST',
+        body: body
+    })
+        .then(response => response.json().catch(() => ({ success: false, message: 'Request failed (status: ' + response.status + ')' })))
+        .then(data => {
+            if (status) {
+                status.textContent = data.success
+                    ? 'Test notification sent.'
+                    : 'Failed: ' + (data.message || data.error || 'Unknown error');
+            }
+        })
+        .catch(error => {
+            if (status) status.textContent = 'Failed: ' + error.message;
+        })
+        .finally(() => {
+            button.disabled = false;
+        });
+}
+
+/**
+ * Publish drive state to MQTT now with the saved settings
+ *
+ * @param {HTMLElement} button Publish button (disabled while publishing)
+ */
+function publishMqttNow(button) {
+    const status = document.getElementById('mqtt-publish-status');
+    const tokenInput = document.querySelector('input[name="csrf_token"]');
+
+    const body = new FormData();
+    body.append('csrf_token', tokenInput ? tokenInput.value : '');
+
+    button.disabled = true;
+    if (status) status.textContent = 'Publishing...';
+
+    fetch('/plugins/driveage/scripts/publish_mqtt_now.php', {
+        method: 'POST',
+        body: body
+    })
+        .then(response => response.json().catch(() => ({ success: false, message: 'Request failed (status: ' + response.status + ')' })))
+        .then(data => {
+            if (status) {
+                status.textContent = data.success
+                    ? 'Published ' + data.messages + ' messages.'
+                    : 'Failed: ' + (data.message || data.error || 'Unknown error');
+            }
+        })
+        .catch(error => {
+            if (status) status.textContent = 'Failed: ' + error.message;
+        })
+        .finally(() => {
+            button.disabled = false;
+        });
+}
+
+// Render API keys, health rules, AFR data and endurance ratings injected by the settings page
+document.addEventListener('DOMContentLoaded', function() {
+    if (typeof DRIVEAGE_API_KEYS !== 'undefined') {
+        renderApiKeys(DRIVEAGE_API_KEYS);
+    }
+    if (typeof DRIVEAGE_HEALTH_RULES !== 'undefined') {
+        renderHealthRules(DRIVEAGE_HEALTH_RULES);
+    }
+    if (typeof DRIVEAGE_AFR_SUMMARY !== 'undefined') {
+        renderAfrSummary(DRIVEAGE_AFR_SUMMARY);
+    }
+    if (typeof DRIVEAGE_ENDURANCE_MODELS !== 'undefined') {
+        renderEnduranceModels(DRIVEAGE_ENDURANCE_MODELS);
+        renderTbwOverrides(DRIVEAGE_TBW_OVERRIDES);
+    }
+});
+
 // Convert years to hours before form submission
 document.addEventListener('DOMContentLoaded', function() {
     const form = document.querySelector('form');
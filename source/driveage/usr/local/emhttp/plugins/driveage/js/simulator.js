@@ -0,0 +1,334 @@
+/**
+ * DriveAge Plugin - What-If Replacement Simulator
+ * Lets users pick drives to replace (with a new drive of a chosen size and
+ * type) and try other prediction settings, then compares risk categories,
+ * charts, array risk and replacement timelines with the current dashboard.
+ *
+ * The scenario is run server-side (scripts/simulate.php) with the same
+ * categorization and prediction code as the dashboard. Nothing is saved.
+ * dashboard.js calls renderSimulator() after each successful load.
+ */
+
+const SIMULATOR_CATEGORIES = ['minimal_risk', 'low_risk', 'moderate_risk', 'elevated_risk'];
+
+let simulatorData = null;
+let simulatorCharts = [];
+
+// Per-serial picker state, kept across dashboard refreshes: { replace, size_tb, physical_type }
+let simulatorChoices = {};
+
+// Initialize simulator controls when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    initializeSimulator();
+});
+
+/**
+ * Initialize simulator controls
+ */
+function initializeSimulator() {
+    if (!document.getElementById('simulator-container')) {
+        return;
+    }
+
+    resetSimulatorSettings();
+
+    document.getElementById('simulator-run-btn').addEventListener('click', function() {
+        runSimulation(this);
+    });
+    document.getElementById('simulator-reset-btn').addEventListener('click', function() {
+        simulatorChoices = {};
+        resetSimulatorSettings();
+        drawSimulatorDrives();
+        destroySimulatorCharts();
+        document.getElementById('simulator-results').classList.add('hidden');
+        setSimulatorStatus('');
+    });
+}
+
+/**
+ * Restore the saved prediction settings and thresholds
+ */
+function resetSimulatorSettings() {
+    const defaults = typeof DRIVEAGE_SIMULATION_DEFAULTS !== 'undefined' ? DRIVEAGE_SIMULATION_DEFAULTS : null;
+    if (!defaults) return;
+
+    document.getElementById('simulator-mode').value = defaults.prediction_mode;
+    document.getElementById('simulator-risk').value = defaults.risk_percent;
+    SIMULATOR_CATEGORIES.forEach(category => {
+        document.getElementById('simulator-threshold-' + category).value = Math.round(defaults.thresholds[category] / 8760 * 10) / 10;
+    });
+}
+
+/**
+ * Render the drive picker
+ * Called from dashboard.js after drive data loads
+ *
+ * @param {Object} data - Full data object from API
+ */
+function renderSimulator(data) {
+    if (!document.getElementById('simulator-container') || !data || !data.drives) {
+        return;
+    }
+
+    simulatorData = data;
+    drawSimulatorDrives();
+}
+
+/**
+ * Draw the list of drives that can be replaced
+ */
+function drawSimulatorDrives() {
+    const container = document.getElementById('simulator-drives');
+    if (!container || !simulatorData) return;
+
+    const drives = simulatorData.drives.filter(drive => drive.drive_type !== 'flash' && drive.serial && drive.serial !== 'Unknown');
+
+    let html = '<div class="driveage-table-container"><table class="driveage-table simulator-table"><thead><tr>';
+    html += '<th>Replace</th><th>Device</th><th>Identification</th><th class="text-right">Size</th><th>Risk</th><th>Est. Replacement</th>';
+    html += '<th>New Size (TB)</th><th>New Type</th>';
+    html += '</tr></thead><tbody>';
+
+    drives.forEach(drive => {
+        const choice = simulatorChoices[drive.serial] || {
+            replace: false,
+            size_tb: Math.round(drive.size_bytes / 1e11) / 10,
+            physical_type: drive.physical_type === 'usb' ? 'hdd' : drive.physical_type
+        };
+        const prediction = drive.replacement_prediction || {};
+
+        html += `<tr data-serial="${escapeHtml(drive.serial)}">`;
+        html += `<td><input type="checkbox" data-field="replace" ${choice.replace ? 'checked' : ''}></td>`;
+        html += `<td>${escapeHtml(drive.device_name)}</td>`;
+        html += `<td title="${escapeHtml(drive.identification)}">${escapeHtml(truncate(drive.identification, 40))}</td>`;
+        html += `<td class="text-right">${escapeHtml(drive.size_human)}</td>`;
+        html += `<td class="${escapeHtml(drive.color_class)}">${escapeHtml(getCategoryLabel(drive.age_category))}</td>`;
+        html += `<td class="${escapeHtml(prediction.timeline_class || 'timeline-unknown')}">${escapeHtml(prediction.timeline_text || 'Unknown')}</td>`;
+        html += `<td><input type="number" data-field="size_tb" min="0.1" max="100" step="0.1" value="${escapeHtml(choice.size_tb)}"></td>`;
+        html += '<td><select data-field="physical_type">';
+        [['hdd', 'HDD/SSD'], ['sas', 'SAS'], ['nvme', 'NVMe']].forEach(([value, label]) => {
+            html += `<option value="${value}" ${choice.physical_type === value ? 'selected' : ''}>${label}</option>`;
+        });
+        html += '</select></td></tr>';
+    });
+
+    html += '</tbody></table></div>';
+    container.innerHTML = html;
+
+    applyDynamicColors();
+
+    container.querySelectorAll('tr[data-serial]').forEach(row => {
+        row.querySelectorAll('[data-field]').forEach(input => {
+            input.addEventListener('change', function() {
+                simulatorChoices[row.dataset.serial] = {
+                    replace: row.querySelector('[data-field="replace"]').checked,
+                    size_tb: row.querySelector('[data-field="size_tb"]').value,
+                    physical_type: row.querySelector('[data-field="physical_type"]').value
+                };
+            });
+        });
+    });
+}
+
+/**
+ * Send the scenario and show the result
+ *
+ * @param {HTMLElement} button - Simulate button (disabled while running)
+ */
+function runSimulation(button) {
+    if (!simulatorData) return;
+
+    const thresholds = {};
+    SIMULATOR_CATEGORIES.forEach(category => {
+        thresholds[category] = Math.round(parseFloat(document.getElementById('simulator-threshold-' + category).value) * 8760);
+    });
+
+    const scenario = {
+        replacements: Object.keys(simulatorChoices)
+            .filter(serial => simulatorChoices[serial].replace)
+            .map(serial => ({
+                serial: serial,
+                size_tb: parseFloat(simulatorChoices[serial].size_tb),
+                physical_type: simulatorChoices[serial].physical_type
+            })),
+        prediction_mode: document.getElementById('simulator-mode').value,
+        risk_percent: parseInt(document.getElementById('simulator-risk').value, 10),
+        thresholds: thresholds
+    };
+
+    const body = new FormData();
+    body.append('csrf_token', typeof DRIVEAGE_CSRF_TOKEN !== 'undefined' ? DRIVEAGE_CSRF_TOKEN : '');
+    body.append('scenario', JSON.stringify(scenario));
+
+    button.disabled = true;
+    setSimulatorStatus('Simulating...');
+
+    fetch('/plugins/driveage/scripts/simulate.php', {
+        method: 'POST',
+        body: body
+    })
+        .then(response => response.json().catch(() => ({ success: false, message: 'Request failed (status: ' + response.status + ')' })))
+        .then(data => {
+            if (!data.success) {
+                setSimulatorStatus('Failed: ' + (data.details ? data.details.join('; ') : (data.message || data.error || 'Unknown error')));
+                return;
+            }
+
+            setSimulatorStatus(`${scenario.replacements.length} drive${scenario.replacements.length === 1 ? '' : 's'} replaced (simulated)`);
+            drawSimulationResults(data);
+        })
+        .catch(error => {
+            setSimulatorStatus('Failed: ' + error.message);
+        })
+        .finally(() => {
+            button.disabled = false;
+        });
+}
+
+/**
+ * Compare the simulated drives with the current dashboard
+ *
+ * @param {Object} simulated - { drives, grouped, array_risk } from simulate.php
+ */
+function drawSimulationResults(simulated) {
+    const current = simulatorData;
+    document.getElementById('simulator-results').classList.remove('hidden');
+
+    // Totals
+    const atRisk = drives => drives.filter(drive => drive.age_category === 'elevated_risk' || drive.age_category === 'high_risk').length;
+    const dueWithinYear = drives => drives.filter(drive => {
+        const months = (drive.replacement_prediction || {}).months_remaining;
+        return months !== null && months !== undefined && months <= 12;
+    }).length;
+    const worstArray = risks => Math.max(0, ...Object.values(risks || {}).map(risk => risk.annual_loss_rate));
+
+    let html = '<div class="planner-totals">';
+    html += renderSimulatorTotal('Elevated or high risk drives', atRisk(current.drives), atRisk(simulated.drives), String);
+    html += renderSimulatorTotal('Due for replacement within 12 months', dueWithinYear(current.drives), dueWithinYear(simulated.drives), String);
+    html += renderSimulatorTotal('Highest array data-loss risk per year', worstArray(current.array_risk), worstArray(simulated.array_risk), formatRiskPercent);
+    html += '</div>';
+
+    // Array risk before and after
+    const arrays = Object.keys(simulated.array_risk);
+    if (arrays.length > 0) {
+        html += '<table class="driveage-table planner-years"><thead><tr>';
+        html += '<th>Array / Pool</th><th class="text-right">Data-Loss Risk Now</th><th class="text-right">After</th>';
+        html += '<th class="text-right">During Rebuild Now</th><th class="text-right">After</th>';
+        html += '</tr></thead><tbody>';
+
+        arrays.forEach(name => {
+            const before = (current.array_risk || {})[name];
+            const after = simulated.array_risk[name];
+            const rebuild = risk => risk && risk.rebuild_loss_probability !== null ? formatRiskPercent(risk.rebuild_loss_probability) : '-';
+
+            html += `<tr><td>${escapeHtml(name)}</td>`;
+            html += `<td class="text-right">${before ? escapeHtml(formatRiskPercent(before.annual_loss_rate)) : '-'}</td>`;
+            html += `<td class="text-right"><span class="array-risk array-risk-${escapeHtml(after.level)}">${escapeHtml(formatRiskPercent(after.annual_loss_rate))}</span></td>`;
+            html += `<td class="text-right">${escapeHtml(rebuild(before))}</td>`;
+            html += `<td class="text-right">${escapeHtml(rebuild(after))}</td></tr>`;
+        });
+
+        html += '</tbody></table>';
+    }
+
+    document.getElementById('simulator-summary').innerHTML = html;
+
+    drawSimulationChanges(current, simulated);
+
+    // Charts use the dashboard's colors and labels with the simulated drives
+    destroySimulatorCharts();
+    simulatorCharts = [
+        renderRiskChart(current, 'simulator-risk-chart-current'),
+        renderRiskChart(Object.assign({}, current, { drives: simulated.drives }), 'simulator-risk-chart'),
+        renderTemperatureChart(Object.assign({}, current, { drives: simulated.drives }), 'simulator-temperature-chart'),
+        renderSizeChart(Object.assign({}, current, { drives: simulated.drives }), 'simulator-size-chart')
+    ].filter(chart => chart !== null);
+}
+
+/**
+ * List drives whose risk category or replacement timeline changes
+ *
+ * @param {Object} current - Dashboard data
+ * @param {Object} simulated - Simulation result
+ */
+function drawSimulationChanges(current, simulated) {
+    const before = {};
+    current.drives.forEach(drive => {
+        before[drive.device_name] = drive;
+    });
+
+    const changed = simulated.drives.filter(drive => {
+        const old = before[drive.device_name];
+        return old && (drive.replaces ||
+            old.age_category !== drive.age_category ||
+            (old.replacement_prediction || {}).timeline_text !== (drive.replacement_prediction || {}).timeline_text);
+    });
+
+    let html = '<h3>Changed Drives</h3>';
+
+    if (changed.length === 0) {
+        html += '<div class="driveage-info">No drive changes risk category or replacement timeline in this scenario.</div>';
+        document.getElementById('simulator-changes').innerHTML = html;
+        return;
+    }
+
+    html += '<div class="driveage-table-container"><table class="driveage-table"><thead><tr>';
+    html += '<th>Device</th><th>Drive</th><th>Risk Now</th><th>After</th><th>Est. Replacement Now</th><th>After</th>';
+    html += '</tr></thead><tbody>';
+
+    changed.forEach(drive => {
+        const old = before[drive.device_name];
+        const oldPrediction = old.replacement_prediction || {};
+        const newPrediction = drive.replacement_prediction || {};
+
+        html += `<tr><td>${escapeHtml(drive.device_name)}</td>`;
+        html += `<td title="${escapeHtml(drive.identification)}">${escapeHtml(truncate(drive.replaces ? drive.identification : old.identification, 50))}</td>`;
+        html += `<td class="${escapeHtml(old.color_class)}">${escapeHtml(getCategoryLabel(old.age_category))}</td>`;
+        html += `<td class="${escapeHtml(drive.color_class)}">${escapeHtml(getCategoryLabel(drive.age_category))}</td>`;
+        html += `<td class="${escapeHtml(oldPrediction.timeline_class || 'timeline-unknown')}">${escapeHtml(oldPrediction.timeline_text || 'Unknown')}</td>`;
+        html += `<td class="${escapeHtml(newPrediction.timeline_class || 'timeline-unknown')}">${escapeHtml(newPrediction.timeline_text || 'Unknown')}</td></tr>`;
+    });
+
+    html += '</tbody></table></div>';
+    document.getElementById('simulator-changes').innerHTML = html;
+
+    applyDynamicColors();
+}
+
+/**
+ * Render a before/after total
+ *
+ * @param {string} label - Caption
+ * @param {number} before - Current value
+ * @param {number} after - Simulated value
+ * @param {Function} format - Value formatter
+ * @return {string} HTML
+ */
+function renderSimulatorTotal(label, before, after, format) {
+    const trend = after < before ? 'simulator-better' : (after > before ? 'simulator-worse' : '');
+    return `<div><strong class="${trend}">${escapeHtml(format(before))} → ${escapeHtml(format(after))}</strong><span>${escapeHtml(label)}</span></div>`;
+}
+
+/**
+ * Destroy the simulator's chart instances
+ */
+function destroySimulatorCharts() {
+    simulatorCharts.forEach(chart => chart.destroy());
+    simulatorCharts = [];
+}
+
+/**
+ * Show a status message next to the simulator buttons
+ *
+ * @param {string} message - Message text
+ */
+function setSimulatorStatus(message) {
+    const status = document.getElementById('simulator-status');
+    if (status) {
+        status.textContent = message;
+    }
+}
+
+/**
+ * Expose simulator render function to global scope for dashboard.js
+ */
+window.renderSimulator = renderSimulator;
@@ -0,0 +1,98 @@
+<?php
+/**
+ * DriveAge Plugin - AJAX Endpoint for Per-Model AFR Data
+ *
+ * POST action=import (CSV upload in "file", merge=true to add to the existing
+ * dataset) or action=clear, with CSRF token. Returns the dataset summary.
+ */
+
+// Set JSON content type
+header('Content-Type: application/json');
+
+// Include required files
+require_once '/usr/local/emhttp/plugins/driveage/include/config.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/afr.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/security.php';
+
+try {
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        http_response_code(405);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Method not allowed'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    requireCsrfToken();
+
+    $action = $_POST['action'] ?? '';
+    $response = ['success' => true];
+
+    switch ($action) {
+        case 'import':
+            $upload = $_FILES['file'] ?? null;
+
+            if (!$upload || $upload['error'] !== UPLOAD_ERR_OK || !is_uploaded_file($upload['tmp_name'])) {
+                $tooLarge = $upload && in_array($upload['error'], [UPLOAD_ERR_INI_SIZE, UPLOAD_ERR_FORM_SIZE], true);
+                http_response_code(400);
+                echo json_encode([
+                    'success' => false,
+                    'error' => $tooLarge ? 'File exceeds the upload size limit' : 'No file uploaded',
+                    'message' => $tooLarge ? 'Import a model table, or split the drive data into smaller files and import them with "Add to existing data".' : ''
+                ], JSON_PRETTY_PRINT);
+                exit;
+            }
+
+            $result = importAfrCsv($upload['tmp_name'], ($_POST['merge'] ?? '') === 'true');
+
+            if (!$result['success']) {
+                http_response_code(400);
+                logSecurityEvent('invalid_parameter', ['endpoint' => 'afr_data.php', 'parameter' => 'file']);
+                echo json_encode([
+                    'success' => false,
+                    'error' => $result['error']
+                ], JSON_PRETTY_PRINT);
+                exit;
+            }
+
+            $response['imported'] = $result;
+            break;
+
+        case 'clear':
+            if (!clearAfrDataset()) {
+                throw new Exception('Failed to delete AFR dataset');
+            }
+            break;
+
+        default:
+            http_response_code(400);
+            logSecurityEvent('invalid_parameter', ['endpoint' => 'afr_data.php', 'parameter' => 'action']);
+            echo json_encode([
+                'success' => false,
+                'error' => 'Invalid action'
+            ], JSON_PRETTY_PRINT);
+            exit;
+    }
+
+    $response['summary'] = getAfrDatasetSummary(loadAfrDataset());
+
+    echo json_encode($response, JSON_PRETTY_PRINT);
+
+} catch (Exception $e) {
+    error_log('DriveAge API Error: ' . $e->getMessage() . "\n" . $e->getTraceAsString());
+
+    logSecurityEvent('api_error', [
+        'error' => $e->getMessage(),
+        'file' => basename($e->getFile()),
+        'line' => $e->getLine()
+    ]);
+
+    // Generic error response (don't expose internal details)
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to update AFR data',
+        'message' => 'An internal error occurred. Please check system logs or contact support.'
+    ], JSON_PRETTY_PRINT);
+}
@@ -0,0 +1,101 @@
+<?php
+/**
+ * DriveAge Plugin - AJAX Endpoint for API Key Management
+ *
+ * POST action=create (name, rate_limit) or action=revoke (id), with CSRF token.
+ * Returns the updated key list; a created key's plaintext is returned once.
+ */
+
+// Set JSON content type
+header('Content-Type: application/json');
+
+// Include required files
+require_once '/usr/local/emhttp/plugins/driveage/include/config.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/apikeys.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/security.php';
+
+try {
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        http_response_code(405);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Method not allowed'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    requireCsrfToken();
+
+    $action = $_POST['action'] ?? '';
+    $response = ['success' => true];
+
+    switch ($action) {
+        case 'create':
+            $name = trim($_POST['name'] ?? '');
+
+            if (!isValidApiKeyName($name)) {
+                http_response_code(400);
+                logSecurityEvent('invalid_parameter', ['endpoint' => 'api_keys.php', 'parameter' => 'name']);
+                echo json_encode([
+                    'success' => false,
+                    'error' => 'Invalid key name',
+                    'message' => 'Use 1-64 letters, digits, spaces, dots, dashes or underscores.'
+                ], JSON_PRETTY_PRINT);
+                exit;
+            }
+
+            $created = createApiKey($name, intval($_POST['rate_limit'] ?? 0));
+            if ($created === null) {
+                throw new Exception('Failed to save API key');
+            }
+
+            logSecurityEvent('api_key_created', ['id' => $created['record']['id'], 'name' => $name]);
+            $response['key'] = $created['key'];
+            break;
+
+        case 'revoke':
+            $id = $_POST['id'] ?? '';
+
+            if (!is_string($id) || !preg_match('/^[a-f0-9]{16}$/', $id) || !revokeApiKey($id)) {
+                http_response_code(404);
+                echo json_encode([
+                    'success' => false,
+                    'error' => 'API key not found'
+                ], JSON_PRETTY_PRINT);
+                exit;
+            }
+
+            logSecurityEvent('api_key_revoked', ['id' => $id]);
+            break;
+
+        default:
+            http_response_code(400);
+            logSecurityEvent('invalid_parameter', ['endpoint' => 'api_keys.php', 'parameter' => 'action']);
+            echo json_encode([
+                'success' => false,
+                'error' => 'Invalid action'
+            ], JSON_PRETTY_PRINT);
+            exit;
+    }
+
+    $response['keys'] = getPublicApiKeys();
+
+    echo json_encode($response, JSON_PRETTY_PRINT);
+
+} catch (Exception $e) {
+    error_log('DriveAge API Error: ' . $e->getMessage() . "\n" . $e->getTraceAsString());
+
+    logSecurityEvent('api_error', [
+        'error' => $e->getMessage(),
+        'file' => basename($e->getFile()),
+        'line' => $e->getLine()
+    ]);
+
+    // Generic error response (don't expose internal details)
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to update API keys',
+        'message' => 'An internal error occurred. Please check system logs or contact support.'
+    ], JSON_PRETTY_PRINT);
+}
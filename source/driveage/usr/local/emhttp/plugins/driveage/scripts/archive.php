@@ -0,0 +1,126 @@
+<?php
+/**
+ * DriveAge Plugin - AJAX Endpoint for the Retired Drives Archive
+ *
+ * POST with CSRF token and serial:
+ * - action=archive: moves a drive that is no longer present into the archive
+ *   with status (retired, failed, rma, sold), removed_date and notes.
+ * - action=update: changes an archived drive's status, removed_date and notes.
+ * - action=delete: removes a drive from the archive.
+ * - action=forget: drops a missing drive without archiving it.
+ * Returns the updated known drives registry and archive.
+ */
+
+// Set JSON content type
+header('Content-Type: application/json');
+
+// Include required files
+require_once '/usr/local/emhttp/plugins/driveage/include/config.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/smartdata.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/archive.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/history.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/security.php';
+
+try {
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        http_response_code(405);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Method not allowed'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    requireCsrfToken();
+
+    $action = $_POST['action'] ?? '';
+    $serial = $_POST['serial'] ?? '';
+
+    if (!in_array($action, ['archive', 'update', 'delete', 'forget'], true) || !isValidSerial($serial)) {
+        http_response_code(400);
+        logSecurityEvent('invalid_parameter', ['endpoint' => 'archive.php', 'parameter' => 'action/serial']);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Invalid action or serial number'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    if ($action === 'archive' || $action === 'update') {
+        $validated = validateArchiveEntry([
+            'status' => $_POST['status'] ?? '',
+            'removed_date' => $_POST['removed_date'] ?? '',
+            'notes' => $_POST['notes'] ?? ''
+        ]);
+
+        if (!empty($validated['errors'])) {
+            http_response_code(400);
+            logSecurityEvent('invalid_parameter', ['endpoint' => 'archive.php', 'parameter' => 'entry']);
+            echo json_encode([
+                'success' => false,
+                'error' => 'Invalid archive details',
+                'details' => $validated['errors']
+            ], JSON_PRETTY_PRINT);
+            exit;
+        }
+    }
+
+    if ($action === 'archive' || $action === 'forget') {
+        $missing = array_column(getMissingDrives(loadKnownDrives(), loadDriveArchive(), getAllDrives(loadConfig())), 'serial');
+
+        if (!in_array($serial, $missing, true)) {
+            http_response_code(409);
+            echo json_encode([
+                'success' => false,
+                'error' => 'Drive is not missing',
+                'details' => ['Only drives that are no longer present can be archived or forgotten']
+            ], JSON_PRETTY_PRINT);
+            exit;
+        }
+    }
+
+    switch ($action) {
+        case 'archive':
+            $found = archiveDrive($serial, $validated['entry']);
+            break;
+        case 'update':
+            $found = updateArchivedDrive($serial, $validated['entry']);
+            break;
+        default:
+            $found = removeDriveRecord($serial, $action === 'delete');
+    }
+
+    if (!$found) {
+        http_response_code(404);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Drive not found or could not be saved'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    logSecurityEvent('drive_archive_changed', ['action' => $action, 'serial' => $serial]);
+
+    echo json_encode([
+        'success' => true,
+        'known' => (object)loadKnownDrives(),
+        'archive' => (object)loadDriveArchive()
+    ], JSON_PRETTY_PRINT);
+
+} catch (Exception $e) {
+    error_log('DriveAge API Error: ' . $e->getMessage() . "\n" . $e->getTraceAsString());
+
+    logSecurityEvent('api_error', [
+        'error' => $e->getMessage(),
+        'file' => basename($e->getFile()),
+        'line' => $e->getLine()
+    ]);
+
+    // Generic error response (don't expose internal details)
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to update drive archive',
+        'message' => 'An internal error occurred. Please check system logs or contact support.'
+    ], JSON_PRETTY_PRINT);
+}
@@ -0,0 +1,84 @@
+<?php
+/**
+ * DriveAge Plugin - AJAX Endpoint for Drive Asset Metadata
+ *
+ * POST action=save with serial and asset (JSON record: purchase date and
+ * price, vendor, warranty end, location, RMA history, notes), with CSRF token.
+ * An empty record removes the drive's metadata. Returns the saved record and
+ * warranty status.
+ */
+
+// Set JSON content type
+header('Content-Type: application/json');
+
+// Include required files
+require_once '/usr/local/emhttp/plugins/driveage/include/config.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/assets.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/history.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/security.php';
+
+try {
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        http_response_code(405);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Method not allowed'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    requireCsrfToken();
+
+    $serial = $_POST['serial'] ?? '';
+
+    if (($_POST['action'] ?? '') !== 'save' || !isValidSerial($serial)) {
+        http_response_code(400);
+        logSecurityEvent('invalid_parameter', ['endpoint' => 'assets.php', 'parameter' => 'action/serial']);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Invalid action or serial number'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    $validated = validateAsset(json_decode($_POST['asset'] ?? '', true));
+
+    if (!empty($validated['errors'])) {
+        http_response_code(400);
+        logSecurityEvent('invalid_parameter', ['endpoint' => 'assets.php', 'parameter' => 'asset']);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Invalid asset details',
+            'details' => $validated['errors']
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    if (!saveDriveAsset($serial, $validated['asset'])) {
+        throw new Exception('Failed to save asset record');
+    }
+
+    echo json_encode([
+        'success' => true,
+        'serial' => $serial,
+        'asset' => $validated['asset'],
+        'warranty' => getWarrantyStatus($validated['asset'])
+    ], JSON_PRETTY_PRINT);
+
+} catch (Exception $e) {
+    error_log('DriveAge API Error: ' . $e->getMessage() . "\n" . $e->getTraceAsString());
+
+    logSecurityEvent('api_error', [
+        'error' => $e->getMessage(),
+        'file' => basename($e->getFile()),
+        'line' => $e->getLine()
+    ]);
+
+    // Generic error response (don't expose internal details)
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to update asset details',
+        'message' => 'An internal error occurred. Please check system logs or contact support.'
+    ], JSON_PRETTY_PRINT);
+}
@@ -0,0 +1,78 @@
+<?php
+/**
+ * DriveAge Plugin - AJAX Endpoint for the Chassis Bay Layout
+ *
+ * POST action=save with layout (JSON: enclosures with name, rows, columns and
+ * bay number => serial assignments), with CSRF token.
+ * Returns the saved layout.
+ */
+
+// Set JSON content type
+header('Content-Type: application/json');
+
+// Include required files
+require_once '/usr/local/emhttp/plugins/driveage/include/config.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/bays.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/security.php';
+
+try {
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        http_response_code(405);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Method not allowed'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    requireCsrfToken();
+
+    if (($_POST['action'] ?? '') !== 'save') {
+        http_response_code(400);
+        logSecurityEvent('invalid_parameter', ['endpoint' => 'bays.php', 'parameter' => 'action']);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Invalid action'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    $validated = validateBayLayout(json_decode($_POST['layout'] ?? '', true));
+
+    if (!empty($validated['errors'])) {
+        http_response_code(400);
+        logSecurityEvent('invalid_parameter', ['endpoint' => 'bays.php', 'parameter' => 'layout']);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Invalid bay layout',
+            'details' => $validated['errors']
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    if (!saveBayLayout($validated['layout'])) {
+        throw new Exception('Failed to save bay layout');
+    }
+
+    echo json_encode([
+        'success' => true,
+        'layout' => $validated['layout']
+    ], JSON_PRETTY_PRINT);
+
+} catch (Exception $e) {
+    error_log('DriveAge API Error: ' . $e->getMessage() . "\n" . $e->getTraceAsString());
+
+    logSecurityEvent('api_error', [
+        'error' => $e->getMessage(),
+        'file' => basename($e->getFile()),
+        'line' => $e->getLine()
+    ]);
+
+    // Generic error response (don't expose internal details)
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to update bay layout',
+        'message' => 'An internal error occurred. Please check system logs or contact support.'
+    ], JSON_PRETTY_PRINT);
+}
@@ -0,0 +1,34 @@
+#!/usr/bin/php
+<?php
+/**
+ * DriveAge Plugin - Notification Alert Check
+ *
+ * Run by cron (see driveage.cron installed by the plugin).
+ * Compares current drive state with the last known state and raises
+ * Unraid notifications for risk and health changes.
+ */
+
+// CLI only - never run from a web request
+if (php_sapi_name() !== 'cli') {
+    http_response_code(403);
+    exit;
+}
+
+require_once '/usr/local/emhttp/plugins/driveage/include/config.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/smartdata.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/notifications.php';
+
+$config = loadConfig();
+
+if ($config['NOTIFY_ENABLED'] !== 'true') {
+    exit(0);
+}
+
+$drives = getAllDrives($config);
+$sent = checkDriveAlerts($drives, $config);
+
+if ($sent > 0) {
+    echo "DriveAge: Sent $sent notification(s)\n";
+}
+
+exit(0);
@@ -0,0 +1,82 @@
+<?php
+/**
+ * DriveAge Plugin - AJAX Endpoint for NVMe Endurance Ratings
+ *
+ * POST action=save with models (JSON list of model table entries) and
+ * overrides (JSON object of serial => TBW), with CSRF token.
+ * Returns the saved table and overrides.
+ */
+
+// Set JSON content type
+header('Content-Type: application/json');
+
+// Include required files
+require_once '/usr/local/emhttp/plugins/driveage/include/config.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/endurance.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/security.php';
+
+try {
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        http_response_code(405);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Method not allowed'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    requireCsrfToken();
+
+    if (($_POST['action'] ?? '') !== 'save') {
+        http_response_code(400);
+        logSecurityEvent('invalid_parameter', ['endpoint' => 'endurance.php', 'parameter' => 'action']);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Invalid action'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    $models = validateEnduranceModels(json_decode($_POST['models'] ?? '', true));
+    $overrides = validateTbwOverrides(json_decode($_POST['overrides'] ?? '', true));
+    $errors = array_merge($models['errors'], $overrides['errors']);
+
+    if (!empty($errors)) {
+        http_response_code(400);
+        logSecurityEvent('invalid_parameter', ['endpoint' => 'endurance.php', 'parameter' => 'models/overrides']);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Invalid endurance ratings',
+            'details' => $errors
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    if (!saveJsonFile(DRIVEAGE_ENDURANCE_MODELS_FILE, $models['entries']) ||
+        !saveJsonFile(DRIVEAGE_TBW_OVERRIDES_FILE, (object)$overrides['overrides'])) {
+        throw new Exception('Failed to save endurance ratings');
+    }
+
+    echo json_encode([
+        'success' => true,
+        'models' => $models['entries'],
+        'overrides' => (object)$overrides['overrides']
+    ], JSON_PRETTY_PRINT);
+
+} catch (Exception $e) {
+    error_log('DriveAge API Error: ' . $e->getMessage() . "\n" . $e->getTraceAsString());
+
+    logSecurityEvent('api_error', [
+        'error' => $e->getMessage(),
+        'file' => basename($e->getFile()),
+        'line' => $e->getLine()
+    ]);
+
+    // Generic error response (don't expose internal details)
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to update endurance ratings',
+        'message' => 'An internal error occurred. Please check system logs or contact support.'
+    ], JSON_PRETTY_PRINT);
+}
@@ -11,6 +11,7 @@ header('Content-Type: application/json');
 // Include required files
 require_once '/usr/local/emhttp/plugins/driveage/include/config.php';
 require_once '/usr/local/emhttp/plugins/driveage/include/smartdata.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/arrayrisk.php';
 require_once '/usr/local/emhttp/plugins/driveage/include/formatting.php';
 require_once '/usr/local/emhttp/plugins/driveage/include/security.php';
 require_once '/usr/local/emhttp/plugins/driveage/include/helpers.php';
@@ -19,14 +20,9 @@ try {
     // Load configuration
     $config = loadConfig();
 
-    // Detect if this is an internal dashboard request vs external API access
-    // Internal requests come from the Unraid web interface (have Referer header to our own pages)
-    $referer = $_SERVER['HTTP_REFERER'] ?? '';
-    $host = $_SERVER['HTTP_HOST'] ?? '';
-    $isInternalRequest = !empty($referer) && strpos($referer, $host) !== false;
-
-    // Check rate limit and API access
-    checkRateLimit($config, $isInternalRequest);
+    // Dashboard request (webGUI token) or external API access (API key)
+    // Enforces API access and rate limits
+    authorizeRequest($config);
 
     // Clean up old rate limit files (1% chance)
     if (rand(1, 100) === 1) {
@@ -51,6 +47,8 @@ try {
         'drive_count' => count($drives),
         'drives' => $drives,
         'grouped' => $grouped,
+        // Data-loss risk per array/pool (same keys as grouped)
+        'array_risk' => (object)getArrayRisks($grouped),
         'thresholds' => [
             'minimal_risk' => intval($config['THRESHOLD_MINIMAL_RISK']),
             'low_risk' => intval($config['THRESHOLD_LOW_RISK']),
@@ -75,7 +73,23 @@ try {
             'show_temperature' => $config['SHOW_TEMPERATURE'] === 'true',
             'show_smart_status' => $config['SHOW_SMART_STATUS'] === 'true',
             'show_spin_status' => $config['SHOW_SPIN_STATUS'] === 'true',
-            'temperature_unit' => getTemperatureUnit()
+            'show_warranty' => $config['SHOW_WARRANTY'] === 'true',
+            'show_location' => $config['SHOW_LOCATION'] === 'true',
+            'show_self_test' => $config['SHOW_SELF_TEST'] === 'true',
+            'temperature_unit' => getTemperatureUnit(),
+            // Saved display/refresh preferences (dashboard may override per session)
+            'default_sort' => $config['DEFAULT_SORT'],
+            'default_sort_dir' => $config['DEFAULT_SORT_DIR'] === 'asc' ? 'asc' : 'desc',
+            'auto_refresh' => $config['AUTO_REFRESH'] === 'true',
+            'refresh_interval' => max(30, min(3600, intval($config['REFRESH_INTERVAL']))),
+            // Drive types visible by default (dashboard filter bar starts from these)
+            'show_drive_types' => [
+                'parity' => $config['SHOW_PARITY'] === 'true',
+                'array' => $config['SHOW_ARRAY'] === 'true',
+                'cache' => $config['SHOW_CACHE'] === 'true',
+                'pool' => $config['SHOW_POOL'] === 'true',
+                'unassigned' => $config['SHOW_UNASSIGNED'] === 'true'
+            ]
         ]
     ];
 
@@ -99,44 +113,3 @@ try {
         'message' => 'An internal error occurred. Please check system logs or contact support.'
     ], JSON_PRETTY_PRINT);
 }
-
-/**
- * Group drives by array and drive type
- *
- * @param array $drives Array of drive data
- * @return array Grouped drives
- */
-function groupDrives($drives) {
-    $grouped = [];
-
-    foreach ($drives as $drive) {
-        $arrayName = $drive['array_name'];
-        $driveType = $drive['drive_type'];
-
-        if (!isset($grouped[$arrayName])) {
-            $grouped[$arrayName] = [];
-        }
-
-        if (!isset($grouped[$arrayName][$driveType])) {
-            $grouped[$arrayName][$driveType] = [];
-        }
-
-        $grouped[$arrayName][$driveType][] = $drive;
-    }
-
-    // Sort arrays and types
-    ksort($grouped);
-
-    foreach ($grouped as $arrayName => &$types) {
-        // Define sort order for drive types
-        $typeOrder = ['parity' => 1, 'array' => 2, 'cache' => 3, 'pool' => 4, 'unassigned' => 5];
-
-        uksort($types, function($a, $b) use ($typeOrder) {
-            $orderA = $typeOrder[$a] ?? 99;
-            $orderB = $typeOrder[$b] ?? 99;
-            return $orderA - $orderB;
-        });
-    }
-
-    return $grouped;
-}
@@ -0,0 +1,80 @@
+<?php
+/**
+ * DriveAge Plugin - AJAX Endpoint for Drive Detail
+ *
+ * Returns the full SMART report (attributes, NVMe health log, error log,
+ * self-test log) and the replacement estimate explanation for one drive
+ */
+
+// Set JSON content type
+header('Content-Type: application/json');
+
+// Include required files
+require_once '/usr/local/emhttp/plugins/driveage/include/config.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/smartdata.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/smartdetail.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/history.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/security.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/helpers.php';
+
+try {
+    // Load configuration
+    $config = loadConfig();
+
+    // Dashboard request (webGUI token) or external API access (API key)
+    authorizeRequest($config);
+
+    $serial = $_GET['serial'] ?? '';
+
+    if (!isValidSerial($serial)) {
+        http_response_code(400);
+        logSecurityEvent('invalid_parameter', ['endpoint' => 'get_drive_detail.php', 'parameter' => 'serial']);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Invalid serial number'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    $drive = null;
+    foreach (getAllDrives($config) as $candidate) {
+        if ($candidate['serial'] === $serial) {
+            $drive = $candidate;
+            break;
+        }
+    }
+
+    if ($drive === null) {
+        http_response_code(404);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Drive not found'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    echo json_encode([
+        'success' => true,
+        'serial' => $serial,
+        'drive' => $drive,
+        'smart' => getSmartDetail($drive['device_path']),
+        'prediction' => explainReplacementPrediction($drive, $config)
+    ], JSON_PRETTY_PRINT);
+
+} catch (Exception $e) {
+    error_log('DriveAge API Error: ' . $e->getMessage() . "\n" . $e->getTraceAsString());
+
+    logSecurityEvent('api_error', [
+        'error' => $e->getMessage(),
+        'file' => basename($e->getFile()),
+        'line' => $e->getLine()
+    ]);
+
+    // Generic error response (don't expose internal details)
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to retrieve drive detail',
+        'message' => 'An internal error occurred. Please check system logs or contact support.'
+    ], JSON_PRETTY_PRINT);
+}
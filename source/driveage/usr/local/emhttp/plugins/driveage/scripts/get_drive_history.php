@@ -0,0 +1,65 @@
+<?php
+/**
+ * DriveAge Plugin - AJAX Endpoint for Drive History
+ *
+ * Returns recorded SMART snapshots for a single drive (by serial)
+ */
+
+// Set JSON content type
+header('Content-Type: application/json');
+
+// Include required files
+require_once '/usr/local/emhttp/plugins/driveage/include/config.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/history.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/security.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/helpers.php';
+
+try {
+    // Load configuration
+    $config = loadConfig();
+
+    // Dashboard request (webGUI token) or external API access (API key)
+    authorizeRequest($config);
+
+    $serial = $_GET['serial'] ?? '';
+
+    if (!isValidSerial($serial)) {
+        http_response_code(400);
+        logSecurityEvent('invalid_parameter', ['endpoint' => 'get_drive_history.php', 'parameter' => 'serial']);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Invalid serial number'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    $history = loadDriveHistory($serial);
+
+    echo json_encode([
+        'success' => true,
+        'serial' => $serial,
+        'model' => $history['model'] ?? null,
+        'physical_type' => $history['physical_type'] ?? null,
+        'history_enabled' => $config['HISTORY_ENABLED'] === 'true',
+        'interval_hours' => intval($config['HISTORY_INTERVAL']),
+        'metrics' => getHistoryMetrics(),
+        'samples' => $history['samples'] ?? []
+    ], JSON_PRETTY_PRINT);
+
+} catch (Exception $e) {
+    error_log('DriveAge API Error: ' . $e->getMessage() . "\n" . $e->getTraceAsString());
+
+    logSecurityEvent('api_error', [
+        'error' => $e->getMessage(),
+        'file' => basename($e->getFile()),
+        'line' => $e->getLine()
+    ]);
+
+    // Generic error response (don't expose internal details)
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to retrieve drive history',
+        'message' => 'An internal error occurred. Please check system logs or contact support.'
+    ], JSON_PRETTY_PRINT);
+}
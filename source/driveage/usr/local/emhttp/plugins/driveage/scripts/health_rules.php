@@ -0,0 +1,92 @@
+<?php
+/**
+ * DriveAge Plugin - AJAX Endpoint for SMART Health Rules
+ *
+ * POST action=save (rules as a JSON list) or action=reset, with CSRF token.
+ * Returns the active rules.
+ */
+
+// Set JSON content type
+header('Content-Type: application/json');
+
+// Include required files
+require_once '/usr/local/emhttp/plugins/driveage/include/config.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/healthrules.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/security.php';
+
+try {
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        http_response_code(405);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Method not allowed'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    requireCsrfToken();
+
+    $action = $_POST['action'] ?? '';
+
+    switch ($action) {
+        case 'save':
+            $validated = validateHealthRules(json_decode($_POST['rules'] ?? '', true));
+
+            if (!empty($validated['errors'])) {
+                http_response_code(400);
+                logSecurityEvent('invalid_parameter', ['endpoint' => 'health_rules.php', 'parameter' => 'rules']);
+                echo json_encode([
+                    'success' => false,
+                    'error' => 'Invalid health rules',
+                    'details' => $validated['errors']
+                ], JSON_PRETTY_PRINT);
+                exit;
+            }
+
+            if (!saveHealthRules($validated['rules'])) {
+                throw new Exception('Failed to save health rules');
+            }
+
+            $rules = $validated['rules'];
+            break;
+
+        case 'reset':
+            if (!resetHealthRules()) {
+                throw new Exception('Failed to reset health rules');
+            }
+
+            $rules = getDefaultHealthRules();
+            break;
+
+        default:
+            http_response_code(400);
+            logSecurityEvent('invalid_parameter', ['endpoint' => 'health_rules.php', 'parameter' => 'action']);
+            echo json_encode([
+                'success' => false,
+                'error' => 'Invalid action'
+            ], JSON_PRETTY_PRINT);
+            exit;
+    }
+
+    echo json_encode([
+        'success' => true,
+        'rules' => $rules
+    ], JSON_PRETTY_PRINT);
+
+} catch (Exception $e) {
+    error_log('DriveAge API Error: ' . $e->getMessage() . "\n" . $e->getTraceAsString());
+
+    logSecurityEvent('api_error', [
+        'error' => $e->getMessage(),
+        'file' => basename($e->getFile()),
+        'line' => $e->getLine()
+    ]);
+
+    // Generic error response (don't expose internal details)
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to update health rules',
+        'message' => 'An internal error occurred. Please check system logs or contact support.'
+    ], JSON_PRETTY_PRINT);
+}
@@ -0,0 +1,176 @@
+<?php
+/**
+ * DriveAge Plugin - Prometheus Metrics Endpoint
+ *
+ * Serves drive data in the Prometheus text exposition format.
+ * Protected by API_ENABLED, API keys (or the optional METRICS_TOKEN) and per-key rate limiting.
+ */
+
+// Include required files
+require_once '/usr/local/emhttp/plugins/driveage/include/config.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/smartdata.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/security.php';
+
+try {
+    // Load configuration
+    $config = loadConfig();
+
+    // Scrapers authenticate with an API key or the metrics token (Authorization: Bearer <token>)
+    authorizeRequest($config, $config['METRICS_TOKEN']);
+
+    logSecurityEvent('api_access', ['endpoint' => 'metrics.php']);
+
+    $drives = getAllDrives($config);
+
+    header('Content-Type: text/plain; version=0.0.4; charset=utf-8');
+    echo buildPrometheusMetrics($drives);
+
+} catch (Exception $e) {
+    error_log('DriveAge API Error: ' . $e->getMessage() . "\n" . $e->getTraceAsString());
+
+    logSecurityEvent('api_error', [
+        'error' => $e->getMessage(),
+        'file' => basename($e->getFile()),
+        'line' => $e->getLine()
+    ]);
+
+    // Generic error response (don't expose internal details)
+    http_response_code(500);
+    header('Content-Type: text/plain; charset=utf-8');
+    echo "# Failed to retrieve drive data\n";
+}
+
+/**
+ * Get exported per-drive gauges
+ *
+ * @return array Metric name => [help text, value callback]
+ */
+function getPrometheusGauges() {
+    $riskOrder = ['minimal_risk' => 0, 'low_risk' => 1, 'moderate_risk' => 2, 'elevated_risk' => 3, 'high_risk' => 4];
+    $confidenceOrder = ['none' => 0, 'low' => 1, 'medium' => 2, 'high' => 3];
+
+    $field = function($key) {
+        return function($drive) use ($key) {
+            return $drive[$key] ?? null;
+        };
+    };
+
+    return [
+        'driveage_power_on_hours' => ['Power on hours', $field('power_on_hours')],
+        'driveage_temperature_celsius' => ['Drive temperature in degrees Celsius', $field('temperature')],
+        'driveage_risk_category' => [
+            'Risk category ordinal (0=minimal, 1=low, 2=moderate, 3=elevated, 4=high)',
+            function($drive) use ($riskOrder) {
+                return $riskOrder[$drive['age_category']] ?? null;
+            }
+        ],
+        'driveage_replacement_months_remaining' => [
+            'Estimated months until recommended replacement',
+            function($drive) {
+                return $drive['replacement_prediction']['months_remaining'] ?? null;
+            }
+        ],
+        'driveage_prediction_confidence' => [
+            'Replacement prediction confidence (0=none, 1=low, 2=medium, 3=high)',
+            function($drive) use ($confidenceOrder) {
+                return $confidenceOrder[$drive['replacement_prediction']['confidence'] ?? 'none'] ?? 0;
+            }
+        ],
+        'driveage_health_warnings' => [
+            'Number of active health warnings',
+            function($drive) {
+                return count($drive['health_warnings'] ?? []);
+            }
+        ],
+        'driveage_standby' => [
+            'Drive is in standby (1) or active (0)',
+            function($drive) {
+                return !empty($drive['is_standby']) ? 1 : 0;
+            }
+        ],
+        // HDD critical SMART attributes
+        'driveage_hdd_reallocated_sectors' => ['Reallocated sector count (SMART 5)', $field('hdd_reallocated_sectors')],
+        'driveage_hdd_pending_sectors' => ['Current pending sector count (SMART 197)', $field('hdd_pending_sectors')],
+        'driveage_hdd_uncorrectable_sectors' => ['Offline uncorrectable sector count (SMART 198)', $field('hdd_uncorrectable_sectors')],
+        'driveage_hdd_reported_uncorrectable' => ['Reported uncorrectable errors (SMART 187)', $field('hdd_reported_uncorrectable')],
+        'driveage_hdd_command_timeout' => ['Command timeout count (SMART 188)', $field('hdd_command_timeout')],
+        'driveage_hdd_crc_errors' => ['Interface CRC error count (SMART 199)', $field('hdd_crc_errors')],
+        'driveage_sas_grown_defects' => ['SAS grown defect list entries', $field('sas_grown_defects')],
+        'driveage_sas_uncorrected_errors' => ['SAS total uncorrected read/write/verify errors', $field('sas_uncorrected_errors')],
+        'driveage_sas_non_medium_errors' => ['SAS non-medium error count', $field('sas_non_medium_errors')],
+        'driveage_sas_start_stop_cycles' => ['SAS accumulated start-stop cycles', $field('sas_start_stop_cycles')],
+        // NVMe wear metrics
+        'driveage_nvme_percentage_used' => ['NVMe percentage of rated endurance used', $field('nvme_percentage_used')],
+        'driveage_nvme_available_spare' => ['NVMe available spare percentage', $field('nvme_available_spare')],
+        'driveage_nvme_available_spare_threshold' => ['NVMe available spare threshold percentage', $field('nvme_available_spare_threshold')],
+        'driveage_nvme_data_units_written' => ['NVMe data units written (1 unit = 512,000 bytes)', $field('nvme_data_units_written')],
+        'driveage_nvme_data_units_read' => ['NVMe data units read (1 unit = 512,000 bytes)', $field('nvme_data_units_read')],
+        'driveage_nvme_media_errors' => ['NVMe media and data integrity errors', $field('nvme_media_errors')],
+        'driveage_nvme_critical_warning' => ['NVMe critical warning flags', $field('nvme_critical_warning')]
+    ];
+}
+
+/**
+ * Build Prometheus text exposition output
+ *
+ * @param array $drives Drives from getAllDrives()
+ * @return string Metrics text
+ */
+function buildPrometheusMetrics($drives) {
+    $output = '';
+
+    foreach (getPrometheusGauges() as $name => list($help, $getValue)) {
+        $samples = '';
+
+        foreach ($drives as $drive) {
+            $value = $getValue($drive);
+
+            // Missing values are omitted rather than exported as 0
+            if (!is_numeric($value)) {
+                continue;
+            }
+
+            $samples .= $name . formatPrometheusLabels($drive) . ' ' . ($value + 0) . "\n";
+        }
+
+        if ($samples !== '') {
+            $output .= "# HELP $name $help\n";
+            $output .= "# TYPE $name gauge\n";
+            $output .= $samples;
+        }
+    }
+
+    $output .= "# HELP driveage_drives Number of drives detected\n";
+    $output .= "# TYPE driveage_drives gauge\n";
+    $output .= 'driveage_drives ' . count($drives) . "\n";
+
+    $output .= "# HELP driveage_scrape_timestamp_seconds Time the drive data was collected\n";
+    $output .= "# TYPE driveage_scrape_timestamp_seconds gauge\n";
+    $output .= 'driveage_scrape_timestamp_seconds ' . time() . "\n";
+
+    return $output;
+}
+
+/**
+ * Format the label set for a drive
+ *
+ * @param array $drive Drive information
+ * @return string Label set (e.g., {serial="...",model="..."})
+ */
+function formatPrometheusLabels($drive) {
+    $labels = [
+        'serial' => $drive['serial'] ?? 'Unknown',
+        'model' => $drive['model'] ?? 'Unknown',
+        'device' => $drive['device_id'] ?? '',
+        'array' => $drive['array_name'] ?? '',
+        'drive_type' => $drive['drive_type'] ?? ''
+    ];
+
+    $parts = [];
+    foreach ($labels as $key => $value) {
+        $escaped = str_replace(['\\', '"', "\n"], ['\\\\', '\\"', '\\n'], (string)$value);
+        $parts[] = $key . '="' . $escaped . '"';
+    }
+
+    return '{' . implode(',', $parts) . '}';
+}
@@ -0,0 +1,44 @@
+#!/usr/bin/php
+<?php
+/**
+ * DriveAge Plugin - MQTT Publish
+ *
+ * Run by cron every 5 minutes (see driveage.cron installed by the plugin).
+ * Publishes drive state to MQTT when the publish interval has passed or a
+ * drive's risk category changed. With MQTT turned off (or --offline, used
+ * when the plugin is removed) it marks DriveAge offline on the broker once.
+ */
+
+// CLI only - never run from a web request
+if (php_sapi_name() !== 'cli') {
+    http_response_code(403);
+    exit;
+}
+
+require_once '/usr/local/emhttp/plugins/driveage/include/config.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/smartdata.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/mqtt.php';
+
+$config = loadConfig();
+
+if ($config['MQTT_ENABLED'] !== 'true' || in_array('--offline', array_slice($argv, 1), true)) {
+    publishMqttOffline($config);
+    exit(0);
+}
+
+$drives = getAllDrives($config);
+$result = publishMqttUpdate($drives, $config);
+
+if ($result['error'] !== null) {
+    error_log('DriveAge: MQTT publish failed: ' . $result['error']);
+    echo 'DriveAge: MQTT publish failed: ' . $result['error'] . "\n";
+    exit(1);
+}
+
+if ($result['published']) {
+    echo "DriveAge: Published {$result['messages']} MQTT message(s)"
+        . (!empty($result['changed']) ? ' (risk changed: ' . implode(', ', $result['changed']) . ')' : '')
+        . ($result['cleared'] > 0 ? ", cleared {$result['cleared']} stale topic(s)" : '') . "\n";
+}
+
+exit(0);
@@ -0,0 +1,77 @@
+<?php
+/**
+ * DriveAge Plugin - AJAX Endpoint for MQTT Publish
+ *
+ * Publishes drive state to MQTT immediately with the saved settings (POST with CSRF token)
+ */
+
+// Set JSON content type
+header('Content-Type: application/json');
+
+// Include required files
+require_once '/usr/local/emhttp/plugins/driveage/include/config.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/smartdata.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/mqtt.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/security.php';
+
+try {
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        http_response_code(405);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Method not allowed'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    requireCsrfToken();
+
+    logSecurityEvent('mqtt_publish', ['endpoint' => 'publish_mqtt_now.php']);
+
+    $config = loadConfig();
+
+    if ($config['MQTT_ENABLED'] !== 'true') {
+        http_response_code(400);
+        echo json_encode([
+            'success' => false,
+            'error' => 'MQTT disabled',
+            'message' => 'Enable MQTT publishing and apply the settings first.'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    $result = publishMqttUpdate(getAllDrives($config), $config, true);
+
+    // Broker errors are configuration problems the user needs to see
+    if ($result['error'] !== null) {
+        http_response_code(502);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Failed to publish',
+            'message' => $result['error']
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    echo json_encode([
+        'success' => true,
+        'messages' => $result['messages']
+    ], JSON_PRETTY_PRINT);
+
+} catch (Exception $e) {
+    error_log('DriveAge API Error: ' . $e->getMessage() . "\n" . $e->getTraceAsString());
+
+    logSecurityEvent('api_error', [
+        'error' => $e->getMessage(),
+        'file' => basename($e->getFile()),
+        'line' => $e->getLine()
+    ]);
+
+    // Generic error response (don't expose internal details)
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to publish',
+        'message' => 'An internal error occurred. Please check system logs or contact support.'
+    ], JSON_PRETTY_PRINT);
+}
@@ -0,0 +1,38 @@
+#!/usr/bin/php
+<?php
+/**
+ * DriveAge Plugin - History Snapshot Recorder
+ *
+ * Run hourly by cron (see driveage.cron installed by the plugin).
+ * Each drive is only sampled once per HISTORY_INTERVAL hours. The known
+ * drives registry used to detect removed drives is updated even when history
+ * recording is disabled.
+ */
+
+// CLI only - never run from a web request
+if (php_sapi_name() !== 'cli') {
+    http_response_code(403);
+    exit;
+}
+
+require_once '/usr/local/emhttp/plugins/driveage/include/config.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/smartdata.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/history.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/archive.php';
+
+$config = loadConfig();
+
+$drives = getAllDrives($config);
+updateKnownDrives($drives);
+
+if ($config['HISTORY_ENABLED'] !== 'true') {
+    exit(0);
+}
+
+$recorded = recordHistorySnapshots($drives, $config);
+
+if ($recorded > 0) {
+    echo "DriveAge: Recorded $recorded history snapshot(s)\n";
+}
+
+exit(0);
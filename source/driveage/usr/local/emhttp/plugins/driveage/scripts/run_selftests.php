@@ -0,0 +1,41 @@
+#!/usr/bin/php
+<?php
+/**
+ * DriveAge Plugin - Self-Test Monitor and Scheduler
+ *
+ * Run hourly by cron (see driveage.cron installed by the plugin).
+ * Refreshes self-test progress and last results for drives that are spun up,
+ * then starts the day's scheduled tests at SELFTEST_HOUR.
+ */
+
+// CLI only - never run from a web request
+if (php_sapi_name() !== 'cli') {
+    http_response_code(403);
+    exit;
+}
+
+require_once '/usr/local/emhttp/plugins/driveage/include/config.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/smartdata.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/selftest.php';
+
+$config = loadConfig();
+
+$drives = getAllDrives($config);
+$state = loadSelfTestState();
+
+foreach ($drives as $drive) {
+    refreshSelfTestStatus($drive, $state);
+}
+
+$started = 0;
+if (intval(date('G')) === intval($config['SELFTEST_HOUR'])) {
+    $started = runScheduledSelfTests($drives, $config, $state);
+}
+
+saveSelfTestState($state);
+
+if ($started > 0) {
+    echo "DriveAge: Started $started scheduled self-test(s)\n";
+}
+
+exit(0);
@@ -0,0 +1,139 @@
+<?php
+/**
+ * DriveAge Plugin - AJAX Endpoint for SMART Self-Tests
+ *
+ * POST with CSRF token:
+ * - action=start: type (short, long) and either serial (one drive) or
+ *   drive_type (parity, array, cache, pool, unassigned or all). Refused while
+ *   a parity check is running.
+ * - action=status: re-reads progress from drives with a test running.
+ * Returns per-drive results and the number of tests still running.
+ */
+
+// Set JSON content type
+header('Content-Type: application/json');
+
+// Include required files
+require_once '/usr/local/emhttp/plugins/driveage/include/config.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/smartdata.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/selftest.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/history.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/security.php';
+
+try {
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        http_response_code(405);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Method not allowed'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    requireCsrfToken();
+
+    $action = $_POST['action'] ?? '';
+    $config = loadConfig();
+    $drives = getAllDrives($config);
+    $state = loadSelfTestState();
+
+    if ($action === 'status') {
+        foreach ($drives as $drive) {
+            if (!empty($state[$drive['serial']]['running'])) {
+                refreshSelfTestStatus($drive, $state);
+            }
+        }
+        saveSelfTestState($state);
+
+        echo json_encode([
+            'success' => true,
+            'running' => count(array_filter($state, function($entry) {
+                return !empty($entry['running']);
+            }))
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    $type = $_POST['type'] ?? '';
+    $serial = $_POST['serial'] ?? '';
+    $driveType = $_POST['drive_type'] ?? '';
+    $validDriveTypes = ['parity', 'array', 'cache', 'pool', 'unassigned', 'all'];
+
+    if ($action !== 'start' || !in_array($type, DRIVEAGE_SELFTEST_TYPES, true) ||
+        ($serial === '' ? !in_array($driveType, $validDriveTypes, true) : !isValidSerial($serial))) {
+        http_response_code(400);
+        logSecurityEvent('invalid_parameter', ['endpoint' => 'selftest.php', 'parameter' => 'action/type/target']);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Invalid action, test type or target'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    if (isParityCheckRunning()) {
+        http_response_code(409);
+        echo json_encode([
+            'success' => false,
+            'error' => 'A parity check is running',
+            'details' => ['Self-tests slow down a parity check (and vice versa) - start them when it has finished']
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    $targets = array_filter($drives, function($drive) use ($serial, $driveType) {
+        if ($serial !== '') {
+            return $drive['serial'] === $serial;
+        }
+        return canRunSelfTest($drive) && ($driveType === 'all' || $drive['drive_type'] === $driveType);
+    });
+
+    if (empty($targets)) {
+        http_response_code(404);
+        echo json_encode([
+            'success' => false,
+            'error' => $serial !== '' ? 'Drive not found' : 'No drives of that type support self-tests'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    $results = [];
+    foreach ($targets as $drive) {
+        $result = startSelfTest($drive, $type, $state);
+        $results[] = ['serial' => $drive['serial'], 'device_name' => $drive['device_name']] + $result;
+    }
+    saveSelfTestState($state);
+
+    $started = count(array_filter($results, function($result) {
+        return $result['success'];
+    }));
+
+    logSecurityEvent('selftest_started', ['type' => $type, 'target' => $serial !== '' ? $serial : $driveType, 'started' => $started]);
+
+    echo json_encode([
+        'success' => $started > 0,
+        'started' => $started,
+        'results' => $results,
+        'details' => array_map(function($result) {
+            return $result['device_name'] . ': ' . $result['message'];
+        }, array_values(array_filter($results, function($result) {
+            return !$result['success'];
+        })))
+    ], JSON_PRETTY_PRINT);
+
+} catch (Exception $e) {
+    error_log('DriveAge API Error: ' . $e->getMessage() . "\n" . $e->getTraceAsString());
+
+    logSecurityEvent('api_error', [
+        'error' => $e->getMessage(),
+        'file' => basename($e->getFile()),
+        'line' => $e->getLine()
+    ]);
+
+    // Generic error response (don't expose internal details)
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to run self-test request',
+        'message' => 'An internal error occurred. Please check system logs or contact support.'
+    ], JSON_PRETTY_PRINT);
+}
@@ -0,0 +1,64 @@
+<?php
+/**
+ * DriveAge Plugin - AJAX Endpoint for Test Notification
+ *
+ * Sends a test notification through Unraid's notify system (POST with CSRF token)
+ */
+
+// Set JSON content type
+header('Content-Type: application/json');
+
+// Include required files
+require_once '/usr/local/emhttp/plugins/driveage/include/config.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/notifications.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/security.php';
+
+try {
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        http_response_code(405);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Method not allowed'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    requireCsrfToken();
+
+    logSecurityEvent('test_notification', ['endpoint' => 'send_test_notification.php']);
+
+    $sent = sendNotification(
+        'Test notification',
+        'DriveAge notifications are working. You will be alerted when a drive changes risk category, reports new or increasing health warnings, or nears its estimated replacement.',
+        'normal'
+    );
+
+    if (!$sent) {
+        http_response_code(500);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Failed to send notification',
+            'message' => 'The Unraid notify script failed. Check that notifications are enabled under Settings -> Notification Settings.'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    echo json_encode(['success' => true], JSON_PRETTY_PRINT);
+
+} catch (Exception $e) {
+    error_log('DriveAge API Error: ' . $e->getMessage() . "\n" . $e->getTraceAsString());
+
+    logSecurityEvent('api_error', [
+        'error' => $e->getMessage(),
+        'file' => basename($e->getFile()),
+        'line' => $e->getLine()
+    ]);
+
+    // Generic error response (don't expose internal details)
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to send notification',
+        'message' => 'An internal error occurred. Please check system logs or contact support.'
+    ], JSON_PRETTY_PRINT);
+}
@@ -0,0 +1,69 @@
+<?php
+/**
+ * DriveAge Plugin - AJAX Endpoint for the What-If Simulator
+ *
+ * POST scenario (JSON: replacements [{serial, size_tb, physical_type}],
+ * prediction_mode, risk_percent, thresholds {minimal_risk, low_risk, moderate_risk,
+ * elevated_risk} in hours) with CSRF token. Returns the drives, groups and
+ * array risk as the dashboard would show them under that scenario. Nothing
+ * is saved.
+ */
+
+// Set JSON content type
+header('Content-Type: application/json');
+
+// Include required files
+require_once '/usr/local/emhttp/plugins/driveage/include/config.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/smartdata.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/simulate.php';
+require_once '/usr/local/emhttp/plugins/driveage/include/security.php';
+
+try {
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        http_response_code(405);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Method not allowed'
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    requireCsrfToken();
+
+    $config = loadConfig();
+    $drives = getAllDrives($config);
+
+    $validated = validateSimulationScenario(json_decode($_POST['scenario'] ?? '', true), $drives);
+
+    if (!empty($validated['errors'])) {
+        http_response_code(400);
+        logSecurityEvent('invalid_parameter', ['endpoint' => 'simulate.php', 'parameter' => 'scenario']);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Invalid scenario',
+            'details' => $validated['errors']
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+
+    echo json_encode([
+        'success' => true
+    ] + runSimulation($drives, $validated['scenario'], $config), JSON_PRETTY_PRINT);
+
+} catch (Exception $e) {
+    error_log('DriveAge API Error: ' . $e->getMessage() . "\n" . $e->getTraceAsString());
+
+    logSecurityEvent('api_error', [
+        'error' => $e->getMessage(),
+        'file' => basename($e->getFile()),
+        'line' => $e->getLine()
+    ]);
+
+    // Generic error response (don't expose internal details)
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Failed to run simulation',
+        'message' => 'An internal error occurred. Please check system logs or contact support.'
+    ], JSON_PRETTY_PRINT);
+}